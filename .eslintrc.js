@@ -22,4 +22,39 @@ module.exports = {
     rules: {
         // Добавьте свои правила здесь
     },
+    overrides: [
+        {
+            files: ['**/*.test.js'],
+            env: {
+                jest: true,
+            },
+        },
+        {
+            files: ['src/service-worker.js'],
+            env: {
+                serviceworker: true,
+            },
+        },
+        {
+            // process.env.* подставляет сборка react-scripts
+            files: ['src/service-worker.js', 'src/serviceWorkerRegistration.js', 'src/utils/serverSync.js'],
+            globals: {
+                process: 'readonly',
+            },
+        },
+        {
+            // Сервер синхронизации — отдельный пакет Node на CommonJS
+            files: ['server/**/*.js'],
+            env: {
+                browser: false,
+                node: true,
+            },
+            parserOptions: {
+                sourceType: 'script',
+            },
+            rules: {
+                '@typescript-eslint/no-var-requires': 'off',
+            },
+        },
+    ],
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+// server/index.js
+// Optional sync server. Devices running the app send their shift edits here
+// and receive the edits of all other devices:
+//   GET  /api/health                - { ok: true }
+//   GET  /api/shift?since=<rev>     - { logId, revision, actions } after revision `since`
+//   POST /api/shift/actions         - body { actions }, returns { logId, revision, accepted }
+//   WS   /ws                        - pushes { type: 'actions', logId, revision, actions }
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const { createShiftLog, InvalidActionError } = require('./shiftLog');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'shift.json');
+// Правки одной смены невелики; большие тела запросов отклоняются
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const shiftLog = createShiftLog(DATA_FILE);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new InvalidActionError('Request body is too large.'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch (error) {
+      reject(new InvalidActionError('Request body is not valid JSON.'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, {});
+    return;
+  }
+  try {
+    if (req.method === 'GET' && url.pathname === '/api/health') {
+      sendJson(res, 200, { ok: true });
+    } else if (req.method === 'GET' && url.pathname === '/api/shift') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      sendJson(res, 200, { logId: shiftLog.logId, revision: shiftLog.revision, actions: shiftLog.getActions(since) });
+    } else if (req.method === 'POST' && url.pathname === '/api/shift/actions') {
+      const { actions } = await readBody(req);
+      const accepted = shiftLog.append(actions);
+      if (accepted.length > 0) broadcast(accepted);
+      sendJson(res, 200, { logId: shiftLog.logId, revision: shiftLog.revision, accepted: accepted.length });
+    } else {
+      sendJson(res, 404, { error: 'Not found.' });
+    }
+  } catch (error) {
+    if (error instanceof InvalidActionError) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+    console.error(error);
+    sendJson(res, 500, { error: 'Internal server error.' });
+  }
+});
+
+const sockets = new WebSocket.Server({ server, path: '/ws' });
+
+// Новые правки сразу уходят всем подключённым устройствам (и отправителю: он их пропустит)
+function broadcast(actions) {
+  const message = JSON.stringify({ type: 'actions', logId: shiftLog.logId, revision: shiftLog.revision, actions });
+  sockets.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) client.send(message);
+  });
+}
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,118 @@
+// server/shiftLog.js
+// Edits of the shared shift, kept as an ordered log in a JSON file.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_SAVED = 'SETTINGS_SAVED';
+const SHIFT_RESET = 'SHIFT_RESET';
+
+class InvalidActionError extends Error {}
+
+// Правка приложения: { type, ..., meta: { id, at, tabId } } (см. src/utils/tabSync.js)
+const isValidAction = (action) => Boolean(action
+  && typeof action.type === 'string'
+  && action.meta
+  && typeof action.meta.id === 'string'
+  && typeof action.meta.at === 'number'
+  && typeof action.meta.tabId === 'string');
+
+const readFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Could not read ${file}, starting an empty log.`, error.message);
+    return null;
+  }
+};
+
+// После закрытия смены старые правки её данных уже ничего не меняют у клиентов
+// (побеждает более поздняя правка), а из настроек важны только последние.
+const compact = (entries) => {
+  const lastReset = entries.filter(entry => entry.action.type === SHIFT_RESET)
+    .reduce((latest, entry) => (!latest || entry.action.meta.at > latest.action.meta.at ? entry : latest), null);
+  const lastSettings = entries.filter(entry => entry.action.type === SETTINGS_SAVED)
+    .reduce((latest, entry) => (!latest || entry.action.meta.at > latest.action.meta.at ? entry : latest), null);
+  if (!lastReset) return entries;
+  return entries.filter(entry => (entry.action.type === SETTINGS_SAVED
+    ? entry === lastSettings
+    : entry === lastReset || entry.action.meta.at > lastReset.action.meta.at));
+};
+
+// Правка, которую compact сразу убрал бы из журнала: её заменили закрытие
+// смены или более поздние настройки. Её id после сжатия уже не помнится, поэтому
+// повторная отправка из очереди клиента узнаётся по времени.
+const isReplaced = (entries, action) => !compact([...entries, { action }]).some(entry => entry.action === action);
+
+/**
+ * Opens the shift log stored in `file` (created on the first edit).
+ *
+ * Every accepted action gets the next revision number; clients ask for the
+ * actions after the last revision they have seen. logId changes when the log
+ * file is replaced, so clients know to fetch everything again.
+ *
+ * @param {string} file - Path of the JSON file.
+ * @returns {object} { getActions(since), append(actions), logId, revision }.
+ */
+const createShiftLog = (file) => {
+  const stored = readFile(file) || {};
+  const log = {
+    logId: stored.logId || crypto.randomUUID(),
+    revision: stored.revision || 0,
+    entries: stored.entries || [],
+  };
+  const knownIds = new Set(log.entries.map(entry => entry.action.meta.id));
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(log));
+    fs.renameSync(temp, file);
+  };
+
+  return {
+    get logId() {
+      return log.logId;
+    },
+    get revision() {
+      return log.revision;
+    },
+
+    /**
+     * Actions after revision `since`, in the order they were accepted.
+     */
+    getActions(since = 0) {
+      return log.entries.filter(entry => entry.revision > since).map(entry => entry.action);
+    },
+
+    /**
+     * Adds actions to the log. Actions already in the log (sent again after
+     * a lost response) are skipped, and so are actions older than the last
+     * shift reset or settings: the log no longer keeps them, even after a
+     * restart.
+     *
+     * @param {Array} actions - Actions from a client.
+     * @returns {Array} The accepted (new) actions.
+     * @throws {InvalidActionError} If an action has no type or meta.
+     */
+    append(actions) {
+      if (!Array.isArray(actions) || !actions.every(isValidAction)) {
+        throw new InvalidActionError('Every action needs a type and meta: { id, at, tabId }.');
+      }
+      const accepted = [];
+      actions.forEach(action => {
+        if (knownIds.has(action.meta.id) || isReplaced(log.entries, action)) return;
+        knownIds.add(action.meta.id);
+        log.revision += 1;
+        log.entries.push({ revision: log.revision, action });
+        accepted.push(action);
+      });
+      if (accepted.length === 0) return [];
+      log.entries = compact(log.entries);
+      save();
+      return accepted;
+    },
+  };
+};
+
+module.exports = { createShiftLog, InvalidActionError };
@@ -0,0 +1,51 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { createShiftLog, InvalidActionError } = require('./shiftLog');
+
+const action = (id, type, at, extra = {}) => ({ type, ...extra, meta: { id, at, tabId: 'tab-a' } });
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shift-log-')), 'shift.json');
+
+test('accepts each action once and keeps the log between restarts', () => {
+  const file = tempFile();
+  const log = createShiftLog(file);
+  assert.strictEqual(log.append([action('a1', 'ACTUAL_SET', 1000, { stageId: 'picking', value: 10 })]).length, 1);
+  assert.strictEqual(log.append([action('a1', 'ACTUAL_SET', 1000, { stageId: 'picking', value: 10 })]).length, 0);
+  log.append([action('a2', 'ACTUAL_SET', 2000, { stageId: 'picking', value: 20 })]);
+
+  const reopened = createShiftLog(file);
+  assert.strictEqual(reopened.logId, log.logId);
+  assert.strictEqual(reopened.revision, 2);
+  assert.deepStrictEqual(reopened.getActions(1).map(item => item.meta.id), ['a2']);
+  assert.throws(() => reopened.append([{ type: 'ACTUAL_SET' }]), InvalidActionError);
+});
+
+test('closing a shift drops the edits it replaced', () => {
+  const log = createShiftLog(tempFile());
+  log.append([
+    action('s1', 'SETTINGS_SAVED', 500, { settings: {} }),
+    action('a1', 'ACTUAL_SET', 1000, { stageId: 'picking', value: 10 }),
+    action('s2', 'SETTINGS_SAVED', 1500, { settings: {} }),
+    action('r1', 'SHIFT_RESET', 2000, { cpData: [] }),
+    action('a2', 'ACTUAL_SET', 3000, { stageId: 'picking', value: 5 }),
+  ]);
+  assert.deepStrictEqual(log.getActions().map(item => item.meta.id), ['s2', 'r1', 'a2']);
+});
+
+test('edits dropped by closing a shift are not accepted again after a restart', () => {
+  const file = tempFile();
+  const edit = action('a1', 'ACTUAL_SET', 1000, { stageId: 'picking', value: 10 });
+  const settings = action('s1', 'SETTINGS_SAVED', 500, { settings: {} });
+  const log = createShiftLog(file);
+  log.append([settings, edit, action('s2', 'SETTINGS_SAVED', 1500, { settings: {} }), action('r1', 'SHIFT_RESET', 2000, { cpData: [] })]);
+
+  // Клиент не получил ответ и отправляет свою очередь снова уже перезапущенному серверу
+  const reopened = createShiftLog(file);
+  assert.deepStrictEqual(reopened.append([settings, edit]), []);
+  assert.strictEqual(reopened.revision, 4);
+  assert.deepStrictEqual(reopened.append([action('a2', 'ACTUAL_SET', 3000, { stageId: 'picking', value: 5 })]).length, 1);
+  assert.deepStrictEqual(reopened.getActions().map(item => item.meta.id), ['s2', 'r1', 'a2']);
+});
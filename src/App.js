@@ -5,6 +5,14 @@ import GlobalStyle from './GlobalStyles';
 import Settings from './components/Settings/Settings';
 import UpdateData from './components/UpdateData/UpdateData';
 import Analytics from './components/Analytics/Analytics';
+import Archive from './components/Archive/Archive';
+import ArchivedShift from './components/Archive/ArchivedShift';
+import Simulator from './components/Simulator/Simulator';
+import ImportData from './components/ImportData/ImportData';
+import Roster from './components/Roster/Roster';
+import StaffingPlan from './components/StaffingPlan/StaffingPlan';
+import Alerts from './components/Alerts/Alerts';
+import Board from './components/Board/Board';
 import NavBar from './components/NavBar';
 
 function App() {
@@ -17,6 +25,14 @@ function App() {
           <Route path="/" element={<Settings />} />
           <Route path="/update" element={<UpdateData />} />
           <Route path="/analytics" element={<Analytics />} />
+          <Route path="/import" element={<ImportData />} />
+          <Route path="/roster" element={<Roster />} />
+          <Route path="/plan" element={<StaffingPlan />} />
+          <Route path="/simulator" element={<Simulator />} />
+          <Route path="/alerts" element={<Alerts />} />
+          <Route path="/archive" element={<Archive />} />
+          <Route path="/archive/:shiftId" element={<ArchivedShift />} />
+          <Route path="/board" element={<Board />} />
         </Routes>
       </Router>
     </>
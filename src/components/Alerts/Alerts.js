@@ -0,0 +1,149 @@
+// src/components/Alerts/Alerts.js
+import React, { useContext, useState } from 'react';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import Button from '../Button';
+import Input from '../Input';
+import LanguageContext from '../../context/LanguageContext';
+import AlertsContext from '../../context/AlertsContext';
+import { requestNotificationPermission } from '../../utils/alerts';
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+// Rule row: on/off, description, threshold
+const RuleRow = styled.div`
+  display: grid;
+  grid-template-columns: auto 2fr 1fr;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const LogTable = styled.table`
+  border-collapse: collapse;
+  font-size: 14px;
+  width: 100%;
+  th, td {
+    border-bottom: 1px solid #ddd;
+    padding: 6px 8px;
+    text-align: left;
+  }
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+  margin-top: 4px;
+`;
+
+
+// Alert rules and the alerts fired during the current shift
+const Alerts = () => {
+  const { t, translateMessage, formatTime } = useContext(LanguageContext);
+  const { rules: savedRules, alertState, saveRules } = useContext(AlertsContext);
+  const [rules, setRules] = useState(savedRules);
+  const [permission, setPermission] = useState(() => ('Notification' in window ? Notification.permission : 'unsupported'));
+  // Журнал текущей смены; оповещения проверяет AlertsProvider
+  const { log } = alertState;
+  const formatLogTime = (iso) => (iso ? formatTime(new Date(iso)) : '—');
+
+  const updateRule = (rule, field, value) => {
+    setRules({ ...rules, [rule]: { ...rules[rule], [field]: value } });
+  };
+
+  const handleEnableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  const handleSave = () => {
+    saveRules(rules);
+    alert(t('alerts.saved'));
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>🔔 {t('alerts.title')}</h1>
+        <p>{t('alerts.intro')}</p>
+        <p>
+          {t(`alerts.permission.${permission}`)}{' '}
+          {permission === 'default' && <SmallButton onClick={handleEnableNotifications}>{t('alerts.enableNotifications')}</SmallButton>}
+        </p>
+        <SectionTitle>{t('alerts.rules')}</SectionTitle>
+        <RuleRow>
+          <input type="checkbox" checked={rules.deviation.enabled} onChange={(e) => updateRule('deviation', 'enabled', e.target.checked)} />
+          <span>{t('alerts.rule.deviation')}</span>
+          <Input type="number" value={rules.deviation.threshold} onChange={(e) => updateRule('deviation', 'threshold', e.target.value)} />
+        </RuleRow>
+        <RuleRow>
+          <input type="checkbox" checked={rules.controlPoint.enabled} onChange={(e) => updateRule('controlPoint', 'enabled', e.target.checked)} />
+          <span>{t('alerts.rule.controlPoint')}</span>
+          <span />
+        </RuleRow>
+        <RuleRow>
+          <input type="checkbox" checked={rules.eta.enabled} onChange={(e) => updateRule('eta', 'enabled', e.target.checked)} />
+          <span>{t('alerts.rule.eta')}</span>
+          <Input type="number" value={rules.eta.minutes} onChange={(e) => updateRule('eta', 'minutes', e.target.value)} />
+        </RuleRow>
+        <RuleRow>
+          <input type="checkbox" checked={rules.backlog.enabled} onChange={(e) => updateRule('backlog', 'enabled', e.target.checked)} />
+          <span>{t('alerts.rule.backlog')}</span>
+          <Input type="number" value={rules.backlog.orders} onChange={(e) => updateRule('backlog', 'orders', e.target.value)} />
+        </RuleRow>
+        <RuleRow>
+          <input type="checkbox" checked={rules.sound} onChange={(e) => setRules({ ...rules, sound: e.target.checked })} />
+          <span>{t('alerts.rule.sound')}</span>
+          <Input type="number" value={rules.snoozeMinutes} onChange={(e) => setRules({ ...rules, snoozeMinutes: e.target.value })} />
+        </RuleRow>
+        <div style={{ marginTop: '20px', textAlign: 'center' }}>
+          <Button onClick={handleSave}>{t('alerts.save')}</Button>
+        </div>
+        <SectionTitle>{t('alerts.thisShift')}</SectionTitle>
+        {log.length === 0 ? (
+          <p>{t('alerts.noneFired')}</p>
+        ) : (
+          <LogTable>
+            <thead>
+              <tr>
+                <th>{t('alerts.fired')}</th>
+                <th>{t('alerts.alert')}</th>
+                <th>{t('alerts.acknowledged')}</th>
+                <th>{t('alerts.resolved')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...log].reverse().map(entry => (
+                <tr key={`${entry.id}-${entry.firedAt}`}>
+                  <td>{formatLogTime(entry.firedAt)}</td>
+                  <td>{translateMessage(entry.message)}</td>
+                  <td>{formatLogTime(entry.acknowledgedAt)}</td>
+                  <td>{formatLogTime(entry.resolvedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </LogTable>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default Alerts;
@@ -1,9 +1,21 @@
 // src/components/Analytics/Analytics.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Container from '../Container';
 import { Line } from 'react-chartjs-2';
 import { motion } from 'framer-motion';
 import styled from 'styled-components';
+import { loadArchive, getArchivedShift, createCurrentShiftSnapshot } from '../../utils/shiftArchive';
+import { exportShiftReport } from '../../utils/csvExport';
+import { getLatestShiftStart, toShiftDate } from '../../utils/calculations';
+import { getStages } from '../../utils/stages';
+import { calculateLaborCost } from '../../utils/laborCost';
+import { loadRoster } from '../../utils/roster';
+import { loadStaffingPlan } from '../../utils/staffingPlan';
+import { getSiteSettings } from '../../utils/zones';
+import { validateSettings } from '../../utils/settingsValidation';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
 
 // Import and register required Chart.js modules
 import {
@@ -32,55 +44,201 @@ const ChartContainer = styled.div`
   margin-top: 20px;
 `;
 
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const ShiftSelect = styled.select`
+  padding: 8px 12px;
+  border: 1px solid #d1d1d6;
+  border-radius: 10px;
+  font-size: 16px;
+  margin-top: 20px;
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+  margin-left: 10px;
+`;
+
+const MS_PER_MINUTE = 1000 * 60;
+
+// Цвета линий этапов по порядку: [план, факт]; при большем числе этапов палитра повторяется
+const STAGE_COLORS = [
+  ['255,159,64', '255,99,132'],
+  ['153,102,255', '75,192,192'],
+  ['54,162,235', '255,205,86'],
+  ['46,139,87', '201,203,207'],
+  ['139,69,19', '255,20,147'],
+];
+
 const Analytics = () => {
+  const { state } = useContext(WarehouseContext);
+  const { language, t, formatNumber, formatTime, stageName } = useContext(LanguageContext);
   const [history, setHistory] = useState([]);
+  const [progressLog, setProgressLog] = useState([]);
+  const [shiftSettings, setShiftSettings] = useState(null);
+  // Actuals, roster and staffing plan of the shift: inputs of the labor cost
+  const [costInputs, setCostInputs] = useState({ actuals: {}, roster: null, staffingPlan: null });
+  // Момент, по которому определяется дата смены на графике
+  const [anchorDate, setAnchorDate] = useState(() => new Date());
+  // ?shift=<id> выбирает смену из архива, без параметра — текущая смена
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedShiftId = searchParams.get('shift') || '';
+  const [archive] = useState(() => loadArchive());
 
-  // Load updateData from localStorage and extract cpData for the chart
+  // Load the selected shift (the current shift from the store or an archived record)
   useEffect(() => {
-    const savedUpdateData = JSON.parse(localStorage.getItem('updateData')) || {};
-    setHistory(savedUpdateData.cpData || []);
-  }, []);
+    if (selectedShiftId) {
+      const record = getArchivedShift(selectedShiftId);
+      setHistory(record ? record.cpData : []);
+      setProgressLog(record ? record.progressLog || [] : []);
+      setShiftSettings(record ? record.settings : null);
+      setCostInputs({
+        actuals: record ? record.actuals : {},
+        roster: record ? record.roster || null : null,
+        staffingPlan: record ? record.staffingPlan || null : null,
+      });
+      setAnchorDate(record ? new Date(record.closedAt) : new Date());
+    } else {
+      setHistory(state.cpData);
+      setProgressLog(state.progressLog);
+      setShiftSettings(state.settings);
+      setCostInputs({ actuals: state.actuals, roster: loadRoster(), staffingPlan: loadStaffingPlan() });
+      setAnchorDate(new Date());
+    }
+  }, [selectedShiftId, state]);
 
-  // For debugging: log the history data
-  console.log("History for chart:", history);
+  const handleShiftChange = (e) => {
+    setSearchParams(e.target.value ? { shift: e.target.value } : {});
+  };
+
+  // CSV report of the selected shift
+  const handleExportCsv = () => {
+    if (selectedShiftId) {
+      const record = getArchivedShift(selectedShiftId);
+      if (record) exportShiftReport(record);
+      return;
+    }
+    // Тот же снимок, что выгружает страница ввода данных: площадка с зонами, планом персонала и расписанием
+    exportShiftReport(createCurrentShiftSnapshot({
+      settings: getSiteSettings(shiftSettings),
+      actuals: state.actuals,
+      cpData: history,
+      progressLog,
+      zoneActuals: state.zoneActuals,
+      staffingPlan: costInputs.staffingPlan,
+      roster: costInputs.roster,
+    }));
+  };
 
-  // Prepare chart data using the cpData array
+  // X axis: minutes since shift start, so control points and the progress log share one scale
+  const hasShiftTimes = Boolean(shiftSettings && shiftSettings.shiftStart && shiftSettings.shiftEnd);
+  const firstLogDate = progressLog.length > 0 ? new Date(progressLog[0].timestamp) : null;
+  const shiftStartDate = hasShiftTimes
+    ? getLatestShiftStart(shiftSettings, firstLogDate || anchorDate)
+    : null;
+  const minutesFromStart = (date) => (date - shiftStartDate) / MS_PER_MINUTE;
+  const cpPoint = (item, value) => ({
+    x: minutesFromStart(toShiftDate(item.time, shiftStartDate)),
+    y: value,
+  });
+  const logPoints = (stageId) => progressLog.map(entry => ({
+    x: minutesFromStart(new Date(entry.timestamp)),
+    y: entry.actuals[stageId],
+  }));
+
+  // Prepare chart data using the cpData array and the progress log:
+  // planned and actual lines for every configured stage, plus the logged actuals
+  const stages = shiftSettings ? getStages(shiftSettings) : [];
+  const stageColor = (index, kind, alpha) => `rgba(${STAGE_COLORS[index % STAGE_COLORS.length][kind]},${alpha})`;
   const chartData = {
-    labels: history.map(item => item.time),
-    datasets: [
-      {
-        label: 'Planned Packing',
-        data: history.map(item => item.plannedPacking), 
-        borderColor: 'rgba(153,102,255,1)',
-        backgroundColor: 'rgba(153,102,255,0.2)',
-        fill: false,
-        tension: 0.4, // Smooth the line
-      },
-      {
-        label: 'Actual Packing',
-        data: history.map(item => item.actualPacked),
-        borderColor: 'rgba(75,192,192,1)',
-        backgroundColor: 'rgba(75,192,192,0.2)',
+    datasets: hasShiftTimes ? [
+      ...stages.flatMap((stage, index) => [
+        {
+          label: t('analytics.planned', { stage: stageName(stage) }),
+          data: history.map(item => cpPoint(item, item.planned[stage.id])),
+          borderColor: stageColor(index, 0, 1),
+          backgroundColor: stageColor(index, 0, 0.2),
+          fill: false,
+          tension: 0.4, // Smooth the line
+        },
+        {
+          label: t('analytics.actual', { stage: stageName(stage) }),
+          data: history.map(item => cpPoint(item, item.actual[stage.id])),
+          borderColor: stageColor(index, 1, 1),
+          backgroundColor: stageColor(index, 1, 0.2),
+          fill: false,
+          tension: 0.4,
+        },
+      ]),
+      ...stages.map((stage, index) => ({
+        label: t('analytics.actualLog', { stage: stageName(stage) }),
+        data: logPoints(stage.id),
+        borderColor: stageColor(index, 1, 1),
+        backgroundColor: stageColor(index, 1, 0.2),
+        borderDash: [6, 4],
+        pointRadius: 2,
         fill: false,
-        tension: 0.4,
-      },
-      {
-        label: 'Planned Picking',
-        data: history.map(item => item.plannedPicking),
-        borderColor: 'rgba(255,159,64,1)',
-        backgroundColor: 'rgba(255,159,64,0.2)',
-        fill: false,
-        tension: 0.4,
+      })),
+    ] : [],
+  };
+
+  // Labor cost of the shift and cost per order along the progress log
+  const siteSettings = shiftSettings ? getSiteSettings(shiftSettings) : null;
+  const hasRates = stages.some(stage => stage.hourlyRate > 0);
+  const laborCostAt = (actuals, moment) => calculateLaborCost(
+    siteSettings, actuals, costInputs.roster, costInputs.staffingPlan, null, moment,
+  );
+  // Прогноз затрат строится движком, который не принимает настройки с ошибками
+  const validSettings = Boolean(siteSettings) && validateSettings(siteSettings).length === 0;
+  const laborCost = hasShiftTimes && hasRates && validSettings ? laborCostAt(costInputs.actuals, anchorDate) : null;
+  const costChartData = {
+    datasets: laborCost ? [{
+      label: t('analytics.costPerOrderChart'),
+      data: progressLog
+        .map(entry => ({
+          x: minutesFromStart(new Date(entry.timestamp)),
+          y: laborCostAt(entry.actuals, new Date(entry.timestamp)).costPerOrder,
+        }))
+        .filter(point => point.y !== null),
+      borderColor: 'rgba(46,139,87,1)',
+      backgroundColor: 'rgba(46,139,87,0.2)',
+      fill: false,
+    }] : [],
+  };
+
+  // Числа на осях и в подсказках — по правилам выбранного языка
+  const chartOptions = {
+    locale: language,
+    scales: {
+      x: {
+        type: 'linear',
+        ticks: {
+          stepSize: 60,
+          callback: (value) => formatTime(new Date(shiftStartDate.getTime() + value * MS_PER_MINUTE)),
+        },
       },
-      {
-        label: 'Actual Picking',
-        data: history.map(item => item.actualPicked),
-        borderColor: 'rgba(255,99,132,1)',
-        backgroundColor: 'rgba(255,99,132,0.2)',
-        fill: false,
-        tension: 0.4,
+    },
+    plugins: {
+      tooltip: {
+        callbacks: {
+          title: (items) => formatTime(new Date(shiftStartDate.getTime() + items[0].parsed.x * MS_PER_MINUTE)),
+        },
       },
-    ],
+    },
   };
 
   return (
@@ -90,13 +248,45 @@ const Analytics = () => {
       transition={{ duration: 0.5 }}
     >
       <Container>
-        <h1>📈 Analytics & Reports</h1>
-        {history.length > 0 ? (
+        <h1>📈 {t('analytics.title')}</h1>
+        <ShiftSelect value={selectedShiftId} onChange={handleShiftChange}>
+          <option value="">{t('analytics.currentShift')}</option>
+          {archive.map(record => (
+            <option key={record.id} value={record.id}>
+              {record.shiftDate} ({record.settings.shiftStart}–{record.settings.shiftEnd})
+            </option>
+          ))}
+        </ShiftSelect>
+        {hasShiftTimes && <SmallButton onClick={handleExportCsv}>{t('analytics.exportCsv')}</SmallButton>}
+        {hasShiftTimes && (history.length > 0 || progressLog.length > 0) ? (
           <ChartContainer>
-            <Line data={chartData} />
+            <Line data={chartData} options={chartOptions} />
           </ChartContainer>
         ) : (
-          <p>No data available for chart display</p>
+          <p>{t('analytics.noData')}</p>
+        )}
+        {laborCost && (
+          <>
+            <SectionTitle>{t('analytics.laborCost')}</SectionTitle>
+            <p>
+              {t('analytics.cost', { cost: formatNumber(laborCost.cost, 2), hours: laborCost.staffHours })}
+              {laborCost.estimated && ` ${t('analytics.estimated')}`}
+            </p>
+            <p>{t('analytics.costPerOrder', { value: laborCost.costPerOrder !== null ? formatNumber(laborCost.costPerOrder, 2) : '—' })}</p>
+            {!selectedShiftId && (
+              <p>
+                {t('analytics.projectedCost', {
+                  cost: formatNumber(laborCost.projectedCost, 2),
+                  perOrder: laborCost.projectedCostPerOrder !== null ? formatNumber(laborCost.projectedCostPerOrder, 2) : '—',
+                })}
+              </p>
+            )}
+            {costChartData.datasets[0].data.length > 0 && (
+              <ChartContainer>
+                <Line data={costChartData} options={chartOptions} />
+              </ChartContainer>
+            )}
+          </>
         )}
       </Container>
     </motion.div>
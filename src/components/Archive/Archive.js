@@ -0,0 +1,96 @@
+// src/components/Archive/Archive.js
+import React, { useContext, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import { loadArchive, deleteArchivedShift } from '../../utils/shiftArchive';
+import { getStages } from '../../utils/stages';
+import { exportShiftReport } from '../../utils/csvExport';
+import LanguageContext from '../../context/LanguageContext';
+
+const ShiftList = styled.div`
+  margin-top: 20px;
+`;
+
+const ShiftBlock = styled.div`
+  margin-bottom: 15px;
+  padding: 10px;
+  border: 1px solid #ddd;
+  border-radius: 8px;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+// Small button for shift actions
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+  margin-top: 10px;
+`;
+
+const Archive = () => {
+  const navigate = useNavigate();
+  const { language, t, formatTime, stageName } = useContext(LanguageContext);
+  const [archive, setArchive] = useState(() => loadArchive());
+
+  const handleDelete = (id) => {
+    if (!window.confirm(t('archive.confirmDelete'))) return;
+    deleteArchivedShift(id);
+    setArchive(loadArchive());
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>🗄️ {t('archive.title')}</h1>
+        {archive.length > 0 ? (
+          <ShiftList>
+            {archive.map(record => {
+              const stages = getStages(record.settings);
+              return (
+                <ShiftBlock key={record.id}>
+                  <p>
+                    <strong>{record.shiftDate}</strong>, {formatTime(record.settings.shiftStart)}–{formatTime(record.settings.shiftEnd)}
+                  </p>
+                  {stages.map(stage => (
+                    <p key={stage.id}>{stageName(stage)}: {record.actuals[stage.id] || 0} / {stage.expectedOrders}</p>
+                  ))}
+                  <p>{t('archive.closedAt', { time: new Date(record.closedAt).toLocaleString(language) })}</p>
+                  <Actions>
+                    <SmallButton onClick={() => navigate(`/archive/${record.id}`)}>{t('archive.open')}</SmallButton>
+                    <SmallButton onClick={() => navigate(`/analytics?shift=${record.id}`)}>{t('archive.chart')}</SmallButton>
+                    <SmallButton onClick={() => exportShiftReport(record)}>{t('archive.exportCsv')}</SmallButton>
+                    <SmallButton onClick={() => handleDelete(record.id)}>{t('common.delete')}</SmallButton>
+                  </Actions>
+                </ShiftBlock>
+              );
+            })}
+          </ShiftList>
+        ) : (
+          <p>
+            {t('archive.empty')} <Link to="/update">{t('nav.update')}</Link>.
+          </p>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default Archive;
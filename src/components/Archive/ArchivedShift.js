@@ -0,0 +1,155 @@
+// src/components/Archive/ArchivedShift.js
+import React, { useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import { getArchivedShift } from '../../utils/shiftArchive';
+import { normalizeBreaks } from '../../utils/calculations';
+import { getStages } from '../../utils/stages';
+import { exportShiftReport } from '../../utils/csvExport';
+import { getZones } from '../../utils/zones';
+import LanguageContext from '../../context/LanguageContext';
+
+const ResultsContainer = styled.div`
+  margin-top: 30px;
+  padding: 20px;
+  background: #f9f9fb;
+  border-radius: 12px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+`;
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const CPBlock = styled.div`
+  margin-bottom: 15px;
+  padding: 10px;
+  border: 1px solid #ddd;
+  border-radius: 8px;
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+`;
+
+// Read-only view of a closed shift
+const ArchivedShift = () => {
+  const { shiftId } = useParams();
+  const { language, t, translateMessage, formatNumber, formatTime, stageName } = useContext(LanguageContext);
+  const record = getArchivedShift(shiftId);
+
+  if (!record) {
+    return (
+      <Container>
+        <h1>🗄️ {t('archive.shiftTitle')}</h1>
+        <p>{t('archive.notFound')} <Link to="/archive">{t('archive.back')}</Link></p>
+      </Container>
+    );
+  }
+
+  const { settings, deviations } = record;
+  const stages = getStages(settings);
+  const breaks = normalizeBreaks(settings.breaks);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>🗄️ {t('archive.shiftOf', { date: record.shiftDate })}</h1>
+        <p>
+          <Link to="/archive">{t('archive.back')}</Link> | <Link to={`/analytics?shift=${record.id}`}>{t('archive.chart')}</Link>
+        </p>
+        <SmallButton onClick={() => exportShiftReport(record)}>{t('archive.exportCsv')}</SmallButton>
+        <ResultsContainer>
+          <SectionTitle>{t('archive.settings')}</SectionTitle>
+          <p>{t('archive.shiftTimes', { start: settings.shiftStart, end: settings.shiftEnd })}</p>
+          <p>
+            {breaks.length > 0
+              ? t('archive.breaks', { breaks: breaks.map(brk => `${formatTime(brk.start)}–${formatTime(brk.end)}`) })
+              : t('archive.noBreaks')}
+          </p>
+          {stages.map(stage => (
+            <p key={stage.id}>
+              {t('archive.stageSettings', {
+                stage: stageName(stage),
+                plan: stage.expectedOrders,
+                speed: stage.avgSpeed,
+                staff: stage.staffForLastPeriod,
+              })}
+            </p>
+          ))}
+          <SectionTitle>{t('archive.finalActuals')}</SectionTitle>
+          {stages.map(stage => (
+            <p key={stage.id}>{t('archive.stageActual', { stage: stageName(stage), value: record.actuals[stage.id] || 0 })}</p>
+          ))}
+          <p>{t('archive.closedAt', { time: new Date(record.closedAt).toLocaleString(language) })}</p>
+          {getZones(settings).map(zone => (
+            <p key={zone.id}>
+              {zone.name}: {stages.map(stage => t('archive.zoneActual', {
+                stage: stageName(stage),
+                value: record.zoneActuals?.[zone.id]?.[stage.id] || 0,
+              })).join(', ')}
+            </p>
+          ))}
+          <SectionTitle>{t('archive.deviationsAtClose')}</SectionTitle>
+          <p>{t('update.hoursWorked', { value: deviations.hoursPassed || 0 })}</p>
+          {stages.map(stage => (
+            <p key={stage.id}>{t('update.deviation', { stage: stageName(stage), value: deviations.stages[stage.id]?.deviation || 0 })}</p>
+          ))}
+          {stages.map(stage => (
+            <p key={stage.id}>
+              {t('update.requiredSpeed', { stage: stageName(stage), value: deviations.stages[stage.id]?.requiredSpeed || 0 })}
+            </p>
+          ))}
+        </ResultsContainer>
+        {record.cpData.length > 0 && (
+          <>
+            <SectionTitle>{t('update.controlPoints')}</SectionTitle>
+            {record.cpData.map((cp, index) => (
+              <CPBlock key={index}>
+                <p><strong>{t('update.controlPointTime')}</strong> {formatTime(cp.time)}</p>
+                {stages.map(stage => (
+                  <p key={stage.id}>
+                    <strong>{t('update.planned', { stage: stageName(stage) })}</strong> {formatNumber(Number(cp.planned[stage.id] || 0), 0)}
+                    {' | '}
+                    <strong>{t('update.actual', { stage: stageName(stage) })}</strong> {cp.actual[stage.id] || 0}
+                  </p>
+                ))}
+              </CPBlock>
+            ))}
+          </>
+        )}
+        {(record.alertLog || []).length > 0 && (
+          <>
+            <SectionTitle>{t('archive.alertsFired')}</SectionTitle>
+            {record.alertLog.map(entry => (
+              <p key={`${entry.id}-${entry.firedAt}`}>
+                {formatTime(new Date(entry.firedAt))} — {translateMessage(entry.message)}
+                {entry.acknowledgedAt && ` ${t('archive.acknowledgedAt', { time: formatTime(new Date(entry.acknowledgedAt)) })}`}
+              </p>
+            ))}
+          </>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default ArchivedShift;
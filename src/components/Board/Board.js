@@ -0,0 +1,250 @@
+// src/components/Board/Board.js
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import {
+  calculateRecommendations,
+  calculateCompletionEta,
+  calculateExpectedAtTime,
+  getShiftBounds,
+  normalizeControlPoints,
+  toShiftDate,
+} from '../../utils/calculations';
+import { getStages } from '../../utils/stages';
+import { getSiteSettings, calculateSiteDeviations } from '../../utils/zones';
+import { calculateRollingThroughput } from '../../utils/progressLog';
+import { validateSettings } from '../../utils/settingsValidation';
+import { loadRoster } from '../../utils/roster';
+import { loadStaffingPlan } from '../../utils/staffingPlan';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+
+// Экран обновляется сам: данные смены приходят из хранилища, время пересчитывается по таймеру
+const REFRESH_MS = 30000;
+
+// Full-screen dark board, readable from across the floor; no pointer is needed
+const Screen = styled(motion.div)`
+  position: fixed;
+  inset: 0;
+  overflow: hidden;
+  padding: 3vh 4vw;
+  background: #000;
+  color: #fff;
+  cursor: none;
+  display: flex;
+  flex-direction: column;
+  gap: 3vh;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  font-size: 4vh;
+  color: #8e8e93;
+`;
+
+const Clock = styled.span`
+  font-size: 6vh;
+  font-weight: 600;
+  color: #fff;
+`;
+
+const StageGrid = styled.div`
+  flex: 1;
+  display: grid;
+  grid-template-columns: repeat(${props => props.$columns}, 1fr);
+  gap: 3vw;
+`;
+
+const StagePanel = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 2vh;
+  padding: 3vh 2vw;
+  border-radius: 2vh;
+  background: #1c1c1e;
+  border: 0.6vh solid ${props => (props.$behind ? '#ff3b30' : '#34c759')};
+`;
+
+const StageName = styled.h2`
+  font-size: 5vh;
+  color: #fff;
+`;
+
+const BigNumber = styled.div`
+  font-size: 9vh;
+  font-weight: 700;
+  color: ${props => (props.$behind ? '#ff3b30' : '#34c759')};
+`;
+
+const Caption = styled.div`
+  font-size: 3vh;
+  color: #8e8e93;
+`;
+
+const BarTrack = styled.div`
+  height: 5vh;
+  border-radius: 2.5vh;
+  background: #3a3a3c;
+  overflow: hidden;
+`;
+
+const Bar = styled(motion.div)`
+  height: 100%;
+  background: ${props => (props.$behind ? '#ff3b30' : '#34c759')};
+`;
+
+const Footer = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 2fr;
+  gap: 3vw;
+  font-size: 3.5vh;
+`;
+
+const FooterBlock = styled.div`
+  padding: 2vh 2vw;
+  border-radius: 2vh;
+  background: #1c1c1e;
+`;
+
+const Message = styled.div`
+  margin: auto;
+  font-size: 5vh;
+  text-align: center;
+`;
+
+// ETA этапа словами: время окончания и запас/опоздание к концу смены
+// (t и formatTime — из LanguageContext)
+const describeEta = (stageEta, t, formatTime) => {
+  if (!stageEta) return '—';
+  if (stageEta.completed) return t('board.etaCompleted');
+  if (!stageEta.eta) return t('board.etaNone');
+  const minutes = Math.round(stageEta.minutesVsShiftEnd);
+  const time = formatTime(stageEta.eta);
+  if (minutes > 0) return t('board.etaLate', { time, count: minutes });
+  if (minutes < 0) return t('board.etaEarly', { time, count: Math.abs(minutes) });
+  return t('board.etaOnTime', { time });
+};
+
+// Read-only wallboard of the current shift for the TV on the warehouse floor (/board)
+const Board = () => {
+  const { state } = useContext(WarehouseContext);
+  const { t, translateMessages, formatNumber, formatTime, stageName } = useContext(LanguageContext);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Site-level settings; a board with invalid settings only asks to fix them
+  const { settings, hasErrors } = useMemo(() => {
+    const siteSettings = getSiteSettings(state.settings);
+    const errors = siteSettings ? validateSettings(siteSettings) : [];
+    return { settings: errors.length === 0 ? siteSettings : null, hasErrors: errors.length > 0 };
+  }, [state.settings]);
+
+  // Расписание и план персонала меняются на своих страницах — перечитываются при каждом обновлении
+  const board = useMemo(() => {
+    if (!settings || !settings.shiftStart || !settings.shiftEnd) return null;
+    const roster = loadRoster();
+    const staffingPlan = loadStaffingPlan();
+    const { actuals, zoneActuals, progressLog } = state;
+    const deviations = calculateSiteDeviations(settings, actuals, zoneActuals, now, staffingPlan);
+    const recommendations = calculateRecommendations(deviations, settings, null, roster, now);
+    const last60 = calculateRollingThroughput(progressLog, 60, now);
+    const eta = calculateCompletionEta(settings, actuals, last60.windowHours > 0 ? last60.speeds : null, now);
+
+    // Ближайшая контрольная точка (или отсечка перевозчика) впереди
+    const { shiftStartDate } = getShiftBounds(settings, now);
+    const nextCp = normalizeControlPoints(settings.controlPoints)
+      .map(cp => ({ ...cp, date: toShiftDate(cp.time, shiftStartDate) }))
+      .filter(cp => cp.date > now)
+      .sort((a, b) => a.date - b.date)[0] || null;
+
+    // Совет по этапу, который отстаёт сильнее всех
+    const stages = getStages(settings);
+    const deviationOf = (stageId) => ((deviations.stages || {})[stageId] || {}).deviation || 0;
+    const worstStage = [...stages].sort((a, b) => deviationOf(a.id) - deviationOf(b.id))[0];
+
+    return {
+      stages,
+      actuals,
+      deviationOf,
+      eta,
+      nextCp,
+      nextCpPlanned: nextCp ? calculateExpectedAtTime(settings, nextCp.time, now, staffingPlan) : null,
+      recommendation: worstStage ? { stage: worstStage, messages: recommendations[worstStage.id] } : null,
+    };
+  }, [settings, state, now]);
+
+  const content = () => {
+    if (!board) {
+      return (
+        <Message>
+          {hasErrors ? t('board.settingsErrors') : t('board.waiting')}
+        </Message>
+      );
+    }
+    const { stages, actuals, deviationOf, eta, nextCp, nextCpPlanned, recommendation } = board;
+    return (
+      <>
+        <StageGrid $columns={stages.length}>
+          {stages.map(stage => {
+            const actual = Number(actuals[stage.id]) || 0;
+            const deviation = deviationOf(stage.id);
+            const behind = deviation < 0;
+            const progress = stage.expectedOrders ? Math.min((actual / stage.expectedOrders) * 100, 100) : 0;
+            return (
+              <StagePanel key={stage.id} $behind={behind}>
+                <StageName>{stageName(stage)}</StageName>
+                <Caption>{t('board.progress', { actual: Math.round(actual), count: stage.expectedOrders, percent: progress })}</Caption>
+                <BarTrack>
+                  <Bar $behind={behind} initial={false} animate={{ width: `${progress}%` }} transition={{ duration: 0.8 }} />
+                </BarTrack>
+                <BigNumber $behind={behind}>{deviation > 0 ? '+' : ''}{formatNumber(Math.round(deviation))}</BigNumber>
+                <Caption>{behind ? t('board.behind') : t('board.ahead')}</Caption>
+                <Caption>{describeEta(eta.stages[stage.id], t, formatTime)}</Caption>
+              </StagePanel>
+            );
+          })}
+        </StageGrid>
+        <Footer>
+          <FooterBlock>
+            <Caption>{t('board.nextControlPoint')}</Caption>
+            {nextCp ? (
+              <div>
+                <Clock>{formatTime(nextCp.time)}</Clock>
+                {nextCp.name && ` ${nextCp.name}`}
+                {stages.map(stage => (
+                  <div key={stage.id}>
+                    {stageName(stage)}: {formatNumber(Math.round(Number(actuals[stage.id]) || 0))} / {formatNumber(Math.round(nextCpPlanned[stage.id]))}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div>{t('board.noControlPoints')}</div>
+            )}
+          </FooterBlock>
+          <FooterBlock>
+            <Caption>{t('board.recommendation')}{recommendation && ` · ${stageName(recommendation.stage)}`}</Caption>
+            <div>{recommendation ? translateMessages(recommendation.messages) : '—'}</div>
+          </FooterBlock>
+        </Footer>
+      </>
+    );
+  };
+
+  return (
+    <Screen initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
+      <Header>
+        <span>{settings ? t('board.shift', { start: settings.shiftStart, end: settings.shiftEnd }) : t('board.shiftNoSettings')}</span>
+        <Clock>{formatTime(now)}</Clock>
+      </Header>
+      {content()}
+    </Screen>
+  );
+};
+
+export default Board;
@@ -0,0 +1,216 @@
+// src/components/ImportData/ImportData.js
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import Button from '../Button';
+import Input from '../Input';
+import {
+  parseImportFile,
+  guessColumnMapping,
+  mapImportRows,
+  applyImportToShift,
+} from '../../utils/wmsImport';
+import { getStages } from '../../utils/stages';
+import { getZones } from '../../utils/zones';
+import { importShiftData } from '../../utils/shiftStore';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+
+const FormContainer = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 20px;
+  margin-top: 20px;
+`;
+
+const FormField = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const Label = styled.label`
+  font-size: 14px;
+  margin-bottom: 8px;
+  font-weight: 500;
+  color: #555;
+`;
+
+const Select = styled.select`
+  padding: 12px 16px;
+  border: 1px solid #d1d1d6;
+  border-radius: 10px;
+  font-size: 16px;
+`;
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const PreviewTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+  th, td {
+    border-bottom: 1px solid #ddd;
+    padding: 6px 8px;
+    text-align: left;
+  }
+`;
+
+const ErrorList = styled.ul`
+  color: red;
+  font-size: 14px;
+`;
+
+const PREVIEW_LIMIT = 20;
+
+const ImportData = () => {
+  const navigate = useNavigate();
+  const { state, dispatch } = useContext(WarehouseContext);
+  const { settings } = state;
+  const { language, t, translateMessage, formatTime, stageName } = useContext(LanguageContext);
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [mapping, setMapping] = useState({ timestamp: '', stages: {}, countMode: 'cumulative' });
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    try {
+      const result = parseImportFile(await file.text(), file.name);
+      setParsed(result);
+      setParseError('');
+      setMapping({ ...guessColumnMapping(result.columns, stages), countMode: 'cumulative' });
+    } catch (error) {
+      setParsed(null);
+      setParseError(error.key ? { key: error.key, values: error.values } : error.message);
+    }
+  };
+
+  const stages = getStages(settings);
+  const { rows, errors } = parsed
+    ? mapImportRows(parsed.records, mapping, settings)
+    : { rows: [], errors: [] };
+
+  const handleImport = () => {
+    if (!settings) {
+      alert(t('common.saveSettingsFirst'));
+      return;
+    }
+    const result = applyImportToShift(rows, {
+      settings,
+      actuals: state.actuals,
+      cpData: state.cpData,
+      progressLog: state.progressLog,
+    });
+    dispatch(importShiftData(result));
+    alert(t('import.imported', { count: rows.length, controlPoints: result.matchedControlPoints }));
+    navigate('/update');
+  };
+
+  const columnSelect = (value, onChange) => (
+    <Select value={value || ''} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{t('import.notUsed')}</option>
+      {parsed.columns.map(column => (
+        <option key={column} value={column}>{column}</option>
+      ))}
+    </Select>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>📥 {t('import.title')}</h1>
+        {getZones(settings).length > 0 ? (
+          <ErrorList><li>{t('import.error.zones')}</li></ErrorList>
+        ) : (
+          <FormField style={{ marginTop: '20px' }}>
+            <Label>{t('import.file')}</Label>
+            <Input type="file" accept=".csv,.txt,.json" onChange={handleFileChange} />
+          </FormField>
+        )}
+        {parseError && <ErrorList><li>{fileName}: {translateMessage(parseError)}</li></ErrorList>}
+        {parsed && (
+          <>
+            <SectionTitle>{t('import.columnMapping')}</SectionTitle>
+            <FormContainer>
+              <FormField>
+                <Label>{t('import.timestamp')}</Label>
+                {columnSelect(mapping.timestamp, value => setMapping({ ...mapping, timestamp: value }))}
+              </FormField>
+              {stages.map(stage => (
+                <FormField key={stage.id}>
+                  <Label>{t('import.stageOrders', { stage: stageName(stage) })}</Label>
+                  {columnSelect(mapping.stages[stage.id], value => setMapping({
+                    ...mapping,
+                    stages: { ...mapping.stages, [stage.id]: value },
+                  }))}
+                </FormField>
+              ))}
+              <FormField>
+                <Label>{t('import.countMode')}</Label>
+                <Select value={mapping.countMode} onChange={(e) => setMapping({ ...mapping, countMode: e.target.value })}>
+                  <option value="cumulative">{t('import.cumulative')}</option>
+                  <option value="incremental">{t('import.incremental')}</option>
+                </Select>
+              </FormField>
+            </FormContainer>
+            <SectionTitle>{t('import.preview')}</SectionTitle>
+            <p>{t('import.summary', { count: rows.length, errors: errors.length })}</p>
+            {errors.length > 0 && (
+              <ErrorList>
+                {errors.map((error, index) => (
+                  <li key={index}>
+                    {error.line ? t('import.rowError', { line: error.line }) : ''}{translateMessage(error.message)}
+                  </li>
+                ))}
+              </ErrorList>
+            )}
+            {rows.length > 0 && (
+              <PreviewTable>
+                <thead>
+                  <tr>
+                    <th>{t('import.row')}</th>
+                    <th>{t('import.time')}</th>
+                    {stages.map(stage => (
+                      <th key={stage.id}>{t('import.stageTotal', { stage: stageName(stage) })}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_LIMIT).map(row => (
+                    <tr key={row.line}>
+                      <td>{row.line}</td>
+                      <td>{row.timestamp.toLocaleDateString(language)} {formatTime(row.timestamp)}</td>
+                      {stages.map(stage => (
+                        <td key={stage.id}>{row.actuals[stage.id] ?? '—'}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </PreviewTable>
+            )}
+            {rows.length > PREVIEW_LIMIT && <p>{t('import.moreRows', { count: rows.length - PREVIEW_LIMIT })}</p>}
+            <div style={{ marginTop: '30px', textAlign: 'center' }}>
+              <Button onClick={handleImport} disabled={rows.length === 0}>
+                {t('import.submit', { count: rows.length })}
+              </Button>
+            </div>
+          </>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default ImportData;
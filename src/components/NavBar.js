@@ -1,7 +1,10 @@
 // src/components/NavBar.js
-import React from 'react';
-import { Link } from 'react-router-dom';
+import React, { useContext } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import styled from 'styled-components';
+import WarehouseContext from '../context/WarehouseContext';
+import LanguageContext from '../context/LanguageContext';
+import { LANGUAGES } from '../utils/i18n';
 
 const Nav = styled.nav`
   background: #fff;
@@ -24,12 +27,50 @@ const NavLink = styled(Link)`
   }
 `;
 
+// Connection to the sync server (shown only when a server is configured)
+const SyncStatus = styled.span`
+  font-size: 14px;
+  color: ${props => (props.$online ? '#34c759' : '#8e8e93')};
+  align-self: center;
+`;
+
+// Interface language switch
+const LanguageSelect = styled.select`
+  padding: 4px 8px;
+  border: 1px solid #d1d1d6;
+  border-radius: 8px;
+  font-size: 14px;
+  align-self: center;
+`;
+
 const NavBar = () => {
+  const { syncStatus } = useContext(WarehouseContext);
+  const { language, setLanguage, t } = useContext(LanguageContext);
+  // The wallboard takes the whole screen
+  const { pathname } = useLocation();
+  if (pathname === '/board') return null;
   return (
     <Nav>
-      <NavLink to="/">Shift Settings</NavLink>
-      <NavLink to="/update">Update Data</NavLink>
-      <NavLink to="/analytics">Analytics & Reports</NavLink>
+      <NavLink to="/">{t('nav.settings')}</NavLink>
+      <NavLink to="/update">{t('nav.update')}</NavLink>
+      <NavLink to="/plan">{t('nav.plan')}</NavLink>
+      <NavLink to="/roster">{t('nav.roster')}</NavLink>
+      <NavLink to="/analytics">{t('nav.analytics')}</NavLink>
+      <NavLink to="/simulator">{t('nav.simulator')}</NavLink>
+      <NavLink to="/alerts">{t('nav.alerts')}</NavLink>
+      <NavLink to="/archive">{t('nav.archive')}</NavLink>
+      <NavLink to="/board">{t('nav.board')}</NavLink>
+      {syncStatus && (
+        <SyncStatus $online={syncStatus.status === 'online'}>
+          ● {t(`nav.sync.${syncStatus.status}`)}
+          {syncStatus.pending > 0 && ` (${t('nav.sync.pending', { count: syncStatus.pending })})`}
+        </SyncStatus>
+      )}
+      <LanguageSelect value={language} onChange={(e) => setLanguage(e.target.value)} aria-label={t('nav.language')}>
+        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+          <option key={code} value={code}>{label}</option>
+        ))}
+      </LanguageSelect>
     </Nav>
   );
 };
@@ -0,0 +1,231 @@
+// src/components/Roster/Roster.js
+import React, { useState, useEffect, useContext } from 'react';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import Button from '../Button';
+import Input from '../Input';
+import { getHourSlots } from '../../utils/calculations';
+import { getStages } from '../../utils/stages';
+import { getSiteSettings } from '../../utils/zones';
+import { loadRoster, saveRoster, createEmployee, getStageTeams } from '../../utils/roster';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+
+const Label = styled.label`
+  font-size: 14px;
+  font-weight: 500;
+  margin-bottom: 8px;
+  color: #555;
+`;
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+  margin-top: 4px;
+`;
+
+// Table-like row for an employee: name, personal speed per stage
+const EmployeeRow = styled.div`
+  display: grid;
+  grid-template-columns: 2fr repeat(${props => props.$columns}, 1fr) auto;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+// Hour-by-hour assignments can be wider than the page
+const TableWrapper = styled.div`
+  overflow-x: auto;
+`;
+
+const AssignmentTable = styled.table`
+  border-collapse: collapse;
+  font-size: 14px;
+  th, td {
+    border-bottom: 1px solid #ddd;
+    padding: 6px 8px;
+    text-align: left;
+    white-space: nowrap;
+  }
+  select {
+    padding: 4px 6px;
+    border: 1px solid #d1d1d6;
+    border-radius: 6px;
+  }
+`;
+
+// Staff roster: named employees with personal speeds and who works where each hour
+const Roster = () => {
+  const { state } = useContext(WarehouseContext);
+  const { t, formatNumber, formatTime, stageName } = useContext(LanguageContext);
+  const settings = getSiteSettings(state.settings);
+  const [employees, setEmployees] = useState([]);
+  const [assignments, setAssignments] = useState({});
+
+  useEffect(() => {
+    const roster = loadRoster();
+    setEmployees(roster.employees);
+    setAssignments(roster.assignments);
+  }, []);
+
+  const stages = getStages(settings);
+  const slots = getHourSlots(settings);
+
+  const updateEmployee = (index, changes) => {
+    const newEmployees = [...employees];
+    newEmployees[index] = { ...newEmployees[index], ...changes };
+    setEmployees(newEmployees);
+  };
+
+  const updateSpeed = (index, stageId, value) => {
+    updateEmployee(index, { speeds: { ...employees[index].speeds, [stageId]: value } });
+  };
+
+  const deleteEmployee = (index) => {
+    const employee = employees[index];
+    const question = employee.name ? t('roster.confirmDelete', { name: employee.name }) : t('roster.confirmDeleteUnnamed');
+    if (!window.confirm(question)) return;
+    setEmployees(employees.filter((_, i) => i !== index));
+    // Назначения удалённого сотрудника больше не нужны
+    setAssignments(Object.fromEntries(Object.entries(assignments).map(([slotKey, slot]) => [
+      slotKey,
+      Object.fromEntries(Object.entries(slot).filter(([employeeId]) => employeeId !== employee.id)),
+    ])));
+  };
+
+  const assign = (slotKey, employeeId, stageId) => {
+    const slot = { ...(assignments[slotKey] || {}) };
+    if (stageId) {
+      slot[employeeId] = stageId;
+    } else {
+      delete slot[employeeId];
+    }
+    setAssignments({ ...assignments, [slotKey]: slot });
+  };
+
+  // Copy the assignments of the previous hour into this one
+  const copyPreviousHour = (index) => {
+    const previous = assignments[slots[index - 1].key] || {};
+    setAssignments({ ...assignments, [slots[index].key]: { ...previous } });
+  };
+
+  const handleSave = () => {
+    saveRoster({ employees, assignments });
+    alert(t('roster.saved'));
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>👥 {t('roster.title')}</h1>
+        <SectionTitle>{t('roster.employees')}</SectionTitle>
+        <p>{t('roster.speedHint')}</p>
+        {employees.length > 0 && (
+          <EmployeeRow $columns={stages.length}>
+            <Label>{t('roster.name')}</Label>
+            {stages.map(stage => <Label key={stage.id}>{stageName(stage)}</Label>)}
+            <span />
+          </EmployeeRow>
+        )}
+        {employees.map((employee, index) => (
+          <EmployeeRow key={employee.id} $columns={stages.length}>
+            <Input type="text" value={employee.name} onChange={(e) => updateEmployee(index, { name: e.target.value })} placeholder={t('roster.name')} />
+            {stages.map(stage => (
+              <Input
+                key={stage.id}
+                type="number"
+                value={(employee.speeds || {})[stage.id] ?? ''}
+                placeholder={String(stage.avgSpeed || '')}
+                onChange={(e) => updateSpeed(index, stage.id, e.target.value)}
+              />
+            ))}
+            <SmallButton onClick={() => deleteEmployee(index)}>{t('common.delete')}</SmallButton>
+          </EmployeeRow>
+        ))}
+        <SmallButton onClick={() => setEmployees([...employees, createEmployee()])}>
+          {t('roster.addEmployee')}
+        </SmallButton>
+        <SectionTitle>{t('roster.assignments')}</SectionTitle>
+        {slots.length === 0 ? (
+          <p>{t('roster.setShiftTimesFirst')}</p>
+        ) : (
+          <TableWrapper>
+            <AssignmentTable>
+              <thead>
+                <tr>
+                  <th>{t('roster.employee')}</th>
+                  {slots.map((slot, index) => (
+                    <th key={slot.key}>
+                      {formatTime(slot.key)}
+                      {index > 0 && (
+                        <>
+                          {' '}
+                          <SmallButton title={t('roster.copyPreviousHour')} onClick={() => copyPreviousHour(index)}>←</SmallButton>
+                        </>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(employee => (
+                  <tr key={employee.id}>
+                    <td>{employee.name || '—'}</td>
+                    {slots.map(slot => (
+                      <td key={slot.key}>
+                        <select
+                          value={(assignments[slot.key] || {})[employee.id] || ''}
+                          onChange={(e) => assign(slot.key, employee.id, e.target.value)}
+                        >
+                          <option value="">{t('roster.off')}</option>
+                          {stages.map(stage => (
+                            <option key={stage.id} value={stage.id}>{stageName(stage)}</option>
+                          ))}
+                        </select>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                {/* Capacity of each stage per hour: sum of the personal speeds */}
+                {stages.map(stage => (
+                  <tr key={stage.id}>
+                    <td><strong>{t('roster.capacity', { stage: stageName(stage) })}</strong></td>
+                    {slots.map(slot => {
+                      const teams = getStageTeams({ employees, assignments }, stages, slot.key);
+                      return <td key={slot.key}>{t('roster.perHour', { value: formatNumber(Math.round(teams[stage.id].capacity)) })}</td>;
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </AssignmentTable>
+          </TableWrapper>
+        )}
+        <div style={{ marginTop: '30px', textAlign: 'center' }}>
+          <Button onClick={handleSave}>{t('roster.save')}</Button>
+        </div>
+      </Container>
+    </motion.div>
+  );
+};
+
+export default Roster;
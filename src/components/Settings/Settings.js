@@ -1,11 +1,25 @@
 // src/components/Settings/Settings.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import styled from 'styled-components';
 import Container from '../Container';
 import Button from '../Button';
 import Input from '../Input';
+import { getShiftBounds, getHourSlots, formatTime, normalizeBreaks, normalizeControlPoints } from '../../utils/calculations';
+import {
+  loadTemplates,
+  createTemplate,
+  updateTemplate,
+  duplicateTemplate,
+  deleteTemplate,
+} from '../../utils/shiftTemplates';
+import { DEFAULT_STAGES, getStages, createStageId, isDefaultStage } from '../../utils/stages';
+import { getSiteSettings, getZoneStage } from '../../utils/zones';
+import { validateSettings, getFieldError } from '../../utils/settingsValidation';
+import { saveSettings as saveSettingsAction } from '../../utils/shiftStore';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
 
 // Container for the form using CSS Grid
 const FormContainer = styled.div`
@@ -29,6 +43,19 @@ const Label = styled.label`
   color: #555;
 `;
 
+// Inline validation message under a field
+const FieldError = styled.span`
+  color: #ff3b30;
+  font-size: 12px;
+  margin-top: 4px;
+`;
+
+// Grid cell: an input with its validation message
+const Cell = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
 // Small button for adding/deleting elements
 const SmallButton = styled.button`
   padding: 6px 12px;
@@ -45,87 +72,312 @@ const SmallButton = styled.button`
   margin-top: 4px;
 `;
 
+// Notice about settings saved in another tab
+const SyncNotice = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+  margin-top: 12px;
+  padding: 12px 16px;
+  background: #fff8e1;
+  border: 1px solid #ffcc00;
+  border-radius: 10px;
+`;
+
+// Block with saved shift templates
+const TemplatesBlock = styled.div`
+  margin-top: 20px;
+  padding: 16px;
+  border: 1px solid #ddd;
+  border-radius: 10px;
+`;
+
+const TemplateRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 8px;
+  flex-wrap: wrap;
+`;
+
+const TemplateName = styled.span`
+  flex: 1;
+  min-width: 120px;
+  font-weight: 500;
+`;
+
+// Control point or carrier cutoff: time, carrier, quota, priority
+const ControlPointRow = styled.div`
+  display: grid;
+  grid-template-columns: repeat(4, 1fr) auto;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+// Order arrivals: start, end (empty for a wave), orders
+const ArrivalRow = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr) auto;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const StageRow = styled.div`
+  display: grid;
+  grid-template-columns: 2fr repeat(4, 1fr) auto;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+// Table-like row for a zone: name, plan and last-hour staff per stage
+const ZoneRow = styled.div`
+  display: grid;
+  grid-template-columns: 2fr repeat(${props => props.$columns}, 1fr) auto;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const RowButtons = styled.div`
+  display: flex;
+  gap: 6px;
+`;
+
+const createStage = () => ({
+  id: createStageId('stage'),
+  name: '',
+  expectedOrders: '',
+  avgSpeed: '',
+  staffForLastPeriod: '',
+  hourlyRate: '',
+});
+
+const createZone = () => ({
+  id: `zone-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: '',
+  stages: {},
+});
+
 const Settings = () => {
   const navigate = useNavigate();
+  const { state, dispatch } = useContext(WarehouseContext);
+  const { t, translateMessage, formatTime: formatLocalTime, stageName } = useContext(LanguageContext);
 
   // Main settings states
   const [shiftStart, setShiftStart] = useState('');
   const [shiftEnd, setShiftEnd] = useState('');
-  const [expectedOrders, setExpectedOrders] = useState('');
-  // Одно поле для средней скорости (для обоих процессов)
-  const [avgSpeed, setAvgSpeed] = useState('');
-  const [staffForLastPeriod, setStaffForLastPeriod] = useState('');
+  // Этапы процесса по порядку (Receiving, Picking, Packing, Loading ...),
+  // у каждого свой план, скорость и персонал последнего часа
+  const [stages, setStages] = useState(() => DEFAULT_STAGES.map(stage => ({
+    ...stage,
+    expectedOrders: '',
+    avgSpeed: '',
+    staffForLastPeriod: '',
+    hourlyRate: '',
+  })));
+  // Overtime pay = hourly rate * multiplier (work after the shift end)
+  const [overtimeMultiplier, setOvertimeMultiplier] = useState('');
 
   // Arrays for breaks and control points
   const [breaks, setBreaks] = useState([]);
   const [controlPoints, setControlPoints] = useState([]);
+  // Zones or client accounts with their own plan and last-hour headcount
+  const [zones, setZones] = useState([]);
+  // Expected order arrivals: waves (no end) or volumes spread over an interval
+  const [arrivals, setArrivals] = useState([]);
+
+  // Named shift templates (Day / Evening / Night ...)
+  const [templates, setTemplates] = useState(() => loadTemplates());
+  const [templateName, setTemplateName] = useState('');
+  // Validation messages appear once settings are loaded or saving is attempted
+  const [showErrors, setShowErrors] = useState(false);
 
-  // On mount, load settings from localStorage
+  // Fill all form fields from a settings object (saved settings or a template)
+  const applySettings = useCallback((settings) => {
+    setShowErrors(true);
+    setShiftStart(settings.shiftStart || '');
+    setShiftEnd(settings.shiftEnd || '');
+    setOvertimeMultiplier(settings.overtimeMultiplier ?? '');
+    // Load breaks (templates may still hold the old "HH:MM-HH:MM, ..." string)
+    setBreaks(Array.isArray(settings.breaks) ? settings.breaks : normalizeBreaks(settings.breaks));
+    // Load control points as { time, name, orders, priority }; plain times have no quota
+    setControlPoints(normalizeControlPoints(settings.controlPoints).map(cp => ({
+      ...cp,
+      orders: cp.orders || '',
+      priority: cp.priority ?? '',
+    })));
+    // Старые настройки с полями Picking/Packing превращаются в два этапа
+    const loadedStages = getStages(settings);
+    setStages(loadedStages);
+    setArrivals(Array.isArray(settings.arrivals) ? settings.arrivals : []);
+    setZones((Array.isArray(settings.zones) ? settings.zones : []).map(zone => ({
+      id: zone.id,
+      name: zone.name,
+      stages: Object.fromEntries(loadedStages.map(stage => [stage.id, getZoneStage(zone, stage.id)])),
+    })));
+  }, []);
+
+  // On mount, load the saved settings from the shift store.
+  // Форма — черновик: настройки, сохранённые в другой вкладке, подставляются только по кнопке
+  const [savedSettings, setSavedSettings] = useState(state.settings);
+  const changedElsewhere = Boolean(state.settings) && state.settings !== savedSettings;
   useEffect(() => {
-    const settings = JSON.parse(localStorage.getItem('settings'));
-    if (settings) {
-      setShiftStart(settings.shiftStart || '');
-      setShiftEnd(settings.shiftEnd || '');
-      // Load breaks
-      if (settings.breaks) {
-        if (Array.isArray(settings.breaks)) {
-          setBreaks(settings.breaks);
-        } else if (typeof settings.breaks === 'string' && settings.breaks.trim() !== '') {
-          const arr = settings.breaks.split(',').map(interval => {
-            const parts = interval.split('-').map(s => s.trim());
-            return { start: parts[0] || '', end: parts[1] || '' };
-          });
-          setBreaks(arr);
-        }
-      }
-      // Load control points (ensure each element has format { time: "HH:MM" })
-      if (settings.controlPoints) {
-        if (Array.isArray(settings.controlPoints)) {
-          const validCP = settings.controlPoints.map(cp =>
-            typeof cp === 'object' && cp.time ? { time: cp.time } : { time: cp }
-          );
-          setControlPoints(validCP);
-        } else if (typeof settings.controlPoints === 'string' && settings.controlPoints.trim() !== '') {
-          const cpArr = settings.controlPoints.split(',').map(cp => ({ time: cp.trim() }));
-          setControlPoints(cpArr);
-        }
-      }
-      setExpectedOrders(settings.expectedOrders || '');
-      // Используем одно поле для средней скорости
-      setAvgSpeed(settings.avgSpeed || '');
-      setStaffForLastPeriod(settings.staffForLastPeriod || '');
+    if (savedSettings) {
+      applySettings(savedSettings);
     }
-  }, []);
+  }, [applySettings, savedSettings]);
 
   // Function to calculate the last working hour interval based on shiftEnd.
+  // Works for overnight shifts too: the interval never starts before shiftStart.
   const getLastHourInterval = () => {
     if (!shiftEnd) return '';
-    const [endHour, endMinute] = shiftEnd.split(':').map(Number);
-    // Create a date object with shiftEnd and subtract 1 hour.
-    const endDate = new Date(0, 0, 0, endHour, endMinute);
-    endDate.setHours(endDate.getHours() - 1);
-    const pad = (n) => n.toString().padStart(2, '0');
-    return `${pad(endDate.getHours())}:${pad(endDate.getMinutes())}–${shiftEnd}`;
+    const { shiftStartDate, shiftEndDate } = getShiftBounds({ shiftStart: shiftStart || shiftEnd, shiftEnd });
+    let lastHourStart = new Date(shiftEndDate.getTime() - 60 * 60 * 1000);
+    if (shiftStart && lastHourStart < shiftStartDate) lastHourStart = shiftStartDate;
+    return `${formatLocalTime(lastHourStart)}–${formatLocalTime(shiftEndDate)}`;
   };
 
   const lastHourInterval = getLastHourInterval();
 
-  // Save settings to localStorage
+  // Current form as a settings object (with zones, site plan = sum over zones)
+  const collectSettings = () => getSiteSettings({
+    shiftStart,
+    shiftEnd,
+    breaks,           // array of objects { start, end }
+    controlPoints,    // array of objects { time, name, orders, priority }
+    stages,           // array of stages { id, name, expectedOrders, avgSpeed, staffForLastPeriod, hourlyRate }
+    overtimeMultiplier,
+    arrivals,         // array of { start, end, orders }; without end the orders arrive at once
+    zones,            // array of zones { id, name, stages: { [stageId]: { expectedOrders, staffForLastPeriod } } }
+  });
+
+  // Errors of the whole form; saving (settings or a template) is blocked until they are fixed
+  const errors = validateSettings(collectSettings());
+  const renderError = (field) => {
+    const message = showErrors ? getFieldError(errors, field) : null;
+    return message && <FieldError>{translateMessage(message)}</FieldError>;
+  };
+  const blockInvalid = () => {
+    if (errors.length === 0) return false;
+    setShowErrors(true);
+    alert(t('settings.fixErrorsFirst', { count: errors.length }));
+    return true;
+  };
+
+  // Save settings
   const saveSettings = () => {
-    const settings = {
-      shiftStart,
-      shiftEnd,
-      breaks,           // array of objects { start, end }
-      controlPoints,    // array of objects { time }
-      expectedOrders,
-      avgSpeed,         // one field for average speed
-      staffForLastPeriod,
-    };
-    localStorage.setItem('settings', JSON.stringify(settings));
-    alert('Settings saved!');
+    if (blockInvalid()) return;
+    const settings = collectSettings();
+    dispatch(saveSettingsAction(settings));
+    setSavedSettings(settings);
+    alert(t('settings.saved'));
     navigate('/update');
   };
 
+  const updateStage = (index, field, value) => {
+    const newStages = [...stages];
+    newStages[index] = { ...newStages[index], [field]: value };
+    setStages(newStages);
+  };
+
+  const moveStage = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= stages.length) return;
+    const newStages = [...stages];
+    [newStages[index], newStages[target]] = [newStages[target], newStages[index]];
+    setStages(newStages);
+  };
+
+  const deleteStage = (index) => {
+    if (stages.length === 1) {
+      alert(t('settings.stageRequired'));
+      return;
+    }
+    if (!window.confirm(t('settings.confirmDeleteStage', { name: stageName(stages[index]) }))) return;
+    setStages(stages.filter((_, i) => i !== index));
+  };
+
+  const updateControlPoint = (index, field, value) => {
+    const newCP = [...controlPoints];
+    newCP[index] = { ...newCP[index], [field]: value };
+    setControlPoints(newCP);
+  };
+
+  const updateArrival = (index, field, value) => {
+    const newArrivals = [...arrivals];
+    newArrivals[index] = { ...newArrivals[index], [field]: value };
+    setArrivals(newArrivals);
+  };
+
+  // One row per hour of the shift, for entering hourly volumes
+  const addHourlyArrivals = () => {
+    const slots = getHourSlots({ shiftStart, shiftEnd });
+    if (slots.length === 0) {
+      alert(t('settings.setShiftTimesFirst'));
+      return;
+    }
+    setArrivals([...arrivals, ...slots.map(slot => ({ start: slot.key, end: formatTime(slot.end), orders: '' }))]);
+  };
+
+  const arrivalsTotal = arrivals.reduce((sum, row) => sum + (Number(row.orders) || 0), 0);
+
+  const updateZone = (index, field, value) => {
+    const newZones = [...zones];
+    newZones[index] = { ...newZones[index], [field]: value };
+    setZones(newZones);
+  };
+
+  const updateZoneStage = (index, stageId, field, value) => {
+    const zone = zones[index];
+    const zoneStages = zone.stages || {};
+    updateZone(index, 'stages', { ...zoneStages, [stageId]: { ...zoneStages[stageId], [field]: value } });
+  };
+
+  // Site-level plan and headcount of each stage are the sums over zones when zones exist
+  const siteStages = zones.length > 0 ? getSiteSettings({ stages, zones }).stages : null;
+  const siteField = (index, field) => (siteStages ? siteStages[index][field] : stages[index][field]);
+
+  // Template actions
+  const handleSaveTemplate = () => {
+    if (!templateName.trim()) {
+      alert(t('settings.enterTemplateName'));
+      return;
+    }
+    if (blockInvalid()) return;
+    createTemplate(templateName, collectSettings());
+    setTemplateName('');
+    setTemplates(loadTemplates());
+  };
+
+  const handleUpdateTemplate = (template) => {
+    if (blockInvalid()) return;
+    if (!window.confirm(t('settings.confirmOverwriteTemplate', { name: template.name }))) return;
+    updateTemplate(template.id, { settings: collectSettings() });
+    setTemplates(loadTemplates());
+  };
+
+  const handleRenameTemplate = (template) => {
+    const name = window.prompt(t('settings.templateNamePrompt'), template.name);
+    if (!name || !name.trim()) return;
+    updateTemplate(template.id, { name: name.trim() });
+    setTemplates(loadTemplates());
+  };
+
+  const handleDuplicateTemplate = (template) => {
+    duplicateTemplate(template.id);
+    setTemplates(loadTemplates());
+  };
+
+  const handleDeleteTemplate = (template) => {
+    if (!window.confirm(t('settings.confirmDeleteTemplate', { name: template.name }))) return;
+    deleteTemplate(template.id);
+    setTemplates(loadTemplates());
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -133,90 +385,262 @@ const Settings = () => {
       transition={{ duration: 0.5 }}
     >
       <Container>
-        <h1>⚙️ Shift Settings</h1>
+        <h1>⚙️ {t('settings.title')}</h1>
+        {changedElsewhere && (
+          <SyncNotice>
+            <span>{t('settings.changedElsewhere')}</span>
+            <SmallButton onClick={() => setSavedSettings(state.settings)}>{t('settings.loadSaved')}</SmallButton>
+          </SyncNotice>
+        )}
+        <TemplatesBlock>
+          <Label>{t('settings.templates')}</Label>
+          {templates.map(template => (
+            <TemplateRow key={template.id}>
+              <TemplateName>{template.name}</TemplateName>
+              <SmallButton onClick={() => applySettings(template.settings)}>{t('settings.load')}</SmallButton>
+              <SmallButton onClick={() => handleUpdateTemplate(template)}>{t('settings.update')}</SmallButton>
+              <SmallButton onClick={() => handleRenameTemplate(template)}>{t('settings.rename')}</SmallButton>
+              <SmallButton onClick={() => handleDuplicateTemplate(template)}>{t('settings.duplicate')}</SmallButton>
+              <SmallButton onClick={() => handleDeleteTemplate(template)}>{t('common.delete')}</SmallButton>
+            </TemplateRow>
+          ))}
+          <TemplateRow>
+            <Input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder={t('settings.templateNamePlaceholder')}
+              style={{ flex: 1 }}
+            />
+            <SmallButton onClick={handleSaveTemplate}>{t('settings.saveAsTemplate')}</SmallButton>
+          </TemplateRow>
+        </TemplatesBlock>
         <FormContainer>
           <FormField>
-            <Label>Shift Start Time:</Label>
+            <Label>{t('settings.shiftStart')}</Label>
             <Input type="time" value={shiftStart} onChange={(e) => setShiftStart(e.target.value)} />
+            {renderError('shiftStart')}
           </FormField>
           <FormField>
-            <Label>Shift End Time:</Label>
+            <Label>{t('settings.shiftEnd')}</Label>
             <Input type="time" value={shiftEnd} onChange={(e) => setShiftEnd(e.target.value)} />
+            {renderError('shiftEnd')}
           </FormField>
           <FormField>
-            <Label>Breaks:</Label>
-            {breaks.map((brk, index) => (
-              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
-                <Input
-                  type="time"
-                  value={brk.start || ''}
-                  onChange={(e) => {
-                    const newBreaks = [...breaks];
-                    newBreaks[index] = { start: e.target.value, end: newBreaks[index].end || '' };
-                    setBreaks(newBreaks);
-                  }}
-                  placeholder="Start"
-                  style={{ maxWidth: '120px' }}
-                />
-                <Input
-                  type="time"
-                  value={brk.end || ''}
-                  onChange={(e) => {
-                    const newBreaks = [...breaks];
-                    newBreaks[index] = { start: newBreaks[index].start || '', end: e.target.value };
-                    setBreaks(newBreaks);
-                  }}
-                  placeholder="End"
-                  style={{ maxWidth: '120px' }}
-                />
-                <SmallButton onClick={() => setBreaks(breaks.filter((_, i) => i !== index))}>
-                  Delete
-                </SmallButton>
-              </div>
-            ))}
-            <SmallButton onClick={() => setBreaks([...breaks, { start: '', end: '' }])}>
-              Add Break
-            </SmallButton>
+            <Label>{t('settings.overtimeMultiplier')}</Label>
+            <Input
+              type="number"
+              step="0.1"
+              value={overtimeMultiplier}
+              onChange={(e) => setOvertimeMultiplier(e.target.value)}
+              placeholder="1.5"
+            />
+            {renderError('overtimeMultiplier')}
           </FormField>
           <FormField>
-            <Label>Control Points:</Label>
-            {controlPoints.map((cp, index) => (
-              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
-                <Input
-                  type="time"
-                  value={cp.time || ''}
-                  onChange={(e) => {
-                    const newCP = [...controlPoints];
-                    newCP[index] = { time: e.target.value };
-                    setControlPoints(newCP);
-                  }}
-                  placeholder="Control Point Time"
-                  style={{ maxWidth: '120px' }}
-                />
-                <SmallButton onClick={() => setControlPoints(controlPoints.filter((_, i) => i !== index))}>
-                  Delete
-                </SmallButton>
-              </div>
+            <Label>{t('settings.breaks')}</Label>
+            {breaks.map((brk, index) => (
+              <React.Fragment key={index}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
+                  <Input
+                    type="time"
+                    value={brk.start || ''}
+                    onChange={(e) => {
+                      const newBreaks = [...breaks];
+                      newBreaks[index] = { start: e.target.value, end: newBreaks[index].end || '' };
+                      setBreaks(newBreaks);
+                    }}
+                    placeholder={t('settings.breakStart')}
+                    style={{ maxWidth: '120px' }}
+                  />
+                  <Input
+                    type="time"
+                    value={brk.end || ''}
+                    onChange={(e) => {
+                      const newBreaks = [...breaks];
+                      newBreaks[index] = { start: newBreaks[index].start || '', end: e.target.value };
+                      setBreaks(newBreaks);
+                    }}
+                    placeholder={t('settings.breakEnd')}
+                    style={{ maxWidth: '120px' }}
+                  />
+                  <SmallButton onClick={() => setBreaks(breaks.filter((_, i) => i !== index))}>
+                    {t('common.delete')}
+                  </SmallButton>
+                </div>
+                {renderError(`breaks.${index}.start`)}
+                {renderError(`breaks.${index}.end`)}
+              </React.Fragment>
             ))}
-            <SmallButton onClick={() => setControlPoints([...controlPoints, { time: '' }])}>
-              Add Control Point
+            <SmallButton onClick={() => setBreaks([...breaks, { start: '', end: '' }])}>
+              {t('settings.addBreak')}
             </SmallButton>
           </FormField>
-          <FormField>
-            <Label>Expected Number of Orders:</Label>
-            <Input type="number" value={expectedOrders} onChange={(e) => setExpectedOrders(e.target.value)} />
-          </FormField>
-          <FormField>
-            <Label>Average Speed (one worker per hour):</Label>
-            <Input type="number" value={avgSpeed} onChange={(e) => setAvgSpeed(e.target.value)} />
-          </FormField>
-          <FormField>
-            <Label>Number of staff in the last hour ({lastHourInterval}):</Label>
-            <Input type="number" value={staffForLastPeriod} onChange={(e) => setStaffForLastPeriod(e.target.value)} />
-          </FormField>
         </FormContainer>
+        <FormField style={{ marginTop: '20px' }}>
+          <Label>{t('settings.controlPoints')}</Label>
+          {controlPoints.length > 0 && (
+            <ControlPointRow>
+              <Label>{t('settings.controlPointTime')}</Label>
+              <Label>{t('settings.carrier')}</Label>
+              <Label>{t('settings.orderQuota')}</Label>
+              <Label>{t('settings.priority')}</Label>
+              <span />
+            </ControlPointRow>
+          )}
+          {controlPoints.map((cp, index) => (
+            <ControlPointRow key={index}>
+              <Cell>
+                <Input type="time" value={cp.time || ''} onChange={(e) => updateControlPoint(index, 'time', e.target.value)} />
+                {renderError(`controlPoints.${index}.time`)}
+              </Cell>
+              <Input type="text" value={cp.name || ''} onChange={(e) => updateControlPoint(index, 'name', e.target.value)} placeholder={t('settings.carrierPlaceholder')} />
+              <Cell>
+                <Input type="number" value={cp.orders ?? ''} onChange={(e) => updateControlPoint(index, 'orders', e.target.value)} />
+                {renderError(`controlPoints.${index}.orders`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={cp.priority ?? ''} onChange={(e) => updateControlPoint(index, 'priority', e.target.value)} />
+                {renderError(`controlPoints.${index}.priority`)}
+              </Cell>
+              <SmallButton onClick={() => setControlPoints(controlPoints.filter((_, i) => i !== index))}>
+                {t('common.delete')}
+              </SmallButton>
+            </ControlPointRow>
+          ))}
+          <SmallButton onClick={() => setControlPoints([...controlPoints, { time: '', name: '', orders: '', priority: '' }])}>
+            {t('settings.addControlPoint')}
+          </SmallButton>
+        </FormField>
+        <FormField style={{ marginTop: '20px' }}>
+          <Label>{t('settings.stages')}</Label>
+          <StageRow>
+            <Label>{t('settings.name')}</Label>
+            <Label>{t('settings.expectedOrders')}</Label>
+            <Label>{t('settings.avgSpeed')}</Label>
+            <Label>{t('settings.lastHourStaff', { interval: lastHourInterval })}</Label>
+            <Label>{t('settings.hourlyRate')}</Label>
+            <span />
+          </StageRow>
+          {stages.map((stage, index) => (
+            <StageRow key={stage.id}>
+              <Cell>
+                <Input type="text" value={stage.name} onChange={(e) => updateStage(index, 'name', e.target.value)} placeholder={isDefaultStage(stage) ? stageName(stage) : t('settings.stageNamePlaceholder')} />
+                {renderError(`stages.${index}.name`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={siteField(index, 'expectedOrders')} disabled={Boolean(siteStages)} onChange={(e) => updateStage(index, 'expectedOrders', e.target.value)} />
+                {renderError(`stages.${index}.expectedOrders`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={stage.avgSpeed} onChange={(e) => updateStage(index, 'avgSpeed', e.target.value)} />
+                {renderError(`stages.${index}.avgSpeed`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={siteField(index, 'staffForLastPeriod')} disabled={Boolean(siteStages)} onChange={(e) => updateStage(index, 'staffForLastPeriod', e.target.value)} />
+                {renderError(`stages.${index}.staffForLastPeriod`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={stage.hourlyRate} onChange={(e) => updateStage(index, 'hourlyRate', e.target.value)} />
+                {renderError(`stages.${index}.hourlyRate`)}
+              </Cell>
+              <RowButtons>
+                <SmallButton onClick={() => moveStage(index, -1)} disabled={index === 0}>↑</SmallButton>
+                <SmallButton onClick={() => moveStage(index, 1)} disabled={index === stages.length - 1}>↓</SmallButton>
+                <SmallButton onClick={() => deleteStage(index)}>{t('common.delete')}</SmallButton>
+              </RowButtons>
+            </StageRow>
+          ))}
+          <SmallButton onClick={() => setStages([...stages, createStage()])}>
+            {t('settings.addStage')}
+          </SmallButton>
+        </FormField>
+        <FormField style={{ marginTop: '20px' }}>
+          <Label>{t('settings.arrivals')}</Label>
+          {arrivals.length > 0 && (
+            <ArrivalRow>
+              <Label>{t('settings.arrivalFrom')}</Label>
+              <Label>{t('settings.arrivalUntil')}</Label>
+              <Label>{t('settings.arrivalOrders')}</Label>
+              <span />
+            </ArrivalRow>
+          )}
+          {arrivals.map((row, index) => (
+            <ArrivalRow key={index}>
+              <Cell>
+                <Input type="time" value={row.start || ''} onChange={(e) => updateArrival(index, 'start', e.target.value)} />
+                {renderError(`arrivals.${index}.start`)}
+              </Cell>
+              <Cell>
+                <Input type="time" value={row.end || ''} onChange={(e) => updateArrival(index, 'end', e.target.value)} />
+                {renderError(`arrivals.${index}.end`)}
+              </Cell>
+              <Cell>
+                <Input type="number" value={row.orders} onChange={(e) => updateArrival(index, 'orders', e.target.value)} />
+                {renderError(`arrivals.${index}.orders`)}
+              </Cell>
+              <SmallButton onClick={() => setArrivals(arrivals.filter((_, i) => i !== index))}>
+                {t('common.delete')}
+              </SmallButton>
+            </ArrivalRow>
+          ))}
+          {arrivals.length > 0 && <p>{t('settings.arrivalsTotal', { count: arrivalsTotal })}</p>}
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <SmallButton onClick={() => setArrivals([...arrivals, { start: '', end: '', orders: '' }])}>
+              {t('settings.addWave')}
+            </SmallButton>
+            <SmallButton onClick={addHourlyArrivals}>
+              {t('settings.addHourlyRows')}
+            </SmallButton>
+          </div>
+        </FormField>
+        <FormField style={{ marginTop: '20px' }}>
+          <Label>{t('settings.zones')}</Label>
+          {zones.length > 0 && (
+            <ZoneRow $columns={stages.length * 2}>
+              <Label>{t('settings.name')}</Label>
+              {stages.map(stage => <Label key={`plan-${stage.id}`}>{t('settings.zonePlan', { stage: stageName(stage) })}</Label>)}
+              {stages.map(stage => <Label key={`staff-${stage.id}`}>{t('settings.zoneLastHourStaff', { stage: stageName(stage) })}</Label>)}
+              <span />
+            </ZoneRow>
+          )}
+          {zones.map((zone, index) => (
+            <ZoneRow key={zone.id} $columns={stages.length * 2}>
+              <Cell>
+                <Input type="text" value={zone.name} onChange={(e) => updateZone(index, 'name', e.target.value)} placeholder={t('settings.zonePlaceholder')} />
+                {renderError(`zones.${index}.name`)}
+              </Cell>
+              {stages.map(stage => (
+                <Cell key={`plan-${stage.id}`}>
+                  <Input
+                    type="number"
+                    value={((zone.stages || {})[stage.id] || {}).expectedOrders ?? ''}
+                    onChange={(e) => updateZoneStage(index, stage.id, 'expectedOrders', e.target.value)}
+                  />
+                  {renderError(`zones.${index}.stages.${stage.id}.expectedOrders`)}
+                </Cell>
+              ))}
+              {stages.map(stage => (
+                <Cell key={`staff-${stage.id}`}>
+                  <Input
+                    type="number"
+                    value={((zone.stages || {})[stage.id] || {}).staffForLastPeriod ?? ''}
+                    onChange={(e) => updateZoneStage(index, stage.id, 'staffForLastPeriod', e.target.value)}
+                  />
+                  {renderError(`zones.${index}.stages.${stage.id}.staffForLastPeriod`)}
+                </Cell>
+              ))}
+              <SmallButton onClick={() => setZones(zones.filter((_, i) => i !== index))}>
+                {t('common.delete')}
+              </SmallButton>
+            </ZoneRow>
+          ))}
+          <SmallButton onClick={() => setZones([...zones, createZone()])}>
+            {t('settings.addZone')}
+          </SmallButton>
+        </FormField>
         <div style={{ marginTop: '30px', textAlign: 'center' }}>
-          <Button onClick={saveSettings}>Save Settings</Button>
+          <Button onClick={saveSettings}>{t('settings.save')}</Button>
         </div>
       </Container>
     </motion.div>
@@ -0,0 +1,26 @@
+// src/components/SettingsErrors.js
+import React from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+
+const ErrorBox = styled.div`
+  padding: 12px 16px;
+  border: 1px solid #ff3b30;
+  border-radius: 10px;
+  color: #ff3b30;
+  margin: 16px 0;
+`;
+
+// Saved settings that do not pass validation: the page shows no calculations until they are fixed.
+// translateMessage and t come from LanguageContext.
+const renderSettingsErrors = (errors, translateMessage, t) => (
+  <ErrorBox>
+    <strong>{t('validation.title')}</strong>
+    <ul>
+      {errors.map(error => <li key={error.field}>{translateMessage(error.message)}</li>)}
+    </ul>
+    <Link to="/" style={{ color: '#007aff' }}>{t('validation.fixInSettings')}</Link>
+  </ErrorBox>
+);
+
+export default renderSettingsErrors;
@@ -0,0 +1,225 @@
+// src/components/Simulator/Simulator.js
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import Input from '../Input';
+import {
+  calculateDeviations,
+  calculateRecommendations,
+  calculateRecommendedStaff,
+  calculateLastHourBacklog,
+  calculateCompletionEta,
+  getShiftBounds,
+  toShiftDate,
+  formatTime,
+} from '../../utils/calculations';
+import { analyzePipeline } from '../../utils/pipeline';
+import { getStages } from '../../utils/stages';
+import { getSiteSettings } from '../../utils/zones';
+import { loadRoster } from '../../utils/roster';
+import { getFieldError, validateSettings } from '../../utils/settingsValidation';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+import renderSettingsErrors from '../SettingsErrors';
+
+const FormContainer = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+  gap: 20px;
+  margin-top: 20px;
+`;
+
+const FormField = styled.div`
+  display: flex;
+  flex-direction: column;
+`;
+
+const Label = styled.label`
+  font-size: 14px;
+  margin-bottom: 8px;
+  font-weight: 500;
+  color: #555;
+`;
+
+const ResultsContainer = styled.div`
+  margin-top: 30px;
+  padding: 20px;
+  background: #f9f9fb;
+  border-radius: 12px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.05);
+`;
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const StatusText = styled.span`
+  color: ${props => (props.positive ? 'green' : props.negative ? 'red' : 'black')};
+  font-weight: bold;
+`;
+
+// "What-if": the same engine as UpdateData, evaluated at a chosen moment of the shift
+const Simulator = () => {
+  const { state } = useContext(WarehouseContext);
+  const { t, translateMessage, translateMessages, formatTime: formatLocalTime, stageName } = useContext(LanguageContext);
+  const [time, setTime] = useState('');
+  // Orders processed by the chosen time and last-hour staff, by stage id
+  const [actuals, setActuals] = useState({});
+  const [staff, setStaff] = useState({});
+  const [roster, setRoster] = useState(null);
+
+  // Site-level settings from the store; settings with errors are not simulated
+  const { settings, settingsErrors } = useMemo(() => {
+    const siteSettings = getSiteSettings(state.settings);
+    const errors = siteSettings ? validateSettings(siteSettings) : [];
+    return { settings: errors.length === 0 ? siteSettings : null, settingsErrors: errors };
+  }, [state.settings]);
+
+  // Start with the planned staffing
+  useEffect(() => {
+    if (settings) setStaff(Object.fromEntries(getStages(settings).map(stage => [stage.id, stage.staffForLastPeriod])));
+  }, [settings]);
+
+  // Load the roster; start with the current time
+  useEffect(() => {
+    setRoster(loadRoster());
+    setTime(formatTime(new Date()));
+  }, []);
+
+  if (!settings || !settings.shiftStart || !settings.shiftEnd) {
+    return (
+      <Container>
+        <h1>🧪 {t('simulator.title')}</h1>
+        {settingsErrors.length > 0
+          ? renderSettingsErrors(settingsErrors, translateMessage, t)
+          : <p>{t('common.saveSettingsFirst')}</p>}
+      </Container>
+    );
+  }
+
+  // Выбранное время внутри текущей (или ближайшей) смены
+  const { shiftStartDate } = getShiftBounds(settings);
+  const evaluationDate = time ? toShiftDate(time, shiftStartDate) : shiftStartDate;
+  const stages = getStages(settings);
+  const simulatedSettings = {
+    ...settings,
+    stages: stages.map(stage => ({ ...stage, staffForLastPeriod: staff[stage.id] ?? stage.staffForLastPeriod })),
+  };
+
+  // Введённый персонал проверяется так же, как настройки: без ошибок движок не считает
+  const simulationErrors = validateSettings(simulatedSettings);
+  const valid = simulationErrors.length === 0;
+  const staffError = (index) => getFieldError(simulationErrors, `stages.${index}.staffForLastPeriod`);
+
+  const deviations = valid ? calculateDeviations(simulatedSettings, actuals, evaluationDate) : null;
+  const recommendations = valid ? calculateRecommendations(deviations, simulatedSettings, null, roster, evaluationDate) : null;
+  const recommendedPeople = valid ? calculateRecommendedStaff(deviations, simulatedSettings, roster) : null;
+  const backlog = valid ? calculateLastHourBacklog(deviations, simulatedSettings) : null;
+  const pipeline = valid ? analyzePipeline(deviations, simulatedSettings) : null;
+  const stageNameOf = (stageId) => stageName(stages.find(stage => stage.id === stageId));
+  const eta = valid ? calculateCompletionEta(simulatedSettings, actuals, null, evaluationDate) : null;
+
+  const formatEta = (processEta) => {
+    if (processEta.completed) return t('update.etaCompleted');
+    if (!processEta.eta) return t('update.etaNoData');
+    const minutes = Math.round(processEta.minutesVsShiftEnd);
+    let status = t('update.etaAtShiftEnd');
+    if (minutes < 0) status = t('update.etaEarly', { count: Math.abs(minutes) });
+    if (minutes > 0) status = t('update.etaLate', { count: minutes });
+    return `${formatLocalTime(processEta.eta)} (${status})`;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>🧪 {t('simulator.title')}</h1>
+        <p>{t('simulator.intro', { start: settings.shiftStart, end: settings.shiftEnd })}</p>
+        <FormContainer>
+          <FormField>
+            <Label>{t('simulator.time')}</Label>
+            <Input type="time" value={time} onChange={(e) => setTime(e.target.value)} />
+          </FormField>
+          {stages.map(stage => (
+            <FormField key={`actual-${stage.id}`}>
+              <Label>{t('simulator.processedByThen', { stage: stageName(stage) })}</Label>
+              <Input type="number" value={actuals[stage.id] || 0} onChange={(e) => setActuals({ ...actuals, [stage.id]: Number(e.target.value) })} />
+            </FormField>
+          ))}
+          {stages.map((stage, index) => (
+            <FormField key={`staff-${stage.id}`}>
+              <Label>{t('simulator.lastHourStaff', { stage: stageName(stage) })}</Label>
+              <Input type="number" value={staff[stage.id] ?? ''} onChange={(e) => setStaff({ ...staff, [stage.id]: e.target.value })} />
+              {staffError(index) && <StatusText negative>{translateMessage(staffError(index))}</StatusText>}
+            </FormField>
+          ))}
+        </FormContainer>
+        {valid && (
+          <ResultsContainer>
+            <SectionTitle>{t('simulator.mainIndicators', { time: formatLocalTime(evaluationDate) })}</SectionTitle>
+            <p>{t('update.hoursWorked', { value: deviations.hoursPassed })}</p>
+            {stages.map((stage, index) => (
+              <div key={stage.id}>
+                {index > 0 && <hr />}
+                <p>{t('simulator.expectedProcessed', { stage: stageName(stage), value: deviations.stages[stage.id].expectedProcessed })}</p>
+                <p>{t('update.requiredSpeed', { stage: stageName(stage), value: deviations.stages[stage.id].requiredSpeed })}</p>
+                <p>{t('simulator.recommendedStaff', { stage: stageName(stage), value: recommendedPeople[stage.id] })}</p>
+              </div>
+            ))}
+            {stages.length > 1 && (
+              <>
+                <SectionTitle>{t('update.pipeline')}</SectionTitle>
+                {pipeline.buffers.map(buffer => (
+                  <p key={`${buffer.from}-${buffer.to}`}>
+                    {t('update.waitingBetween', { from: stageNameOf(buffer.from), to: stageNameOf(buffer.to), count: Math.round(buffer.wip) })}
+                    {buffer.overflow && (
+                      <StatusText negative> ({t('update.bufferOverflow', { from: stageNameOf(buffer.from), to: stageNameOf(buffer.to) })})</StatusText>
+                    )}
+                  </p>
+                ))}
+                <p>{t('update.bottleneck')} {pipeline.bottleneck ? stageNameOf(pipeline.bottleneck) : t('update.noBottleneck')}</p>
+              </>
+            )}
+            <SectionTitle>{t('update.deviationsAndRecommendations')}</SectionTitle>
+            {stages.map(stage => (
+              <p key={stage.id}>{t('update.deviation', { stage: stageName(stage), value: deviations.stages[stage.id].deviation })}</p>
+            ))}
+            {stages.map(stage => (
+              <p key={stage.id}>{translateMessages(recommendations[stage.id])}</p>
+            ))}
+            <SectionTitle>{t('update.lastHourBacklog')}</SectionTitle>
+            {stages.map(stage => (
+              <p key={stage.id}>{t('update.expectedBacklog', { stage: stageName(stage), count: Math.round(backlog.stages[stage.id].remaining) })}</p>
+            ))}
+            <p>
+              {t('simulator.planStatus')}{" "}
+              {backlog.planMetOnTime ? (
+                <StatusText positive>{t('update.planMetOnTime')}</StatusText>
+              ) : (
+                <StatusText negative>{t('update.planNotMetOnTime')}</StatusText>
+              )}
+            </p>
+            {stages.map(stage => (
+              <p key={stage.id}>{t('update.additionalStaff', { stage: stageName(stage), value: Math.abs(backlog.stages[stage.id].staffNeeded) })}</p>
+            ))}
+            <SectionTitle>{t('update.eta')}</SectionTitle>
+            {stages.map(stage => (
+              <p key={stage.id}>
+                {t('update.stageEta', { stage: stageName(stage) })} {formatEta(eta.stages[stage.id])}
+                {eta.stages[stage.id].limitedBy && ` — ${t('update.waitsFor', { stage: stageNameOf(eta.stages[stage.id].limitedBy) })}`}
+              </p>
+            ))}
+          </ResultsContainer>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default Simulator;
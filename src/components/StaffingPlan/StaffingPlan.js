@@ -0,0 +1,255 @@
+// src/components/StaffingPlan/StaffingPlan.js
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import styled from 'styled-components';
+import Container from '../Container';
+import Button from '../Button';
+import Input from '../Input';
+import { calculatePlannedOutputAt, getHourSlots } from '../../utils/calculations';
+import { getStages } from '../../utils/stages';
+import { getSiteSettings } from '../../utils/zones';
+import { validateSettings } from '../../utils/settingsValidation';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+import renderSettingsErrors from '../SettingsErrors';
+import {
+  loadStaffingPlan,
+  saveStaffingPlan,
+  generateStaffingPlan,
+  checkStaffingPlan,
+  hasStaffingPlan,
+} from '../../utils/staffingPlan';
+
+const Label = styled.label`
+  font-size: 14px;
+  font-weight: 500;
+  margin-bottom: 8px;
+  color: #555;
+`;
+
+const SectionTitle = styled.h3`
+  margin-top: 20px;
+  margin-bottom: 10px;
+  color: #007aff;
+`;
+
+const SmallButton = styled.button`
+  padding: 6px 12px;
+  background: #f0f0f0;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  color: #333;
+  font-size: 14px;
+  cursor: pointer;
+  transition: background 0.2s ease;
+  &:hover {
+    background: #e0e0e0;
+  }
+  margin-top: 4px;
+`;
+
+// Min/max headcount of one stage
+const LimitRow = styled.div`
+  display: grid;
+  grid-template-columns: 2fr 1fr 1fr;
+  gap: 10px;
+  align-items: center;
+  margin-bottom: 8px;
+`;
+
+const TableWrapper = styled.div`
+  overflow-x: auto;
+`;
+
+const PlanTable = styled.table`
+  border-collapse: collapse;
+  font-size: 14px;
+  width: 100%;
+  th, td {
+    border-bottom: 1px solid #ddd;
+    padding: 6px 8px;
+    text-align: left;
+    white-space: nowrap;
+  }
+  input {
+    width: 70px;
+    padding: 4px 6px;
+    border: 1px solid #d1d1d6;
+    border-radius: 6px;
+  }
+`;
+
+const Warning = styled.p`
+  color: #ff3b30;
+  margin: 4px 0;
+`;
+
+// Hour-by-hour staffing plan: generated from the settings, adjustable by hand
+const StaffingPlan = () => {
+  const { state } = useContext(WarehouseContext);
+  const { t, translateMessage, formatNumber, formatTime, stageName } = useContext(LanguageContext);
+  const [constraints, setConstraints] = useState({ totalStaff: '', stages: {} });
+  const [slots, setSlots] = useState({});
+
+  // Site-level settings; settings with errors are not planned for
+  const { settings, settingsErrors } = useMemo(() => {
+    const siteSettings = getSiteSettings(state.settings);
+    const errors = siteSettings ? validateSettings(siteSettings) : [];
+    return { settings: errors.length === 0 ? siteSettings : null, settingsErrors: errors };
+  }, [state.settings]);
+
+  useEffect(() => {
+    const plan = loadStaffingPlan();
+    setConstraints(plan.constraints);
+    setSlots(plan.slots);
+  }, []);
+
+  if (!settings || !settings.shiftStart || !settings.shiftEnd) {
+    return (
+      <Container>
+        <h1>🗓️ {t('plan.title')}</h1>
+        {settingsErrors.length > 0
+          ? renderSettingsErrors(settingsErrors, translateMessage, t)
+          : <p>{t('common.saveSettingsFirst')}</p>}
+      </Container>
+    );
+  }
+
+  const stages = getStages(settings);
+  const hourSlots = getHourSlots(settings);
+  const plan = { constraints, slots };
+  // План, сохранённый для другого времени смены, нужно пересоздать
+  const outdated = hasStaffingPlan(plan) && hourSlots.some(slot => !slots[slot.key]);
+  const warnings = checkStaffingPlan(settings, plan);
+
+  const updateLimit = (stageId, field, value) => {
+    const stageLimits = constraints.stages[stageId] || {};
+    setConstraints({
+      ...constraints,
+      stages: { ...constraints.stages, [stageId]: { ...stageLimits, [field]: value } },
+    });
+  };
+
+  const updateCell = (slotKey, stageId, value) => {
+    setSlots({ ...slots, [slotKey]: { ...(slots[slotKey] || {}), [stageId]: value === '' ? '' : Number(value) } });
+  };
+
+  const handleGenerate = () => {
+    if (hasStaffingPlan(plan) && !window.confirm(t('plan.confirmReplace'))) return;
+    const generated = generateStaffingPlan(settings, constraints);
+    setSlots(generated.slots);
+  };
+
+  const handleSave = () => {
+    saveStaffingPlan(plan);
+    alert(t('plan.saved'));
+  };
+
+  const handleClear = () => {
+    if (!window.confirm(t('plan.confirmClear'))) return;
+    setSlots({});
+    saveStaffingPlan({ constraints, slots: {} });
+  };
+
+  const headcount = (slotKey, stageId) => Number((slots[slotKey] || {})[stageId]) || 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+    >
+      <Container>
+        <h1>🗓️ {t('plan.title')}</h1>
+        <p>{t('plan.intro')}</p>
+        <SectionTitle>{t('plan.limits')}</SectionTitle>
+        <LimitRow>
+          <Label>{t('plan.totalStaff')}</Label>
+          <Input
+            type="number"
+            value={constraints.totalStaff}
+            onChange={(e) => setConstraints({ ...constraints, totalStaff: e.target.value })}
+            placeholder={t('plan.noLimit')}
+          />
+          <span />
+        </LimitRow>
+        <LimitRow>
+          <Label>{t('plan.stage')}</Label>
+          <Label>{t('plan.min')}</Label>
+          <Label>{t('plan.max')}</Label>
+        </LimitRow>
+        {stages.map(stage => (
+          <LimitRow key={stage.id}>
+            <span>{stageName(stage)}</span>
+            <Input
+              type="number"
+              value={(constraints.stages[stage.id] || {}).minStaff ?? ''}
+              onChange={(e) => updateLimit(stage.id, 'minStaff', e.target.value)}
+              placeholder="0"
+            />
+            <Input
+              type="number"
+              value={(constraints.stages[stage.id] || {}).maxStaff ?? ''}
+              onChange={(e) => updateLimit(stage.id, 'maxStaff', e.target.value)}
+              placeholder={t('plan.noLimit')}
+            />
+          </LimitRow>
+        ))}
+        <SmallButton onClick={handleGenerate}>{t('plan.generate')}</SmallButton>
+        <SectionTitle>{t('plan.hourlyHeadcount')}</SectionTitle>
+        {outdated && <Warning>{t('plan.outdated')}</Warning>}
+        {!hasStaffingPlan(plan) ? (
+          <p>{t('plan.empty')}</p>
+        ) : (
+          <>
+            <TableWrapper>
+              <PlanTable>
+                <thead>
+                  <tr>
+                    <th>{t('plan.hour')}</th>
+                    {stages.map(stage => <th key={stage.id}>{stageName(stage)}</th>)}
+                    <th>{t('plan.total')}</th>
+                    {stages.map(stage => <th key={`output-${stage.id}`}>{t('plan.byEndOfHour', { stage: stageName(stage) })}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {hourSlots.map(slot => {
+                    const output = calculatePlannedOutputAt(settings, plan, slot.end);
+                    return (
+                      <tr key={slot.key}>
+                        <td>{formatTime(slot.key)}</td>
+                        {stages.map(stage => (
+                          <td key={stage.id}>
+                            <input
+                              type="number"
+                              min="0"
+                              value={(slots[slot.key] || {})[stage.id] ?? ''}
+                              onChange={(e) => updateCell(slot.key, stage.id, e.target.value)}
+                            />
+                          </td>
+                        ))}
+                        <td>{stages.reduce((sum, stage) => sum + headcount(slot.key, stage.id), 0)}</td>
+                        {stages.map(stage => (
+                          <td key={`output-${stage.id}`}>{formatNumber(Math.round(output[stage.id]))}</td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </PlanTable>
+            </TableWrapper>
+            {warnings.length === 0
+              ? <p>✅ {t('plan.meetsTargets')}</p>
+              : warnings.map(warning => translateMessage(warning)).map(text => <Warning key={text}>⚠️ {text}</Warning>)}
+          </>
+        )}
+        <div style={{ marginTop: '30px', textAlign: 'center', display: 'flex', justifyContent: 'center', gap: '10px' }}>
+          <Button onClick={handleSave}>{t('plan.save')}</Button>
+          {hasStaffingPlan(plan) && <Button onClick={handleClear}>{t('plan.clear')}</Button>}
+        </div>
+      </Container>
+    </motion.div>
+  );
+};
+
+export default StaffingPlan;
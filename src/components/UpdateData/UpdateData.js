@@ -1,13 +1,58 @@
 // src/components/UpdateData/UpdateData.js
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useContext, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import Container from '../Container';
 import Button from '../Button';
 import Input from '../Input';
 import {
-  calculateDeviations,
+  calculateArrivedOrders,
   calculateRecommendations,
   calculateExpectedAtTime,
+  calculateCompletionEta,
+  calculateLastHourBacklog,
+  calculateRecommendedStaff,
+  normalizeControlPoints,
+  getHourSlotAt,
+  getShiftBounds,
+  toShiftDate,
 } from '../../utils/calculations';
+import { archiveShift, createShiftRecord, createCurrentShiftSnapshot } from '../../utils/shiftArchive';
+import { exportShiftReport } from '../../utils/csvExport';
+import {
+  getZones,
+  getSiteSettings,
+  calculateZoneResults,
+  calculateSiteDeviations,
+  getZoneStage,
+} from '../../utils/zones';
+import { calculateRollingThroughput } from '../../utils/progressLog';
+import { analyzePipeline } from '../../utils/pipeline';
+import { loadRoster, getStageTeams } from '../../utils/roster';
+import { loadStaffingPlan, hasStaffingPlan } from '../../utils/staffingPlan';
+import { calculateLaborCost } from '../../utils/laborCost';
+import { calculateCutoffStatus, getCutoffLabel } from '../../utils/cutoffs';
+import { getStages } from '../../utils/stages';
+import { validateSettings } from '../../utils/settingsValidation';
+import {
+  setActual,
+  setZoneActual,
+  createControlPointEntry,
+  initControlPoints,
+  setControlPointTime,
+  setControlPointActual,
+  deleteControlPoint,
+  resetShift,
+  saveShiftState,
+} from '../../utils/shiftStore';
+import WarehouseContext from '../../context/WarehouseContext';
+import LanguageContext from '../../context/LanguageContext';
+import AlertsContext from '../../context/AlertsContext';
+import {
+  getVisibleAlerts,
+  acknowledgeAlert,
+  snoozeAlert,
+} from '../../utils/alerts';
+import renderSettingsErrors from '../SettingsErrors';
 import { motion } from 'framer-motion';
 import styled from 'styled-components';
 
@@ -77,81 +122,104 @@ const SmallButton = styled.button`
   }
   margin-top: 10px;
 `;
+const CutoffWarning = styled.p`
+  color: #ff3b30;
+  font-weight: bold;
+`;
+
+// Alert feed: active alerts with acknowledge and snooze actions
+const AlertFeed = styled.div`
+  margin: 16px 0;
+  padding: 12px 16px;
+  border: 1px solid #ff9500;
+  border-radius: 10px;
+  background: #fff8ec;
+`;
+
+const AlertItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+  margin-bottom: 6px;
+`;
+
 const StatusText = styled.span`
   color: ${props => (props.positive ? 'green' : props.negative ? 'red' : 'black')};
   font-weight: bold;
 `;
 
+// Начальные данные контрольных точек по настройкам смены (и плану персонала, если он есть)
+const buildInitialCpData = (settings, staffingPlan = null) => {
+  if (!settings.controlPoints || settings.controlPoints.length === 0) return [];
+  // Контрольные точки по порядку внутри смены (ночная смена переходит через полночь)
+  const { shiftStartDate } = getShiftBounds(settings);
+  const orderedCP = [...settings.controlPoints].sort(
+    (a, b) => toShiftDate(a.time, shiftStartDate) - toShiftDate(b.time, shiftStartDate)
+  );
+  return orderedCP.map(cp => createControlPointEntry(cp.time, calculateExpectedAtTime(settings, cp.time, new Date(), staffingPlan)));
+};
+
 const UpdateData = () => {
-  // Actual processed orders
-  const [pickedActual, setPickedActual] = useState(0);
-  const [packedActual, setPackedActual] = useState(0);
-  // Settings and computed values
-  const [settings, setSettings] = useState(null);
+  const navigate = useNavigate();
+  // Shift data from the store:
+  // actuals by stage ({ [stageId]: number }), every counter update with its timestamp,
+  // actuals per zone ({ [zoneId]: { [stageId]: number } }) and control points
+  const { state, dispatch } = useContext(WarehouseContext);
+  const { actuals, progressLog, zoneActuals, cpData } = state;
+  const { t, translateMessage, translateMessages, formatNumber, formatTime: formatLocalTime, stageName } = useContext(LanguageContext);
+  const [zoneResults, setZoneResults] = useState([]);
+  // Site-level settings (with zones, plans are summed over zones);
+  // настройки с ошибками не считаются: движок отклоняет их
+  const { settings, settingsErrors } = useMemo(() => {
+    if (!state.settings) return { settings: null, settingsErrors: [] };
+    const siteSettings = getSiteSettings(state.settings);
+    const errors = validateSettings(siteSettings);
+    return { settings: errors.length === 0 ? siteSettings : null, settingsErrors: errors };
+  }, [state.settings]);
+  // Computed values
+  const [roster, setRoster] = useState(null);
+  const [staffingPlan, setStaffingPlan] = useState(null);
   const [deviations, setDeviations] = useState({});
   const [recommendations, setRecommendations] = useState({});
-  // Control points
-  const [cpData, setCpData] = useState([]);
-  const initialRender = useRef(true);
-
-  // Load updateData from localStorage
-  useEffect(() => {
-    const savedData = localStorage.getItem('updateData');
-    if (savedData) {
-      const parsed = JSON.parse(savedData);
-      setPickedActual(parsed.pickedActual);
-      setPackedActual(parsed.packedActual);
-      if (parsed.cpData) setCpData(parsed.cpData);
-    }
-  }, []);
-
-  // Auto-save updateData
-  useEffect(() => {
-    if (initialRender.current) {
-      initialRender.current = false;
-      return;
-    }
-    const dataToSave = { pickedActual, packedActual, cpData };
-    localStorage.setItem('updateData', JSON.stringify(dataToSave));
-  }, [pickedActual, packedActual, cpData]);
+  const [throughput, setThroughput] = useState({});
+  const [eta, setEta] = useState(null);
+  // Alert rules and the alerts of this shift (feed, acknowledgements, log); checked by AlertsProvider
+  const { rules: alertRules, alertState, changeAlertState, clearAlerts } = useContext(AlertsContext);
 
-  // Load settings from localStorage
+  // Load the roster and staffing plan
   useEffect(() => {
-    const storedSettings = localStorage.getItem('settings');
-    if (storedSettings) {
-      setSettings(JSON.parse(storedSettings));
-    }
+    setRoster(loadRoster());
+    setStaffingPlan(loadStaffingPlan());
   }, []);
 
   // Initialize control points if not set
   useEffect(() => {
-    const savedData = localStorage.getItem('updateData');
-    const parsed = savedData ? JSON.parse(savedData) : {};
-    if ((!parsed.cpData || parsed.cpData.length === 0) &&
-        settings && settings.controlPoints && settings.controlPoints.length > 0) {
-      const initialCP = settings.controlPoints.map(cp => {
-        const exp = calculateExpectedAtTime(settings, cp.time);
-        return {
-          time: cp.time,
-          plannedPicking: exp.expectedPicking,
-          plannedPacking: exp.expectedPacking,
-          actualPicked: 0,
-          actualPacked: 0,
-        };
-      });
-      setCpData(initialCP);
+    if (cpData.length === 0 && settings && settings.controlPoints && settings.controlPoints.length > 0) {
+      dispatch(initControlPoints(buildInitialCpData(settings, staffingPlan)));
     }
-  }, [settings]);
+  }, [cpData.length, settings, staffingPlan, dispatch]);
 
   // Recalculate deviations and recommendations periodically
   const recalc = useCallback(() => {
-    if (settings) {
-      const dev = calculateDeviations(settings, pickedActual, packedActual);
-      setDeviations(dev);
-      const rec = calculateRecommendations(dev, settings);
-      setRecommendations(rec);
-    }
-  }, [settings, pickedActual, packedActual]);
+    // Скорость за последние 30 и 60 минут по журналу обновлений
+    const last30 = calculateRollingThroughput(progressLog, 30);
+    const last60 = calculateRollingThroughput(progressLog, 60);
+    setThroughput({ last30, last60 });
+    if (!settings) return;
+
+    // Показатели площадки — так же, как в архиве и на табло; по зонам — отдельно для таблицы зон
+    const now = new Date();
+    setZoneResults(calculateZoneResults(settings, zoneActuals, now));
+    const dev = calculateSiteDeviations(settings, actuals, zoneActuals, now, staffingPlan);
+    setDeviations(dev);
+    // С расписанием сотрудников рекомендации называют конкретных людей
+    const rec = calculateRecommendations(dev, settings, null, roster);
+    setRecommendations(rec);
+    // Прогноз по скорости за последний час; без журнала — по средней скорости смены
+    const currentEta = calculateCompletionEta(settings, actuals, last60.windowHours > 0 ? last60.speeds : null);
+    setEta(currentEta);
+  }, [settings, actuals, progressLog, zoneActuals, roster, staffingPlan]);
 
   useEffect(() => {
     recalc();
@@ -159,203 +227,436 @@ const UpdateData = () => {
     return () => clearInterval(timer);
   }, [recalc]);
 
+  const stages = settings ? getStages(settings) : [];
+  const stageDeviations = deviations.stages || {};
+  const stageNameOf = (stageId) => stageName(stages.find(stage => stage.id === stageId) || { id: stageId });
+  // Этапы как конвейер: заказы в буфере между этапами и узкое место
+  const pipeline = settings && deviations.stages ? analyzePipeline(deviations, settings) : null;
+  const actualOf = (stageId) => Number(actuals[stageId]) || 0;
+
   // Main Indicators:
-  // Actual overall speeds = (actual orders / hoursWorked) * 2
-  const actualSpeedPicking = deviations.hoursPassed > 0 ? (pickedActual / deviations.hoursPassed) * 2 : 0;
-  const actualSpeedPacking = deviations.hoursPassed > 0 ? (packedActual / deviations.hoursPassed) * 2 : 0;
-  
-  // Recommended staff = required speed / avgSpeed (for each process)
-  const avgSpeed = settings ? Number(settings.avgSpeed) : 0;
-  const recommendedPeoplePicking = settings && deviations.requiredSpeedPicking ? (deviations.requiredSpeedPicking / (avgSpeed * 2)) : 0;
-  const recommendedPeoplePacking = settings && deviations.requiredSpeedPacking ? (deviations.requiredSpeedPacking / (avgSpeed * 2)) : 0;
-  
+  // Actual overall speed = (actual orders / hoursWorked) * 2
+  const actualSpeedOf = (stageId) => (deviations.hoursPassed > 0 ? (actualOf(stageId) / deviations.hoursPassed) * 2 : 0);
+
+  // Recommended staff = required speed / avgSpeed (for each stage)
+  const recommendedPeople = settings ? calculateRecommendedStaff(deviations, settings, roster) : {};
+  // Who works on each stage this hour according to the roster
+  const currentSlot = settings ? getHourSlotAt(settings, new Date()) : null;
+  const teams = roster && currentSlot ? getStageTeams(roster, stages, currentSlot.key) : null;
+  // Planned headcount of the current hour from the staffing plan
+  const plannedStaff = hasStaffingPlan(staffingPlan) && currentSlot ? staffingPlan.slots[currentSlot.key] : null;
+
+  // Orders expected to have arrived by now; plans are capped by them
+  const arrivals = settings ? calculateArrivedOrders(settings, new Date()) : null;
+
+  // Labor cost so far and projected for the shift (the projection uses the last-hour speed, like the ETA)
+  const hasRates = stages.some(stage => stage.hourlyRate > 0);
+  const recentSpeeds = throughput.last60 && throughput.last60.windowHours > 0 ? throughput.last60.speeds : null;
+  const laborCost = settings && hasRates
+    ? calculateLaborCost(settings, actuals, roster, staffingPlan, recentSpeeds)
+    : null;
+
+  // Carrier cutoffs, most important first (measured on the last stage)
+  const cutoffStatus = settings ? calculateCutoffStatus(settings, actuals, cpData, recentSpeeds) : [];
+  const cutoffsAtRisk = cutoffStatus.filter(item => item.status === 'at-risk');
+  const cutoffAt = (time) => (settings ? normalizeControlPoints(settings.controlPoints) : [])
+    .find(cp => cp.time === time && cp.orders > 0);
+
   // Last Hour Indicators:
-  // Теперь оставшиеся заказы рассчитываются как абсолютное значение отклонений
-  const remainingForPicking = settings ? (deviations.pickingDeviation < 0 ? deviations.pickingDeviation : 0) : 0;
-  const remainingForPacking = settings ? (deviations.packingDeviation < 0 ? deviations.packingDeviation : 0) : 0;
+  const lastHourBacklog = settings ? calculateLastHourBacklog(deviations, settings) : null;
+  const totalRemaining = lastHourBacklog ? lastHourBacklog.totalRemaining : 0;
+  const totalRemainingMessage = totalRemaining < 0
+    ? t('update.planNotMetOnTime')
+    : t('update.planMetOnTime');
 
-  
-  // Общее оставшееся количество заказов (среднее значение):
-  const totalRemaining = (remainingForPicking + remainingForPacking) / 2;
-  
-  // Вместимость последних часов для обоих процессов:
-  const capacity = settings ? Number(settings.staffForLastPeriod) * avgSpeed : 0;
-  
-  // Формируем сообщение для Total remaining unprocessed orders (last hour)
-  let totalRemainingMessage = "";
-  if (totalRemaining < 0) {
-    totalRemainingMessage = `Plan will not be met on time 😧🏃👀`;
-  } else if (totalRemaining === 0) {
-    totalRemainingMessage = "Plan will be met on time 🙋😃🥇";
-  } else {
-    totalRemainingMessage = "Plan will be met on time 🙋😃🥇";
-  }
-  
-  // Staff needed для каждого процесса = (remaining orders for process) / avgSpeed * 2
-  const staffNeededPicking_lastHour = avgSpeed > 0 ? remainingForPicking / (avgSpeed * 2) : 0;
-  const staffNeededPacking_lastHour = avgSpeed > 0 ? remainingForPacking / (avgSpeed * 2) : 0;
+  // Progress of each stage against its plan
+  const progressOf = (stage) => (stage.expectedOrders
+    ? Math.min((actualOf(stage.id) / stage.expectedOrders) * 100, 100)
+    : 0);
+
+  // ETA label: finish time and minutes early/late against shiftEnd
+  const formatEta = (processEta) => {
+    if (!processEta) return '—';
+    if (processEta.completed) return t('update.etaCompleted');
+    if (!processEta.eta) return t('update.etaNoData');
+    const minutes = Math.round(processEta.minutesVsShiftEnd);
+    let status = t('update.etaAtShiftEnd');
+    if (minutes < 0) status = t('update.etaEarly', { count: Math.abs(minutes) });
+    if (minutes > 0) status = t('update.etaLate', { count: minutes });
+    return `${formatLocalTime(processEta.eta)} (${status})`;
+  };
+
+  // Counter updates are recorded in the progress log
+  const handleActualChange = (stageId, value) => {
+    dispatch(setActual(stageId, value));
+  };
 
-  // Progress for Packing:
-  const progressPercentage =
-    settings && settings.expectedOrders
-      ? Math.min((packedActual / Number(settings.expectedOrders)) * 100, 100)
-      : 0;
+  // Zone counters: site totals are the sums over all zones
+  const zones = getZones(settings);
+  const handleZoneChange = (zoneId, stageId, value) => {
+    dispatch(setZoneActual(zoneId, stageId, value));
+  };
 
   // Functions для обновления данных контрольных точек.
-  const updateCPField = (index, field, value) => {
-    const newCPData = [...cpData];
-    newCPData[index] = { ...newCPData[index], [field]: Number(value) };
-    setCpData(newCPData);
+  const updateCPActual = (id, stageId, value) => {
+    dispatch(setControlPointActual(id, stageId, value));
   };
 
-  const updateCPTime = (index, value) => {
-    const newCPData = [...cpData];
-    const exp = calculateExpectedAtTime(settings, value);
-    newCPData[index] = {
-      time: value,
-      plannedPicking: exp.expectedPicking,
-      plannedPacking: exp.expectedPacking,
-      actualPicked: cpData[index]?.actualPicked || 0,
-      actualPacked: cpData[index]?.actualPacked || 0,
-    };
-    setCpData(newCPData);
+  const updateCPTime = (id, value) => {
+    dispatch(setControlPointTime(id, value, calculateExpectedAtTime(settings, value, new Date(), staffingPlan)));
   };
 
+  // Alerts: acknowledged ones leave the feed, snoozed ones come back later
+  const visibleAlerts = getVisibleAlerts(alertState);
+  const snoozeMinutes = Number(alertRules.snoozeMinutes) || 15;
+
+  // Every change is saved by the store; this writes the whole shift once more
   const handleSaveAll = () => {
-    const dataToSave = { pickedActual, packedActual, cpData };
-    localStorage.setItem('updateData', JSON.stringify(dataToSave));
-    alert("All data has been updated and saved!");
+    saveShiftState(state);
+    alert(t('update.saved'));
+  };
+
+  const handleExportCsv = () => {
+    exportShiftReport(createCurrentShiftSnapshot({ settings, actuals, cpData, progressLog, zoneActuals, staffingPlan, roster }));
+  };
+
+  // Close the shift: archive a full snapshot and start a fresh one
+  const handleCloseShift = () => {
+    if (!settings) return;
+    if (!window.confirm(t('update.confirmCloseShift'))) return;
+    archiveShift(createShiftRecord({ settings, actuals, cpData, progressLog, zoneActuals, staffingPlan, roster, alertLog: alertState.log }));
+    clearAlerts();
+    dispatch(resetShift(buildInitialCpData(settings, staffingPlan)));
+    navigate('/archive');
   };
 
   return (
     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.5 }}>
       <Container>
-        <h1>🔄 Update Process Data</h1>
+        <h1>🔄 {t('update.title')}</h1>
+        {settingsErrors.length > 0 && renderSettingsErrors(settingsErrors, translateMessage, t)}
+        <p>
+          <Link to="/import" style={{ color: '#007aff' }}>{t('update.importLink')}</Link>
+          {' · '}
+          <Link to="/alerts" style={{ color: '#007aff' }}>{t('update.alertsLink')}</Link>
+        </p>
+        {visibleAlerts.length > 0 && (
+          <AlertFeed>
+            <strong>🔔 {t('update.alerts')}</strong>
+            {visibleAlerts.map(alert => (
+              <AlertItem key={alert.id}>
+                <span>{formatLocalTime(new Date(alert.firedAt))} — {translateMessage(alert.message)}</span>
+                <SmallButton onClick={() => changeAlertState(state => acknowledgeAlert(state, alert.id))}>{t('update.acknowledge')}</SmallButton>
+                <SmallButton onClick={() => changeAlertState(state => snoozeAlert(state, alert.id, snoozeMinutes))}>
+                  {t('update.snooze', { count: snoozeMinutes })}
+                </SmallButton>
+              </AlertItem>
+            ))}
+          </AlertFeed>
+        )}
+        {cutoffsAtRisk.map(item => (
+          <CutoffWarning key={item.cutoff.time}>
+            {/* До отсечки не осталось рабочего времени: нужная скорость бесконечна */}
+            ⚠️ {t(Number.isFinite(item.neededSpeed) ? 'update.cutoffAtRisk' : 'update.cutoffNoTimeLeft', {
+              cutoff: getCutoffLabel(item.cutoff),
+              projected: Math.round(item.projected),
+              required: item.required,
+              speed: Math.round(item.neededSpeed),
+            })}
+          </CutoffWarning>
+        ))}
         {/* General Data Inputs */}
         <FormContainer>
-          <FormField>
-            <Label>Actual number of orders picked:</Label>
-            <Input type="number" value={pickedActual} onChange={(e) => setPickedActual(Number(e.target.value))} />
-          </FormField>
-          <FormField>
-            <Label>Actual number of orders packed:</Label>
-            <Input type="number" value={packedActual} onChange={(e) => setPackedActual(Number(e.target.value))} />
-          </FormField>
+          {stages.map(stage => (
+            <FormField key={stage.id}>
+              <Label>{t(zones.length > 0 ? 'update.actualOrdersSiteTotal' : 'update.actualOrders', { stage: stageName(stage) })}</Label>
+              <Input type="number" value={actualOf(stage.id)} disabled={zones.length > 0} onChange={(e) => handleActualChange(stage.id, e.target.value)} />
+            </FormField>
+          ))}
         </FormContainer>
+        {/* Zones / clients */}
+        {zones.length > 0 && (
+          <ControlPointContainer>
+            <SectionTitle>{t('update.zones')}</SectionTitle>
+            {zones.map(zone => {
+              const result = zoneResults.find(item => item.zone.id === zone.id);
+              return (
+                <CPBlock key={zone.id}>
+                  <p>
+                    <strong>{zone.name}</strong>{' '}
+                    {t('update.zonePlan', {
+                      plan: stages.map(stage => t('update.zonePlanStage', { orders: getZoneStage(zone, stage.id).expectedOrders, stage: stageName(stage) })).join(' / '),
+                    })}
+                  </p>
+                  <p>
+                    {stages.map(stage => (
+                      <React.Fragment key={stage.id}>
+                        <strong>{stageName(stage)}:</strong>{" "}
+                        <Input type="number" value={zoneActuals[zone.id]?.[stage.id] || 0} onChange={(e) => handleZoneChange(zone.id, stage.id, e.target.value)} style={{ width: "100px" }} />
+                        {" "}
+                      </React.Fragment>
+                    ))}
+                  </p>
+                  {result && (
+                    <div>
+                      {stages.map(stage => (
+                        <p key={stage.id}>{t('update.deviation', { stage: stageName(stage), value: result.deviations.stages[stage.id].deviation })}</p>
+                      ))}
+                      {stages.map(stage => (
+                        <p key={stage.id}>{translateMessages(result.recommendations[stage.id])}</p>
+                      ))}
+                    </div>
+                  )}
+                </CPBlock>
+              );
+            })}
+            <p>{t('update.siteTotals')}</p>
+          </ControlPointContainer>
+        )}
         <ResultsContainer>
           {/* Main Indicators */}
-          <SectionTitle>Main Indicators</SectionTitle>
+          <SectionTitle>{t('update.mainIndicators')}</SectionTitle>
           {settings && (
             <div>
-              <p>Hours worked: {deviations.hoursPassed ? deviations.hoursPassed.toFixed(2) : 0}</p>
+              {hasStaffingPlan(staffingPlan) && (
+                <p>{t('update.measuredAgainst')} <Link to="/plan" style={{ color: '#007aff' }}>{t('update.staffingPlan')}</Link>.</p>
+              )}
+              <p>{t('update.hoursWorked', { value: deviations.hoursPassed || 0 })}</p>
+              {arrivals && (
+                <p>{t('update.ordersArrived', { arrived: Math.round(arrivals.arrived), total: arrivals.total })}</p>
+              )}
+              {stages.map((stage, index) => {
+                const result = stageDeviations[stage.id] || {};
+                return (
+                  <div key={stage.id}>
+                    {index > 0 && <hr />}
+                    <p>{t('update.expectedProcessed', { stage: stageName(stage), value: result.expectedProcessed || 0 })}</p>
+                    <p>{t('update.requiredSpeed', { stage: stageName(stage), value: result.requiredSpeed || 0 })}</p>
+                    <p>{t('update.actualSpeed', { stage: stageName(stage), value: actualSpeedOf(stage.id) })}</p>
+                    <p>{t('update.recommendedStaff', { stage: stageName(stage), value: recommendedPeople[stage.id] || 0 })}</p>
+                    {plannedStaff && (
+                      <p>{t('update.plannedStaff', {
+                        stage: stageName(stage),
+                        slot: currentSlot.key,
+                        staff: { key: 'common.employees', values: { count: Number(plannedStaff[stage.id]) || 0 } },
+                      })}</p>
+                    )}
+                    {teams && teams[stage.id].people.length > 0 && (
+                      <p>
+                        {t('update.team', {
+                          stage: stageName(stage),
+                          slot: currentSlot.key,
+                          people: teams[stage.id].people.map(person => person.employee.name || '—').join(', '),
+                          capacity: Math.round(teams[stage.id].capacity),
+                        })}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          {/* Rolling throughput from the progress log */}
+          <SectionTitle>{t('update.recentThroughput')}</SectionTitle>
+          {throughput.last60 && throughput.last60.windowHours > 0 ? (
+            <div>
+              {stages.map(stage => (
+                <React.Fragment key={stage.id}>
+                  <p>{t('update.speedLast', { stage: stageName(stage), minutes: 30, value: throughput.last30.speeds[stage.id] || 0 })}</p>
+                  <p>{t('update.speedLast', { stage: stageName(stage), minutes: 60, value: throughput.last60.speeds[stage.id] || 0 })}</p>
+                </React.Fragment>
+              ))}
+            </div>
+          ) : (
+            <p>{t('update.noThroughput')}</p>
+          )}
+          {/* Projected completion */}
+          <SectionTitle>{t('update.eta')}</SectionTitle>
+          {settings && eta && (
+            <div>
+              <p>{t('update.shiftEnd', { time: eta.shiftEnd ? formatLocalTime(eta.shiftEnd) : '—' })}</p>
+              {stages.map(stage => {
+                const stageEta = eta.stages[stage.id];
+                if (!stageEta) return null;
+                return (
+                  <p key={stage.id}>
+                    {t('update.stageEta', { stage: stageName(stage) })}{" "}
+                    <StatusText positive={stageEta.completed || (stageEta.eta && stageEta.minutesVsShiftEnd <= 0)} negative={stageEta.minutesVsShiftEnd > 0}>
+                      {formatEta(stageEta)}
+                    </StatusText>
+                    {stageEta.limitedBy && ` — ${t('update.waitsFor', { stage: stageNameOf(stageEta.limitedBy) })}`}
+                  </p>
+                );
+              })}
+            </div>
+          )}
+          {/* Carrier cutoffs */}
+          {cutoffStatus.length > 0 && (
+            <>
+              <SectionTitle>{t('update.cutoffs')}</SectionTitle>
+              {cutoffStatus.map(item => (
+                <p key={item.cutoff.time}>
+                  {translateMessage(getCutoffLabel(item.cutoff))}{item.cutoff.priority !== null && ` (${t('update.cutoffPriority', { priority: item.cutoff.priority })})`}:
+                  {' '}{t('update.cutoffRequired', { count: item.required })},{' '}
+                  {item.projected !== null ? t('update.cutoffProjected', { value: Math.round(item.projected) }) : t('update.cutoffNoProjection')} —{' '}
+                  <StatusText positive={item.status === 'met' || item.status === 'on-track'} negative={item.status === 'at-risk' || item.status === 'missed'}>
+                    {t(`cutoffs.${item.status}`)}
+                  </StatusText>
+                </p>
+              ))}
+            </>
+          )}
+          {/* Labor cost */}
+          <SectionTitle>{t('update.laborCost')}</SectionTitle>
+          {laborCost ? (
+            <div>
               <p>
-                Expected number of processed orders by that time (Picking): {deviations.expectedProcessedPicking ? deviations.expectedProcessedPicking.toFixed(2) : 0}
+                {t('update.staffHours', { value: laborCost.staffHours })}
+                {laborCost.estimated && ` ${t('update.staffHoursEstimated')}`}
               </p>
-              <p>Required overall speed (Picking): {deviations.requiredSpeedPicking ? deviations.requiredSpeedPicking.toFixed(2) : 0} orders/hour</p>
-              <p>Actual overall speed (Picking): {actualSpeedPicking.toFixed(2)} orders/hour</p>
-              <p>Recommended staff for Picking today: {recommendedPeoplePicking.toFixed(2)}</p>
-              <hr />
+              <p>{t('update.costSoFar', { value: formatNumber(laborCost.cost, 2) })}</p>
+              <p>{t('update.costPerOrder', { value: laborCost.costPerOrder !== null ? formatNumber(laborCost.costPerOrder, 2) : '—' })}</p>
               <p>
-                Expected number of processed orders by that time (Packing): {deviations.expectedProcessedPacking ? deviations.expectedProcessedPacking.toFixed(2) : 0}
+                {t('update.projectedCost', { value: formatNumber(laborCost.projectedCost, 2) })}
+                {laborCost.overtimeHours > 0 && ` ${t('update.includingOvertime', { count: laborCost.overtimeHours })}`}
               </p>
-              <p>Required overall speed (Packing): {deviations.requiredSpeedPacking ? deviations.requiredSpeedPacking.toFixed(2) : 0} orders/hour</p>
-              <p>Actual overall speed (Packing): {actualSpeedPacking.toFixed(2)} orders/hour</p>
-              <p>Recommended staff for Packing today: {recommendedPeoplePacking.toFixed(2)}</p>
+              <p>{t('update.projectedCostPerOrder', { value: laborCost.projectedCostPerOrder !== null ? formatNumber(laborCost.projectedCostPerOrder, 2) : '—' })}</p>
             </div>
+          ) : (
+            <p>{t('update.setHourlyRates')}</p>
           )}
           {/* Last Hour Backlog Indicators */}
-          <SectionTitle>Last Hour Backlog Indicators</SectionTitle>
-          {settings && (
+          <SectionTitle>{t('update.lastHourBacklog')}</SectionTitle>
+          {lastHourBacklog && (
             <div>
-              <p>Expected Backlog – Picking: {Math.round(remainingForPicking)} orders</p>
-              <p>Expected Backlog – Packing: {Math.round(remainingForPacking)} orders</p>
+              {stages.map(stage => (
+                <p key={stage.id}>{t('update.expectedBacklog', { stage: stageName(stage), count: Math.round(lastHourBacklog.stages[stage.id].remaining) })}</p>
+              ))}
               <p>
-                Total remaining unprocessed orders (last hour):{" "}
+                {t('update.totalRemaining')}{" "}
                 {totalRemaining < 0 ? (
                   <StatusText negative>{totalRemainingMessage}</StatusText>
                 ) : (
                   <StatusText positive>{totalRemainingMessage}</StatusText>
                 )}
               </p>
-              <p>Additional Staff Required for Picking (last hour): {Math.abs(staffNeededPicking_lastHour).toFixed(2)}</p>
-              <p>Additional Staff Required for Packing (last hour): {Math.abs(staffNeededPacking_lastHour).toFixed(2)}</p>
+              {stages.map(stage => (
+                <p key={stage.id}>{t('update.additionalStaff', { stage: stageName(stage), value: Math.abs(lastHourBacklog.stages[stage.id].staffNeeded) })}</p>
+              ))}
             </div>
           )}
+          {/* Work in progress between stages and the bottleneck */}
+          {pipeline && stages.length > 1 && (
+            <>
+              <SectionTitle>{t('update.pipeline')}</SectionTitle>
+              {pipeline.buffers.map(buffer => (
+                <p key={`${buffer.from}-${buffer.to}`}>
+                  {t('update.waitingBetween', { from: stageNameOf(buffer.from), to: stageNameOf(buffer.to), count: Math.round(buffer.wip) })}
+                  {buffer.overflow && (
+                    <StatusText negative> ({t('update.bufferOverflow', { from: stageNameOf(buffer.from), to: stageNameOf(buffer.to) })})</StatusText>
+                  )}
+                </p>
+              ))}
+              <p>
+                {t('update.bottleneck')}{" "}
+                {pipeline.bottleneck ? (
+                  <StatusText negative>{stageNameOf(pipeline.bottleneck)}</StatusText>
+                ) : (
+                  <StatusText positive>{t('update.noBottleneck')}</StatusText>
+                )}
+              </p>
+            </>
+          )}
           {/* Deviations and Recommendations */}
-          <SectionTitle>Deviations and Recommendations</SectionTitle>
+          <SectionTitle>{t('update.deviationsAndRecommendations')}</SectionTitle>
           <div>
-            <p>Deviation (Picking): {deviations.pickingDeviation ? deviations.pickingDeviation.toFixed(2) : 0}</p>
-            <p>Deviation (Packing): {deviations.packingDeviation ? deviations.packingDeviation.toFixed(2) : 0}</p>
+            {stages.map(stage => {
+              const deviation = stageDeviations[stage.id] ? stageDeviations[stage.id].deviation : 0;
+              return <p key={stage.id}>{t('update.deviation', { stage: stageName(stage), value: deviation || 0 })}</p>;
+            })}
           </div>
           <div style={{ marginTop: '20px' }}>
-            <p>{recommendations.picking}</p>
-            <p>{recommendations.packing}</p>
+            {stages.map(stage => (
+              <p key={stage.id}>{translateMessages(recommendations[stage.id])}</p>
+            ))}
           </div>
           {/* Progress */}
-          <SectionTitle>Progress</SectionTitle>
-          <div>
-            <p style={{ fontWeight: '500', marginBottom: '8px' }}>
-              Packing progress: {progressPercentage.toFixed(0)}%
-            </p>
-            <ProgressBarContainer>
-              <ProgressBar
-                width={progressPercentage}
-                initial={{ width: 0 }}
-                animate={{ width: `${progressPercentage}%` }}
-                transition={{ duration: 0.5 }}
-              />
-            </ProgressBarContainer>
-          </div>
+          <SectionTitle>{t('update.progress')}</SectionTitle>
+          {stages.map(stage => {
+            const progressPercentage = progressOf(stage);
+            return (
+              <div key={stage.id} style={{ marginBottom: '16px' }}>
+                <p style={{ fontWeight: '500', marginBottom: '8px' }}>
+                  {t('update.stageProgress', { stage: stageName(stage), value: progressPercentage })}
+                </p>
+                <ProgressBarContainer>
+                  <ProgressBar
+                    width={progressPercentage}
+                    initial={{ width: 0 }}
+                    animate={{ width: `${progressPercentage}%` }}
+                    transition={{ duration: 0.5 }}
+                  />
+                </ProgressBarContainer>
+              </div>
+            );
+          })}
         </ResultsContainer>
         {/* Control Points */}
         {settings && settings.controlPoints && settings.controlPoints.length > 0 && (
           <ControlPointContainer>
-            <SectionTitle>Control Points</SectionTitle>
+            <SectionTitle>{t('update.controlPoints')}</SectionTitle>
             {cpData && cpData.length > 0 ? (
-              cpData.map((cp, index) => {
+              cpData.map(cp => {
                 if (!cp.time) return null;
-                const expectedAtCP = calculateExpectedAtTime(settings, cp.time);
+                const expectedAtCP = calculateExpectedAtTime(settings, cp.time, new Date(), staffingPlan);
+                const cpActual = (stageId) => Number((cp.actual || {})[stageId]) || 0;
+                const cutoff = cutoffAt(cp.time);
                 return (
-                  <CPBlock key={index}>
+                  <CPBlock key={cp.id}>
                     <p>
-                      <strong>Control Point Time:</strong>{" "}
-                      <Input type="time" value={cp.time} onChange={(e) => updateCPTime(index, e.target.value)} style={{ maxWidth: "100px" }} />
+                      <strong>{t('update.controlPointTime')}</strong>{" "}
+                      <Input type="time" value={cp.time} onChange={(e) => updateCPTime(cp.id, e.target.value)} style={{ maxWidth: "100px" }} />
+                      {cutoff && ` — ${t('update.controlPointCutoff', { name: cutoff.name || t('update.carrier'), count: cutoff.orders })}`}
                     </p>
-                    <p>
-                      <strong>Planned (Picking):</strong> {expectedAtCP.expectedPicking.toFixed(0)} | <strong>Actual (Picking):</strong>{" "}
-                      <Input type="number" value={cp.actualPicked} onChange={(e) => updateCPField(index, "actualPicked", e.target.value)} style={{ width: "80px" }} />
-                    </p>
-                    <p>
-                      <strong>Planned (Packing):</strong> {expectedAtCP.expectedPacking.toFixed(0)} | <strong>Actual (Packing):</strong>{" "}
-                      <Input type="number" value={cp.actualPacked} onChange={(e) => updateCPField(index, "actualPacked", e.target.value)} style={{ width: "80px" }} />
-                    </p>
-                    <div>
-                      <p>
-                        <strong>Deviation (Picking):</strong> {(cp.actualPicked - expectedAtCP.expectedPicking).toFixed(2)}
-                      </p>
-                      <p>
-                        <strong>Deviation (Packing):</strong> {(cp.actualPacked - expectedAtCP.expectedPacking).toFixed(2)}
+                    {stages.map(stage => (
+                      <p key={stage.id}>
+                        <strong>{t('update.planned', { stage: stageName(stage) })}</strong> {formatNumber(expectedAtCP[stage.id], 0)} | <strong>{t('update.actual', { stage: stageName(stage) })}</strong>{" "}
+                        <Input type="number" value={cpActual(stage.id)} onChange={(e) => updateCPActual(cp.id, stage.id, e.target.value)} style={{ width: "80px" }} />
                       </p>
+                    ))}
+                    <div>
+                      {stages.map(stage => (
+                        <p key={stage.id}>
+                          <strong>{t('update.deviationLabel', { stage: stageName(stage) })}</strong> {formatNumber(cpActual(stage.id) - expectedAtCP[stage.id], 2)}
+                        </p>
+                      ))}
                     </div>
                     <SmallButton
-                      onClick={() => {
-                        const newCP = cpData.filter((_, i) => i !== index);
-                        setCpData(newCP);
-                      }}
+                      onClick={() => dispatch(deleteControlPoint(cp.id))}
                     >
-                      Delete Control Point
+                      {t('update.deleteControlPoint')}
                     </SmallButton>
                   </CPBlock>
                 );
               })
             ) : (
-              <p>No control point data available</p>
+              <p>{t('update.noControlPoints')}</p>
             )}
           </ControlPointContainer>
         )}
         {/* Save Button */}
         <div style={{ marginTop: "30px", textAlign: "center" }}>
-          <Button onClick={handleSaveAll}>Save All Data</Button>
+          <Button onClick={handleSaveAll}>{t('update.saveAll')}</Button>
+          {settings && (
+            <>
+              <SmallButton onClick={handleExportCsv} style={{ marginLeft: "20px" }}>
+                {t('update.exportCsv')}
+              </SmallButton>
+              <SmallButton onClick={handleCloseShift} style={{ marginLeft: "10px" }}>
+                {t('update.closeShift')}
+              </SmallButton>
+            </>
+          )}
         </div>
       </Container>
     </motion.div>
@@ -0,0 +1,90 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  DEFAULT_ALERT_RULES,
+  checkAlerts,
+  claimAlertsLeadership,
+  clearAlertState,
+  loadAlertRules,
+  loadAlertState,
+  notifyAlerts,
+  saveAlertRules,
+  saveAlertState,
+  watchAlerts,
+} from '../utils/alerts';
+import { loadStaffingPlan } from '../utils/staffingPlan';
+import LanguageContext from './LanguageContext';
+import WarehouseContext from './WarehouseContext';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Оповещения текущей смены: правила и состояние (лента, подтверждения, журнал).
+// Правила проверяются здесь, на любой странице: раз в минуту и при каждом изменении
+// данных смены. Проверяет и уведомляет одна вкладка, остальные показывают то, что она сохранила.
+// changeAlertState(change) применяет change(state) к сохранённому состоянию (подтверждение, отсрочка).
+const AlertsContext = createContext({
+  rules: DEFAULT_ALERT_RULES,
+  alertState: { active: {}, log: [], backlogBaseline: null },
+  saveRules: () => undefined,
+  changeAlertState: () => undefined,
+  clearAlerts: () => undefined,
+});
+
+export const AlertsProvider = ({ children }) => {
+  const { state } = useContext(WarehouseContext);
+  const { language } = useContext(LanguageContext);
+  const [rules, setRules] = useState(loadAlertRules);
+  const [alertState, setAlertState] = useState(loadAlertState);
+  const [isLeader, setIsLeader] = useState(false);
+
+  useEffect(() => claimAlertsLeadership(() => setIsLeader(true)), []);
+
+  // Правила и оповещения, сохранённые в других вкладках
+  useEffect(() => watchAlerts(() => {
+    setRules(loadAlertRules());
+    setAlertState(loadAlertState());
+  }), []);
+
+  const check = useCallback(() => {
+    const result = checkAlerts(rules, { ...state, staffingPlan: loadStaffingPlan() }, loadAlertState());
+    if (!result) return;
+    saveAlertState(result.state);
+    setAlertState(result.state);
+    notifyAlerts(result.fired, rules, language);
+  }, [rules, state, language]);
+
+  useEffect(() => {
+    if (!isLeader) return undefined;
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isLeader, check]);
+
+  const saveRules = useCallback((next) => {
+    saveAlertRules(next);
+    setRules(next);
+  }, []);
+
+  const changeAlertState = useCallback((change) => {
+    const next = change(loadAlertState());
+    saveAlertState(next);
+    setAlertState(next);
+  }, []);
+
+  const clearAlerts = useCallback(() => {
+    clearAlertState();
+    setAlertState(loadAlertState());
+  }, []);
+
+  return (
+    <AlertsContext.Provider value={{ rules, alertState, saveRules, changeAlertState, clearAlerts }}>
+      {children}
+    </AlertsContext.Provider>
+  );
+};
+
+AlertsProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default AlertsContext;
@@ -0,0 +1,59 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  DEFAULT_LANGUAGE,
+  formatNumber,
+  formatTimeOfDay,
+  loadLanguage,
+  saveLanguage,
+  translate,
+  translateMessage,
+  translateMessages,
+} from '../utils/i18n';
+import { getStageName } from '../utils/stages';
+
+// Язык интерфейса. Функции перевода и форматирования уже привязаны к нему:
+// t(key, values), translateMessage(message), translateMessages(messages),
+// formatNumber(value, digits), formatTime(dateOrHHMM), stageName(stage).
+const bind = (language) => ({
+  t: (key, values) => translate(language, key, values),
+  translateMessage: (message) => translateMessage(language, message),
+  translateMessages: (messages) => translateMessages(language, messages),
+  formatNumber: (value, digits) => formatNumber(language, value, digits),
+  formatTime: (value) => formatTimeOfDay(language, value),
+  stageName: (stage) => translateMessage(language, getStageName(stage)),
+});
+
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => undefined,
+  ...bind(DEFAULT_LANGUAGE),
+});
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(loadLanguage);
+
+  const setLanguage = useCallback((next) => {
+    saveLanguage(next);
+    setLanguageState(next);
+  }, []);
+
+  // Язык страницы — для озвучивания и переносов
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, ...bind(language) }), [language, setLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+LanguageProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default LanguageContext;
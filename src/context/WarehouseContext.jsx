@@ -1,26 +1,73 @@
-import React, { createContext, useReducer } from 'react';
-
-const initialState = { items: [] };
-const WarehouseContext = createContext(initialState);
-
-const warehouseReducer = (state, action) => {
-    switch (action.type) {
-        case 'ADD_ITEM':
-            return { ...state, items: [...state.items, action.payload] };
-        // Добавьте другие действия по необходимости
-        default:
-            return state;
-    }
-};
+import React, { createContext, useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { createEmptyShiftData, loadShiftState, saveShiftState, syncedShiftReducer } from '../utils/shiftStore';
+import { openTabChannel, stampAction } from '../utils/tabSync';
+import { SYNC_SERVER_URL, connectSyncServer } from '../utils/serverSync';
+
+// Состояние текущей смены: настройки и введённые данные. Все страницы читают
+// его отсюда и меняют только действиями из utils/shiftStore.
+// syncStatus — { status, pending } соединения с сервером синхронизации, null без сервера.
+const WarehouseContext = createContext({
+  state: { settings: null, ...createEmptyShiftData() },
+  dispatch: () => undefined,
+  syncStatus: null,
+});
 
 export const WarehouseProvider = ({ children }) => {
-    const [state, dispatch] = useReducer(warehouseReducer, initialState);
+  // Хранилище читается один раз (после initStorage), старые форматы мигрируются
+  const [state, applyAction] = useReducer(syncedShiftReducer, undefined, loadShiftState);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const savedState = useRef(state);
+  const channel = useRef(null);
+  const server = useRef(null);
+
+  // Правки из других вкладок применяются сразу; при споре о поле побеждает более поздняя.
+  // Они же ставятся в очередь на сервер: если вкладка-автор закроется без сети, правка не потеряется
+  useEffect(() => {
+    channel.current = openTabChannel((action) => {
+      applyAction(action);
+      if (server.current) server.current.send(action);
+    });
+    return () => channel.current.close();
+  }, []);
+
+  // Сервер синхронизации (если задан): правки других устройств применяются так же
+  useEffect(() => {
+    if (!SYNC_SERVER_URL) return undefined;
+    server.current = connectSyncServer({
+      onActions: (actions) => actions.forEach(applyAction),
+      onStatus: setSyncStatus,
+    });
+    return () => {
+      server.current.close();
+      server.current = null;
+    };
+  }, []);
+
+  // Каждая правка помечается временем и рассылается остальным вкладкам и на сервер
+  const dispatch = useCallback((action) => {
+    const stamped = stampAction(action);
+    applyAction(stamped);
+    if (channel.current) channel.current.post(stamped);
+    if (server.current) server.current.send(stamped);
+  }, []);
+
+  // Каждое изменение сразу сохраняется
+  useEffect(() => {
+    if (state === savedState.current) return;
+    saveShiftState(state, savedState.current);
+    savedState.current = state;
+  }, [state]);
+
+  return (
+    <WarehouseContext.Provider value={{ state, dispatch, syncStatus }}>
+      {children}
+    </WarehouseContext.Provider>
+  );
+};
 
-    return (
-        <WarehouseContext.Provider value={{ state, dispatch }}>
-            {children}
-        </WarehouseContext.Provider>
-    );
+WarehouseProvider.propTypes = {
+  children: PropTypes.node.isRequired,
 };
 
-export default WarehouseContext;
\ No newline at end of file
+export default WarehouseContext;
@@ -0,0 +1,422 @@
+// src/i18n/en.js
+// English texts of the interface. Placeholders: {name} as is, {name:2} a number
+// with two fraction digits, {name:lower} in lower case, {name:time} an "HH:MM"
+// time of day. A message that depends on a number is an object of plural forms
+// chosen by {count}.
+
+const en = {
+  'common.delete': 'Delete',
+  'common.employees': { one: '{count} employee', other: '{count} employees' },
+
+  // Этапы по умолчанию, пока их не переименовали, и отсечки (см. utils/stages, utils/cutoffs)
+  'stages.picking': 'Picking',
+  'stages.packing': 'Packing',
+  'cutoffs.label': '{name} {time:time}',
+  'cutoffs.defaultName': 'Cutoff',
+
+  'nav.settings': 'Shift Settings',
+  'nav.update': 'Update Data',
+  'nav.plan': 'Staffing Plan',
+  'nav.roster': 'Staff Roster',
+  'nav.analytics': 'Analytics & Reports',
+  'nav.simulator': 'What-if',
+  'nav.alerts': 'Alerts',
+  'nav.archive': 'Shift Archive',
+  'nav.board': 'Wallboard',
+  'nav.language': 'Language',
+  'nav.sync.connecting': 'Connecting…',
+  'nav.sync.online': 'Synced',
+  'nav.sync.offline': 'Offline',
+  'nav.sync.pending': { one: '{count} edit to send', other: '{count} edits to send' },
+
+  'settings.title': 'Shift Settings',
+  'settings.changedElsewhere': 'The settings were saved in another tab. Loading them replaces the form.',
+  'settings.loadSaved': 'Load Saved Settings',
+  'settings.templates': 'Shift Templates:',
+  'settings.load': 'Load',
+  'settings.update': 'Update',
+  'settings.rename': 'Rename',
+  'settings.duplicate': 'Duplicate',
+  'settings.templateNamePlaceholder': 'Template name',
+  'settings.templateNamePrompt': 'Template name:',
+  'settings.saveAsTemplate': 'Save Current as Template',
+  'settings.enterTemplateName': 'Enter a template name.',
+  'settings.confirmOverwriteTemplate': 'Overwrite template "{name}" with the current form?',
+  'settings.confirmDeleteTemplate': 'Delete template "{name}"?',
+  'settings.shiftStart': 'Shift Start Time:',
+  'settings.shiftEnd': 'Shift End Time:',
+  'settings.overtimeMultiplier': 'Overtime Pay Multiplier:',
+  'settings.breaks': 'Breaks:',
+  'settings.breakStart': 'Start',
+  'settings.breakEnd': 'End',
+  'settings.addBreak': 'Add Break',
+  'settings.controlPoints': 'Control Points and Carrier Cutoffs (a cutoff has a name and an order quota):',
+  'settings.controlPointTime': 'Time',
+  'settings.carrier': 'Carrier',
+  'settings.carrierPlaceholder': 'e.g. DPD',
+  'settings.orderQuota': 'Order Quota',
+  'settings.priority': 'Priority (1 = highest)',
+  'settings.addControlPoint': 'Add Control Point',
+  'settings.stages': 'Process Stages (in pipeline order):',
+  'settings.name': 'Name',
+  'settings.expectedOrders': 'Expected Number of Orders',
+  'settings.avgSpeed': 'Average Speed (one worker per hour)',
+  'settings.lastHourStaff': 'Staff in the last hour ({interval})',
+  'settings.hourlyRate': 'Hourly Rate (one worker)',
+  'settings.stageNamePlaceholder': 'Stage name',
+  'settings.addStage': 'Add Stage',
+  'settings.stageRequired': 'At least one process stage is required.',
+  'settings.confirmDeleteStage': 'Delete stage "{name}"?',
+  'settings.arrivals': 'Order Arrivals (planned values never exceed the orders arrived by then):',
+  'settings.arrivalFrom': 'From',
+  'settings.arrivalUntil': 'Until (empty for a wave)',
+  'settings.arrivalOrders': 'Orders',
+  'settings.arrivalsTotal': { one: 'Total arriving: {count} order', other: 'Total arriving: {count} orders' },
+  'settings.addWave': 'Add Wave',
+  'settings.addHourlyRows': 'Add Hourly Rows',
+  'settings.setShiftTimesFirst': 'Set the shift start and end times first.',
+  'settings.zones': 'Zones / Clients (plans and last-hour staff are summed for the site):',
+  'settings.zonePlan': 'Plan {stage}',
+  'settings.zoneLastHourStaff': 'Last Hour {stage} Staff',
+  'settings.zonePlaceholder': 'Zone or client',
+  'settings.addZone': 'Add Zone',
+  'settings.save': 'Save Settings',
+  'settings.saved': 'Settings saved!',
+  'settings.fixErrorsFirst': 'Fix the errors in the settings first ({count} found).',
+
+  'update.title': 'Update Process Data',
+  'update.importLink': 'Import counts from a WMS file',
+  'update.alertsLink': 'Alert rules and log',
+  'update.alerts': 'Alerts',
+  'update.acknowledge': 'Acknowledge',
+  'update.snooze': 'Snooze {count} min',
+  'update.cutoffAtRisk': '{cutoff} cutoff at risk: {projected} of {required} orders projected; needs {speed} orders/hour from now.',
+  'update.cutoffNoTimeLeft': '{cutoff} cutoff is overdue: {projected} of {required} orders projected, and no working time is left before it.',
+  'update.actualOrders': 'Actual number of orders – {stage}:',
+  'update.actualOrdersSiteTotal': 'Actual number of orders – {stage} (site total):',
+  'update.zones': 'Zones',
+  'update.zonePlan': '(plan: {plan})',
+  'update.zonePlanStage': '{orders} {stage:lower}',
+  'update.deviation': 'Deviation ({stage}): {value:2}',
+  'update.siteTotals': 'Site totals below add up all zones.',
+  'update.mainIndicators': 'Main Indicators',
+  'update.measuredAgainst': 'Deviations are measured against the',
+  'update.staffingPlan': 'staffing plan',
+  'update.hoursWorked': 'Hours worked: {value:2}',
+  'update.ordersArrived': 'Orders arrived so far (by the arrival profile): {arrived} of {total}',
+  'update.expectedProcessed': 'Expected number of processed orders by that time ({stage}): {value:2}',
+  'update.requiredSpeed': 'Required overall speed ({stage}): {value:2} orders/hour',
+  'update.actualSpeed': 'Actual overall speed ({stage}): {value:2} orders/hour',
+  'update.recommendedStaff': 'Recommended staff for {stage} today: {value:2}',
+  'update.plannedStaff': 'Planned staff for {stage} this hour ({slot}): {staff}',
+  'update.team': '{stage} team ({slot}): {people} — capacity {capacity} orders/hour',
+  'update.recentThroughput': 'Recent Throughput',
+  'update.speedLast': '{stage} speed (last {minutes} min): {value:2} orders/hour',
+  'update.noThroughput': 'Not enough updates yet to calculate recent throughput',
+  'update.eta': 'Projected Completion (ETA)',
+  'update.shiftEnd': 'Shift end: {time}',
+  'update.stageEta': '{stage} ETA:',
+  'update.etaCompleted': 'Plan completed ✅',
+  'update.etaNoData': 'Not enough data to project',
+  'update.etaAtShiftEnd': 'exactly at shift end',
+  'update.etaEarly': '{count} min early',
+  'update.etaLate': '{count} min late',
+  'update.waitsFor': 'waits for {stage}',
+  'update.cutoffs': 'Carrier Cutoffs',
+  'update.cutoffPriority': 'priority {priority}',
+  'update.cutoffRequired': { one: '{count} order by then', other: '{count} orders by then' },
+  'update.cutoffProjected': '{value} projected',
+  'update.cutoffNoProjection': 'no projection yet',
+  'update.laborCost': 'Labor Cost',
+  'update.staffHours': 'Staff hours so far: {value:2}',
+  'update.staffHoursEstimated': '(estimated from processed orders; add a roster or a staffing plan for exact hours)',
+  'update.costSoFar': 'Cost so far: {value}',
+  'update.costPerOrder': 'Cost per order: {value}',
+  'update.projectedCost': 'Projected shift cost: {value}',
+  'update.includingOvertime': { one: '(including {count:2} overtime hour)', other: '(including {count:2} overtime hours)' },
+  'update.projectedCostPerOrder': 'Projected cost per order: {value}',
+  'update.setHourlyRates': 'Set hourly rates in the shift settings to track labor cost.',
+  'update.lastHourBacklog': 'Last Hour Backlog Indicators',
+  'update.expectedBacklog': { one: 'Expected Backlog – {stage}: {count} order', other: 'Expected Backlog – {stage}: {count} orders' },
+  'update.totalRemaining': 'Total remaining unprocessed orders (last hour):',
+  'update.planMetOnTime': 'Plan will be met on time 🙋😃🥇',
+  'update.planNotMetOnTime': 'Plan will not be met on time 😧🏃👀',
+  'update.additionalStaff': 'Additional Staff Required for {stage} (last hour): {value:2}',
+  'update.pipeline': 'Pipeline',
+  'update.waitingBetween': {
+    one: 'Waiting between {from} and {to}: {count} order',
+    other: 'Waiting between {from} and {to}: {count} orders',
+  },
+  'update.bufferOverflow': '{to} count is above {from}, check the counters',
+  'update.bottleneck': 'Bottleneck:',
+  'update.noBottleneck': 'none',
+  'update.deviationsAndRecommendations': 'Deviations and Recommendations',
+  'update.progress': 'Progress',
+  'update.stageProgress': '{stage} progress: {value:0}%',
+  'update.controlPoints': 'Control Points',
+  'update.controlPointTime': 'Control Point Time:',
+  'update.controlPointCutoff': {
+    one: '{name} cutoff, quota {count} order',
+    other: '{name} cutoff, quota {count} orders',
+  },
+  'update.carrier': 'Carrier',
+  'update.planned': 'Planned ({stage}):',
+  'update.actual': 'Actual ({stage}):',
+  'update.deviationLabel': 'Deviation ({stage}):',
+  'update.deleteControlPoint': 'Delete Control Point',
+  'update.noControlPoints': 'No control point data available',
+  'update.saveAll': 'Save All Data',
+  'update.saved': 'All data has been updated and saved!',
+  'update.exportCsv': 'Export CSV',
+  'update.closeShift': 'Close Shift',
+  'update.confirmCloseShift': 'Close the shift? Its data will be moved to the archive.',
+
+  'cutoffs.met': 'Met ✅',
+  'cutoffs.on-track': 'On track',
+  'cutoffs.at-risk': 'At risk ⚠️',
+  'cutoffs.missed': 'Missed ❌',
+  'cutoffs.unknown': 'Not enough data yet',
+
+  'analytics.title': 'Analytics & Reports',
+  'analytics.currentShift': 'Current shift',
+  'analytics.exportCsv': 'Export CSV',
+  'analytics.noData': 'No data available for chart display',
+  'analytics.planned': 'Planned {stage}',
+  'analytics.actual': 'Actual {stage}',
+  'analytics.actualLog': 'Actual {stage} (log)',
+  'analytics.costPerOrderChart': 'Cost per order',
+  'analytics.laborCost': 'Labor Cost',
+  'analytics.cost': 'Cost: {cost} for {hours:2} staff hours',
+  'analytics.estimated': '(estimated from processed orders)',
+  'analytics.costPerOrder': 'Cost per order: {value}',
+  'analytics.projectedCost': 'Projected shift cost: {cost}, per order: {perOrder}',
+
+  // Табло (/board)
+  'board.waiting': 'Waiting for the shift settings…',
+  'board.settingsErrors': 'The shift settings have errors. Fix them in the settings.',
+  'board.progress': {
+    one: '{actual} of {count} order · {percent:0}%',
+    other: '{actual} of {count} orders · {percent:0}%',
+  },
+  'board.behind': 'orders behind plan',
+  'board.ahead': 'orders ahead of plan',
+  'board.etaCompleted': 'Plan completed',
+  'board.etaNone': 'No projection yet',
+  'board.etaLate': 'ETA {time} · {count} min late',
+  'board.etaEarly': 'ETA {time} · {count} min early',
+  'board.etaOnTime': 'ETA {time} · on time',
+  'board.nextControlPoint': 'Next control point',
+  'board.noControlPoints': 'No more control points this shift',
+  'board.recommendation': 'Recommendation',
+  'board.shift': 'Shift {start:time}–{end:time}',
+  'board.shiftNoSettings': 'Shift',
+
+  'common.saveSettingsFirst': 'Save the shift settings first.',
+
+  'simulator.title': 'What-if Simulator',
+  'simulator.intro': 'Shift {start:time}–{end:time}. Nothing entered here is saved.',
+  'simulator.time': 'Time within the shift:',
+  'simulator.processedByThen': 'Orders processed by then – {stage}:',
+  'simulator.lastHourStaff': '{stage} staff in the last hour:',
+  'simulator.mainIndicators': 'Main Indicators at {time}',
+  'simulator.expectedProcessed': 'Expected processed orders ({stage}): {value:2}',
+  'simulator.recommendedStaff': 'Recommended staff for {stage}: {value:2}',
+  'simulator.planStatus': 'Plan status:',
+
+  'roster.title': 'Staff Roster',
+  'roster.employees': 'Employees',
+  'roster.speedHint': 'Personal speed in orders per hour; empty fields use the stage average speed.',
+  'roster.name': 'Name',
+  'roster.confirmDelete': 'Delete {name} from the roster?',
+  'roster.confirmDeleteUnnamed': 'Delete this employee from the roster?',
+  'roster.addEmployee': 'Add Employee',
+  'roster.assignments': 'Hourly Assignments',
+  'roster.setShiftTimesFirst': 'Save the shift start and end times in the settings first.',
+  'roster.employee': 'Employee',
+  'roster.copyPreviousHour': 'Same as previous hour',
+  'roster.off': 'off',
+  'roster.capacity': '{stage} capacity',
+  'roster.perHour': '{value}/h',
+  'roster.save': 'Save Roster',
+  'roster.saved': 'Roster saved!',
+
+  'plan.title': 'Staffing Plan',
+  'plan.intro': 'People needed on each stage hour by hour to meet every control point and the shift plan. Once saved, the live deviations are measured against this plan.',
+  'plan.confirmReplace': 'Replace the current plan with a generated one?',
+  'plan.saved': 'Staffing plan saved!',
+  'plan.confirmClear': 'Clear the staffing plan? Deviations will be measured against the even plan again.',
+  'plan.limits': 'Headcount Limits',
+  'plan.totalStaff': 'Total available staff',
+  'plan.noLimit': 'No limit',
+  'plan.stage': 'Stage',
+  'plan.min': 'Min',
+  'plan.max': 'Max',
+  'plan.generate': 'Generate Plan',
+  'plan.hourlyHeadcount': 'Hourly Headcount',
+  'plan.outdated': 'The plan was made for other shift hours. Generate it again.',
+  'plan.empty': 'No plan yet. Set the limits and generate one.',
+  'plan.hour': 'Hour',
+  'plan.total': 'Total',
+  'plan.byEndOfHour': '{stage} by end of hour',
+  'plan.meetsTargets': 'The plan meets every control point and the shift plan.',
+  'plan.save': 'Save Plan',
+  'plan.clear': 'Clear Plan',
+
+  'import.title': 'Import from WMS',
+  'import.file': 'WMS export file (CSV or JSON):',
+  'import.columnMapping': 'Column Mapping',
+  'import.timestamp': 'Timestamp:',
+  'import.stageOrders': 'Orders – {stage}:',
+  'import.countMode': 'Counts are:',
+  'import.cumulative': 'Cumulative totals',
+  'import.incremental': 'Orders since previous row',
+  'import.notUsed': '— not used —',
+  'import.preview': 'Preview',
+  'import.summary': 'Valid rows: {count}. Rows with errors: {errors}.',
+  'import.rowError': 'Row {line}: ',
+  'import.row': 'Row',
+  'import.time': 'Time',
+  'import.stageTotal': '{stage} (total)',
+  'import.moreRows': { one: '…and {count} more row', other: '…and {count} more rows' },
+  'import.submit': { one: 'Import {count} Row', other: 'Import {count} Rows' },
+  'import.imported': {
+    one: 'Imported {count} row, {controlPoints} control points updated.',
+    other: 'Imported {count} rows, {controlPoints} control points updated.',
+  },
+
+  // Ошибки файла выгрузки (см. utils/wmsImport)
+  'import.error.invalidJson': 'Invalid JSON: {details}',
+  'import.error.jsonRows': 'JSON must be an array of rows or an object with a "rows" array',
+  'import.error.csvRows': 'CSV must contain a header row and at least one data row',
+  'import.error.noTimestampColumn': 'Select the timestamp column',
+  'import.error.noStageColumns': 'Select the column of at least one stage',
+  'import.error.timestamp': 'invalid timestamp "{value}"',
+  'import.error.count': 'invalid {stage:lower} count "{value}"',
+  'import.error.noCounts': 'no counts',
+  'import.error.zones': 'The shift has zones, and a WMS export holds site totals only. Enter the zone counts on the Update Data page.',
+  'import.error.row': '{problems}',
+
+  'archive.title': 'Shift Archive',
+  'archive.confirmDelete': 'Delete this shift from the archive?',
+  'archive.closedAt': 'Closed at: {time}',
+  'archive.open': 'Open',
+  'archive.chart': 'Chart',
+  'archive.exportCsv': 'Export CSV',
+  'archive.empty': 'No closed shifts yet. A shift is closed on the page',
+  'archive.shiftTitle': 'Archived Shift',
+  'archive.notFound': 'Shift not found.',
+  'archive.back': 'Back to archive',
+  'archive.shiftOf': 'Shift {date}',
+  'archive.settings': 'Settings',
+  'archive.shiftTimes': 'Shift: {start:time}–{end:time}',
+  'archive.breaks': 'Breaks: {breaks}',
+  'archive.noBreaks': 'Breaks: none',
+  'archive.stageSettings': '{stage}: plan {plan}, speed {speed} orders/hour, last hour staff {staff}',
+  'archive.finalActuals': 'Final Actuals',
+  'archive.stageActual': 'Orders – {stage}: {value}',
+  'archive.zoneActual': '{stage:lower} {value}',
+  'archive.deviationsAtClose': 'Deviations at Close',
+  'archive.alertsFired': 'Alerts Fired',
+  'archive.acknowledgedAt': '(acknowledged {time})',
+
+  // Страница оповещений
+  'alerts.title': 'Alerts',
+  'alerts.intro': 'Rules are checked on every change of the shift data and at least once a minute, whichever page is open. New alerts show a browser notification and appear in the feed on the Update Data page. With several tabs open, only one of them notifies.',
+  'alerts.permission.granted': 'Browser notifications are on.',
+  'alerts.permission.denied': 'Browser notifications are blocked; allow them in the browser site settings.',
+  'alerts.permission.default': 'Browser notifications are off.',
+  'alerts.permission.unsupported': 'This browser does not support notifications.',
+  'alerts.enableNotifications': 'Enable Notifications',
+  'alerts.rules': 'Rules',
+  'alerts.rule.deviation': 'Deviation of a stage falls below (orders)',
+  'alerts.rule.controlPoint': 'A control point passes below its planned value',
+  'alerts.rule.eta': 'ETA is later than the shift end by more than (minutes)',
+  'alerts.rule.backlog': 'Last-hour backlog rises above its lowest value by more than (orders)',
+  'alerts.rule.sound': 'Play a sound with new alerts; snooze length (minutes)',
+  'alerts.save': 'Save Rules',
+  'alerts.saved': 'Alert rules saved!',
+  'alerts.thisShift': 'Alerts This Shift',
+  'alerts.noneFired': 'No alerts have fired yet.',
+  'alerts.fired': 'Fired',
+  'alerts.alert': 'Alert',
+  'alerts.acknowledged': 'Acknowledged',
+  'alerts.resolved': 'Resolved',
+
+  // Сообщения оповещений (см. utils/alerts)
+  'alerts.notificationTitle': 'Warehouse alert',
+  'alerts.message.deviation': '{stage} deviation is {deviation} orders (alert below {threshold}).',
+  'alerts.message.controlPoint': 'Control point {time:time} missed on {stage}: {actual} of {planned} orders.',
+  'alerts.message.eta': '{stage} will finish at {eta:time}, {minutes} min after the shift end.',
+  'alerts.message.backlog': 'Expected last-hour backlog is rising: {orders} orders (lowest this shift {lowest}).',
+
+  // Предупреждения плана персонала (см. utils/staffingPlan)
+  'plan.warning.noShiftTimes': 'Save the shift start and end times first.',
+  'plan.warning.minimumsExceedStaff': 'Minimum headcounts ({minimum}) exceed the available staff ({total}).',
+  'plan.warning.controlPointShort': '{stage}: control point {time:time} needs {count} orders, the plan gives {output}.',
+  'plan.warning.shiftEndShort': '{stage}: shift end {time:time} needs {count} orders, the plan gives {output}.',
+
+  // Ошибки настроек (см. utils/settingsValidation); {label} — название поля
+  'validation.missing': 'Shift settings are missing.',
+  'validation.required': '{label} is required.',
+  'validation.number': '{label} must be a number.',
+  'validation.atLeast': '{label} must be at least {min}.',
+  'validation.greaterThan': '{label} must be greater than {min}.',
+  'validation.wholeNumber': '{label} must be a whole number.',
+  'validation.timeRequired': '{label} time is required.',
+  'validation.timeFormat': '{label} must be a time in HH:MM format.',
+  'validation.sameStartAndEnd': 'Shift end must differ from the shift start.',
+  'validation.tooLong': 'The shift would last {hours} hours (overnight): check that the end is after the start.',
+  'validation.breakEndBeforeStart': 'Break end must be after its start.',
+  'validation.breakOutsideShift': 'Break must be within the shift ({start:time}–{end:time}).',
+  'validation.breaksOverlap': 'Break overlaps the break {start:time}–{end:time}.',
+  'validation.controlPointOutsideShift': 'Control point must be within the shift ({start:time}–{end:time}).',
+  'validation.controlPointDuplicate': 'Another control point has the same time.',
+  'validation.noStages': 'At least one process stage is required.',
+  'validation.arrivalWaveEnd': 'Leave the end empty for a wave.',
+  'validation.label.shiftStart': 'Shift start',
+  'validation.label.shiftEnd': 'Shift end',
+  'validation.label.breakStart': 'Break start',
+  'validation.label.breakEnd': 'Break end',
+  'validation.label.controlPointTime': 'Control point time',
+  'validation.label.orderQuota': 'Order quota',
+  'validation.label.priority': 'Priority',
+  'validation.label.stageName': 'Stage name',
+  'validation.label.expectedOrders': 'Expected number of orders',
+  'validation.label.avgSpeed': 'Average speed',
+  'validation.label.lastHourStaff': 'Last-hour staff',
+  'validation.label.hourlyRate': 'Hourly rate',
+  'validation.label.overtimeMultiplier': 'Overtime multiplier',
+  'validation.label.arrivalStart': 'Arrival time',
+  'validation.label.arrivalEnd': 'Arrival end',
+  'validation.label.arrivalOrders': 'Orders',
+  'validation.label.zoneName': 'Zone name',
+  'validation.label.zonePlan': 'Zone plan',
+  'validation.label.zoneLastHourStaff': 'Zone last-hour staff',
+  'validation.title': 'The saved shift settings have errors, so nothing can be calculated:',
+  'validation.fixInSettings': 'Fix them in the settings',
+
+  // Рекомендации (см. calculateRecommendations)
+  'recommendations.people': { one: '{count} person', other: '{count} people' },
+  'recommendations.employees': { one: '{count:2} employee', other: '{count:2} employees' },
+  'recommendations.extraCost': ' (+{perHour:2}/hour, {total:2} until shift end)',
+  'recommendations.extraCostPerHour': ' (+{perHour:2}/hour)',
+  'recommendations.starved': 'The {stage:lower} plan is behind because only {wip:0} orders are waiting after {upstream:lower}; do not add staff to {stage:lower}.',
+  'recommendations.move': 'Move {people} from {from:lower} to {to:lower}.',
+  'recommendations.bottleneck': '{stage} is the bottleneck: {moves}.',
+  'recommendations.bottleneckMove': 'move {people} from {from:lower} to {to:lower}',
+  'recommendations.addMore': {
+    one: 'To meet the {stage:lower} plan, add {count:2} more employee{extraCost}.',
+    other: 'To meet the {stage:lower} plan, add {count:2} more employees{extraCost}.',
+  },
+  'recommendations.add': 'To meet the {stage:lower} plan, add {employees}{extraCost}.',
+  'recommendations.remove': 'You can remove {employees} from {stage:lower}.',
+  'recommendations.planMet': 'The {stage:lower} plan is met exactly.',
+  'recommendations.moveEmployee': 'Move {employee} from {from:lower} to {to:lower}.',
+  'recommendations.moveEmployeeWithSpeed': 'Move {employee} from {from:lower} to {to:lower} (+{speed:0} orders/hour).',
+  'recommendations.addToTeam': 'To meet the {stage:lower} plan, add {employees}{extraCost} (the team makes {capacity:0} of {need:0} orders/hour).',
+  'recommendations.teamCatchesUp': 'The {stage:lower} team ({capacity:0} orders/hour) is enough to catch up with the plan.',
+  'recommendations.teamCovers': 'The {stage:lower} team ({capacity:0} orders/hour) covers the required {need:0} orders/hour.',
+  'recommendations.lastHour': 'Additionally, for the last hour, add {employees}{extraCost}.',
+};
+
+export default en;
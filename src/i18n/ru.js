@@ -0,0 +1,483 @@
+// src/i18n/ru.js
+// Russian texts of the interface; the keys and placeholders are the same as in en.js.
+// Plural forms: one (1, 21), few (2–4, 22–24), many (5–20, 25) and other (fractions).
+
+const ru = {
+  'common.delete': 'Удалить',
+  'common.employees': {
+    one: '{count} сотрудник',
+    few: '{count} сотрудника',
+    many: '{count} сотрудников',
+    other: '{count} сотрудника',
+  },
+
+  // Этапы по умолчанию, пока их не переименовали, и отсечки (см. utils/stages, utils/cutoffs)
+  'stages.picking': 'Сборка',
+  'stages.packing': 'Упаковка',
+  'cutoffs.label': '{name} {time:time}',
+  'cutoffs.defaultName': 'Отсечка',
+
+  'nav.settings': 'Настройки смены',
+  'nav.update': 'Ввод данных',
+  'nav.plan': 'План персонала',
+  'nav.roster': 'Состав смены',
+  'nav.analytics': 'Аналитика и отчёты',
+  'nav.simulator': 'Что если',
+  'nav.alerts': 'Оповещения',
+  'nav.archive': 'Архив смен',
+  'nav.board': 'Табло',
+  'nav.language': 'Язык',
+  'nav.sync.connecting': 'Подключение…',
+  'nav.sync.online': 'Синхронизировано',
+  'nav.sync.offline': 'Нет связи',
+  'nav.sync.pending': {
+    one: 'к отправке {count} правка',
+    few: 'к отправке {count} правки',
+    many: 'к отправке {count} правок',
+    other: 'к отправке {count} правки',
+  },
+
+  'settings.title': 'Настройки смены',
+  'settings.changedElsewhere': 'Настройки сохранены в другой вкладке. Если загрузить их, форма будет заменена.',
+  'settings.loadSaved': 'Загрузить сохранённые настройки',
+  'settings.templates': 'Шаблоны смен:',
+  'settings.load': 'Загрузить',
+  'settings.update': 'Обновить',
+  'settings.rename': 'Переименовать',
+  'settings.duplicate': 'Копировать',
+  'settings.templateNamePlaceholder': 'Название шаблона',
+  'settings.templateNamePrompt': 'Название шаблона:',
+  'settings.saveAsTemplate': 'Сохранить форму как шаблон',
+  'settings.enterTemplateName': 'Введите название шаблона.',
+  'settings.confirmOverwriteTemplate': 'Заменить шаблон «{name}» текущей формой?',
+  'settings.confirmDeleteTemplate': 'Удалить шаблон «{name}»?',
+  'settings.shiftStart': 'Начало смены:',
+  'settings.shiftEnd': 'Конец смены:',
+  'settings.overtimeMultiplier': 'Коэффициент оплаты сверхурочных:',
+  'settings.breaks': 'Перерывы:',
+  'settings.breakStart': 'Начало',
+  'settings.breakEnd': 'Конец',
+  'settings.addBreak': 'Добавить перерыв',
+  'settings.controlPoints': 'Контрольные точки и отсечки перевозчиков (у отсечки есть название и квота заказов):',
+  'settings.controlPointTime': 'Время',
+  'settings.carrier': 'Перевозчик',
+  'settings.carrierPlaceholder': 'например, DPD',
+  'settings.orderQuota': 'Квота заказов',
+  'settings.priority': 'Приоритет (1 — высший)',
+  'settings.addControlPoint': 'Добавить контрольную точку',
+  'settings.stages': 'Этапы процесса (по порядку):',
+  'settings.name': 'Название',
+  'settings.expectedOrders': 'План, заказов',
+  'settings.avgSpeed': 'Средняя скорость (один сотрудник в час)',
+  'settings.lastHourStaff': 'Персонал в последний час ({interval})',
+  'settings.hourlyRate': 'Ставка в час (один сотрудник)',
+  'settings.stageNamePlaceholder': 'Название этапа',
+  'settings.addStage': 'Добавить этап',
+  'settings.stageRequired': 'Нужен хотя бы один этап процесса.',
+  'settings.confirmDeleteStage': 'Удалить этап «{name}»?',
+  'settings.arrivals': 'Поступление заказов (план не превышает число заказов, поступивших к этому времени):',
+  'settings.arrivalFrom': 'С',
+  'settings.arrivalUntil': 'До (пусто — волна)',
+  'settings.arrivalOrders': 'Заказы',
+  'settings.arrivalsTotal': {
+    one: 'Всего поступит: {count} заказ',
+    few: 'Всего поступит: {count} заказа',
+    many: 'Всего поступит: {count} заказов',
+    other: 'Всего поступит: {count} заказа',
+  },
+  'settings.addWave': 'Добавить волну',
+  'settings.addHourlyRows': 'Добавить строки по часам',
+  'settings.setShiftTimesFirst': 'Сначала укажите начало и конец смены.',
+  'settings.zones': 'Зоны / клиенты (план и персонал последнего часа суммируются по площадке):',
+  'settings.zonePlan': 'План «{stage}»',
+  'settings.zoneLastHourStaff': 'Персонал «{stage}» в последний час',
+  'settings.zonePlaceholder': 'Зона или клиент',
+  'settings.addZone': 'Добавить зону',
+  'settings.save': 'Сохранить настройки',
+  'settings.saved': 'Настройки сохранены!',
+  'settings.fixErrorsFirst': {
+    one: 'Сначала исправьте ошибки в настройках (найдена {count} ошибка).',
+    few: 'Сначала исправьте ошибки в настройках (найдено {count} ошибки).',
+    many: 'Сначала исправьте ошибки в настройках (найдено {count} ошибок).',
+    other: 'Сначала исправьте ошибки в настройках (найдено {count} ошибки).',
+  },
+
+  'update.title': 'Ввод данных смены',
+  'update.importLink': 'Загрузить данные из файла WMS',
+  'update.alertsLink': 'Правила и журнал оповещений',
+  'update.alerts': 'Оповещения',
+  'update.acknowledge': 'Принято',
+  'update.snooze': 'Отложить на {count} мин',
+  'update.cutoffAtRisk': 'Отсечка {cutoff} под угрозой: прогноз {projected} из {required} заказов; с этого момента нужно {speed} заказов в час.',
+  'update.cutoffNoTimeLeft': 'Отсечка {cutoff} просрочена: прогноз {projected} из {required} заказов, а рабочего времени до неё не осталось.',
+  'update.actualOrders': 'Обработано заказов – {stage}:',
+  'update.actualOrdersSiteTotal': 'Обработано заказов – {stage} (всего по площадке):',
+  'update.zones': 'Зоны',
+  'update.zonePlan': '(план: {plan})',
+  'update.zonePlanStage': '{stage} {orders}',
+  'update.deviation': 'Отклонение ({stage}): {value:2}',
+  'update.siteTotals': 'Итоги площадки ниже — сумма по всем зонам.',
+  'update.mainIndicators': 'Основные показатели',
+  'update.measuredAgainst': 'Отклонения считаются от',
+  'update.staffingPlan': 'плана персонала',
+  'update.hoursWorked': 'Отработано часов: {value:2}',
+  'update.ordersArrived': 'Поступило заказов (по профилю поступления): {arrived} из {total}',
+  'update.expectedProcessed': 'Ожидается обработанных заказов к этому времени ({stage}): {value:2}',
+  'update.requiredSpeed': 'Требуемая общая скорость ({stage}): {value:2} заказов в час',
+  'update.actualSpeed': 'Фактическая общая скорость ({stage}): {value:2} заказов в час',
+  'update.recommendedStaff': 'Рекомендуемый персонал на этапе «{stage}» сегодня: {value:2}',
+  'update.plannedStaff': 'По плану на этапе «{stage}» в этот час ({slot}): {staff}',
+  'update.team': 'Команда «{stage}» ({slot}): {people} — {capacity} заказов в час',
+  'update.recentThroughput': 'Скорость за последнее время',
+  'update.speedLast': 'Скорость «{stage}» (последние {minutes} мин): {value:2} заказов в час',
+  'update.noThroughput': 'Пока мало обновлений, чтобы посчитать скорость за последнее время',
+  'update.eta': 'Прогноз завершения',
+  'update.shiftEnd': 'Конец смены: {time}',
+  'update.stageEta': 'Завершение «{stage}»:',
+  'update.etaCompleted': 'План выполнен ✅',
+  'update.etaNoData': 'Недостаточно данных для прогноза',
+  'update.etaAtShiftEnd': 'точно к концу смены',
+  'update.etaEarly': 'на {count} мин раньше',
+  'update.etaLate': 'на {count} мин позже',
+  'update.waitsFor': 'ждёт этап «{stage}»',
+  'update.cutoffs': 'Отсечки перевозчиков',
+  'update.cutoffPriority': 'приоритет {priority}',
+  'update.cutoffRequired': {
+    one: 'к этому времени {count} заказ',
+    few: 'к этому времени {count} заказа',
+    many: 'к этому времени {count} заказов',
+    other: 'к этому времени {count} заказа',
+  },
+  'update.cutoffProjected': 'прогноз {value}',
+  'update.cutoffNoProjection': 'прогноза пока нет',
+  'update.laborCost': 'Затраты на персонал',
+  'update.staffHours': 'Отработано человеко-часов: {value:2}',
+  'update.staffHoursEstimated': '(оценка по обработанным заказам; для точного учёта добавьте состав смены или план персонала)',
+  'update.costSoFar': 'Затраты на сейчас: {value}',
+  'update.costPerOrder': 'Затраты на заказ: {value}',
+  'update.projectedCost': 'Прогноз затрат за смену: {value}',
+  'update.includingOvertime': {
+    one: '(в том числе {count:2} сверхурочный час)',
+    few: '(в том числе {count:2} сверхурочных часа)',
+    many: '(в том числе {count:2} сверхурочных часов)',
+    other: '(в том числе {count:2} сверхурочного часа)',
+  },
+  'update.projectedCostPerOrder': 'Прогноз затрат на заказ: {value}',
+  'update.setHourlyRates': 'Укажите ставки в настройках смены, чтобы считать затраты на персонал.',
+  'update.lastHourBacklog': 'Показатели последнего часа',
+  'update.expectedBacklog': {
+    one: 'Ожидаемый остаток – {stage}: {count} заказ',
+    few: 'Ожидаемый остаток – {stage}: {count} заказа',
+    many: 'Ожидаемый остаток – {stage}: {count} заказов',
+    other: 'Ожидаемый остаток – {stage}: {count} заказа',
+  },
+  'update.totalRemaining': 'Необработанных заказов на последний час:',
+  'update.planMetOnTime': 'План будет выполнен вовремя 🙋😃🥇',
+  'update.planNotMetOnTime': 'План не будет выполнен вовремя 😧🏃👀',
+  'update.additionalStaff': 'Дополнительный персонал на этапе «{stage}» (последний час): {value:2}',
+  'update.pipeline': 'Конвейер',
+  'update.waitingBetween': {
+    one: 'Ждут между этапами «{from}» и «{to}»: {count} заказ',
+    few: 'Ждут между этапами «{from}» и «{to}»: {count} заказа',
+    many: 'Ждут между этапами «{from}» и «{to}»: {count} заказов',
+    other: 'Ждут между этапами «{from}» и «{to}»: {count} заказа',
+  },
+  'update.bufferOverflow': 'на этапе «{to}» больше заказов, чем на этапе «{from}», проверьте счётчики',
+  'update.bottleneck': 'Узкое место:',
+  'update.noBottleneck': 'нет',
+  'update.deviationsAndRecommendations': 'Отклонения и рекомендации',
+  'update.progress': 'Выполнение',
+  'update.stageProgress': 'Выполнение «{stage}»: {value:0} %',
+  'update.controlPoints': 'Контрольные точки',
+  'update.controlPointTime': 'Время контрольной точки:',
+  'update.controlPointCutoff': {
+    one: 'отсечка {name}, квота {count} заказ',
+    few: 'отсечка {name}, квота {count} заказа',
+    many: 'отсечка {name}, квота {count} заказов',
+    other: 'отсечка {name}, квота {count} заказа',
+  },
+  'update.carrier': 'перевозчика',
+  'update.planned': 'План ({stage}):',
+  'update.actual': 'Факт ({stage}):',
+  'update.deviationLabel': 'Отклонение ({stage}):',
+  'update.deleteControlPoint': 'Удалить контрольную точку',
+  'update.noControlPoints': 'Данных по контрольным точкам нет',
+  'update.saveAll': 'Сохранить все данные',
+  'update.saved': 'Все данные обновлены и сохранены!',
+  'update.exportCsv': 'Выгрузить CSV',
+  'update.closeShift': 'Закрыть смену',
+  'update.confirmCloseShift': 'Закрыть смену? Её данные будут перенесены в архив.',
+
+  'cutoffs.met': 'Выполнена ✅',
+  'cutoffs.on-track': 'Успеваем',
+  'cutoffs.at-risk': 'Под угрозой ⚠️',
+  'cutoffs.missed': 'Пропущена ❌',
+  'cutoffs.unknown': 'Пока мало данных',
+
+  'analytics.title': 'Аналитика и отчёты',
+  'analytics.currentShift': 'Текущая смена',
+  'analytics.exportCsv': 'Выгрузить CSV',
+  'analytics.noData': 'Нет данных для графика',
+  'analytics.planned': 'План: {stage}',
+  'analytics.actual': 'Факт: {stage}',
+  'analytics.actualLog': 'Факт: {stage} (журнал)',
+  'analytics.costPerOrderChart': 'Затраты на заказ',
+  'analytics.laborCost': 'Затраты на персонал',
+  'analytics.cost': 'Затраты: {cost} за {hours:2} человеко-часа',
+  'analytics.estimated': '(оценка по обработанным заказам)',
+  'analytics.costPerOrder': 'Затраты на заказ: {value}',
+  'analytics.projectedCost': 'Прогноз затрат за смену: {cost}, на заказ: {perOrder}',
+
+  // Табло (/board)
+  'board.waiting': 'Ждём настройки смены…',
+  'board.settingsErrors': 'В настройках смены есть ошибки. Исправьте их в настройках.',
+  'board.progress': {
+    one: '{actual} из {count} заказа · {percent:0} %',
+    other: '{actual} из {count} заказов · {percent:0} %',
+  },
+  'board.behind': 'заказов — отставание от плана',
+  'board.ahead': 'заказов — опережение плана',
+  'board.etaCompleted': 'План выполнен',
+  'board.etaNone': 'Прогноза пока нет',
+  'board.etaLate': 'Окончание в {time} · опоздание {count} мин',
+  'board.etaEarly': 'Окончание в {time} · на {count} мин раньше',
+  'board.etaOnTime': 'Окончание в {time} · вовремя',
+  'board.nextControlPoint': 'Следующая контрольная точка',
+  'board.noControlPoints': 'Контрольных точек в этой смене больше нет',
+  'board.recommendation': 'Рекомендация',
+  'board.shift': 'Смена {start:time}–{end:time}',
+  'board.shiftNoSettings': 'Смена',
+
+  'common.saveSettingsFirst': 'Сначала сохраните настройки смены.',
+
+  'simulator.title': 'Симулятор «что если»',
+  'simulator.intro': 'Смена {start:time}–{end:time}. Введённые здесь данные не сохраняются.',
+  'simulator.time': 'Время внутри смены:',
+  'simulator.processedByThen': 'Обработано заказов к этому времени – «{stage}»:',
+  'simulator.lastHourStaff': 'Сотрудников на этапе «{stage}» в последний час:',
+  'simulator.mainIndicators': 'Основные показатели на {time}',
+  'simulator.expectedProcessed': 'Ожидаемое количество обработанных заказов («{stage}»): {value:2}',
+  'simulator.recommendedStaff': 'Рекомендуемое число сотрудников на этапе «{stage}»: {value:2}',
+  'simulator.planStatus': 'Выполнение плана:',
+
+  'roster.title': 'Сотрудники смены',
+  'roster.employees': 'Сотрудники',
+  'roster.speedHint': 'Личная скорость в заказах в час; для пустых полей берётся средняя скорость этапа.',
+  'roster.name': 'Имя',
+  'roster.confirmDelete': 'Удалить сотрудника {name} из списка?',
+  'roster.confirmDeleteUnnamed': 'Удалить этого сотрудника из списка?',
+  'roster.addEmployee': 'Добавить сотрудника',
+  'roster.assignments': 'Расстановка по часам',
+  'roster.setShiftTimesFirst': 'Сначала сохраните в настройках время начала и конца смены.',
+  'roster.employee': 'Сотрудник',
+  'roster.copyPreviousHour': 'Как в прошлый час',
+  'roster.off': 'не работает',
+  'roster.capacity': 'Мощность этапа «{stage}»',
+  'roster.perHour': '{value}/ч',
+  'roster.save': 'Сохранить расстановку',
+  'roster.saved': 'Расстановка сохранена!',
+
+  'plan.title': 'План персонала',
+  'plan.intro': 'Сколько людей нужно на каждом этапе по часам, чтобы выполнить все контрольные точки и план смены. После сохранения отклонения считаются от этого плана.',
+  'plan.confirmReplace': 'Заменить текущий план новым?',
+  'plan.saved': 'План персонала сохранён!',
+  'plan.confirmClear': 'Очистить план персонала? Отклонения снова будут считаться от равномерного плана.',
+  'plan.limits': 'Ограничения численности',
+  'plan.totalStaff': 'Всего людей на смене',
+  'plan.noLimit': 'Без ограничения',
+  'plan.stage': 'Этап',
+  'plan.min': 'Мин.',
+  'plan.max': 'Макс.',
+  'plan.generate': 'Составить план',
+  'plan.hourlyHeadcount': 'Численность по часам',
+  'plan.outdated': 'План составлен для других часов смены. Составьте его заново.',
+  'plan.empty': 'Плана пока нет. Задайте ограничения и составьте его.',
+  'plan.hour': 'Час',
+  'plan.total': 'Всего',
+  'plan.byEndOfHour': '«{stage}» к концу часа',
+  'plan.meetsTargets': 'План выполняет все контрольные точки и план смены.',
+  'plan.save': 'Сохранить план',
+  'plan.clear': 'Очистить план',
+
+  'import.title': 'Импорт из WMS',
+  'import.file': 'Файл выгрузки WMS (CSV или JSON):',
+  'import.columnMapping': 'Соответствие столбцов',
+  'import.timestamp': 'Время:',
+  'import.stageOrders': 'Заказы – «{stage}»:',
+  'import.countMode': 'Значения:',
+  'import.cumulative': 'Нарастающий итог',
+  'import.incremental': 'Заказы с предыдущей строки',
+  'import.notUsed': '— не используется —',
+  'import.preview': 'Предпросмотр',
+  'import.summary': 'Строк без ошибок: {count}. Строк с ошибками: {errors}.',
+  'import.rowError': 'Строка {line}: ',
+  'import.row': 'Строка',
+  'import.time': 'Время',
+  'import.stageTotal': '«{stage}» (итого)',
+  'import.moreRows': '…и ещё строк: {count}',
+  'import.submit': {
+    one: 'Импортировать {count} строку',
+    few: 'Импортировать {count} строки',
+    many: 'Импортировать {count} строк',
+    other: 'Импортировать {count} строки',
+  },
+  'import.imported': 'Импортировано строк: {count}, обновлено контрольных точек: {controlPoints}.',
+
+  // Ошибки файла выгрузки (см. utils/wmsImport)
+  'import.error.invalidJson': 'Некорректный JSON: {details}',
+  'import.error.jsonRows': 'JSON должен быть массивом строк или объектом с массивом "rows"',
+  'import.error.csvRows': 'В CSV должны быть строка заголовков и хотя бы одна строка данных',
+  'import.error.noTimestampColumn': 'Выберите столбец времени',
+  'import.error.noStageColumns': 'Выберите столбец хотя бы для одного этапа',
+  'import.error.timestamp': 'некорректное время "{value}"',
+  'import.error.count': 'некорректное количество «{stage}» "{value}"',
+  'import.error.noCounts': 'нет значений',
+  'import.error.zones': 'В смене есть зоны, а выгрузка WMS содержит только итоги площадки. Введите значения зон на странице ввода данных.',
+  'import.error.row': '{problems}',
+
+  'archive.title': 'Архив смен',
+  'archive.confirmDelete': 'Удалить эту смену из архива?',
+  'archive.closedAt': 'Закрыта: {time}',
+  'archive.open': 'Открыть',
+  'archive.chart': 'График',
+  'archive.exportCsv': 'Выгрузить CSV',
+  'archive.empty': 'Закрытых смен пока нет. Смена закрывается на странице',
+  'archive.shiftTitle': 'Смена из архива',
+  'archive.notFound': 'Смена не найдена.',
+  'archive.back': 'Назад в архив',
+  'archive.shiftOf': 'Смена {date}',
+  'archive.settings': 'Настройки',
+  'archive.shiftTimes': 'Смена: {start:time}–{end:time}',
+  'archive.breaks': 'Перерывы: {breaks}',
+  'archive.noBreaks': 'Перерывы: нет',
+  'archive.stageSettings': '«{stage}»: план {plan}, скорость {speed} заказов в час, сотрудников в последний час {staff}',
+  'archive.finalActuals': 'Итоговый факт',
+  'archive.stageActual': 'Заказы – «{stage}»: {value}',
+  'archive.zoneActual': '«{stage}» {value}',
+  'archive.deviationsAtClose': 'Отклонения при закрытии',
+  'archive.alertsFired': 'Сработавшие оповещения',
+  'archive.acknowledgedAt': '(принято в {time})',
+
+  // Страница оповещений
+  'alerts.title': 'Оповещения',
+  'alerts.intro': 'Правила проверяются при каждом изменении данных смены и не реже раза в минуту, на любой открытой странице. Новые оповещения показываются уведомлением браузера и попадают в ленту на странице ввода данных. Если открыто несколько вкладок, уведомляет только одна.',
+  'alerts.permission.granted': 'Уведомления браузера включены.',
+  'alerts.permission.denied': 'Уведомления браузера заблокированы; разрешите их в настройках сайта в браузере.',
+  'alerts.permission.default': 'Уведомления браузера выключены.',
+  'alerts.permission.unsupported': 'Этот браузер не поддерживает уведомления.',
+  'alerts.enableNotifications': 'Включить уведомления',
+  'alerts.rules': 'Правила',
+  'alerts.rule.deviation': 'Отклонение этапа опускается ниже (заказов)',
+  'alerts.rule.controlPoint': 'Контрольная точка проходит ниже плана',
+  'alerts.rule.eta': 'Окончание позже конца смены больше чем на (минут)',
+  'alerts.rule.backlog': 'Остаток последнего часа вырос над наименьшим значением больше чем на (заказов)',
+  'alerts.rule.sound': 'Звук при новых оповещениях; пауза повтора (минут)',
+  'alerts.save': 'Сохранить правила',
+  'alerts.saved': 'Правила оповещений сохранены!',
+  'alerts.thisShift': 'Оповещения этой смены',
+  'alerts.noneFired': 'Оповещений пока не было.',
+  'alerts.fired': 'Время',
+  'alerts.alert': 'Оповещение',
+  'alerts.acknowledged': 'Принято',
+  'alerts.resolved': 'Устранено',
+
+  // Сообщения оповещений (см. utils/alerts)
+  'alerts.notificationTitle': 'Оповещение склада',
+  'alerts.message.deviation': 'Отклонение этапа «{stage}» — {deviation} (оповещение ниже {threshold}).',
+  'alerts.message.controlPoint': 'Контрольная точка {time:time} не выполнена на этапе «{stage}»: {actual} из {planned}.',
+  'alerts.message.eta': 'Этап «{stage}» закончит работу в {eta:time}, на {minutes} мин позже конца смены.',
+  'alerts.message.backlog': 'Ожидаемый остаток последнего часа растёт: {orders} (наименьший за смену — {lowest}).',
+
+  // Предупреждения плана персонала (см. utils/staffingPlan)
+  'plan.warning.noShiftTimes': 'Сначала сохраните время начала и конца смены.',
+  'plan.warning.minimumsExceedStaff': 'Минимальная численность ({minimum}) больше, чем людей на смене ({total}).',
+  'plan.warning.controlPointShort': {
+    one: '{stage}: к контрольной точке {time:time} нужен {count} заказ, по плану будет {output}.',
+    few: '{stage}: к контрольной точке {time:time} нужно {count} заказа, по плану будет {output}.',
+    many: '{stage}: к контрольной точке {time:time} нужно {count} заказов, по плану будет {output}.',
+    other: '{stage}: к контрольной точке {time:time} нужно {count} заказа, по плану будет {output}.',
+  },
+  'plan.warning.shiftEndShort': {
+    one: '{stage}: к концу смены в {time:time} нужен {count} заказ, по плану будет {output}.',
+    few: '{stage}: к концу смены в {time:time} нужно {count} заказа, по плану будет {output}.',
+    many: '{stage}: к концу смены в {time:time} нужно {count} заказов, по плану будет {output}.',
+    other: '{stage}: к концу смены в {time:time} нужно {count} заказа, по плану будет {output}.',
+  },
+
+  // Ошибки настроек (см. utils/settingsValidation); {label} — название поля
+  'validation.missing': 'Настройки смены не заданы.',
+  'validation.required': 'Заполните поле «{label}».',
+  'validation.number': 'Поле «{label}» должно быть числом.',
+  'validation.atLeast': 'Поле «{label}» должно быть не меньше {min}.',
+  'validation.greaterThan': 'Поле «{label}» должно быть больше {min}.',
+  'validation.wholeNumber': 'Поле «{label}» должно быть целым числом.',
+  'validation.timeRequired': 'Укажите время в поле «{label}».',
+  'validation.timeFormat': 'Поле «{label}» должно быть временем в формате ЧЧ:ММ.',
+  'validation.sameStartAndEnd': 'Конец смены должен отличаться от её начала.',
+  'validation.tooLong': 'Смена длилась бы {hours} ч (через полночь): проверьте, что конец позже начала.',
+  'validation.breakEndBeforeStart': 'Конец перерыва должен быть позже его начала.',
+  'validation.breakOutsideShift': 'Перерыв должен быть внутри смены ({start:time}–{end:time}).',
+  'validation.breaksOverlap': 'Перерыв пересекается с перерывом {start:time}–{end:time}.',
+  'validation.controlPointOutsideShift': 'Контрольная точка должна быть внутри смены ({start:time}–{end:time}).',
+  'validation.controlPointDuplicate': 'На это время уже есть другая контрольная точка.',
+  'validation.noStages': 'Нужен хотя бы один этап процесса.',
+  'validation.arrivalWaveEnd': 'Для волны оставьте конец пустым.',
+  'validation.label.shiftStart': 'Начало смены',
+  'validation.label.shiftEnd': 'Конец смены',
+  'validation.label.breakStart': 'Начало перерыва',
+  'validation.label.breakEnd': 'Конец перерыва',
+  'validation.label.controlPointTime': 'Время контрольной точки',
+  'validation.label.orderQuota': 'Квота заказов',
+  'validation.label.priority': 'Приоритет',
+  'validation.label.stageName': 'Название этапа',
+  'validation.label.expectedOrders': 'Ожидаемое количество заказов',
+  'validation.label.avgSpeed': 'Средняя скорость',
+  'validation.label.lastHourStaff': 'Персонал в последний час',
+  'validation.label.hourlyRate': 'Почасовая ставка',
+  'validation.label.overtimeMultiplier': 'Коэффициент сверхурочных',
+  'validation.label.arrivalStart': 'Время поступления',
+  'validation.label.arrivalEnd': 'Конец поступления',
+  'validation.label.arrivalOrders': 'Заказы',
+  'validation.label.zoneName': 'Название зоны',
+  'validation.label.zonePlan': 'План зоны',
+  'validation.label.zoneLastHourStaff': 'Персонал зоны в последний час',
+  'validation.title': 'В сохранённых настройках смены есть ошибки, поэтому расчёт невозможен:',
+  'validation.fixInSettings': 'Исправьте их в настройках',
+
+  // Кого переводят и добавляют — винительный падеж: "переведите 2 человек", "добавьте 0,50 сотрудника"
+  'recommendations.people': {
+    one: '{count} человека',
+    few: '{count} человек',
+    many: '{count} человек',
+    other: '{count} человека',
+  },
+  'recommendations.employees': {
+    one: '{count:2} сотрудника',
+    few: '{count:2} сотрудников',
+    many: '{count:2} сотрудников',
+    other: '{count:2} сотрудника',
+  },
+  'recommendations.extraCost': ' (+{perHour:2} в час, {total:2} до конца смены)',
+  'recommendations.extraCostPerHour': ' (+{perHour:2} в час)',
+  'recommendations.starved': 'План этапа «{stage}» отстаёт, потому что после этапа «{upstream}» ждут всего {wip:0} заказов; не добавляйте людей на этап «{stage}».',
+  'recommendations.move': 'Переведите {people} с этапа «{from}» на этап «{to}».',
+  'recommendations.bottleneck': 'Этап «{stage}» — узкое место: {moves}.',
+  'recommendations.bottleneckMove': 'переведите {people} с этапа «{from}» на этап «{to}»',
+  'recommendations.addMore': {
+    one: 'Чтобы выполнить план этапа «{stage}», добавьте ещё {count:2} сотрудника{extraCost}.',
+    few: 'Чтобы выполнить план этапа «{stage}», добавьте ещё {count:2} сотрудников{extraCost}.',
+    many: 'Чтобы выполнить план этапа «{stage}», добавьте ещё {count:2} сотрудников{extraCost}.',
+    other: 'Чтобы выполнить план этапа «{stage}», добавьте ещё {count:2} сотрудника{extraCost}.',
+  },
+  'recommendations.add': 'Чтобы выполнить план этапа «{stage}», добавьте {employees}{extraCost}.',
+  'recommendations.remove': 'С этапа «{stage}» можно снять {employees}.',
+  'recommendations.planMet': 'План этапа «{stage}» выполняется точно.',
+  'recommendations.moveEmployee': 'Переведите {employee} с этапа «{from}» на этап «{to}».',
+  'recommendations.moveEmployeeWithSpeed': 'Переведите {employee} с этапа «{from}» на этап «{to}» (+{speed:0} заказов в час).',
+  'recommendations.addToTeam': 'Чтобы выполнить план этапа «{stage}», добавьте {employees}{extraCost} (команда делает {capacity:0} из {need:0} заказов в час).',
+  'recommendations.teamCatchesUp': 'Команды этапа «{stage}» ({capacity:0} заказов в час) хватает, чтобы догнать план.',
+  'recommendations.teamCovers': 'Команда этапа «{stage}» ({capacity:0} заказов в час) покрывает нужные {need:0} заказов в час.',
+  'recommendations.lastHour': 'Кроме того, на последний час добавьте {employees}{extraCost}.',
+};
+
+export default ru;
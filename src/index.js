@@ -3,13 +3,30 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { initStorage } from './utils/storage';
+import { WarehouseProvider } from './context/WarehouseContext';
+import { LanguageProvider } from './context/LanguageContext';
+import { AlertsProvider } from './context/AlertsContext';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Данные читаются синхронно из копии IndexedDB в памяти, поэтому она загружается до первого рендера
+initStorage().finally(() => {
+  root.render(
+    <React.StrictMode>
+      <LanguageProvider>
+        <WarehouseProvider>
+          <AlertsProvider>
+            <App />
+          </AlertsProvider>
+        </WarehouseProvider>
+      </LanguageProvider>
+    </React.StrictMode>
+  );
+});
+
+// Works offline and can be installed as an app (production builds only)
+serviceWorkerRegistration.register();
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,39 @@
+// src/service-worker.js
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// The app shell is precached, so every page opens without a network connection;
+// all shift data lives in IndexedDB on the device.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+clientsClaim();
+
+// Файлы сборки (JS, CSS, index.html) со списком из манифеста Workbox
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Переходы по страницам приложения (/update, /archive/...) отдаёт index.html из кэша
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+// Иконки и манифест из public/ — из кэша, с обновлением в фоне
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'public-files',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  }),
+);
+
+// Новая версия активируется по запросу страницы (см. serviceWorkerRegistration)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
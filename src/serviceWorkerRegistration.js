@@ -0,0 +1,50 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker (src/service-worker.js) in production builds,
+// so the app can be installed and opened offline.
+
+/**
+ * Registers the service worker once the page has loaded. When a new version
+ * of the app has been downloaded, the user is asked to reload; without
+ * confirmation the new version starts when all tabs are closed.
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // Service worker работает только в пределах своего origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            // Первая установка: приложение уже доступно офлайн, спрашивать нечего
+            if (installing.state !== 'installed' || !navigator.serviceWorker.controller) return;
+            if (window.confirm('A new version of the app is available. Reload now?')) {
+              installing.postMessage({ type: 'SKIP_WAITING' });
+            }
+          };
+        };
+      })
+      .catch(error => console.error('Service worker registration failed:', error));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+  });
+};
+
+/**
+ * Removes the service worker (the app then needs the network again).
+ */
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+};
@@ -0,0 +1,386 @@
+// src/utils/alerts.js
+import {
+  calculateCompletionEta,
+  calculateLastHourBacklog,
+  formatTime,
+  getShiftBounds,
+  toShiftDate,
+} from './calculations';
+import { DEFAULT_LANGUAGE, translate, translateMessage } from './i18n';
+import { calculateRollingThroughput } from './progressLog';
+import { validateSettings } from './settingsValidation';
+import { getStageName, getStages } from './stages';
+import { readStored, removeStored, watchStored, writeStored } from './storage';
+import { calculateSiteDeviations, getSiteSettings } from './zones';
+
+const ALERT_RULES_KEY = 'alertRules';
+const ALERT_STATE_KEY = 'alertState';
+// Оповещения проверяет и показывает одна вкладка — та, что держит эту блокировку
+const ALERTS_LOCK = 'warehouse-calculator-alerts';
+
+const MS_PER_MINUTE = 1000 * 60;
+
+/**
+ * Alert rules used until the user saves their own:
+ *   deviation    - a stage's deviation falls below `threshold` orders;
+ *   controlPoint - a control point has passed with a stage below its planned value;
+ *   eta          - a stage's ETA is more than `minutes` after the shift end;
+ *   backlog      - the expected last-hour backlog has grown by more than
+ *                  `orders` since its lowest value in the shift.
+ * sound plays a short beep with every notification; snoozeMinutes is the
+ * snooze length.
+ */
+export const DEFAULT_ALERT_RULES = {
+  deviation: { enabled: true, threshold: -50 },
+  controlPoint: { enabled: true },
+  eta: { enabled: true, minutes: 0 },
+  backlog: { enabled: true, orders: 20 },
+  sound: true,
+  snoozeMinutes: 15,
+};
+
+/**
+ * Loads the alert rules, filling missing rules with DEFAULT_ALERT_RULES.
+ *
+ * @returns {object} Alert rules.
+ */
+export const loadAlertRules = () => {
+  const saved = readStored(ALERT_RULES_KEY, {});
+  return Object.fromEntries(Object.entries(DEFAULT_ALERT_RULES).map(([key, value]) => [
+    key,
+    typeof value === 'object' ? { ...value, ...(saved[key] || {}) } : saved[key] ?? value,
+  ]));
+};
+
+/**
+ * Saves the alert rules.
+ */
+export const saveAlertRules = (rules) => {
+  writeStored(ALERT_RULES_KEY, rules);
+};
+
+/**
+ * Loads the alert state of the current shift:
+ *   { active: { [alertId]: alert }, log: [entry], backlogBaseline },
+ * where an alert is { id, rule, message, firedAt, acknowledgedAt, snoozedUntil }
+ * and the log lists every firing as { id, rule, message, firedAt, acknowledgedAt, resolvedAt }
+ * (times as ISO strings, message as { key, values } to translate with utils/i18n).
+ *
+ * @returns {object} Alert state.
+ */
+export const loadAlertState = () => {
+  const state = readStored(ALERT_STATE_KEY, {});
+  return { active: state.active || {}, log: state.log || [], backlogBaseline: state.backlogBaseline ?? null };
+};
+
+/**
+ * Saves the alert state of the current shift.
+ */
+export const saveAlertState = (state) => {
+  writeStored(ALERT_STATE_KEY, state);
+};
+
+/**
+ * Forgets the alerts of the current shift (when the shift is closed).
+ */
+export const clearAlertState = () => {
+  removeStored(ALERT_STATE_KEY);
+};
+
+/**
+ * Calls `onChange` when another tab saves the alert rules or the alert state.
+ *
+ * @returns {Function} Stops watching.
+ */
+export const watchAlerts = (onChange) => {
+  const stopRules = watchStored(ALERT_RULES_KEY, onChange);
+  const stopState = watchStored(ALERT_STATE_KEY, onChange);
+  return () => {
+    stopRules();
+    stopState();
+  };
+};
+
+/**
+ * Elects the tab that checks the alerts and shows the notifications, so
+ * several open tabs do not notify and beep about the same alert.
+ * `onLeader` is called once this tab becomes the one; without the Web Locks
+ * API (old browsers) every tab is.
+ *
+ * @param {Function} onLeader - Called when this tab takes over the alerts.
+ * @returns {Function} Gives the alerts up (e.g. when the tab closes).
+ */
+export const claimAlertsLeadership = (onLeader) => {
+  if (!navigator.locks) {
+    onLeader();
+    return () => undefined;
+  }
+  let released = false;
+  let release = () => undefined;
+  navigator.locks.request(ALERTS_LOCK, () => {
+    if (released) return undefined;
+    onLeader();
+    // Блокировка держится, пока вкладка не откажется от неё
+    return new Promise(resolve => {
+      release = resolve;
+    });
+  });
+  return () => {
+    released = true;
+    release();
+  };
+};
+
+// Фактическое значение этапа в контрольной точке: введённое, иначе текущий счётчик.
+const getCpActual = (entry, actuals, stageId) => (entry.actual && entry.actual[stageId] !== undefined
+  ? Number(entry.actual[stageId]) || 0
+  : Number((actuals || {})[stageId]) || 0);
+
+/**
+ * Checks the alert rules against the current shift state.
+ *
+ * @param {object} rules - Alert rules (see loadAlertRules).
+ * @param {object} data - { settings, actuals, deviations, cpData, eta, backlog }:
+ *   results of calculateDeviations, calculateCompletionEta and calculateLastHourBacklog.
+ * @param {object} state - Alert state (see loadAlertState).
+ * @param {Date} now - Evaluation moment.
+ * @returns {object} { conditions: [{ id, rule, message: { key, values } }], backlogBaseline }:
+ *   the alerts whose condition holds now and the lowest last-hour backlog so far.
+ */
+export const evaluateAlerts = (rules, data, state, now = new Date()) => {
+  const { settings, actuals, deviations, cpData, eta, backlog } = data;
+  const stages = getStages(settings);
+  const conditions = [];
+
+  if (rules.deviation.enabled) {
+    const threshold = Number(rules.deviation.threshold) || 0;
+    stages.forEach(stage => {
+      const { deviation } = ((deviations && deviations.stages) || {})[stage.id] || {};
+      if (deviation < threshold) {
+        conditions.push({
+          id: `deviation:${stage.id}`,
+          rule: 'deviation',
+          message: { key: 'alerts.message.deviation', values: { stage: getStageName(stage), deviation: Math.round(deviation), threshold } },
+        });
+      }
+    });
+  }
+
+  if (rules.controlPoint.enabled && settings.shiftStart && settings.shiftEnd) {
+    const { shiftStartDate } = getShiftBounds(settings, now);
+    (cpData || []).filter(entry => entry.time && toShiftDate(entry.time, shiftStartDate) <= now).forEach(entry => {
+      stages.forEach(stage => {
+        const planned = Number((entry.planned || {})[stage.id]) || 0;
+        const actual = getCpActual(entry, actuals, stage.id);
+        if (actual < planned) {
+          conditions.push({
+            id: `controlPoint:${entry.time}:${stage.id}`,
+            rule: 'controlPoint',
+            message: {
+              key: 'alerts.message.controlPoint',
+              values: { time: entry.time, stage: getStageName(stage), actual: Math.round(actual), planned: Math.round(planned) },
+            },
+          });
+        }
+      });
+    });
+  }
+
+  if (rules.eta.enabled && eta) {
+    const grace = Number(rules.eta.minutes) || 0;
+    stages.forEach(stage => {
+      const processEta = eta.stages[stage.id];
+      if (processEta && processEta.eta && processEta.minutesVsShiftEnd > grace) {
+        conditions.push({
+          id: `eta:${stage.id}`,
+          rule: 'eta',
+          message: {
+            key: 'alerts.message.eta',
+            values: { stage: getStageName(stage), eta: formatTime(processEta.eta), minutes: Math.round(processEta.minutesVsShiftEnd) },
+          },
+        });
+      }
+    });
+  }
+
+  // Ожидаемый остаток последнего часа сравнивается с наименьшим за смену
+  const backlogOrders = backlog ? Math.max(-backlog.totalRemaining, 0) : null;
+  const backlogBaseline = backlogOrders === null
+    ? state.backlogBaseline
+    : Math.min(state.backlogBaseline ?? backlogOrders, backlogOrders);
+  if (rules.backlog.enabled && backlogOrders !== null && backlogOrders - backlogBaseline > (Number(rules.backlog.orders) || 0)) {
+    conditions.push({
+      id: 'backlog',
+      rule: 'backlog',
+      message: { key: 'alerts.message.backlog', values: { orders: Math.round(backlogOrders), lowest: Math.round(backlogBaseline) } },
+    });
+  }
+
+  return { conditions, backlogBaseline };
+};
+
+/**
+ * Checks the alert rules against the current shift with the same indicators
+ * as the Update Data page: site deviations (summed over zones or measured
+ * against the staffing plan), the ETA by the last-hour speed and the
+ * last-hour backlog.
+ *
+ * @param {object} rules - Alert rules (see loadAlertRules).
+ * @param {object} shift - { settings, actuals, zoneActuals, cpData, progressLog, staffingPlan },
+ *   settings as saved (with zones, the site plan is summed here).
+ * @param {object} state - Alert state (see loadAlertState).
+ * @param {Date} now - Evaluation moment.
+ * @returns {object|null} { state, fired } as updateAlertState, or null when the
+ *   settings are missing or have errors (nothing can be calculated).
+ */
+export const checkAlerts = (rules, shift, state, now = new Date()) => {
+  if (!shift.settings) return null;
+  const settings = getSiteSettings(shift.settings);
+  if (validateSettings(settings).length > 0) return null;
+  const { actuals, zoneActuals, cpData, progressLog, staffingPlan } = shift;
+  const deviations = calculateSiteDeviations(settings, actuals, zoneActuals, now, staffingPlan);
+  // Прогноз по скорости за последний час; без журнала — по средней скорости смены
+  const lastHour = calculateRollingThroughput(progressLog || [], 60, now);
+  const eta = calculateCompletionEta(settings, actuals, lastHour.windowHours > 0 ? lastHour.speeds : null, now);
+  const backlog = calculateLastHourBacklog(deviations, settings);
+  const evaluation = evaluateAlerts(rules, { settings, actuals, deviations, cpData, eta, backlog }, state, now);
+  return updateAlertState(state, evaluation, now);
+};
+
+/**
+ * Applies an evaluation to the alert state.
+ *
+ * A condition that is not active yet fires a new alert and is logged. An
+ * active alert keeps firing time and acknowledgement and only updates its
+ * message; a snoozed alert fires again when the snooze ends and the
+ * condition still holds. Alerts whose condition no longer holds are
+ * resolved: they leave the feed and fire again if the condition returns.
+ *
+ * @param {object} state - Alert state (see loadAlertState).
+ * @param {object} evaluation - Result of evaluateAlerts.
+ * @param {Date} now - Evaluation moment.
+ * @returns {object} { state, fired }, where fired lists the alerts to notify about.
+ */
+export const updateAlertState = (state, evaluation, now = new Date()) => {
+  const timestamp = now.toISOString();
+  const fired = [];
+  let log = [...state.log];
+  const updateLog = (id, changes) => {
+    const index = log.map(entry => entry.id).lastIndexOf(id);
+    if (index >= 0) log = log.map((entry, i) => (i === index ? { ...entry, ...changes } : entry));
+  };
+
+  const active = Object.fromEntries(evaluation.conditions.map(condition => {
+    const existing = state.active[condition.id];
+    if (!existing) {
+      const alert = { ...condition, firedAt: timestamp, acknowledgedAt: null, snoozedUntil: null };
+      fired.push(alert);
+      log.push({ ...condition, firedAt: timestamp, acknowledgedAt: null, resolvedAt: null });
+      return [condition.id, alert];
+    }
+    if (existing.snoozedUntil && new Date(existing.snoozedUntil) <= now) {
+      const alert = { ...existing, message: condition.message, snoozedUntil: null };
+      fired.push(alert);
+      return [condition.id, alert];
+    }
+    return [condition.id, { ...existing, message: condition.message }];
+  }));
+
+  Object.keys(state.active).filter(id => !active[id]).forEach(id => updateLog(id, { resolvedAt: timestamp }));
+
+  return { state: { active, log, backlogBaseline: evaluation.backlogBaseline }, fired };
+};
+
+/**
+ * Alerts shown in the feed: active, not acknowledged and not snoozed.
+ */
+export const getVisibleAlerts = (state, now = new Date()) => Object.values(state.active)
+  .filter(alert => !alert.acknowledgedAt && !(alert.snoozedUntil && new Date(alert.snoozedUntil) > now))
+  .sort((a, b) => a.firedAt.localeCompare(b.firedAt));
+
+/**
+ * Acknowledges an alert: it leaves the feed until its condition clears and returns.
+ *
+ * @returns {object} New alert state.
+ */
+export const acknowledgeAlert = (state, id, now = new Date()) => {
+  if (!state.active[id]) return state;
+  const timestamp = now.toISOString();
+  const log = [...state.log];
+  const index = log.map(entry => entry.id).lastIndexOf(id);
+  if (index >= 0) log[index] = { ...log[index], acknowledgedAt: timestamp };
+  return { ...state, active: { ...state.active, [id]: { ...state.active[id], acknowledgedAt: timestamp } }, log };
+};
+
+/**
+ * Hides an alert for `minutes`; it fires again afterwards if still active.
+ *
+ * @returns {object} New alert state.
+ */
+export const snoozeAlert = (state, id, minutes, now = new Date()) => {
+  if (!state.active[id]) return state;
+  const snoozedUntil = new Date(now.getTime() + minutes * MS_PER_MINUTE).toISOString();
+  return { ...state, active: { ...state.active, [id]: { ...state.active[id], snoozedUntil } } };
+};
+
+/**
+ * Asks the browser for permission to show notifications.
+ *
+ * @returns {Promise<string>} 'granted', 'denied' or 'default' ('unsupported' without the API).
+ */
+export const requestNotificationPermission = async () => {
+  if (!('Notification' in window)) return 'unsupported';
+  return Notification.requestPermission();
+};
+
+// Короткий сигнал через Web Audio (браузер может заглушить его до первого действия пользователя).
+const playAlertSound = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  const context = new AudioContext();
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = 880;
+  gain.gain.value = 0.1;
+  oscillator.connect(gain);
+  gain.connect(context.destination);
+  oscillator.onended = () => context.close();
+  oscillator.start();
+  oscillator.stop(context.currentTime + 0.4);
+};
+
+// Уведомление через service worker: на Android Chrome (установленное приложение)
+// конструктор Notification бросает TypeError. Без service worker — конструктор.
+const showNotification = (title, options) => {
+  const construct = () => {
+    try {
+      new Notification(title, options);
+    } catch (error) {
+      console.warn('Could not show a notification.', error);
+    }
+  };
+  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.showNotification(title, options))
+      .catch(construct);
+  } else {
+    construct();
+  }
+};
+
+/**
+ * Shows a browser notification for every fired alert (when permitted) and
+ * plays the alert sound once.
+ *
+ * @param {Array} alerts - Fired alerts (see updateAlertState).
+ * @param {object} rules - Alert rules.
+ * @param {string} language - (Optional) Language of the notifications.
+ */
+export const notifyAlerts = (alerts, rules, language = DEFAULT_LANGUAGE) => {
+  if (alerts.length === 0) return;
+  if ('Notification' in window && Notification.permission === 'granted') {
+    const title = translate(language, 'alerts.notificationTitle');
+    alerts.forEach(alert => showNotification(title, { body: translateMessage(language, alert.message), tag: alert.id }));
+  }
+  if (rules.sound) playAlertSound();
+};
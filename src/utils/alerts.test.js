@@ -0,0 +1,91 @@
+import { calculateCompletionEta, calculateDeviations, calculateLastHourBacklog } from './calculations';
+import {
+  DEFAULT_ALERT_RULES,
+  acknowledgeAlert,
+  checkAlerts,
+  evaluateAlerts,
+  getVisibleAlerts,
+  notifyAlerts,
+  snoozeAlert,
+  updateAlertState,
+} from './alerts';
+import { translateMessage } from './i18n';
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  stages: [{ id: 'picking', name: 'Picking', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 0 }],
+};
+
+const emptyState = { active: {}, log: [], backlogBaseline: null };
+
+const evaluate = (actual, cpData, state, now) => {
+  const deviations = calculateDeviations(settings, { picking: actual }, now);
+  return evaluateAlerts(DEFAULT_ALERT_RULES, {
+    settings,
+    actuals: { picking: actual },
+    deviations,
+    cpData,
+    eta: calculateCompletionEta(settings, { picking: actual }, null, now),
+    backlog: calculateLastHourBacklog(deviations, settings),
+  }, state, now);
+};
+
+test('rules fire for a deviation, a missed control point, a late ETA and a rising backlog', () => {
+  const noon = new Date(2024, 0, 10, 12, 0);
+  const cpData = [{ time: '11:00', planned: { picking: 300 }, actual: { picking: 250 } }];
+  // К полудню план 457 (114.3/час), сделано 300; темп 75/час — конец в 18:40
+  const { conditions, backlogBaseline } = evaluate(300, cpData, { ...emptyState, backlogBaseline: 40 }, noon);
+  expect(conditions.map(condition => condition.id)).toEqual(['deviation:picking', 'controlPoint:11:00:picking', 'eta:picking', 'backlog']);
+  expect(conditions[2].message).toEqual({ key: 'alerts.message.eta', values: { stage: { key: 'stages.picking' }, eta: '18:40', minutes: 160 } });
+  expect(translateMessage('ru', conditions[2].message)).toBe('Этап «Сборка» закончит работу в 18:40, на 160 мин позже конца смены.');
+  expect(backlogBaseline).toBe(40);
+
+  expect(evaluate(460, [], emptyState, noon).conditions).toEqual([]);
+});
+
+test('alerts fire once, can be acknowledged or snoozed and are logged', () => {
+  const noon = new Date(2024, 0, 10, 12, 0);
+  const later = new Date(2024, 0, 10, 12, 20);
+  const first = updateAlertState(emptyState, evaluate(300, [], emptyState, noon), noon);
+  expect(first.fired.map(alert => alert.id)).toEqual(['deviation:picking', 'eta:picking']);
+
+  // Условие держится — повторно не срабатывает
+  const again = updateAlertState(first.state, evaluate(300, [], first.state, noon), noon);
+  expect(again.fired).toEqual([]);
+
+  const acknowledged = acknowledgeAlert(again.state, 'eta:picking', noon);
+  const snoozed = snoozeAlert(acknowledged, 'deviation:picking', 15, noon);
+  expect(getVisibleAlerts(snoozed, noon)).toEqual([]);
+
+  // Через 20 минут отставание всё ещё больше 50 — отложенное оповещение срабатывает снова;
+  // прогноз уже укладывается в смену
+  const after = updateAlertState(snoozed, evaluate(440, [], snoozed, later), later);
+  expect(after.fired.map(alert => alert.id)).toEqual(['deviation:picking']);
+  expect(getVisibleAlerts(after.state, later).map(alert => alert.id)).toEqual(['deviation:picking']);
+  expect(after.state.log).toHaveLength(2);
+  expect(after.state.log[1]).toMatchObject({ id: 'eta:picking', acknowledgedAt: noon.toISOString(), resolvedAt: later.toISOString() });
+});
+
+test('the whole shift is checked with the site indicators', () => {
+  const noon = new Date(2024, 0, 10, 12, 0);
+  const shift = { settings, actuals: { picking: 300 }, zoneActuals: {}, cpData: [], progressLog: [], staffingPlan: null };
+  const { fired } = checkAlerts(DEFAULT_ALERT_RULES, shift, emptyState, noon);
+  expect(fired.map(alert => alert.id)).toEqual(['deviation:picking', 'eta:picking']);
+  // Настройки с ошибками не проверяются
+  expect(checkAlerts(DEFAULT_ALERT_RULES, { ...shift, settings: { ...settings, shiftStart: '' } }, emptyState, noon)).toBeNull();
+});
+
+test('a notification the browser refuses to create does not throw', () => {
+  window.Notification = jest.fn(() => {
+    throw new TypeError('Illegal constructor');
+  });
+  window.Notification.permission = 'granted';
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  const alert = { id: 'deviation:picking', message: { key: 'alerts.message.backlog', values: { orders: 30, lowest: 5 } } };
+  expect(() => notifyAlerts([alert], { ...DEFAULT_ALERT_RULES, sound: false })).not.toThrow();
+  expect(console.warn).toHaveBeenCalled();
+  console.warn.mockRestore();
+  delete window.Notification;
+});
@@ -1,4 +1,11 @@
 // src/utils/calculations.js
+import { getStageName, getStages } from './stages';
+import { analyzePipeline } from './pipeline';
+import { getRosterAverageSpeed, getStageTeams, hasAssignments, planRosterMoves } from './roster';
+import { assertValidSettings } from './settingsValidation';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
 
 /**
  * Parses time from a string in the format "HH:MM AM/PM" or "HH:MM".
@@ -18,312 +25,753 @@ export const parseTime = (timeStr) => {
 };
 
 /**
- * Calculates deviations and required speeds separately for Picking and Packing.
+ * Formats a Date as "HH:MM" (24-hour).
+ */
+export const formatTime = (date) => {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Formats a money amount with two decimals, e.g. 1234.5 -> "1234.50".
+ */
+export const formatCost = (value) => value.toFixed(2);
+
+// Дата с указанным временем в тот же календарный день, что и baseDate.
+const atTime = (baseDate, timeStr) => {
+  const { hours, minutes } = parseTime(timeStr);
+  return new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), hours, minutes);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+/**
+ * Returns the start and end Dates of the shift that `now` belongs to.
  *
- * For each process:
- *   baseSpeed = R / T, where R = expectedOrders and T = total effective work time.
- *   targetProcessed = R - (staffForLastPeriod * avgSpeed)
- *   candidateSpeed = (T > 1) ? targetProcessed / (T - 1) : baseSpeed
- *   newRequiredSpeed = max(baseSpeed, candidateSpeed)
- *   expectedProcessed = newRequiredSpeed * effectiveHoursPassed, capped at R.
- *   If actual processed orders ≥ R, then deviation is set to 0.
+ * If shiftEnd is not after shiftStart, the shift runs past midnight and ends
+ * on the next calendar day. During the after-midnight part of such a shift
+ * the shift is anchored to the previous day's start.
  *
- * @param {object} settings - Shift settings:
- *   shiftStart, shiftEnd, breaks, expectedOrders, avgSpeed, staffForLastPeriod
- * @param {number} pickedActual - Actual orders picked.
- * @param {number} packedActual - Actual orders packed.
- * @returns {object} Calculation results.
+ * Between two shifts `now` belongs to the nearer one: for the first half of
+ * the break it is still the shift that just ended (so a night shift is not
+ * replaced by the next night's one right after 06:00), then the next shift.
+ *
+ * @param {object} settings - Shift settings with shiftStart and shiftEnd.
+ * @param {Date} now - Reference moment.
+ * @returns {object} { shiftStartDate, shiftEndDate }.
  */
-export const calculateDeviations = (settings, pickedActual, packedActual) => {
-  const now = new Date();
-  if (!settings.shiftStart || !settings.shiftEnd) {
-    return {
-      pickingDeviation: 0,
-      packingDeviation: 0,
-      hoursPassed: 0,
-      expectedProcessedPicking: 0,
-      expectedProcessedPacking: 0,
-      requiredSpeedPicking: 0,
-      requiredSpeedPacking: 0,
-      totalWorkTime: 0,
-    };
+export const getShiftBounds = (settings, now = new Date()) => {
+  // Последнее начало смены не позже now
+  let shiftStartDate = atTime(now, settings.shiftStart);
+  if (shiftStartDate > now) shiftStartDate = addDays(shiftStartDate, -1);
+  let shiftEndDate = atTime(shiftStartDate, settings.shiftEnd);
+  if (shiftEndDate <= shiftStartDate) shiftEndDate = addDays(shiftEndDate, 1);
+
+  // Смена уже закончилась: до середины перерыва остаётся она, потом — следующая
+  const nextStartDate = addDays(shiftStartDate, 1);
+  if (now >= shiftEndDate && now - shiftEndDate >= nextStartDate - now) {
+    return { shiftStartDate: nextStartDate, shiftEndDate: addDays(shiftEndDate, 1) };
   }
-  
-  // Parse shift start/end times.
-  const { hours: startHour, minutes: startMinute } = parseTime(settings.shiftStart);
-  const { hours: endHour, minutes: endMinute } = parseTime(settings.shiftEnd);
-  const shiftStartDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), startHour, startMinute);
-  const shiftEndDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), endHour, endMinute);
-  const totalShiftHours = (shiftEndDate - shiftStartDate) / (1000 * 60 * 60);
-  
-  // Calculate total break hours.
-  let totalBreakHours = 0;
-  if (Array.isArray(settings.breaks)) {
-    settings.breaks.forEach(brk => {
-      if (brk.start && brk.end) {
-        const { hours: bStartHour, minutes: bStartMinute } = parseTime(brk.start);
-        const { hours: bEndHour, minutes: bEndMinute } = parseTime(brk.end);
-        const breakStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bStartHour, bStartMinute);
-        const breakEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bEndHour, bEndMinute);
-        totalBreakHours += (breakEnd - breakStart) / (1000 * 60 * 60);
-      }
-    });
-  } else if (typeof settings.breaks === 'string' && settings.breaks.trim() !== '') {
-    const breakIntervals = settings.breaks.split(',').map(s => s.trim());
-    breakIntervals.forEach(interval => {
-      const [start, end] = interval.split('-').map(s => s.trim());
-      const { hours: bStartHour, minutes: bStartMinute } = parseTime(start);
-      const { hours: bEndHour, minutes: bEndMinute } = parseTime(end);
-      const breakStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bStartHour, bStartMinute);
-      const breakEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bEndHour, bEndMinute);
-      totalBreakHours += (breakEnd - breakStart) / (1000 * 60 * 60);
-    });
+  return { shiftStartDate, shiftEndDate };
+};
+
+/**
+ * Returns the start Date of the latest shift that began at or before `moment`.
+ * Unlike getShiftBounds, a moment after the shift end still belongs to the
+ * shift that just ended (useful for closed shifts and logged data).
+ */
+export const getLatestShiftStart = (settings, moment) => {
+  const { shiftStartDate } = getShiftBounds(settings, moment);
+  return shiftStartDate > moment ? addDays(shiftStartDate, -1) : shiftStartDate;
+};
+
+/**
+ * Places a "HH:MM" time inside the shift that starts at shiftStartDate.
+ * Times earlier in the day than the shift start belong to the next day.
+ *
+ * @param {string} timeStr - Time in "HH:MM" or "HH:MM AM/PM" format.
+ * @param {Date} shiftStartDate - Start of the shift.
+ * @returns {Date} The moment within (or right after) the shift.
+ */
+export const toShiftDate = (timeStr, shiftStartDate) => {
+  const date = atTime(shiftStartDate, timeStr);
+  return date < shiftStartDate ? addDays(date, 1) : date;
+};
+
+/**
+ * Normalizes breaks to an array of { start, end } strings.
+ * Supports both the array format and the legacy "HH:MM-HH:MM, ..." string.
+ */
+export const normalizeBreaks = (breaks) => {
+  if (Array.isArray(breaks)) {
+    return breaks.filter(brk => brk && brk.start && brk.end);
   }
-  
-  const totalWorkTime = totalShiftHours - totalBreakHours;
-  
-  // Calculate raw hours passed from shift start.
-  let rawHoursPassed = 0;
-  if (now > shiftStartDate) {
-    rawHoursPassed = (now - shiftStartDate) / (1000 * 60 * 60);
-    if (rawHoursPassed > totalShiftHours) rawHoursPassed = totalShiftHours;
+  if (typeof breaks === 'string' && breaks.trim() !== '') {
+    return breaks.split(',').map(interval => {
+      const [start, end] = interval.split('-').map(s => s.trim());
+      return { start, end };
+    }).filter(brk => brk.start && brk.end);
   }
-  
-  // Calculate break time passed so far.
-  let breakTimePassed = 0;
-  if (Array.isArray(settings.breaks)) {
-    settings.breaks.forEach(brk => {
-      if (brk.start && brk.end) {
-        const { hours: bStartHour, minutes: bStartMinute } = parseTime(brk.start);
-        const { hours: bEndHour, minutes: bEndMinute } = parseTime(brk.end);
-        const breakStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bStartHour, bStartMinute);
-        const breakEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bEndHour, bEndMinute);
-        if (now >= breakEnd) {
-          breakTimePassed += (breakEnd - breakStart) / (1000 * 60 * 60);
-        } else if (now > breakStart && now < breakEnd) {
-          breakTimePassed += (now - breakStart) / (1000 * 60 * 60);
-        }
-      }
+  return [];
+};
+
+/**
+ * Normalizes control points to { time, name, orders, priority }. A control
+ * point with an order quota is a carrier cutoff (e.g. DPD at 14:00 with 800
+ * orders); quotas of consecutive cutoffs add up. A lower priority number
+ * means a more important cutoff. Supports the legacy "HH:MM, ..." string.
+ */
+export const normalizeControlPoints = (controlPoints) => {
+  const list = typeof controlPoints === 'string'
+    ? controlPoints.split(',').map(time => time.trim())
+    : (Array.isArray(controlPoints) ? controlPoints : []);
+  return list
+    .map(cp => (typeof cp === 'object' && cp !== null ? cp : { time: cp }))
+    .filter(cp => cp.time)
+    .map(cp => ({
+      time: cp.time,
+      name: cp.name || '',
+      orders: Number(cp.orders) || 0,
+      priority: cp.priority === '' || cp.priority === undefined ? null : Number(cp.priority),
+    }));
+};
+
+/**
+ * Carrier cutoffs of the shift in time order, each as
+ * { time, name, orders, priority, date, hours, cumulative }, where hours are
+ * the effective work hours from the shift start to the cutoff and cumulative
+ * is the sum of the quotas of this and all earlier cutoffs.
+ *
+ * @param {object} settings - Shift settings.
+ * @param {object} timeline - Result of getShiftTimeline.
+ * @returns {Array} Cutoffs.
+ */
+export const getCutoffs = (settings, timeline) => {
+  let cumulative = 0;
+  return normalizeControlPoints(settings.controlPoints)
+    .filter(cp => cp.orders > 0)
+    .map(cp => ({ ...cp, date: toShiftDate(cp.time, timeline.shiftStartDate) }))
+    .sort((a, b) => a.date - b.date)
+    .map(cp => {
+      cumulative += cp.orders;
+      return { ...cp, hours: getEffectiveHoursAt(timeline, cp.date), cumulative };
     });
+};
+
+/**
+ * Builds the shift timeline: shift bounds, break intervals as Dates (clipped
+ * to the shift) and total shift, break and work hours.
+ *
+ * @param {object} settings - Shift settings.
+ * @param {Date} now - Reference moment used to pick the shift.
+ * @returns {object} Timeline object.
+ */
+export const getShiftTimeline = (settings, now = new Date()) => {
+  const { shiftStartDate, shiftEndDate } = getShiftBounds(settings, now);
+  const totalShiftHours = (shiftEndDate - shiftStartDate) / MS_PER_HOUR;
+
+  const breaks = normalizeBreaks(settings.breaks)
+    .map(brk => {
+      const start = toShiftDate(brk.start, shiftStartDate);
+      let end = toShiftDate(brk.end, shiftStartDate);
+      if (end <= start) end = addDays(end, 1);
+      return {
+        start: start < shiftStartDate ? shiftStartDate : start,
+        end: end > shiftEndDate ? shiftEndDate : end,
+      };
+    })
+    .filter(brk => brk.end > brk.start);
+
+  const totalBreakHours = breaks.reduce((sum, brk) => sum + (brk.end - brk.start) / MS_PER_HOUR, 0);
+
+  return {
+    shiftStartDate,
+    shiftEndDate,
+    breaks,
+    totalShiftHours,
+    totalBreakHours,
+    totalWorkTime: totalShiftHours - totalBreakHours,
+  };
+};
+
+/**
+ * Effective work hours from the shift start up to `moment`, excluding breaks.
+ * The moment is clamped to the shift bounds.
+ */
+export const getEffectiveHoursAt = (timeline, moment) => {
+  const { shiftStartDate, shiftEndDate, breaks } = timeline;
+  if (moment <= shiftStartDate) return 0;
+  const until = moment > shiftEndDate ? shiftEndDate : moment;
+
+  const rawHours = (until - shiftStartDate) / MS_PER_HOUR;
+  const breakHours = breaks.reduce((sum, brk) => {
+    if (until >= brk.end) return sum + (brk.end - brk.start) / MS_PER_HOUR;
+    if (until > brk.start) return sum + (until - brk.start) / MS_PER_HOUR;
+    return sum;
+  }, 0);
+  return Math.max(rawHours - breakHours, 0);
+};
+
+/**
+ * Splits the shift into one-hour slots starting at the shift start; the last
+ * slot may be shorter. Each slot is { key, start, end } where key is the
+ * "HH:MM" start time (used to store hourly staff assignments).
+ *
+ * @param {object} settings - Shift settings.
+ * @param {Date} now - Reference moment used to pick the shift.
+ * @returns {Array} Hour slots in shift order.
+ */
+export const getHourSlots = (settings, now = new Date()) => {
+  if (!settings || !settings.shiftStart || !settings.shiftEnd) return [];
+  const { shiftStartDate, shiftEndDate } = getShiftBounds(settings, now);
+  const slots = [];
+  for (let start = shiftStartDate; start < shiftEndDate; start = new Date(start.getTime() + MS_PER_HOUR)) {
+    const end = new Date(Math.min(start.getTime() + MS_PER_HOUR, shiftEndDate.getTime()));
+    slots.push({ key: formatTime(start), start, end });
   }
-  
-  const effectiveHoursPassed = rawHoursPassed - breakTimePassed;
-  
-  // R – expected orders for each process.
-  const R = Number(settings.expectedOrders);
-  // Base speed (orders/hour) for each process.
+  return slots;
+};
+
+/**
+ * The hour slot containing `moment`, or null outside the shift.
+ */
+export const getHourSlotAt = (settings, moment) => getHourSlots(settings, moment)
+  .find(slot => moment >= slot.start && moment < slot.end) || null;
+
+/**
+ * Normalizes the order arrival profile to rows { start, end, orders } with
+ * orders > 0. A row without an end is a wave: all its orders arrive at
+ * `start`; with an end the orders arrive evenly between start and end
+ * (hourly volumes are rows one hour long).
+ */
+export const normalizeArrivals = (arrivals) => (Array.isArray(arrivals) ? arrivals : [])
+  .map(row => ({ start: row.start, end: row.end || '', orders: Number(row.orders) || 0 }))
+  .filter(row => row.start && row.orders > 0);
+
+/**
+ * Orders that have arrived by `moment` according to the arrival profile of
+ * the settings (see normalizeArrivals), or null when no profile is set.
+ * Orders already waiting at the shift start are a wave at the shift start time.
+ *
+ * @param {object} settings - Shift settings with `arrivals`.
+ * @param {Date} moment - Moment to count the arrivals for.
+ * @param {Date} now - Moment used to pick the shift.
+ * @returns {object|null} { arrived, total }.
+ */
+export const calculateArrivedOrders = (settings, moment, now = moment) => {
+  const rows = normalizeArrivals(settings.arrivals);
+  if (rows.length === 0 || !settings.shiftStart || !settings.shiftEnd) return null;
+  const { shiftStartDate } = getShiftBounds(settings, now);
+  const arrived = rows.reduce((sum, row) => {
+    const start = toShiftDate(row.start, shiftStartDate);
+    if (moment < start) return sum;
+    if (!row.end) return sum + row.orders;
+    let end = toShiftDate(row.end, shiftStartDate);
+    if (end <= start) end = addDays(end, 1);
+    return sum + row.orders * Math.min((moment - start) / (end - start), 1);
+  }, 0);
+  return { arrived, total: rows.reduce((sum, row) => sum + row.orders, 0) };
+};
+
+// Доля заказов, поступивших к моменту: план этапа к этому времени не может её превышать.
+const getArrivedShare = (settings, moment, now) => {
+  const arrivals = calculateArrivedOrders(settings, moment, now);
+  return arrivals ? arrivals.arrived / arrivals.total : 1;
+};
+
+/**
+ * Returns plan, speed and last-hour headcount for one process stage.
+ * Settings saved before stages were configurable are read through getStages
+ * (per-process fields, then the shared expectedOrders, avgSpeed and
+ * staffForLastPeriod).
+ *
+ * @param {object} settings - Shift settings.
+ * @param {string} stageId - Stage id, e.g. 'picking' or 'packing'.
+ * @returns {object} { expectedOrders, avgSpeed, staffForLastPeriod } as numbers.
+ */
+export const getProcessSettings = (settings, stageId) => {
+  const stage = getStages(settings).find(item => item.id === stageId);
+  return {
+    expectedOrders: stage ? stage.expectedOrders : 0,
+    avgSpeed: stage ? stage.avgSpeed : 0,
+    staffForLastPeriod: stage ? stage.staffForLastPeriod : 0,
+  };
+};
+
+// Требуемая скорость процесса с учётом персонала последнего часа
+// и квот отгрузки к каждому cutoff перевозчика.
+const getRequiredSpeed = (processSettings, totalWorkTime, cutoffs = []) => {
+  const { expectedOrders: R, avgSpeed, staffForLastPeriod } = processSettings;
   const baseSpeed = R / totalWorkTime;
-  
-  // Base expected processed orders.
-  const baseExpectedProcessed = baseSpeed * effectiveHoursPassed;
-  
-  // Using avgSpeed (без деления на 2)
-  const avgSpeed = Number(settings.avgSpeed) || 0;
-  const staffLastHour = Number(settings.staffForLastPeriod) || 0;
-  
-  // Для каждого процесса:
+
   // targetProcessed = R - (staffForLastPeriod * avgSpeed)
-  const targetProcessedPicking = R - (staffLastHour * avgSpeed);
-  const targetProcessedPacking = R - (staffLastHour * avgSpeed);
-  
+  const targetProcessed = R - (staffForLastPeriod * avgSpeed);
+
   // Candidate speed = targetProcessed / (T - 1)
-  const candidateSpeedPicking = (totalWorkTime > 1) ? targetProcessedPicking / (totalWorkTime - 1) : baseSpeed;
-  const candidateSpeedPacking = (totalWorkTime > 1) ? targetProcessedPacking / (totalWorkTime - 1) : baseSpeed;
-  
-  const newRequiredSpeedPicking = Math.max(baseSpeed, candidateSpeedPicking);
-  const newRequiredSpeedPacking = Math.max(baseSpeed, candidateSpeedPacking);
-  
-  let expectedProcessedPicking = newRequiredSpeedPicking * effectiveHoursPassed;
-  let expectedProcessedPacking = newRequiredSpeedPacking * effectiveHoursPassed;
-  
-  // Если расчетное количество превышает R, то ограничиваем его значением R
-  if (expectedProcessedPicking > R) {
-    expectedProcessedPicking = R;
-  }
-  if (expectedProcessedPacking > R) {
-    expectedProcessedPacking = R;
-  }
-  
-  // Если фактическое количество >= R, отклонение = 0
-  const pickingDeviation = pickedActual >= R ? 0 : (pickedActual - expectedProcessedPicking);
-  const packingDeviation = packedActual >= R ? 0 : (packedActual - expectedProcessedPacking);
-  
+  const candidateSpeed = (totalWorkTime > 1) ? targetProcessed / (totalWorkTime - 1) : baseSpeed;
+
+  // К каждому cutoff этап должен обработать сумму квот до него включительно
+  const cutoffSpeed = cutoffs.reduce(
+    (max, cutoff) => (cutoff.hours > 0 ? Math.max(max, cutoff.cumulative / cutoff.hours) : max),
+    0,
+  );
+
+  return Math.max(baseSpeed, candidateSpeed, cutoffSpeed);
+};
+
+// Объект { [stageId]: value } по всем этапам.
+const mapStages = (settings, fn) => Object.fromEntries(getStages(settings).map(stage => [stage.id, fn(stage)]));
+
+/**
+ * Orders each stage should have processed by `moment` under an hourly
+ * staffing plan: for every hour slot, planned staff * avgSpeed * work hours of
+ * the slot before `moment` (breaks excluded), capped at the stage plan and
+ * at the orders arrived by then.
+ *
+ * @param {object} settings - Shift settings.
+ * @param {object} staffingPlan - { slots: { [slotKey]: { [stageId]: people } } }.
+ * @param {Date} moment - Moment to calculate the output for.
+ * @param {Date} now - Moment used to pick the shift.
+ * @returns {object|null} { [stageId]: orders }, or null without a plan.
+ */
+export const calculatePlannedOutputAt = (settings, staffingPlan, moment, now = moment) => {
+  const planSlots = (staffingPlan && staffingPlan.slots) || {};
+  if (Object.keys(planSlots).length === 0 || !settings.shiftStart || !settings.shiftEnd) return null;
+  const timeline = getShiftTimeline(settings, now);
+  const slots = getHourSlots(settings, now);
+  const arrivedShare = getArrivedShare(settings, moment, now);
+  return mapStages(settings, stage => Math.min(slots.reduce((sum, slot) => {
+    if (moment <= slot.start) return sum;
+    const until = moment < slot.end ? moment : slot.end;
+    const workHours = getEffectiveHoursAt(timeline, until) - getEffectiveHoursAt(timeline, slot.start);
+    const people = Number((planSlots[slot.key] || {})[stage.id]) || 0;
+    return sum + people * stage.avgSpeed * workHours;
+  }, 0), stage.expectedOrders * arrivedShare));
+};
+
+/**
+ * Calculates deviations and required speeds separately for every process stage.
+ *
+ * For each stage (using that stage's own plan, speed and headcount):
+ *   baseSpeed = R / T, where R = expectedOrders and T = total effective work time.
+ *   targetProcessed = R - (staffForLastPeriod * avgSpeed)
+ *   candidateSpeed = (T > 1) ? targetProcessed / (T - 1) : baseSpeed
+ *   cutoffSpeed = max over carrier cutoffs of (quotas up to the cutoff) / (work hours until it)
+ *   newRequiredSpeed = max(baseSpeed, candidateSpeed, cutoffSpeed)
+ *   expectedProcessed = newRequiredSpeed * effectiveHoursPassed, capped at R.
+ *   With an order arrival profile (settings.arrivals) expectedProcessed is
+ *   also capped at R * (orders arrived by now / all arriving orders): orders
+ *   cannot be processed before they arrive.
+ *   If actual processed orders ≥ R, then deviation is set to 0.
+ *
+ * With an hourly staffing plan, expectedProcessed is the output of the planned
+ * headcount instead (see calculatePlannedOutputAt).
+ *
+ * Shifts, breaks and control points may run past midnight.
+ *
+ * @param {object} settings - Shift settings: shiftStart, shiftEnd, breaks and stages (see getStages).
+ * @param {object} actuals - Actual processed orders, { [stageId]: number }.
+ * @param {Date} now - Evaluation moment (defaults to the current time).
+ * @param {object} staffingPlan - Optional hourly staffing plan (see staffingPlan.js).
+ * @returns {object} { stages, hoursPassed, totalWorkTime }, where stages is
+ *   { [stageId]: { actual, deviation, expectedProcessed, requiredSpeed } }.
+ * @throws {SettingsValidationError} If the settings are not valid (see validateSettings).
+ */
+export const calculateDeviations = (settings, actuals, now = new Date(), staffingPlan = null) => {
+  assertValidSettings(settings);
+  const readActual = (stage) => Number((actuals || {})[stage.id]) || 0;
+  const timeline = getShiftTimeline(settings, now);
+  const { totalWorkTime } = timeline;
+  const effectiveHoursPassed = getEffectiveHoursAt(timeline, now);
+  const plannedOutput = calculatePlannedOutputAt(settings, staffingPlan, now, now);
+  const arrivedShare = getArrivedShare(settings, now, now);
+  const cutoffs = getCutoffs(settings, timeline);
+
   return {
-    pickingDeviation,
-    packingDeviation,
+    stages: mapStages(settings, stage => {
+      const actual = readActual(stage);
+      const requiredSpeed = getRequiredSpeed(stage, totalWorkTime, cutoffs);
+      // Если расчетное количество превышает R, то ограничиваем его значением R
+      const expectedProcessed = plannedOutput
+        ? plannedOutput[stage.id]
+        : Math.min(requiredSpeed * effectiveHoursPassed, stage.expectedOrders * arrivedShare);
+      return {
+        actual,
+        // Если фактическое количество >= R, отклонение = 0
+        deviation: actual >= stage.expectedOrders ? 0 : actual - expectedProcessed,
+        expectedProcessed,
+        requiredSpeed,
+      };
+    }),
     hoursPassed: effectiveHoursPassed,
-    expectedProcessedPicking,
-    expectedProcessedPacking,
-    requiredSpeedPicking: newRequiredSpeedPicking,
-    requiredSpeedPacking: newRequiredSpeedPacking,
     totalWorkTime,
   };
 };
 
 /**
  * Calculates the expected number of processed orders by a given control point,
- * using the same adjusted required speeds for both processes.
+ * using the adjusted required speed of each stage, capped at the orders
+ * arrived by then (see calculateDeviations). With an hourly staffing plan the
+ * expected value is the planned output.
  *
  * @param {object} settings - Shift settings.
  * @param {string} controlTime - Control point time in "HH:MM" or "HH:MM AM/PM" format.
- * @returns {object} An object: { expectedPicking, expectedPacking }.
+ * @param {Date} now - Moment used to pick the shift (defaults to the current time).
+ * @param {object} staffingPlan - Optional hourly staffing plan.
+ * @returns {object} Expected orders by stage id: { [stageId]: number }.
+ * @throws {SettingsValidationError} If the settings are not valid.
  */
-export const calculateExpectedAtTime = (settings, controlTime) => {
-  if (!controlTime || !settings.shiftStart || !settings.shiftEnd) {
-    return { expectedPicking: 0, expectedPacking: 0 };
-  }
-  
-  const now = new Date();
-  const { hours: startHour, minutes: startMinute } = parseTime(settings.shiftStart);
-  const shiftStartDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), startHour, startMinute);
-  
-  const { hours: cpHour, minutes: cpMinute } = parseTime(controlTime);
-  const cpDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), cpHour, cpMinute);
-  
-  let rawHours = (cpDate - shiftStartDate) / (1000 * 60 * 60);
-  if (rawHours < 0) rawHours = 0;
-  
-  let breakBefore = 0;
-  if (Array.isArray(settings.breaks)) {
-    settings.breaks.forEach(brk => {
-      if (brk.start && brk.end) {
-        const { hours: bStartHour, minutes: bStartMinute } = parseTime(brk.start);
-        const { hours: bEndHour, minutes: bEndMinute } = parseTime(brk.end);
-        const breakStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bStartHour, bStartMinute);
-        const breakEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bEndHour, bEndMinute);
-        if (breakEnd <= cpDate) {
-          breakBefore += (breakEnd - breakStart) / (1000 * 60 * 60);
-        } else if (breakStart < cpDate && breakEnd > cpDate) {
-          breakBefore += (cpDate - breakStart) / (1000 * 60 * 60);
-        }
-      }
-    });
-  }
-  
-  const effectiveHours = Math.max(rawHours - breakBefore, 0);
-  
-  // Total work time.
-  const { hours: endHour, minutes: endMinute } = parseTime(settings.shiftEnd);
-  const shiftEndDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), endHour, endMinute);
-  const totalShiftHours = (shiftEndDate - shiftStartDate) / (1000 * 60 * 60);
-  
-  let totalBreakHours = 0;
-  if (Array.isArray(settings.breaks)) {
-    settings.breaks.forEach(brk => {
-      if (brk.start && brk.end) {
-        const { hours: bStartHour, minutes: bStartMinute } = parseTime(brk.start);
-        const { hours: bEndHour, minutes: bEndMinute } = parseTime(brk.end);
-        const breakStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bStartHour, bStartMinute);
-        const breakEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), bEndHour, bEndMinute);
-        totalBreakHours += (breakEnd - breakStart) / (1000 * 60 * 60);
-      }
-    });
+export const calculateExpectedAtTime = (settings, controlTime, now = new Date(), staffingPlan = null) => {
+  assertValidSettings(settings);
+  if (!controlTime) return mapStages(settings, () => 0);
+
+  const timeline = getShiftTimeline(settings, now);
+  const cpDate = toShiftDate(controlTime, timeline.shiftStartDate);
+  const plannedOutput = calculatePlannedOutputAt(settings, staffingPlan, cpDate, now);
+  if (plannedOutput) return plannedOutput;
+  const effectiveHours = getEffectiveHoursAt(timeline, cpDate);
+
+  const arrivedShare = getArrivedShare(settings, cpDate, now);
+  const cutoffs = getCutoffs(settings, timeline);
+
+  // Если превышают R (или поступившие к этому времени заказы), то ограничиваем.
+  return mapStages(settings, stage => Math.min(
+    getRequiredSpeed(stage, timeline.totalWorkTime, cutoffs) * effectiveHours,
+    stage.expectedOrders * arrivedShare,
+  ));
+};
+
+/**
+ * Moves forward from `from` by `workHours` of working time, skipping the
+ * breaks of the shift. Work past the shift end continues without breaks.
+ */
+export const addWorkHours = (timeline, from, workHours) => {
+  let cursor = from < timeline.shiftStartDate ? timeline.shiftStartDate : from;
+  let remainingMs = workHours * MS_PER_HOUR;
+  const breaksAhead = [...timeline.breaks]
+    .filter(brk => brk.end > cursor)
+    .sort((a, b) => a.start - b.start);
+
+  for (const brk of breaksAhead) {
+    if (cursor < brk.start) {
+      const available = brk.start - cursor;
+      if (remainingMs <= available) break;
+      remainingMs -= available;
+    }
+    cursor = brk.end;
   }
-  
-  const totalWorkTime = totalShiftHours - totalBreakHours;
-  const R = Number(settings.expectedOrders);
-  const baseSpeed = R / totalWorkTime;
-  
-  // Adjusted candidate speeds for both processes.
-  const staffLastHour = Number(settings.staffForLastPeriod) || 0;
-  const avgSpeed = Number(settings.avgSpeed) || 0;
-  
-  const candidateSpeedPicking = (totalWorkTime > 1) ? (R - (staffLastHour * avgSpeed)) / (totalWorkTime - 1) : baseSpeed;
-  const candidateSpeedPacking = (totalWorkTime > 1) ? (R - (staffLastHour * avgSpeed)) / (totalWorkTime - 1) : baseSpeed;
-  
-  const newSpeedPicking = Math.max(baseSpeed, candidateSpeedPicking);
-  const newSpeedPacking = Math.max(baseSpeed, candidateSpeedPacking);
-  
-  const expectedPicking = newSpeedPicking * effectiveHours;
-  const expectedPacking = newSpeedPacking * effectiveHours;
-  
-  // Если превышают R, то ограничиваем до R.
-  const cappedExpectedPicking = expectedPicking > R ? R : expectedPicking;
-  const cappedExpectedPacking = expectedPacking > R ? R : expectedPacking;
-  
-  return { expectedPicking: cappedExpectedPicking, expectedPacking: cappedExpectedPacking };
+  return new Date(cursor.getTime() + remainingMs);
 };
 
 /**
- * Generates staffing recommendations based on deviations.
+ * Projects when each stage will finish its plan at the current pace.
+ *
+ * remaining = expectedOrders - actual; the remaining orders are processed at
+ * the given speed (orders/hour), starting now and pausing for the breaks still
+ * ahead in the shift. Without an explicit speed, the average speed since the
+ * shift start is used. A stage cannot finish before the stage in front of it:
+ * its ETA is moved to the upstream ETA (limitedBy = that stage's id), and it
+ * cannot be projected while the upstream stage cannot.
  *
- * @param {object} deviations - Object with deviations.
  * @param {object} settings - Shift settings.
- * @param {object} lastHourIndicators - (Optional) Additional indicators for the last hour.
- * @returns {object} An object with recommendations for picking and packing.
+ * @param {object} actuals - Actual processed orders, { [stageId]: number }.
+ * @param {object} speeds - (Optional) { [stageId]: orders/hour }.
+ * @param {Date} now - Evaluation moment (defaults to the current time).
+ * @returns {object} { stages, shiftEnd }, where stages is { [stageId]:
+ *   { eta, minutesVsShiftEnd, completed, speed, limitedBy } }. eta is null when the plan is
+ *   already completed or cannot be projected (no throughput yet);
+ *   minutesVsShiftEnd is negative when finishing early, positive when late.
+ * @throws {SettingsValidationError} If the settings are not valid.
  */
-export const calculateRecommendations = (deviations, settings, lastHourIndicators = null) => {
-  let packingRec = '';
-  let pickingRec = '';
-  
-  const individualSpeed = Number(settings.avgSpeed) || 0;
-  
-  if (deviations.packingDeviation < 0) {
-    const additionalEmployees = Math.abs(deviations.packingDeviation) / (individualSpeed * 2);
-    packingRec = `To meet the packing plan, add ${additionalEmployees.toFixed(2)} employees.`;
-  } else if (deviations.packingDeviation > 0) {
-    const employeesToRemove = deviations.packingDeviation / (individualSpeed * 2);
-    packingRec = `You can remove ${employeesToRemove.toFixed(2)} employees from packing.`;
-  } else {
-    packingRec = "The packing plan is met exactly.";
+export const calculateCompletionEta = (settings, actuals, speeds = null, now = new Date()) => {
+  assertValidSettings(settings);
+  const empty = { eta: null, minutesVsShiftEnd: null, completed: false, speed: 0 };
+
+  const timeline = getShiftTimeline(settings, now);
+  const hoursPassed = getEffectiveHoursAt(timeline, now);
+
+  const project = (stage) => {
+    const actual = Number((actuals || {})[stage.id]) || 0;
+    const remaining = stage.expectedOrders - actual;
+    if (remaining <= 0) {
+      return { ...empty, completed: true };
+    }
+    const speed = speeds ? speeds[stage.id] : null;
+    const currentSpeed = speed !== undefined && speed !== null
+      ? speed
+      : (hoursPassed > 0 ? actual / hoursPassed : 0);
+    if (!(currentSpeed > 0)) {
+      return empty;
+    }
+    const eta = addWorkHours(timeline, now, remaining / currentSpeed);
+    return {
+      eta,
+      minutesVsShiftEnd: (eta - timeline.shiftEndDate) / (1000 * 60),
+      completed: false,
+      speed: currentSpeed,
+    };
+  };
+
+  // Этап не может закончить раньше предыдущего: он обрабатывает только готовые заказы
+  const projected = {};
+  getStages(settings).forEach((stage, index, stages) => {
+    const own = project(stage);
+    const upstream = index > 0 ? projected[stages[index - 1].id] : null;
+    if (own.completed || !upstream || upstream.completed || (own.eta && upstream.eta && own.eta >= upstream.eta)) {
+      projected[stage.id] = own;
+    } else if (!upstream.eta || !own.eta) {
+      projected[stage.id] = { ...own, eta: null, minutesVsShiftEnd: null };
+    } else {
+      projected[stage.id] = {
+        ...own,
+        eta: upstream.eta,
+        minutesVsShiftEnd: upstream.minutesVsShiftEnd,
+        limitedBy: upstream.limitedBy || stages[index - 1].id,
+      };
+    }
+  });
+
+  return {
+    stages: projected,
+    shiftEnd: timeline.shiftEndDate,
+  };
+};
+
+// Рекомендации собираются из сообщений { key, values }: текст подставляется при
+// выводе на выбранном языке (см. utils/i18n и файлы переводов в src/i18n).
+const message = (key, values = {}) => ({ key, values });
+
+const people = (count) => message('recommendations.people', { count });
+const employees = (count) => message('recommendations.employees', { count });
+
+// Стоимость дополнительных людей этапа: в час и, если смена ещё идёт, до её конца.
+const describeExtraCost = (stage, count, remainingHours) => {
+  if (!(stage.hourlyRate > 0) || !(count > 0)) return '';
+  const perHour = count * stage.hourlyRate;
+  return remainingHours > 0
+    ? message('recommendations.extraCost', { perHour, total: perHour * remainingHours })
+    : message('recommendations.extraCostPerHour', { perHour });
+};
+
+// Этап ждёт предыдущий: добавлять людей сюда бессмысленно.
+const describeStarved = (stage, info, stages) => {
+  const upstream = stages[stages.findIndex(item => item.id === stage.id) - 1];
+  return [message('recommendations.starved', { stage: getStageName(stage), wip: info.wipBefore, upstream: getStageName(upstream) })];
+};
+
+// Рекомендация без состава смены: люди считаются одинаковыми со средней скоростью этапа.
+const describeByAverageSpeed = ({ stage, deviation, info, pipeline, stages, nameOf, extraCost }) => {
+  const incoming = pipeline.transfers.filter(transfer => transfer.to === stage.id);
+  const outgoing = pipeline.transfers.filter(transfer => transfer.from === stage.id);
+
+  if (outgoing.length > 0) {
+    return outgoing.map(transfer => message('recommendations.move', {
+      people: people(transfer.people), from: getStageName(stage), to: nameOf(transfer.to),
+    }));
+  }
+  if (incoming.length > 0) {
+    const moved = incoming.reduce((sum, transfer) => sum + transfer.people, 0);
+    const rec = [message('recommendations.bottleneck', {
+      stage: getStageName(stage),
+      moves: incoming.map(transfer => message('recommendations.bottleneckMove', {
+        people: people(transfer.people), from: nameOf(transfer.from), to: getStageName(stage),
+      })),
+    })];
+    if (info.shortfall > moved) {
+      const more = info.shortfall - moved;
+      rec.push(message('recommendations.addMore', { stage: getStageName(stage), count: more, extraCost: extraCost(more) }));
+    }
+    return rec;
+  }
+  if (info.starved) {
+    return describeStarved(stage, info, stages);
+  }
+  if (deviation < 0) {
+    const additionalEmployees = Math.abs(deviation) / (stage.avgSpeed * 2);
+    return [message('recommendations.add', {
+      stage: getStageName(stage), employees: employees(additionalEmployees), extraCost: extraCost(additionalEmployees),
+    })];
+  }
+  if (deviation > 0) {
+    const employeesToRemove = deviation / (stage.avgSpeed * 2);
+    return [message('recommendations.remove', { stage: getStageName(stage), employees: employees(employeesToRemove) })];
+  }
+  return [message('recommendations.planMet', { stage: getStageName(stage) })];
+};
+
+// Рекомендация по составу смены: называем, кого и куда перевести.
+const describeByRoster = ({ stage, deviation, info, stages, nameOf, plan, roster, extraCost }) => {
+  const { need, capacity, gap } = plan.stages[stage.id];
+  const averageSpeed = getRosterAverageSpeed(roster, stage);
+  const incoming = plan.moves.filter(move => move.to === stage.id);
+  const outgoing = plan.moves.filter(move => move.from === stage.id);
+  const toPeople = (orders) => (averageSpeed > 0 ? orders / averageSpeed : 0);
+
+  if (outgoing.length > 0) {
+    return outgoing.map(move => message('recommendations.moveEmployee', {
+      employee: move.employee.name, from: getStageName(stage), to: nameOf(move.to),
+    }));
+  }
+  if (incoming.length > 0) {
+    const rec = incoming.map(move => message('recommendations.moveEmployeeWithSpeed', {
+      employee: move.employee.name, from: nameOf(move.from), to: getStageName(stage), speed: move.speed,
+    }));
+    if (gap > 0) {
+      rec.push(message('recommendations.addMore', { stage: getStageName(stage), count: toPeople(gap), extraCost: extraCost(toPeople(gap)) }));
+    }
+    return rec;
+  }
+  if (info.starved) {
+    return describeStarved(stage, info, stages);
+  }
+  if (gap > 0) {
+    return [message('recommendations.addToTeam', {
+      stage: getStageName(stage), employees: employees(toPeople(gap)), extraCost: extraCost(toPeople(gap)), capacity, need,
+    })];
   }
-  
-  if (deviations.pickingDeviation < 0) {
-    const additionalEmployees = Math.abs(deviations.pickingDeviation) / (individualSpeed * 2);
-    pickingRec = `To meet the picking plan, add ${additionalEmployees.toFixed(2)} employees.`;
-  } else if (deviations.pickingDeviation > 0) {
-    const employeesToRemove = deviations.pickingDeviation / (individualSpeed * 2);
-    pickingRec = `You can remove ${employeesToRemove.toFixed(2)} employees from picking.`;
-  } else {
-    pickingRec = "The picking plan is met exactly.";
+  if (deviation < 0) {
+    return [message('recommendations.teamCatchesUp', { stage: getStageName(stage), capacity })];
   }
-  
-  if (lastHourIndicators) {
-    packingRec += ` Additionally, for the last hour, add ${lastHourIndicators.staffNeededPacking.toFixed(2)} employees.`;
-    pickingRec += ` Additionally, for the last hour, add ${lastHourIndicators.staffNeededPicking.toFixed(2)} employees.`;
+  if (toPeople(-gap) >= 1) {
+    return [message('recommendations.remove', { stage: getStageName(stage), employees: employees(toPeople(-gap)) })];
   }
-  
-  return { packing: packingRec, picking: pickingRec };
+  return [message('recommendations.teamCovers', { stage: getStageName(stage), capacity, need })];
+};
+
+/**
+ * Generates staffing recommendations based on deviations, one per stage.
+ *
+ * The stages are treated as a pipeline (see analyzePipeline): people are
+ * moved to the bottleneck from stages that are ahead of plan or starved
+ * before anyone is added, and a starved stage is never told to add staff.
+ *
+ * With a staff roster that has assignments for the current hour, capacity is
+ * the sum of the assigned people's personal speeds and the recommendations
+ * name who to move (see planRosterMoves). Otherwise deviations are converted
+ * to people with the stage's average speed.
+ *
+ * When the stage has an hourly rate, every "add N employees" advice shows
+ * what the extra people cost per hour and until the shift end.
+ *
+ * Each recommendation is a list of sentences as messages { key, values }
+ * (keys of src/i18n); translateMessages turns it into text in the chosen
+ * language.
+ *
+ * @param {object} deviations - Result of calculateDeviations.
+ * @param {object} settings - Shift settings.
+ * @param {object} lastHourIndicators - (Optional) Result of calculateLastHourIndicators.
+ * @param {object} roster - (Optional) Staff roster (see loadRoster).
+ * @param {Date} now - Moment whose hour slot of the roster is used.
+ * @returns {object} Recommendation sentences by stage id: { [stageId]: Array<{ key, values }> }.
+ * @throws {SettingsValidationError} If the settings are not valid.
+ */
+export const calculateRecommendations = (deviations, settings, lastHourIndicators = null, roster = null, now = new Date()) => {
+  assertValidSettings(settings);
+  const pipeline = analyzePipeline(deviations, settings);
+  const stages = getStages(settings);
+  const nameOf = (stageId) => getStageName(stages.find(stage => stage.id === stageId));
+
+  const slot = roster ? getHourSlotAt(settings, now) : null;
+  const plan = slot && hasAssignments(roster, slot.key)
+    ? planRosterMoves(deviations, settings, pipeline, getStageTeams(roster, stages, slot.key))
+    : null;
+
+  const remainingHours = Math.max((deviations.totalWorkTime || 0) - (deviations.hoursPassed || 0), 0);
+
+  return mapStages(settings, stage => {
+    const { deviation = 0 } = (deviations.stages || {})[stage.id] || {};
+    const extraCost = (people) => describeExtraCost(stage, people, remainingHours);
+    const context = { stage, deviation, info: pipeline.stages[stage.id], pipeline, stages, nameOf, plan, roster, extraCost };
+    const rec = plan ? describeByRoster(context) : describeByAverageSpeed(context);
+
+    if (lastHourIndicators && lastHourIndicators[stage.id]) {
+      const { staffNeeded } = lastHourIndicators[stage.id];
+      rec.push(message('recommendations.lastHour', {
+        employees: employees(staffNeeded), extraCost: describeExtraCost(stage, staffNeeded, 0),
+      }));
+    }
+    return rec;
+  });
+};
+
+/**
+ * Recommended headcount for the whole shift:
+ *   recommendedPeople = requiredSpeed / (avgSpeed * 2) for each stage.
+ * With a staff roster, people are counted by the roster's average personal
+ * speed on the stage: recommendedPeople = requiredSpeed / averageSpeed.
+ *
+ * @param {object} deviations - Result of calculateDeviations.
+ * @param {object} settings - Shift settings.
+ * @param {object} roster - (Optional) Staff roster (see loadRoster).
+ * @returns {object} Recommended people by stage id: { [stageId]: number }.
+ */
+export const calculateRecommendedStaff = (deviations, settings, roster = null) => mapStages(settings, stage => {
+  const { requiredSpeed } = (deviations.stages || {})[stage.id] || {};
+  if (roster && roster.employees.length > 0) {
+    const averageSpeed = getRosterAverageSpeed(roster, stage);
+    return requiredSpeed && averageSpeed > 0 ? requiredSpeed / averageSpeed : 0;
+  }
+  return requiredSpeed && stage.avgSpeed > 0 ? requiredSpeed / (stage.avgSpeed * 2) : 0;
+});
+
+/**
+ * Calculates the expected backlog for the last hour from the current deviations.
+ *
+ * remaining = deviation of the stage if it is negative, otherwise 0;
+ * totalRemaining = average over all stages; the plan is met on time when it is not negative.
+ * staffNeeded = remaining / (avgSpeed * 2).
+ *
+ * @param {object} deviations - Result of calculateDeviations.
+ * @param {object} settings - Shift settings.
+ * @returns {object} { stages, totalRemaining, planMetOnTime }, where stages is
+ *   { [stageId]: { remaining, staffNeeded } }.
+ */
+export const calculateLastHourBacklog = (deviations, settings) => {
+  // Оставшиеся заказы — отрицательная часть отклонений
+  const stages = mapStages(settings, stage => {
+    const { deviation = 0 } = (deviations.stages || {})[stage.id] || {};
+    const remaining = deviation < 0 ? deviation : 0;
+    return {
+      remaining,
+      staffNeeded: stage.avgSpeed > 0 ? remaining / (stage.avgSpeed * 2) : 0,
+    };
+  });
+
+  // Общее оставшееся количество заказов (среднее значение):
+  const values = Object.values(stages);
+  const totalRemaining = values.length > 0
+    ? values.reduce((sum, item) => sum + item.remaining, 0) / values.length
+    : 0;
+
+  return {
+    stages,
+    totalRemaining,
+    planMetOnTime: totalRemaining >= 0,
+  };
 };
 
 /**
  * Calculates indicators for the last hour of work.
  *
- * For each process, the actual remaining orders are calculated as:
- *    (expectedOrders - actualProcessed) / 2,
- * so that the total remaining is divided equally between Picking and Packing.
- * Then, staff needed for each process = (remaining orders for process) / avgSpeed.
+ * For each stage the orders expected in the last hour are half of that
+ * stage's plan, and staff needed = (expected orders) / avgSpeed of the stage.
  *
  * @param {object} settings - Shift settings.
- * @returns {object} An object with last hour indicators:
- *   - expectedOrdersLastHour: expected orders in the last hour (per process),
- *   - staffNeededPacking: required additional staff for packing (per process),
- *   - staffNeededPicking: required additional staff for picking (per process).
+ * @returns {object} Last hour indicators by stage id:
+ *   { [stageId]: { expectedOrdersLastHour, staffNeeded } }.
  */
 export const calculateLastHourIndicators = (settings) => {
-  if (!settings.shiftStart || !settings.shiftEnd || !settings.expectedOrders) {
-    return { expectedOrdersLastHour: 0, staffNeededPacking: 0, staffNeededPicking: 0 };
+  const hasPlan = getStages(settings).some(stage => stage.expectedOrders);
+  if (!settings.shiftStart || !settings.shiftEnd || !hasPlan) {
+    return mapStages(settings, () => ({ expectedOrdersLastHour: 0, staffNeeded: 0 }));
   }
-  
-  const R = Number(settings.expectedOrders);
-  // По предположению, общее ожидаемое количество заказов для каждого процесса = R.
-  // Оставшиеся заказы для обоих процессов = R - (фактическое обработанное). 
-  // Если взять фактическое обработанное для Picking и Packing суммарно, то для каждого процесса оставшаяся часть = (R - actual)/2.
-  // Здесь мы будем рассчитывать на основе фактических данных, которые вводятся на странице UpdateData.
-  // Для простоты примера, предположим, что фактическое обработанное количество заказов для каждого процесса учитывается отдельно.
-  // Но если мы хотим, чтобы оставшиеся заказы рассчитывались на основе того, что общий план должен быть выполнен для каждого процесса,
-  // то оставшиеся заказы для Picking = (R - pickedActual) / 2, и для Packing = (R - packedActual) / 2.
-  // Так что в компоненте UpdateData мы можем вычислять это непосредственно.
-  // Здесь в этой функции можно просто вернуть базовую норму для последнего часа:
-  
-  const baseRequiredSpeed = R / (R / R); // не используется, поэтому здесь просто:
-  // Мы возвращаем ожидаемые заказы в последний час равными половине оставшихся, но эта логика может быть реализована в компоненте.
-  
-  // Пусть expectedOrdersLastHour = (R - 0)/2 = R/2 (это базовая модель, которую можно доработать)
-  const expectedOrdersLastHour = R / 2;
-  const avgSpeed = Number(settings.avgSpeed) || 0;
-  const staffNeededPicking = avgSpeed > 0 ? expectedOrdersLastHour / avgSpeed : 0;
-  const staffNeededPacking = avgSpeed > 0 ? expectedOrdersLastHour / avgSpeed : 0;
-  
-  return { expectedOrdersLastHour, staffNeededPacking, staffNeededPicking };
+
+  // Базовая модель: в последний час ожидается половина плана этапа.
+  return mapStages(settings, stage => {
+    const expectedOrdersLastHour = stage.expectedOrders / 2;
+    return {
+      expectedOrdersLastHour,
+      staffNeeded: stage.avgSpeed > 0 ? expectedOrdersLastHour / stage.avgSpeed : 0,
+    };
+  });
 };
@@ -0,0 +1,215 @@
+import {
+  getShiftBounds,
+  getShiftTimeline,
+  calculateDeviations,
+  calculateExpectedAtTime,
+  calculateRecommendations,
+  calculateCompletionEta,
+  calculateLastHourBacklog,
+  getProcessSettings,
+} from './calculations';
+import { analyzePipeline } from './pipeline';
+import { translateMessages } from './i18n';
+
+const nightShift = {
+  shiftStart: '22:00',
+  shiftEnd: '06:00',
+  breaks: [{ start: '23:30', end: '00:30' }],
+  expectedOrders: 700,
+  avgSpeed: 100,
+  staffForLastPeriod: 1,
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('overnight shift ends on the next day', () => {
+  const { shiftStartDate, shiftEndDate } = getShiftBounds(nightShift, new Date(2024, 0, 10, 23, 0));
+  expect(shiftStartDate).toEqual(new Date(2024, 0, 10, 22, 0));
+  expect(shiftEndDate).toEqual(new Date(2024, 0, 11, 6, 0));
+});
+
+test('after midnight the shift is anchored to the previous day', () => {
+  const { shiftStartDate, shiftEndDate } = getShiftBounds(nightShift, new Date(2024, 0, 11, 3, 0));
+  expect(shiftStartDate).toEqual(new Date(2024, 0, 10, 22, 0));
+  expect(shiftEndDate).toEqual(new Date(2024, 0, 11, 6, 0));
+});
+
+test('after the end of a night shift the ended shift is kept until the middle of the break', () => {
+  const ended = getShiftBounds(nightShift, new Date(2024, 0, 11, 6, 30));
+  expect(ended.shiftStartDate).toEqual(new Date(2024, 0, 10, 22, 0));
+  expect(ended.shiftEndDate).toEqual(new Date(2024, 0, 11, 6, 0));
+
+  const next = getShiftBounds(nightShift, new Date(2024, 0, 11, 15, 0));
+  expect(next.shiftStartDate).toEqual(new Date(2024, 0, 11, 22, 0));
+
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 11, 6, 30));
+  const dev = calculateDeviations(nightShift, { picking: 650, packing: 700 });
+  expect(dev.hoursPassed).toBe(7);
+  expect(dev.stages.picking.deviation).toBe(-50);
+});
+
+test('a day shift before its start is the coming shift', () => {
+  const { shiftStartDate } = getShiftBounds({ shiftStart: '08:00', shiftEnd: '16:00' }, new Date(2024, 0, 10, 7, 0));
+  expect(shiftStartDate).toEqual(new Date(2024, 0, 10, 8, 0));
+});
+
+test('breaks crossing midnight are counted once', () => {
+  const timeline = getShiftTimeline(nightShift, new Date(2024, 0, 10, 23, 0));
+  expect(timeline.totalShiftHours).toBe(8);
+  expect(timeline.totalBreakHours).toBe(1);
+  expect(timeline.totalWorkTime).toBe(7);
+});
+
+test('deviations during the after-midnight part of a night shift', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 11, 2, 0));
+  const dev = calculateDeviations(nightShift, { picking: 250, packing: 300 });
+  // 4 часа смены минус 1 час перерыва
+  expect(dev.hoursPassed).toBe(3);
+  expect(dev.stages.picking.requiredSpeed).toBe(100);
+  expect(dev.stages.picking.expectedProcessed).toBe(300);
+  expect(dev.stages.picking.deviation).toBe(-50);
+  expect(dev.stages.packing.deviation).toBe(0);
+});
+
+test('control points after midnight use the next day', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 10, 22, 30));
+  expect(calculateExpectedAtTime(nightShift, '04:00').picking).toBe(500);
+  expect(calculateExpectedAtTime(nightShift, '23:30').packing).toBe(150);
+});
+
+const dayShift = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  expectedOrdersPicking: 800,
+  expectedOrdersPacking: 800,
+  avgSpeedPicking: 50,
+  avgSpeedPacking: 100,
+  staffForLastPeriodPicking: 2,
+  staffForLastPeriodPacking: 1,
+};
+
+test('legacy shared fields are used when per-process fields are missing', () => {
+  const legacy = { expectedOrders: 500, avgSpeed: 40, staffForLastPeriod: 3 };
+  expect(getProcessSettings(legacy, 'packing')).toEqual({ expectedOrders: 500, avgSpeed: 40, staffForLastPeriod: 3 });
+});
+
+test('each process uses its own speed and last-hour headcount', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 10, 12, 0));
+  const dev = calculateDeviations(dayShift, { picking: 400, packing: 400 });
+  // (800 - 2 * 50) / 7 = 100 и (800 - 1 * 100) / 7 = 100
+  expect(dev.stages.picking.requiredSpeed).toBe(100);
+  expect(dev.stages.packing.requiredSpeed).toBe(100);
+
+  const rec = calculateRecommendations({
+    stages: { picking: { actual: 400, deviation: -100 }, packing: { actual: 200, deviation: -100 } },
+  }, dayShift);
+  expect(translateMessages('en', rec.picking)).toBe('To meet the picking plan, add 1.00 employees.');
+  expect(translateMessages('en', rec.packing)).toBe('To meet the packing plan, add 0.50 employees.');
+});
+
+test('ETA skips the breaks still ahead and compares with the shift end', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 10, 12, 0));
+  const settings = { ...dayShift, breaks: [{ start: '13:00', end: '13:30' }] };
+  const eta = calculateCompletionEta(settings, { picking: 400, packing: 800 }, { picking: 100, packing: 100 });
+  // 400 заказов по 100/час = 4 часа работы + 30 минут перерыва
+  expect(eta.stages.picking.eta).toEqual(new Date(2024, 0, 10, 16, 30));
+  expect(eta.stages.picking.minutesVsShiftEnd).toBe(30);
+  expect(eta.stages.packing.completed).toBe(true);
+});
+
+test('ETA falls back to the average speed since shift start', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(2024, 0, 10, 12, 0));
+  const eta = calculateCompletionEta(dayShift, { picking: 600, packing: 0 });
+  // 600 за 4 часа = 150/час, остаток 200 — 80 минут
+  expect(eta.stages.picking.eta).toEqual(new Date(2024, 0, 10, 13, 20));
+  expect(eta.stages.picking.minutesVsShiftEnd).toBe(-160);
+  expect(eta.stages.packing.eta).toBeNull();
+});
+
+test('engine can be evaluated at any moment instead of the wall clock', () => {
+  const at = new Date(2024, 0, 10, 14, 30);
+  const dev = calculateDeviations(dayShift, { picking: 500, packing: 700 }, at);
+  expect(dev.hoursPassed).toBe(6.5);
+  expect(dev.stages.picking.deviation).toBe(-150);
+
+  const backlog = calculateLastHourBacklog(dev, dayShift);
+  expect(backlog.stages.picking.remaining).toBe(-150);
+  expect(backlog.planMetOnTime).toBe(false);
+  expect(backlog.stages.picking.staffNeeded).toBe(-1.5);
+});
+
+test('every configured stage gets its own indicators and recommendation', () => {
+  const settings = {
+    ...dayShift,
+    stages: [
+      { id: 'receiving', name: 'Receiving', expectedOrders: 700, avgSpeed: 50, staffForLastPeriod: 0 },
+      { id: 'picking', name: 'Picking', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 2 },
+      { id: 'loading', name: 'Loading', expectedOrders: 350, avgSpeed: 25, staffForLastPeriod: 0 },
+    ],
+  };
+  const dev = calculateDeviations(settings, { receiving: 300, picking: 400 }, new Date(2024, 0, 10, 12, 0));
+  expect(Object.keys(dev.stages)).toEqual(['receiving', 'picking', 'loading']);
+  // 350 / 7 * 4 = 200
+  expect(dev.stages.loading.deviation).toBe(-200);
+
+  const rec = calculateRecommendations(dev, settings);
+  expect(translateMessages('en', rec.loading)).toBe('To meet the loading plan, add 4.00 employees.');
+  expect(rec.packing).toBeUndefined();
+});
+
+test('people are moved to the bottleneck instead of adding staff to a starved stage', () => {
+  // Упаковка почти догнала сборку: в буфере 10 заказов, узкое место — сборка
+  const settings = { ...dayShift, avgSpeedPacking: 20 };
+  const dev = calculateDeviations(settings, { picking: 200, packing: 190 }, new Date(2024, 0, 10, 12, 0));
+  const pipeline = analyzePipeline(dev, settings);
+  expect(pipeline.buffers).toEqual([{ from: 'picking', to: 'packing', wip: 10, overflow: false }]);
+  expect(pipeline.stages.packing.starved).toBe(true);
+  expect(pipeline.bottleneck).toBe('picking');
+  expect(pipeline.transfers).toEqual([{ from: 'packing', to: 'picking', people: 2 }]);
+
+  const rec = calculateRecommendations(dev, settings);
+  expect(translateMessages('en', rec.picking)).toBe('Picking is the bottleneck: move 2 people from packing to picking.');
+  expect(translateMessages('en', rec.packing)).toBe('Move 2 people from packing to picking.');
+});
+
+test('a starved stage is not told to add staff', () => {
+  const dev = calculateDeviations(dayShift, { picking: 420, packing: 350 }, new Date(2024, 0, 10, 12, 0));
+  const rec = calculateRecommendations(dev, dayShift);
+  expect(translateMessages('en', rec.packing)).toBe('The packing plan is behind because only 70 orders are waiting after picking; do not add staff to packing.');
+  expect(translateMessages('en', rec.picking)).toBe('You can remove 0.20 employees from picking.');
+});
+
+test('a stage cannot finish before the stage in front of it', () => {
+  const at = new Date(2024, 0, 10, 12, 0);
+  const eta = calculateCompletionEta(dayShift, { picking: 400, packing: 300 }, { picking: 100, packing: 400 }, at);
+  expect(eta.stages.picking.eta).toEqual(new Date(2024, 0, 10, 16, 0));
+  expect(eta.stages.packing.eta).toEqual(new Date(2024, 0, 10, 16, 0));
+  expect(eta.stages.packing.limitedBy).toBe('picking');
+});
+
+test('planned values are capped by the orders arrived by then', () => {
+  const settings = {
+    shiftStart: '08:00',
+    shiftEnd: '16:00',
+    breaks: [],
+    stages: [{ id: 'picking', name: 'Picking', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 2 }],
+    // 100 заказов ждут к началу смены, ещё 700 приходят равномерно с 10:00 до 14:00
+    arrivals: [{ start: '08:00', end: '', orders: 100 }, { start: '10:00', end: '14:00', orders: 700 }],
+  };
+  const day = new Date(2024, 0, 10, 9, 0);
+  expect(calculateExpectedAtTime(settings, '10:00', day).picking).toBeCloseTo(100);
+  expect(calculateExpectedAtTime(settings, '11:00', day).picking).toBeCloseTo(275);
+  // К 12:00 поступило 450 заказов — линейный план 400 уже не ограничен
+  expect(calculateExpectedAtTime(settings, '12:00', day).picking).toBeCloseTo(400);
+  const dev = calculateDeviations(settings, { picking: 260 }, new Date(2024, 0, 10, 11, 0));
+  expect(dev.stages.picking.deviation).toBeCloseTo(-15);
+});
@@ -0,0 +1,161 @@
+// src/utils/csvExport.js
+import { normalizeBreaks, normalizeControlPoints } from './calculations';
+import { getStages } from './stages';
+
+const SEPARATOR = ',';
+
+// Значения с запятой, кавычками или переводом строки берём в кавычки.
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (cells) => cells.map(escapeCell).join(SEPARATOR);
+
+const formatNumber = (value) => (Number.isFinite(Number(value)) ? Number(value).toFixed(2) : '');
+
+export const SETTINGS_HEADER = ['Section', 'Parameter', 'Value'];
+
+// Колонки стандартных этапов — как в первой версии отчёта, независимо от названий этапов в настройках
+const DEFAULT_STAGE_COLUMNS = [
+  { id: 'picking', label: 'Picking', actualLabel: 'Actual Picked' },
+  { id: 'packing', label: 'Packing', actualLabel: 'Actual Packed' },
+];
+
+/**
+ * Stages of the report: the default Picking and Packing first, always
+ * present (empty when removed from the settings), then the stages added in
+ * the settings, labelled by their names.
+ *
+ * @param {Array} stages - Stages from getStages.
+ * @returns {Array} [{ id, label, actualLabel, stage }], stage is null for a removed default stage.
+ */
+const getReportStages = (stages) => {
+  const defaultIds = DEFAULT_STAGE_COLUMNS.map(column => column.id);
+  return [
+    ...DEFAULT_STAGE_COLUMNS.map(column => ({ ...column, stage: stages.find(stage => stage.id === column.id) || null })),
+    ...stages
+      .filter(stage => !defaultIds.includes(stage.id))
+      .map(stage => {
+        const label = stage.name || stage.id;
+        return { id: stage.id, label, actualLabel: `Actual ${label}`, stage };
+      }),
+  ];
+};
+
+const isDefaultColumn = (column) => DEFAULT_STAGE_COLUMNS.some(({ id }) => id === column.id);
+
+/**
+ * Header of the control point table: planned, actual and deviation for each
+ * stage, in the order of the report stages.
+ */
+export const getControlPointsHeader = (stages) => [
+  'Control Point',
+  ...getReportStages(stages).flatMap(({ label }) => [`Planned ${label}`, `Actual ${label}`, `Deviation ${label}`]),
+];
+
+/**
+ * Builds the shift report CSV.
+ *
+ * The layout is fixed so spreadsheets can rely on it. Two tables separated
+ * by an empty line:
+ *   1. "Section,Parameter,Value": the shift settings (Section = Settings),
+ *      followed by the main indicators (Section = Indicators);
+ *   2. one row per control point with planned, actual and deviation for every stage.
+ * Rows are always present and always in the same order; numbers use "." and
+ * two decimals. Picking and Packing keep their rows and columns even when
+ * renamed or removed. Stages added in the settings come after all of them,
+ * at the end of each table, named after the stage.
+ *
+ * @param {object} record - Shift record (see createShiftRecord in shiftArchive):
+ *   { shiftDate, closedAt, settings, actuals, cpData, deviations }.
+ * @returns {string} CSV text.
+ */
+export const buildShiftReportCsv = (record) => {
+  const { settings, deviations = {}, cpData = [], actuals = {} } = record;
+  const stages = getStages(settings);
+  const columns = getReportStages(stages);
+  const defaultColumns = columns.filter(isDefaultColumn);
+  const addedColumns = columns.filter(column => !isDefaultColumn(column));
+  const stageResults = deviations.stages || {};
+  const breaks = normalizeBreaks(settings.breaks).map(brk => `${brk.start}-${brk.end}`).join('; ');
+  // Cutoff перевозчика записываем с названием и квотой: "14:00 DPD (800)"
+  const controlPoints = normalizeControlPoints(settings.controlPoints)
+    .map(cp => (cp.orders > 0 ? `${cp.time} ${cp.name || 'Cutoff'} (${cp.orders})` : cp.time))
+    .join('; ');
+
+  const stageSettingsRows = (group) => [
+    ...group.map(({ label, stage }) => [`Expected Orders ${label}`, stage ? stage.expectedOrders : '']),
+    ...group.map(({ label, stage }) => [`Average Speed ${label}`, stage ? stage.avgSpeed : '']),
+    ...group.map(({ label, stage }) => [`Last Hour Staff ${label}`, stage ? stage.staffForLastPeriod : '']),
+  ].map(([parameter, value]) => toRow(['Settings', parameter, value]));
+
+  const stageIndicatorRows = (group) => group.flatMap(({ id, label, actualLabel }) => {
+    const result = stageResults[id] || {};
+    return [
+      [actualLabel, actuals[id] ?? ''],
+      [`Expected Processed ${label}`, formatNumber(result.expectedProcessed)],
+      [`Required Speed ${label}`, formatNumber(result.requiredSpeed)],
+      [`Deviation ${label}`, formatNumber(result.deviation)],
+    ];
+  }).map(([parameter, value]) => toRow(['Indicators', parameter, value]));
+
+  const settingsRows = [
+    ['Shift Date', record.shiftDate],
+    ['Closed At', record.closedAt || ''],
+    ['Shift Start', settings.shiftStart],
+    ['Shift End', settings.shiftEnd],
+    ['Breaks', breaks],
+    ['Control Points', controlPoints],
+  ].map(([parameter, value]) => toRow(['Settings', parameter, value]));
+
+  const indicatorRows = [
+    ['Hours Worked', formatNumber(deviations.hoursPassed)],
+    ['Total Work Time', formatNumber(deviations.totalWorkTime)],
+  ].map(([parameter, value]) => toRow(['Indicators', parameter, value]));
+
+  const controlPointRows = cpData.map(cp => toRow([
+    cp.time,
+    ...columns.flatMap(({ id }) => {
+      const planned = (cp.planned || {})[id];
+      const actual = (cp.actual || {})[id];
+      return [formatNumber(planned), actual ?? '', formatNumber(actual - planned)];
+    }),
+  ]));
+
+  return [
+    toRow(SETTINGS_HEADER),
+    ...settingsRows,
+    ...stageSettingsRows(defaultColumns),
+    ...indicatorRows,
+    ...stageIndicatorRows(defaultColumns),
+    ...stageSettingsRows(addedColumns),
+    ...stageIndicatorRows(addedColumns),
+    '',
+    toRow(getControlPointsHeader(stages)),
+    ...controlPointRows,
+  ].join('\r\n') + '\r\n';
+};
+
+/**
+ * Starts a browser download of a CSV file. The UTF-8 BOM lets Excel
+ * detect the encoding.
+ */
+export const downloadCsv = (filename, csv) => {
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads the report of a shift record as shift-report-<date>.csv.
+ */
+export const exportShiftReport = (record) => {
+  downloadCsv(`shift-report-${record.shiftDate}.csv`, buildShiftReportCsv(record));
+};
@@ -0,0 +1,73 @@
+import { buildShiftReportCsv } from './csvExport';
+
+const record = {
+  shiftDate: '2024-01-10',
+  closedAt: '2024-01-10T16:05:00.000Z',
+  settings: {
+    shiftStart: '08:00',
+    shiftEnd: '16:00',
+    breaks: [{ start: '12:00', end: '12:30' }],
+    controlPoints: [{ time: '10:00' }, { time: '14:00' }],
+    expectedOrdersPicking: 800,
+    expectedOrdersPacking: 700,
+    avgSpeedPicking: 50,
+    avgSpeedPacking: 100,
+    staffForLastPeriodPicking: 2,
+    staffForLastPeriodPacking: 1,
+  },
+  actuals: { picking: 790, packing: 700 },
+  deviations: { hoursPassed: 7.5, stages: { picking: { deviation: -10 }, packing: { deviation: 0 } } },
+  cpData: [
+    { time: '10:00', planned: { picking: 200, packing: 180 }, actual: { picking: 210, packing: 150 } },
+  ],
+};
+
+test('report has a stable layout of settings, indicators and control points', () => {
+  const lines = buildShiftReportCsv(record).split('\r\n');
+  expect(lines[0]).toBe('Section,Parameter,Value');
+  expect(lines).toContain('Settings,Breaks,12:00-12:30');
+  expect(lines).toContain('Settings,Control Points,10:00; 14:00');
+  expect(lines).toContain('Indicators,Deviation Picking,-10.00');
+  // Отсутствующие показатели остаются пустыми, но строка есть
+  expect(lines).toContain('Indicators,Required Speed Packing,');
+
+  const cpHeader = lines.indexOf('Control Point,Planned Picking,Actual Picking,Deviation Picking,Planned Packing,Actual Packing,Deviation Packing');
+  expect(lines[cpHeader - 1]).toBe('');
+  expect(lines[cpHeader + 1]).toBe('10:00,200.00,210,10.00,180.00,150,-30.00');
+});
+
+test('renamed default stages keep the layout, added stages go to the end by name', () => {
+  const parameters = (csv) => csv.split('\r\n').map(line => line.split(',').slice(0, 2).join(','));
+  const stages = [
+    { id: 'picking', name: 'Сборка', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 2 },
+    { id: 'packing', name: 'Упаковка', expectedOrders: 700, avgSpeed: 100, staffForLastPeriod: 1 },
+  ];
+  const renamed = { ...record, settings: { ...record.settings, stages } };
+  expect(parameters(buildShiftReportCsv(renamed))).toEqual(parameters(buildShiftReportCsv(record)));
+
+  const loading = { id: 'loading-k3f9', name: 'Loading', expectedOrders: 600, avgSpeed: 80, staffForLastPeriod: 1 };
+  const extended = {
+    ...record,
+    settings: { ...record.settings, stages: [...stages, loading] },
+    actuals: { ...record.actuals, 'loading-k3f9': 500 },
+  };
+  const base = buildShiftReportCsv(record).split('\r\n');
+  const lines = buildShiftReportCsv(extended).split('\r\n');
+  const blank = base.indexOf('');
+  // Строки первой версии отчёта остаются на своих местах
+  expect(lines.slice(0, blank)).toEqual(base.slice(0, blank));
+  expect(lines.slice(blank, blank + 7)).toEqual([
+    'Settings,Expected Orders Loading,600',
+    'Settings,Average Speed Loading,80',
+    'Settings,Last Hour Staff Loading,1',
+    'Indicators,Actual Loading,500',
+    'Indicators,Expected Processed Loading,',
+    'Indicators,Required Speed Loading,',
+    'Indicators,Deviation Loading,',
+  ]);
+  expect(lines).toContain(
+    'Control Point,Planned Picking,Actual Picking,Deviation Picking,Planned Packing,Actual Packing,Deviation Packing,'
+    + 'Planned Loading,Actual Loading,Deviation Loading',
+  );
+  expect(lines.join('\n')).not.toContain('k3f9');
+});
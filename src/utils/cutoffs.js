@@ -0,0 +1,79 @@
+// src/utils/cutoffs.js
+import { getCutoffs, getEffectiveHoursAt, getShiftTimeline } from './calculations';
+import { getStages } from './stages';
+
+// Важные cutoff первыми; без приоритета — в конце, затем по времени.
+const byPriority = (a, b) => {
+  const priorityA = a.cutoff.priority ?? Infinity;
+  const priorityB = b.cutoff.priority ?? Infinity;
+  return priorityA !== priorityB ? priorityA - priorityB : a.cutoff.date - b.cutoff.date;
+};
+
+/**
+ * Status of every carrier cutoff, measured on the last stage of the pipeline
+ * (orders ready for shipping).
+ *
+ * For a cutoff still ahead the stage is projected to the cutoff time:
+ *   projected = actual + speed * work hours until the cutoff,
+ * with the given current speed of the stage or, without it, the average
+ * speed of the shift so far. The cutoff is
+ *   'met'      - the quotas up to it are already processed;
+ *   'on-track' - the projection reaches them;
+ *   'at-risk'  - the projection falls short;
+ *   'missed'   - the cutoff time has passed without reaching them (the
+ *                control point actual is used when it was entered);
+ *   'unknown'  - no speed is known yet.
+ *
+ * @param {object} settings - Shift settings.
+ * @param {object} actuals - Actual processed orders, { [stageId]: number }.
+ * @param {Array} cpData - Control point data with actuals ({ time, actual }).
+ * @param {object} speeds - (Optional) Current speeds, { [stageId]: orders/hour }.
+ * @param {Date} now - Evaluation moment.
+ * @returns {Array} [{ cutoff, required, actual, projected, neededSpeed, status }],
+ *   most important first; neededSpeed is the speed that still meets the cutoff.
+ */
+export const calculateCutoffStatus = (settings, actuals, cpData = [], speeds = null, now = new Date()) => {
+  if (!settings || !settings.shiftStart || !settings.shiftEnd) return [];
+  const stages = getStages(settings);
+  const stage = stages[stages.length - 1];
+  const timeline = getShiftTimeline(settings, now);
+  const hoursPassed = getEffectiveHoursAt(timeline, now);
+  const actual = Number((actuals || {})[stage.id]) || 0;
+
+  let speed = null;
+  if (speeds && speeds[stage.id] !== undefined) {
+    speed = speeds[stage.id];
+  } else if (hoursPassed > 0) {
+    speed = actual / hoursPassed;
+  }
+
+  return getCutoffs(settings, timeline).map(cutoff => {
+    const required = cutoff.cumulative;
+    if (now >= cutoff.date) {
+      const entry = (cpData || []).find(cp => cp.time === cutoff.time);
+      const recorded = entry && entry.actual && entry.actual[stage.id] !== undefined
+        ? Number(entry.actual[stage.id]) || 0
+        : actual;
+      return { cutoff, required, actual: recorded, projected: recorded, neededSpeed: null, status: recorded >= required ? 'met' : 'missed' };
+    }
+    if (actual >= required) {
+      return { cutoff, required, actual, projected: actual, neededSpeed: 0, status: 'met' };
+    }
+    const hoursLeft = cutoff.hours - hoursPassed;
+    const neededSpeed = hoursLeft > 0 ? (required - actual) / hoursLeft : Infinity;
+    if (speed === null) {
+      return { cutoff, required, actual, projected: null, neededSpeed, status: 'unknown' };
+    }
+    const projected = actual + speed * Math.max(hoursLeft, 0);
+    return { cutoff, required, actual, projected, neededSpeed, status: projected >= required ? 'on-track' : 'at-risk' };
+  }).sort(byPriority);
+};
+
+/**
+ * Name of a cutoff as a message { key, values }, shown as "DPD 14:00" or,
+ * without a carrier, "Cutoff 14:00" in the language of the interface.
+ */
+export const getCutoffLabel = (cutoff) => ({
+  key: 'cutoffs.label',
+  values: { name: cutoff.name || { key: 'cutoffs.defaultName' }, time: cutoff.time },
+});
@@ -0,0 +1,44 @@
+import { calculateDeviations, calculateExpectedAtTime } from './calculations';
+import { calculateCutoffStatus } from './cutoffs';
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '18:00',
+  breaks: [],
+  controlPoints: [
+    { time: '12:00' },
+    { time: '17:00', name: 'Post', orders: 500, priority: 2 },
+    { time: '14:00', name: 'DPD', orders: 800, priority: 1 },
+  ],
+  stages: [{ id: 'packing', name: 'Packing', expectedOrders: 1300, avgSpeed: 50, staffForLastPeriod: 4 }],
+};
+
+test('required speed meets every cutoff', () => {
+  const day = new Date(2024, 0, 10, 9, 0);
+  // Без cutoff хватило бы 1300 / 10 = 130 заказов/час.
+  // DPD: 800 заказов за 6 часов = 133.3/час; почта: 800 + 500 к 17:00 за 9 часов = 144.4/час
+  const dev = calculateDeviations(settings, { packing: 0 }, day);
+  expect(dev.stages.packing.requiredSpeed).toBeCloseTo(1300 / 9);
+  expect(calculateExpectedAtTime(settings, '14:00', day).packing).toBeGreaterThanOrEqual(800);
+  expect(calculateExpectedAtTime(settings, '17:00', day).packing).toBeCloseTo(1300);
+});
+
+test('cutoffs at risk are reported by priority', () => {
+  const noon = new Date(2024, 0, 10, 12, 0);
+  // 400 заказов за 4 часа = 100/час: к 14:00 будет 600 из 800, к 17:00 — 900 из 1300
+  const status = calculateCutoffStatus(settings, { packing: 400 }, [], null, noon);
+  expect(status.map(item => item.cutoff.name)).toEqual(['DPD', 'Post']);
+  expect(status[0]).toMatchObject({ required: 800, projected: 600, status: 'at-risk', neededSpeed: 200 });
+  expect(status[1]).toMatchObject({ required: 1300, projected: 900, status: 'at-risk' });
+
+  const faster = calculateCutoffStatus(settings, { packing: 400 }, [], { packing: 250 }, noon);
+  expect(faster[0].status).toBe('on-track');
+});
+
+test('a passed cutoff uses the control point actual', () => {
+  const evening = new Date(2024, 0, 10, 15, 0);
+  const cpData = [{ time: '14:00', planned: {}, actual: { packing: 780 } }];
+  const [dpd] = calculateCutoffStatus(settings, { packing: 900 }, cpData, null, evening);
+  expect(dpd.status).toBe('missed');
+  expect(dpd.actual).toBe(780);
+});
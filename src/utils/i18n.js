@@ -0,0 +1,151 @@
+// src/utils/i18n.js
+// Interface language: translation files live in src/i18n, one per language.
+import en from '../i18n/en';
+import ru from '../i18n/ru';
+import { readStored, writeStored } from './storage';
+
+const LANGUAGE_KEY = 'language';
+
+/**
+ * Languages of the interface: { [code]: { label, locale, messages } }.
+ */
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en', messages: en },
+  ru: { label: 'Русский', locale: 'ru', messages: ru },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// {name} — значение как есть, {name:2} — число с двумя знаками после запятой,
+// {name:lower} — строка строчными буквами (названия этапов посреди фразы),
+// {name:time} — время "HH:MM" по правилам языка
+const PLACEHOLDER = /\{(\w+)(?::(\w+))?\}/g;
+
+const localeOf = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+
+const digitsOptions = (digits) => (digits === undefined
+  ? {}
+  : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+/**
+ * Formats a number by the rules of the language (decimal separator,
+ * digit grouping).
+ *
+ * @param {string} language - Language code, e.g. 'ru'.
+ * @param {number} value - Number to format.
+ * @param {number} digits - (Optional) Exact number of fraction digits.
+ * @returns {string} Formatted number.
+ */
+export const formatNumber = (language, value, digits) => (
+  new Intl.NumberFormat(localeOf(language), digitsOptions(digits)).format(value)
+);
+
+/**
+ * Formats a time of day by the rules of the language ("18:40" or "6:40 PM").
+ *
+ * @param {string} language - Language code.
+ * @param {Date|string} value - Date or time as "HH:MM".
+ * @returns {string} Formatted time; '' for an empty value.
+ */
+export const formatTimeOfDay = (language, value) => {
+  if (!value) return '';
+  let date = value;
+  if (typeof value === 'string') {
+    const [hours, minutes] = value.split(':').map(Number);
+    date = new Date(2000, 0, 1, hours, minutes);
+    // Время в другом формате (например, "8:00 AM" из старых настроек) выводится как есть
+    if (Number.isNaN(date.getTime())) return value;
+  }
+  return new Intl.DateTimeFormat(localeOf(language), { hour: 'numeric', minute: '2-digit' }).format(date);
+};
+
+// Форма множественного числа выбирается с тем же числом знаков, с которым число
+// выводится: "1 сотрудник", но "1,00 сотрудника"
+const selectPluralForm = (language, forms, count) => {
+  const sample = forms.other || Object.values(forms)[0];
+  const spec = (sample.match(/\{count:(\d+)\}/) || [])[1];
+  const rules = new Intl.PluralRules(localeOf(language), digitsOptions(spec === undefined ? undefined : Number(spec)));
+  return forms[rules.select(count)] || sample;
+};
+
+const lookup = (language, key) => {
+  const { messages } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  if (messages[key] !== undefined) return messages[key];
+  return en[key] !== undefined ? en[key] : key;
+};
+
+const formatValue = (language, value, spec) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(item => formatValue(language, item, spec)).join(', ');
+  if (spec === 'time') return formatTimeOfDay(language, value);
+  if (typeof value === 'number') return formatNumber(language, value, /^\d+$/.test(spec) ? Number(spec) : undefined);
+  const text = typeof value === 'object' && value.key ? translate(language, value.key, value.values) : String(value);
+  return spec === 'lower' ? text.toLowerCase() : text;
+};
+
+/**
+ * Text of a message in the language. Messages that depend on a number are
+ * objects of plural forms ({ one, few, many, other }) chosen by
+ * `values.count`. A value can be a number, a string, a nested message
+ * { key, values } or a list of them.
+ *
+ * A message missing in the language falls back to English, then to the key.
+ *
+ * @param {string} language - Language code.
+ * @param {string} key - Message key, e.g. 'nav.settings'.
+ * @param {object} values - (Optional) Values of the placeholders.
+ * @returns {string} Translated text.
+ */
+export const translate = (language, key, values = {}) => {
+  let template = lookup(language, key);
+  if (typeof template === 'object') template = selectPluralForm(language, template, values.count);
+  return template.replace(PLACEHOLDER, (match, name, spec) => formatValue(language, values[name], spec));
+};
+
+/**
+ * Text of a message { key, values } kept by a util (alerts, validation
+ * errors, staffing plan warnings). Plain strings, saved before these
+ * messages were translated, are returned as they are.
+ *
+ * @param {string} language - Language code.
+ * @param {object|string} message - { key, values } or text.
+ * @returns {string} Translated text.
+ */
+export const translateMessage = (language, message) => (
+  typeof message === 'string' ? message : translate(language, message.key, message.values)
+);
+
+/**
+ * Joins a list of messages (e.g. a recommendation of calculateRecommendations)
+ * into one text.
+ *
+ * @param {string} language - Language code.
+ * @param {Array} messages - [{ key, values }].
+ * @returns {string} Translated sentences separated by spaces.
+ */
+export const translateMessages = (language, messages = []) => (
+  messages.map(item => translateMessage(language, item)).join(' ')
+);
+
+/**
+ * Language chosen on this device; the first time it follows the browser.
+ *
+ * @returns {string} Language code.
+ */
+export const loadLanguage = () => {
+  const stored = readStored(LANGUAGE_KEY);
+  if (LANGUAGES[stored]) return stored;
+  const browser = typeof navigator !== 'undefined' ? (navigator.language || '') : '';
+  return browser.toLowerCase().startsWith('ru') ? 'ru' : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Remembers the chosen language on this device.
+ *
+ * @param {string} language - Language code.
+ * @throws {Error} If the language is not supported.
+ */
+export const saveLanguage = (language) => {
+  if (!LANGUAGES[language]) throw new Error(`Language "${language}" is not supported.`);
+  writeStored(LANGUAGE_KEY, language);
+};
@@ -0,0 +1,66 @@
+import { translate, translateMessage, translateMessages, formatNumber, formatTimeOfDay, loadLanguage, saveLanguage } from './i18n';
+import { calculateDeviations, calculateRecommendations } from './calculations';
+import { getCutoffLabel } from './cutoffs';
+import { getStageName, getStages } from './stages';
+
+const dayShift = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  expectedOrdersPicking: 800,
+  expectedOrdersPacking: 800,
+  avgSpeedPicking: 50,
+  avgSpeedPacking: 100,
+  staffForLastPeriodPicking: 2,
+  staffForLastPeriodPacking: 1,
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('Russian plural forms follow the number', () => {
+  expect(translate('ru', 'common.employees', { count: 1 })).toBe('1 сотрудник');
+  expect(translate('ru', 'common.employees', { count: 2 })).toBe('2 сотрудника');
+  expect(translate('ru', 'common.employees', { count: 5 })).toBe('5 сотрудников');
+  expect(translate('ru', 'common.employees', { count: 21 })).toBe('21 сотрудник');
+  expect(translate('en', 'common.employees', { count: 1 })).toBe('1 employee');
+  // "1.00" — дробное число, в английском это множественное число
+  expect(translate('en', 'recommendations.employees', { count: 1 })).toBe('1.00 employees');
+});
+
+test('numbers and times use the rules of the language', () => {
+  expect(formatNumber('ru', 1234.5, 2)).toBe('1 234,50');
+  expect(formatNumber('en', 1234.5, 2)).toBe('1,234.50');
+  expect(formatTimeOfDay('ru', '18:40')).toBe('18:40');
+  expect(formatTimeOfDay('en', '18:40').replace(/\s/g, ' ')).toBe('6:40 PM');
+});
+
+test('recommendations are data that any language can render', () => {
+  const dev = calculateDeviations(dayShift, { picking: 420, packing: 350 }, new Date(2024, 0, 10, 12, 0));
+  const rec = calculateRecommendations(dev, dayShift);
+  expect(rec.packing).toEqual([
+    { key: 'recommendations.starved', values: { stage: { key: 'stages.packing' }, wip: 70, upstream: { key: 'stages.picking' } } },
+  ]);
+  expect(translateMessages('ru', rec.packing))
+    .toBe('План этапа «Упаковка» отстаёт, потому что после этапа «Сборка» ждут всего 70 заказов; не добавляйте людей на этап «Упаковка».');
+  expect(translateMessages('ru', rec.picking)).toBe('С этапа «Сборка» можно снять 0,20 сотрудника.');
+  expect(translateMessages('en', rec.picking)).toBe('You can remove 0.20 employees from picking.');
+});
+
+test('default stages are named in the language until they are renamed', () => {
+  const [picking, packing] = getStages({ stages: [{ id: 'picking', name: '' }, { id: 'packing', name: 'Упаковка заказов' }] });
+  expect(translateMessage('ru', getStageName(picking))).toBe('Сборка');
+  expect(translateMessage('en', getStageName(picking))).toBe('Picking');
+  expect(getStageName(packing)).toBe('Упаковка заказов');
+  // Названия по умолчанию, сохранённые по-английски, тоже переводятся
+  expect(getStageName(getStages({ stages: [{ id: 'picking', name: 'Picking' }] })[0])).toEqual({ key: 'stages.picking' });
+  expect(translateMessage('ru', getCutoffLabel({ name: '', time: '14:00' }))).toBe('Отсечка 14:00');
+  expect(translateMessage('ru', getCutoffLabel({ name: 'DPD', time: '14:00' }))).toBe('DPD 14:00');
+});
+
+test('the chosen language is remembered, unknown languages are rejected', () => {
+  saveLanguage('ru');
+  expect(loadLanguage()).toBe('ru');
+  expect(() => saveLanguage('de')).toThrow('Language "de" is not supported.');
+});
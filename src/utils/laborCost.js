@@ -0,0 +1,127 @@
+// src/utils/laborCost.js
+import {
+  calculateCompletionEta,
+  getEffectiveHoursAt,
+  getHourSlots,
+  getShiftTimeline,
+} from './calculations';
+import { hasAssignments, getStageTeams } from './roster';
+import { hasStaffingPlan } from './staffingPlan';
+import { getStages } from './stages';
+
+/**
+ * Pay multiplier for work after the shift end (1 when not set).
+ */
+export const getOvertimeMultiplier = (settings) => {
+  const multiplier = Number(settings && settings.overtimeMultiplier);
+  return multiplier > 0 ? multiplier : 1;
+};
+
+// Численность этапов в часовом слоте: по расписанию сотрудников, иначе по плану персонала.
+const getSlotHeadcount = (slotKey, stages, roster, staffingPlan) => {
+  if (hasAssignments(roster, slotKey)) {
+    const teams = getStageTeams(roster, stages, slotKey);
+    return Object.fromEntries(stages.map(stage => [stage.id, teams[stage.id].people.length]));
+  }
+  if (hasStaffingPlan(staffingPlan) && staffingPlan.slots[slotKey]) {
+    const planned = staffingPlan.slots[slotKey];
+    return Object.fromEntries(stages.map(stage => [stage.id, Number(planned[stage.id]) || 0]));
+  }
+  return null;
+};
+
+/**
+ * Calculates labor cost of the shift so far and the projected cost of the whole shift.
+ *
+ * Staff hours come from the headcount of every hour slot: the people assigned
+ * in the staff roster, otherwise the staffing plan; an hour with neither
+ * keeps the headcount of the hour before it. Without roster assignments and
+ * without a plan, staff hours are estimated from the output:
+ * staffHours = processed orders / avgSpeed.
+ *
+ *   cost = staffHours * hourlyRate of the stage (work hours, breaks excluded);
+ *   projected cost = cost of the whole shift + overtime, where overtime is the
+ *   work after the shift end when the stage's ETA is late, paid at
+ *   hourlyRate * overtimeMultiplier.
+ *
+ * Cost per order is the cost divided by the orders finished by the last
+ * stage of the pipeline (the projection uses its plan).
+ *
+ * @param {object} settings - Shift settings (site-level).
+ * @param {object} actuals - Actual processed orders, { [stageId]: number }.
+ * @param {object} roster - (Optional) Staff roster.
+ * @param {object} staffingPlan - (Optional) Hourly staffing plan.
+ * @param {object} speeds - (Optional) Current speeds for the ETA, see calculateCompletionEta.
+ * @param {Date} now - Evaluation moment.
+ * @returns {object} { stages: { [stageId]: { staffHours, cost, overtimeHours, projectedCost } },
+ *   staffHours, cost, overtimeHours, projectedCost, costPerOrder, projectedCostPerOrder,
+ *   estimated }, where estimated is true when staff hours come from the output;
+ *   the cost per order values are null while there are no orders.
+ */
+export const calculateLaborCost = (settings, actuals, roster = null, staffingPlan = null, speeds = null, now = new Date()) => {
+  const stages = getStages(settings);
+  const actualOf = (stage) => Number((actuals || {})[stage.id]) || 0;
+  const hasShiftTimes = Boolean(settings && settings.shiftStart && settings.shiftEnd);
+
+  const slots = hasShiftTimes ? getHourSlots(settings, now) : [];
+  let previous = null;
+  const headcounts = slots.map(slot => {
+    previous = getSlotHeadcount(slot.key, stages, roster, staffingPlan) || previous;
+    return previous;
+  });
+  const estimated = headcounts.every(headcount => !headcount);
+
+  const timeline = hasShiftTimes ? getShiftTimeline(settings, now) : null;
+  const workHoursBetween = (from, to) => getEffectiveHoursAt(timeline, to) - getEffectiveHoursAt(timeline, from);
+  const eta = hasShiftTimes ? calculateCompletionEta(settings, actuals || {}, speeds, now) : null;
+  const multiplier = getOvertimeMultiplier(settings);
+
+  const results = Object.fromEntries(stages.map(stage => {
+    const stageEta = eta ? eta.stages[stage.id] : null;
+    const lateHours = stageEta && stageEta.eta && stageEta.minutesVsShiftEnd > 0 ? stageEta.minutesVsShiftEnd / 60 : 0;
+    let staffHours = 0;
+    let shiftHours = 0;
+    let overtimeHours = 0;
+
+    if (estimated) {
+      staffHours = stage.avgSpeed > 0 ? actualOf(stage) / stage.avgSpeed : 0;
+      // Заказы после конца смены обрабатываются сверхурочно
+      const overtimeOrders = stageEta ? Math.min((stageEta.speed || 0) * lateHours, stage.expectedOrders) : 0;
+      overtimeHours = stage.avgSpeed > 0 ? overtimeOrders / stage.avgSpeed : 0;
+      shiftHours = stage.avgSpeed > 0 ? Math.max(stage.expectedOrders, actualOf(stage)) / stage.avgSpeed - overtimeHours : 0;
+    } else {
+      slots.forEach((slot, index) => {
+        const people = headcounts[index] ? headcounts[index][stage.id] : 0;
+        if (now > slot.start) staffHours += people * workHoursBetween(slot.start, now < slot.end ? now : slot.end);
+        shiftHours += people * workHoursBetween(slot.start, slot.end);
+      });
+      const lastHeadcount = headcounts[headcounts.length - 1];
+      overtimeHours = lateHours * (lastHeadcount ? lastHeadcount[stage.id] : 0);
+    }
+
+    return [stage.id, {
+      staffHours,
+      cost: staffHours * stage.hourlyRate,
+      overtimeHours,
+      projectedCost: shiftHours * stage.hourlyRate + overtimeHours * stage.hourlyRate * multiplier,
+    }];
+  }));
+
+  const sum = (field) => Object.values(results).reduce((total, result) => total + result[field], 0);
+  const cost = sum('cost');
+  const projectedCost = sum('projectedCost');
+  const lastStage = stages[stages.length - 1];
+  const finished = lastStage ? actualOf(lastStage) : 0;
+  const planned = lastStage ? lastStage.expectedOrders : 0;
+
+  return {
+    stages: results,
+    staffHours: sum('staffHours'),
+    cost,
+    overtimeHours: sum('overtimeHours'),
+    projectedCost,
+    costPerOrder: finished > 0 ? cost / finished : null,
+    projectedCostPerOrder: planned > 0 ? projectedCost / planned : null,
+    estimated,
+  };
+};
@@ -0,0 +1,47 @@
+import { calculateDeviations, calculateRecommendations } from './calculations';
+import { calculateLaborCost } from './laborCost';
+import { translateMessages } from './i18n';
+
+const noon = new Date(2024, 0, 10, 12, 0);
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  stages: [
+    { id: 'picking', name: 'Picking', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 0, hourlyRate: 20 },
+    { id: 'packing', name: 'Packing', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 0, hourlyRate: 15 },
+  ],
+};
+
+test('without roster or plan staff hours are estimated from the output', () => {
+  const cost = calculateLaborCost(settings, { picking: 400, packing: 400 }, null, null, null, noon);
+  expect(cost.estimated).toBe(true);
+  expect(cost.stages.picking.staffHours).toBeCloseTo(8);
+  expect(cost.cost).toBeCloseTo(8 * 20 + 8 * 15);
+  expect(cost.costPerOrder).toBeCloseTo(280 / 400);
+  // Темп 100 заказов/час — план выполняется ровно к концу смены, без сверхурочных
+  expect(cost.projectedCost).toBeCloseTo(16 * 20 + 16 * 15);
+  expect(cost.projectedCostPerOrder).toBeCloseTo(560 / 800);
+});
+
+test('staffing plan headcount accrues cost and a late ETA adds overtime', () => {
+  const single = { ...settings, overtimeMultiplier: 1.5, stages: [settings.stages[0]] };
+  const slots = Object.fromEntries(['08:00', '09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00']
+    .map(key => [key, { picking: 2 }]));
+  const cost = calculateLaborCost(single, { picking: 300 }, null, { slots }, null, noon);
+  expect(cost.estimated).toBe(false);
+  expect(cost.cost).toBeCloseTo(2 * 4 * 20);
+  // 75 заказов/час: оставшиеся 500 заказов закончатся в 18:40, на 2 ч 40 мин позже конца смены
+  expect(cost.overtimeHours).toBeCloseTo((160 / 60) * 2);
+  expect(cost.projectedCost).toBeCloseTo(2 * 8 * 20 + (160 / 60) * 2 * 20 * 1.5);
+  expect(cost.costPerOrder).toBeCloseTo(160 / 300);
+});
+
+test('"add N employees" advice shows what the extra staff costs', () => {
+  const single = { ...settings, stages: [{ ...settings.stages[0], staffForLastPeriod: 2 }] };
+  const deviations = calculateDeviations(single, { picking: 300 }, noon);
+  const recommendations = calculateRecommendations(deviations, single, null, null, noon);
+  // Отставание 100 заказов = 1 человек; 20/час, 4 часа до конца смены
+  expect(translateMessages('en', recommendations.picking)).toContain('add 1.00 employees (+20.00/hour, 80.00 until shift end).');
+});
@@ -0,0 +1,94 @@
+// src/utils/pipeline.js
+import { getStages } from './stages';
+
+/**
+ * Analyzes the stages as one pipeline: every stage can only process orders
+ * that the previous stage has already finished.
+ *
+ * For each pair of neighbouring stages the WIP buffer is
+ *   wip = actual(previous stage) - actual(stage), not below 0;
+ * a downstream count above its upstream count is reported as an overflow
+ * (the counters are inconsistent).
+ *
+ * A stage behind plan is starved when less than one worker-hour of orders
+ * (wip < avgSpeed) is waiting for it: extra staff there would have nothing to do.
+ * The bottleneck is the stage behind plan, not starved, with the largest
+ * shortfall in people: shortfall = -deviation / (avgSpeed * 2).
+ *
+ * People can be moved to the bottleneck from stages ahead of plan
+ * (spare = deviation / (avgSpeed * 2)) and from starved stages
+ * (spare = recommended staff - people needed for the waiting orders,
+ * i.e. requiredSpeed / (avgSpeed * 2) - wip / avgSpeed). Only whole people
+ * are moved and never more than the bottleneck needs.
+ *
+ * @param {object} deviations - Result of calculateDeviations (or combineZoneDeviations).
+ * @param {object} settings - Shift settings.
+ * @returns {object} {
+ *   buffers: [{ from, to, wip, overflow }],
+ *   stages: { [stageId]: { wipBefore, starved, shortfall, spare } },
+ *   bottleneck: stage id or null,
+ *   transfers: [{ from, to, people }],
+ * }
+ */
+export const analyzePipeline = (deviations, settings) => {
+  const stages = getStages(settings);
+  const results = deviations.stages || {};
+  const actualOf = (stage) => (results[stage.id] ? results[stage.id].actual || 0 : 0);
+
+  const buffers = stages.slice(1).map((stage, index) => {
+    const upstream = stages[index];
+    return {
+      from: upstream.id,
+      to: stage.id,
+      wip: Math.max(actualOf(upstream) - actualOf(stage), 0),
+      overflow: actualOf(stage) > actualOf(upstream),
+    };
+  });
+
+  const stageInfo = stages.map((stage, index) => {
+    const { deviation = 0, requiredSpeed = 0 } = results[stage.id] || {};
+    const buffer = index > 0 ? buffers[index - 1] : null;
+    const perPerson = stage.avgSpeed * 2;
+    const starved = Boolean(buffer) && deviation < 0 && buffer.wip < stage.avgSpeed;
+    let spare = 0;
+    if (perPerson > 0 && deviation > 0) {
+      spare = deviation / perPerson;
+    } else if (starved) {
+      spare = Math.max(requiredSpeed / perPerson - buffer.wip / stage.avgSpeed, 0);
+    }
+    return {
+      id: stage.id,
+      wipBefore: buffer ? buffer.wip : null,
+      starved,
+      shortfall: perPerson > 0 && deviation < 0 ? -deviation / perPerson : 0,
+      spare,
+    };
+  });
+
+  const bottleneck = stageInfo
+    .filter(info => info.shortfall > 0 && !info.starved)
+    .reduce((worst, info) => (!worst || info.shortfall > worst.shortfall ? info : worst), null);
+
+  const transfers = [];
+  if (bottleneck) {
+    const needed = Math.ceil(bottleneck.shortfall);
+    let moved = 0;
+    [...stageInfo]
+      .filter(info => info.id !== bottleneck.id)
+      .sort((a, b) => b.spare - a.spare)
+      .forEach(donor => {
+        const people = Math.min(Math.floor(donor.spare), needed - moved);
+        if (people > 0) {
+          transfers.push({ from: donor.id, to: bottleneck.id, people });
+          moved += people;
+        }
+      });
+  }
+
+  return {
+    buffers,
+    stages: Object.fromEntries(stageInfo.map(info => [info.id, info])),
+    bottleneck: bottleneck ? bottleneck.id : null,
+    transfers,
+  };
+};
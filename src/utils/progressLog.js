@@ -0,0 +1,84 @@
+// src/utils/progressLog.js
+import { normalizeActuals } from './stages';
+
+const MS_PER_MINUTE = 1000 * 60;
+const MS_PER_HOUR = MS_PER_MINUTE * 60;
+
+// Обновления внутри одной минуты (ввод числа по цифрам) схлопываются в одну запись.
+const MERGE_INTERVAL_MS = MS_PER_MINUTE;
+
+/**
+ * Appends a counter update to the progress log.
+ * Each entry holds cumulative counters by stage: { timestamp, actuals: { [stageId]: number } }.
+ * An update less than a minute after the previous entry replaces it.
+ *
+ * @param {Array} log - Current progress log.
+ * @param {object} actuals - { [stageId]: number }.
+ * @param {Date} timestamp - Moment of the update.
+ * @returns {Array} New progress log.
+ */
+export const appendProgressEntry = (log, actuals, timestamp = new Date()) => {
+  const entry = {
+    timestamp: timestamp.toISOString(),
+    actuals: Object.fromEntries(Object.entries(actuals || {}).map(([stageId, value]) => [stageId, Number(value) || 0])),
+  };
+  const entries = Array.isArray(log) ? log : [];
+  const last = entries[entries.length - 1];
+  if (last && timestamp - new Date(last.timestamp) < MERGE_INTERVAL_MS) {
+    return [...entries.slice(0, -1), entry];
+  }
+  return [...entries, entry];
+};
+
+/**
+ * Calculates throughput (orders/hour) for each stage over the last
+ * `windowMinutes`, based on the cumulative counters in the progress log.
+ *
+ * The counters at the window start are interpolated between the last entry
+ * before it and the first entry after it, so sparse updates do not credit
+ * the window with orders processed before it. If the log starts inside the
+ * window, the first entry is used and the window shrinks.
+ *
+ * @param {Array} log - Progress log.
+ * @param {number} windowMinutes - Window length, e.g. 30 or 60.
+ * @param {Date} now - End of the window.
+ * @returns {object} { speeds: { [stageId]: orders/hour }, windowHours }.
+ */
+export const calculateRollingThroughput = (log, windowMinutes, now = new Date()) => {
+  const entries = (Array.isArray(log) ? log : []).filter(entry => new Date(entry.timestamp) <= now);
+  if (entries.length < 2) {
+    return { speeds: {}, windowHours: 0 };
+  }
+
+  const windowStart = new Date(now.getTime() - windowMinutes * MS_PER_MINUTE);
+  const beforeWindow = entries.filter(entry => new Date(entry.timestamp) <= windowStart);
+  const previous = beforeWindow.length > 0 ? beforeWindow[beforeWindow.length - 1] : null;
+  const next = entries.find(entry => new Date(entry.timestamp) > windowStart);
+  const latest = entries[entries.length - 1];
+
+  const baselineTime = previous ? windowStart : new Date(entries[0].timestamp);
+  const windowHours = (now - baselineTime) / MS_PER_HOUR;
+  if (windowHours <= 0) {
+    return { speeds: {}, windowHours: 0 };
+  }
+
+  const latestActuals = normalizeActuals(latest);
+  let baselineActuals = normalizeActuals(previous || entries[0]);
+  // Счётчики на начало окна: линейно между соседними записями журнала
+  if (previous && next) {
+    const previousTime = new Date(previous.timestamp);
+    const share = (windowStart - previousTime) / (new Date(next.timestamp) - previousTime);
+    const nextActuals = normalizeActuals(next);
+    baselineActuals = Object.fromEntries(Object.keys(nextActuals).map(stageId => {
+      const from = baselineActuals[stageId] || 0;
+      return [stageId, from + (nextActuals[stageId] - from) * share];
+    }));
+  }
+  return {
+    speeds: Object.fromEntries(Object.keys(latestActuals).map(stageId => [
+      stageId,
+      (latestActuals[stageId] - (baselineActuals[stageId] || 0)) / windowHours,
+    ])),
+    windowHours,
+  };
+};
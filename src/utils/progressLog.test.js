@@ -0,0 +1,50 @@
+import { appendProgressEntry, calculateRollingThroughput } from './progressLog';
+
+const at = (hours, minutes) => new Date(2024, 0, 10, hours, minutes);
+
+test('updates within a minute replace the previous entry', () => {
+  let log = appendProgressEntry([], { picking: 1, packing: 0 }, new Date(2024, 0, 10, 9, 0, 0));
+  log = appendProgressEntry(log, { picking: 12, packing: 0 }, new Date(2024, 0, 10, 9, 0, 20));
+  log = appendProgressEntry(log, { picking: 120, packing: 5 }, at(9, 5));
+  expect(log).toHaveLength(2);
+  expect(log[0].actuals.picking).toBe(12);
+});
+
+test('rolling throughput uses the counters at the window start', () => {
+  let log = [];
+  log = appendProgressEntry(log, { picking: 0, packing: 0 }, at(8, 0));
+  log = appendProgressEntry(log, { picking: 300, packing: 200 }, at(11, 0));
+  log = appendProgressEntry(log, { picking: 350, packing: 260 }, at(11, 30));
+
+  const lastHour = calculateRollingThroughput(log, 60, at(12, 0));
+  expect(lastHour.windowHours).toBe(1);
+  expect(lastHour.speeds.picking).toBe(50);
+  expect(lastHour.speeds.packing).toBe(60);
+});
+
+test('window shrinks when the log starts inside it', () => {
+  let log = [];
+  log = appendProgressEntry(log, { picking: 100, packing: 100 }, at(11, 30));
+  log = appendProgressEntry(log, { picking: 130, packing: 110 }, at(11, 45));
+
+  const result = calculateRollingThroughput(log, 60, at(12, 0));
+  expect(result.windowHours).toBe(0.5);
+  expect(result.speeds.picking).toBe(60);
+  expect(result.speeds.packing).toBe(20);
+});
+
+test('no throughput without at least two entries', () => {
+  expect(calculateRollingThroughput([], 30).speeds).toEqual({});
+});
+
+test('sparse updates do not credit the window with earlier orders', () => {
+  let log = [];
+  log = appendProgressEntry(log, { picking: 0, packing: 0 }, at(8, 0));
+  log = appendProgressEntry(log, { picking: 400, packing: 200 }, at(12, 0));
+
+  // 100 сборок в час: к 11:00 было 300, в окно попадают только 100
+  const lastHour = calculateRollingThroughput(log, 60, at(12, 0));
+  expect(lastHour.windowHours).toBe(1);
+  expect(lastHour.speeds.picking).toBe(100);
+  expect(lastHour.speeds.packing).toBe(50);
+});
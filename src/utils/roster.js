@@ -0,0 +1,149 @@
+// src/utils/roster.js
+import { getStages } from './stages';
+import { readStored, writeStored } from './storage';
+
+const ROSTER_KEY = 'roster';
+
+// Отставание от плана догоняем за два часа — как в расчёте deviation / (avgSpeed * 2).
+const CATCH_UP_HOURS = 2;
+
+/**
+ * Loads the staff roster:
+ *   { employees: [{ id, name, speeds: { [stageId]: orders/hour } }],
+ *     assignments: { [slotKey]: { [employeeId]: stageId } } },
+ * where slotKey is the "HH:MM" start of an hour slot (see getHourSlots).
+ *
+ * @returns {object} Roster (empty lists when nothing is saved).
+ */
+export const loadRoster = () => {
+  const roster = readStored(ROSTER_KEY, {});
+  return {
+    employees: Array.isArray(roster.employees) ? roster.employees : [],
+    assignments: roster.assignments || {},
+  };
+};
+
+/**
+ * Saves the staff roster.
+ */
+export const saveRoster = (roster) => {
+  writeStored(ROSTER_KEY, roster);
+};
+
+/**
+ * New employee without personal speeds (the stage average speed applies).
+ */
+export const createEmployee = (name = '') => ({
+  id: `emp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  speeds: {},
+});
+
+/**
+ * Personal speed of an employee on a stage (orders/hour). Without a personal
+ * rate the stage's average speed is used.
+ */
+export const getEmployeeSpeed = (employee, stage) => {
+  const speed = Number((employee.speeds || {})[stage.id]);
+  return speed > 0 ? speed : stage.avgSpeed;
+};
+
+/**
+ * Average personal speed on a stage over the whole roster, or the stage's
+ * average speed when the roster is empty.
+ */
+export const getRosterAverageSpeed = (roster, stage) => {
+  const employees = roster ? roster.employees : [];
+  if (employees.length === 0) return stage.avgSpeed;
+  return employees.reduce((sum, employee) => sum + getEmployeeSpeed(employee, stage), 0) / employees.length;
+};
+
+/**
+ * True if anybody is assigned to a stage in the given hour slot.
+ */
+export const hasAssignments = (roster, slotKey) => Boolean(
+  roster && slotKey && Object.keys((roster.assignments || {})[slotKey] || {}).length > 0,
+);
+
+/**
+ * Who works on each stage in an hour slot and the resulting capacity.
+ *
+ * @param {object} roster - Staff roster.
+ * @param {Array} stages - Stages from getStages.
+ * @param {string} slotKey - Hour slot key.
+ * @returns {object} { [stageId]: { people: [{ employee, speed }], capacity } },
+ *   capacity being the sum of personal speeds (orders/hour).
+ */
+export const getStageTeams = (roster, stages, slotKey) => {
+  const teams = Object.fromEntries(stages.map(stage => [stage.id, { people: [], capacity: 0 }]));
+  const slot = (roster.assignments || {})[slotKey] || {};
+  roster.employees.forEach(employee => {
+    const stage = stages.find(item => item.id === slot[employee.id]);
+    if (!stage) return;
+    const speed = getEmployeeSpeed(employee, stage);
+    teams[stage.id].people.push({ employee, speed });
+    teams[stage.id].capacity += speed;
+  });
+  return teams;
+};
+
+/**
+ * Plans moves of named employees between stages for the current hour.
+ *
+ * Each stage needs need = requiredSpeed + backlog / 2 orders/hour (the backlog
+ * is caught up within two hours); a starved stage needs no more than the
+ * capacity of the stage in front of it. Stages with the largest gap
+ * (need - capacity) are served first, by the person with the highest personal
+ * speed on that stage whose departure leaves their own stage at or above its need.
+ *
+ * @param {object} deviations - Result of calculateDeviations.
+ * @param {object} settings - Shift settings.
+ * @param {object} pipeline - Result of analyzePipeline.
+ * @param {object} teams - Result of getStageTeams.
+ * @returns {object} { stages: { [stageId]: { need, capacity, gap } } after the moves,
+ *   moves: [{ employee, from, to, speed }] }.
+ */
+export const planRosterMoves = (deviations, settings, pipeline, teams) => {
+  const stages = getStages(settings);
+  const state = stages.map((stage, index) => {
+    const { deviation = 0, requiredSpeed = 0 } = (deviations.stages || {})[stage.id] || {};
+    let need = requiredSpeed + Math.max(-deviation, 0) / CATCH_UP_HOURS;
+    if (index > 0 && pipeline.stages[stage.id].starved) {
+      need = Math.min(need, teams[stages[index - 1].id].capacity);
+    }
+    return { stage, need, capacity: teams[stage.id].capacity, people: [...teams[stage.id].people] };
+  });
+
+  const moves = [];
+  [...state]
+    .filter(receiver => receiver.need > receiver.capacity)
+    .sort((a, b) => (b.need - b.capacity) - (a.need - a.capacity))
+    .forEach(receiver => {
+      while (receiver.need > receiver.capacity) {
+        const candidates = state
+          .filter(donor => donor !== receiver)
+          .flatMap(donor => donor.people
+            .filter(person => donor.capacity - person.speed >= donor.need)
+            .map(person => ({ donor, person, speed: getEmployeeSpeed(person.employee, receiver.stage) })))
+          .filter(candidate => candidate.speed > 0)
+          .sort((a, b) => b.speed - a.speed);
+        if (candidates.length === 0) break;
+
+        const { donor, person, speed } = candidates[0];
+        donor.people = donor.people.filter(item => item !== person);
+        donor.capacity -= person.speed;
+        receiver.people.push({ employee: person.employee, speed });
+        receiver.capacity += speed;
+        moves.push({ employee: person.employee, from: donor.stage.id, to: receiver.stage.id, speed });
+      }
+    });
+
+  return {
+    stages: Object.fromEntries(state.map(item => [item.stage.id, {
+      need: item.need,
+      capacity: item.capacity,
+      gap: item.need - item.capacity,
+    }])),
+    moves,
+  };
+};
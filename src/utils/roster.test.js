@@ -0,0 +1,66 @@
+import { calculateDeviations, calculateRecommendations, calculateRecommendedStaff, getHourSlots } from './calculations';
+import { loadRoster, saveRoster, getStageTeams } from './roster';
+import { getStages } from './stages';
+import { translateMessages } from './i18n';
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  expectedOrdersPicking: 800,
+  expectedOrdersPacking: 800,
+  avgSpeedPicking: 50,
+  avgSpeedPacking: 50,
+};
+
+const roster = {
+  employees: [
+    { id: 'anna', name: 'Anna', speeds: { picking: 70, packing: 40 } },
+    { id: 'ivan', name: 'Ivan', speeds: { picking: 30 } },
+    { id: 'olga', name: 'Olga', speeds: { packing: 60 } },
+    { id: 'petr', name: 'Petr', speeds: { packing: 60 } },
+  ],
+  assignments: {
+    '12:00': { anna: 'packing', ivan: 'picking', olga: 'packing', petr: 'packing' },
+  },
+};
+
+const noon = new Date(2024, 0, 10, 12, 10);
+
+test('hour slots cover the shift', () => {
+  const slots = getHourSlots(settings, noon);
+  expect(slots).toHaveLength(8);
+  expect(slots[4].key).toBe('12:00');
+});
+
+test('capacity is the sum of personal speeds of the assigned people', () => {
+  const teams = getStageTeams(roster, getStages(settings), '12:00');
+  expect(teams.picking.capacity).toBe(30);
+  expect(teams.packing.capacity).toBe(160);
+  expect(teams.packing.people.map(person => person.employee.name)).toEqual(['Anna', 'Olga', 'Petr']);
+});
+
+test('recommendations name who to move to the bottleneck', () => {
+  // Упаковка простаивает (в буфере 20 заказов), сборка — узкое место
+  const dev = calculateDeviations(settings, { picking: 300, packing: 280 }, noon);
+  const rec = calculateRecommendations(dev, settings, null, roster, noon);
+  expect(translateMessages('en', rec.picking)).toMatch(/^Move Anna from packing to picking \(\+70 orders\/hour\)\. Move Olga from packing to picking \(\+50 orders\/hour\)\./);
+  expect(translateMessages('en', rec.packing)).toBe('Move Anna from packing to picking. Move Olga from packing to picking.');
+
+  // Без назначений на этот час — расчёт по средней скорости
+  const evening = new Date(2024, 0, 10, 14, 10);
+  expect(translateMessages('en', calculateRecommendations(dev, settings, null, roster, evening).picking)).not.toMatch(/Anna/);
+});
+
+test('required headcount uses the roster speeds', () => {
+  const dev = calculateDeviations(settings, { picking: 400, packing: 400 }, noon);
+  // 800 / 7 заказов в час при средней скорости на сборке (70 + 30 + 50 + 50) / 4 = 50
+  expect(calculateRecommendedStaff(dev, settings, roster).picking).toBeCloseTo(800 / 7 / 50);
+});
+
+test('roster is stored in localStorage', () => {
+  localStorage.clear();
+  expect(loadRoster()).toEqual({ employees: [], assignments: {} });
+  saveRoster(roster);
+  expect(loadRoster().employees).toHaveLength(4);
+});
@@ -0,0 +1,164 @@
+// src/utils/serverSync.js
+// Connection to the optional sync server (see server/). Without
+// REACT_APP_SYNC_SERVER the app works on this device only, as before.
+import { readStored, writeStored } from './storage';
+
+const OUTBOX_KEY = 'syncOutbox';
+const CURSOR_KEY = 'syncCursor';
+
+const MIN_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+/**
+ * Address of the sync server, e.g. "http://192.168.1.20:4000", set with
+ * REACT_APP_SYNC_SERVER when the app is built. Empty when not configured.
+ */
+export const SYNC_SERVER_URL = (process.env.REACT_APP_SYNC_SERVER || '').replace(/\/+$/, '');
+
+/**
+ * Connects to the sync server and keeps the connection: edits made on this
+ * device are queued (the queue survives reloads) and sent whenever the
+ * server is reachable; edits from other devices arrive over a WebSocket.
+ * After a reconnect the edits missed meanwhile are fetched first.
+ *
+ * @param {object} handlers - { onActions(actions), onStatus({ status, pending }) },
+ *   where status is 'connecting', 'online' or 'offline'.
+ * @param {string} url - Server address.
+ * @returns {object} { send(action), close() }.
+ */
+export const connectSyncServer = ({ onActions, onStatus }, url = SYNC_SERVER_URL) => {
+  // Очередь и позиция в журнале общие для всех вкладок — читаются из хранилища при каждом изменении
+  const readOutbox = () => readStored(OUTBOX_KEY, []);
+  const readCursor = () => readStored(CURSOR_KEY, { logId: null, revision: 0 });
+  let socket = null;
+  let online = false;
+  let closed = false;
+  let sending = false;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_MS;
+
+  const report = (status) => onStatus({ status, pending: readOutbox().length });
+
+  // Другой logId — журнал на сервере заменён, правки запрашиваются с начала
+  const receive = ({ logId, revision, actions }) => {
+    const cursor = readCursor();
+    const sameLog = logId === cursor.logId;
+    if (actions.length > 0) onActions(actions);
+    if (!sameLog || revision > cursor.revision) {
+      writeStored(CURSOR_KEY, { logId, revision });
+    }
+    return sameLog;
+  };
+
+  const fetchMissed = async () => {
+    const cursor = readCursor();
+    const since = cursor.logId ? cursor.revision : 0;
+    const response = await fetch(`${url}/api/shift?since=${since}`);
+    if (!response.ok) throw new Error(`Sync server answered ${response.status}.`);
+    const data = await response.json();
+    if (!receive(data) && since > 0) {
+      const all = await fetch(`${url}/api/shift?since=0`);
+      receive(await all.json());
+    }
+  };
+
+  const flush = async () => {
+    if (!online || sending || readOutbox().length === 0) return;
+    sending = true;
+    const batch = readOutbox();
+    try {
+      const response = await fetch(`${url}/api/shift/actions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ actions: batch }),
+      });
+      if (!response.ok) throw new Error(`Sync server answered ${response.status}.`);
+      const sentIds = new Set(batch.map(action => action.meta.id));
+      writeStored(OUTBOX_KEY, readOutbox().filter(action => !sentIds.has(action.meta.id)));
+      report('online');
+    } catch (error) {
+      console.warn('Could not send edits to the sync server, will retry.', error);
+    } finally {
+      sending = false;
+    }
+    if (readOutbox().length > 0 && online) flush();
+  };
+
+  const scheduleRetry = () => {
+    if (closed || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  };
+
+  function connect() {
+    if (closed) return;
+    report('connecting');
+    socket = new WebSocket(`${url.replace(/^http/, 'ws')}/ws`);
+    socket.onopen = async () => {
+      try {
+        await fetchMissed();
+        online = true;
+        retryDelay = MIN_RETRY_MS;
+        report('online');
+        flush();
+      } catch (error) {
+        console.warn('Could not load edits from the sync server.', error);
+        socket.close();
+      }
+    };
+    socket.onmessage = (event) => {
+      // Кадры не в JSON пропускаем, как сервер отклоняет такие запросы
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('Ignored a sync server message that is not valid JSON.', error);
+        return;
+      }
+      if (message && message.type === 'actions') receive(message);
+    };
+    socket.onclose = () => {
+      online = false;
+      if (closed) return;
+      report('offline');
+      scheduleRetry();
+    };
+  }
+
+  // Сеть вернулась — не ждать следующей попытки
+  const handleOnline = () => {
+    if (online || closed) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryDelay = MIN_RETRY_MS;
+    if (socket) {
+      socket.onopen = null;
+      socket.onclose = null;
+      socket.close();
+    }
+    connect();
+  };
+  window.addEventListener('online', handleOnline);
+
+  connect();
+
+  return {
+    send(action) {
+      // Правка могла прийти и из другой вкладки — сервер принимает её один раз
+      const outbox = readOutbox();
+      if (outbox.some(queued => queued.meta.id === action.meta.id)) return;
+      writeStored(OUTBOX_KEY, [...outbox, action]);
+      report(online ? 'online' : 'offline');
+      flush();
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      window.removeEventListener('online', handleOnline);
+      if (socket) socket.close();
+    },
+  };
+};
@@ -0,0 +1,253 @@
+// src/utils/settingsValidation.js
+import { translateMessages } from './i18n';
+import { getStages, isDefaultStage } from './stages';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Longest allowed shift. A longer "overnight" shift almost always means the
+ * end was entered before the start by mistake.
+ */
+export const MAX_SHIFT_HOURS = 16;
+
+/**
+ * Error thrown by the calculation engine for settings that do not pass
+ * validateSettings. `errors` holds the validation errors.
+ */
+export class SettingsValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid shift settings: ${translateMessages('en', errors.map(error => error.message))}`);
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Минуты от полуночи для "HH:MM" или "HH:MM AM/PM"; null, если время некорректно.
+const toMinutes = (timeStr) => {
+  const match = /^(\d{1,2}):(\d{2})(?:\s*([AP]M))?$/i.exec(String(timeStr || '').trim());
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const modifier = match[3] && match[3].toUpperCase();
+  if (modifier && (hours < 1 || hours > 12)) return null;
+  if (modifier === 'PM' && hours < 12) hours += 12;
+  if (modifier === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (minutes) => {
+  const pad = (n) => n.toString().padStart(2, '0');
+  const inDay = minutes % MINUTES_PER_DAY;
+  return `${pad(Math.floor(inDay / 60))}:${pad(inDay % 60)}`;
+};
+
+// Списки в старом строковом формате ("13:00-13:30, ..." и "12:00, 14:00") как массивы.
+const toBreakList = (breaks) => (typeof breaks === 'string'
+  ? breaks.split(',').filter(item => item.trim() !== '').map(interval => {
+    const [start, end] = interval.split('-').map(s => s.trim());
+    return { start, end };
+  })
+  : (Array.isArray(breaks) ? breaks : []));
+
+const toControlPointList = (controlPoints) => (typeof controlPoints === 'string'
+  ? controlPoints.split(',').filter(item => item.trim() !== '').map(time => ({ time: time.trim() }))
+  : (Array.isArray(controlPoints) ? controlPoints : []))
+  .map(cp => (typeof cp === 'object' && cp !== null ? cp : { time: cp }));
+
+// Сообщение об ошибке для перевода (см. utils/i18n); label — ключ названия поля
+const message = (key, values = {}) => ({ key: `validation.${key}`, values });
+const labelOf = (label) => message(`label.${label}`);
+
+/**
+ * Checks a number field and adds an error when it is not valid.
+ * Empty values are allowed unless `required`.
+ */
+const checkNumber = (errors, field, value, label, { required = false, min = 0, above = false, integer = false } = {}) => {
+  const values = { label: labelOf(label), min };
+  if (isEmpty(value)) {
+    if (required) errors.push({ field, message: message('required', values) });
+    return;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    errors.push({ field, message: message('number', values) });
+  } else if (above ? number <= min : number < min) {
+    errors.push({ field, message: message(above ? 'greaterThan' : 'atLeast', values) });
+  } else if (integer && !Number.isInteger(number)) {
+    errors.push({ field, message: message('wholeNumber', values) });
+  }
+};
+
+// Ошибка времени в формате HH:MM
+const timeFormatError = (field, label) => ({ field, message: message('timeFormat', { label: labelOf(label) }) });
+
+/**
+ * Validates a whole shift settings object.
+ *
+ * Checked: shift start and end (valid times, not equal, the shift at most
+ * MAX_SHIFT_HOURS long - overnight shifts are allowed), breaks (inside the
+ * shift, end after start, no overlaps), control points (inside the shift, no
+ * duplicate times, quota >= 0, priority a positive whole number), stages
+ * (at least one, a name, plan >= 0, average speed > 0, headcount and hourly
+ * rate >= 0), the overtime multiplier (>= 1), order arrivals and zones.
+ *
+ * Each error names the field it belongs to as a path into the settings,
+ * e.g. 'shiftEnd', 'breaks.1.end', 'stages.0.avgSpeed',
+ * 'zones.2.stages.picking.expectedOrders'.
+ * Messages are { key, values } to translate with utils/i18n.
+ *
+ * @param {object} settings - Shift settings.
+ * @returns {Array} Errors [{ field, message }]; empty when the settings are valid.
+ */
+export const validateSettings = (settings) => {
+  if (!settings) return [{ field: 'settings', message: message('missing') }];
+  const errors = [];
+
+  // Время начала и конца смены
+  const start = toMinutes(settings.shiftStart);
+  const end = toMinutes(settings.shiftEnd);
+  [['shiftStart', start], ['shiftEnd', end]].forEach(([field, minutes]) => {
+    if (isEmpty(settings[field])) {
+      errors.push({ field, message: message('timeRequired', { label: labelOf(field) }) });
+    } else if (minutes === null) {
+      errors.push(timeFormatError(field, field));
+    }
+  });
+
+  let duration = null;
+  if (start !== null && end !== null) {
+    // Конец не позже начала — смена переходит через полночь
+    duration = end > start ? end - start : end + MINUTES_PER_DAY - start;
+    if (start === end) {
+      errors.push({ field: 'shiftEnd', message: message('sameStartAndEnd') });
+      duration = null;
+    } else if (duration > MAX_SHIFT_HOURS * 60) {
+      errors.push({ field: 'shiftEnd', message: message('tooLong', { hours: Math.round(duration / 6) / 10 }) });
+      duration = null;
+    }
+  }
+  const shift = start !== null && end !== null ? { start: formatMinutes(start), end: formatMinutes(end) } : {};
+  // Минуты от начала смены (время раньше начала относится к следующему дню)
+  const offsetOf = (minutes) => (minutes >= start ? minutes - start : minutes + MINUTES_PER_DAY - start);
+
+  // Перерывы: внутри смены и без пересечений
+  const validBreaks = [];
+  toBreakList(settings.breaks).forEach((brk, index) => {
+    const breakStart = toMinutes(brk.start);
+    const breakEnd = toMinutes(brk.end);
+    if (breakStart === null) {
+      errors.push(timeFormatError(`breaks.${index}.start`, 'breakStart'));
+    }
+    if (breakEnd === null) {
+      errors.push(timeFormatError(`breaks.${index}.end`, 'breakEnd'));
+    }
+    if (breakStart === null || breakEnd === null || duration === null) return;
+    const from = offsetOf(breakStart);
+    const to = offsetOf(breakEnd);
+    if (breakStart === breakEnd || (to <= from && to !== 0)) {
+      errors.push({ field: `breaks.${index}.end`, message: message('breakEndBeforeStart') });
+    } else if (from >= duration || to > duration || to === 0) {
+      errors.push({ field: `breaks.${index}.start`, message: message('breakOutsideShift', shift) });
+    } else {
+      validBreaks.push({ index, from, to });
+    }
+  });
+  validBreaks.sort((a, b) => a.from - b.from).forEach((brk, position, sorted) => {
+    const previous = sorted[position - 1];
+    if (previous && brk.from < previous.to) {
+      errors.push({
+        field: `breaks.${brk.index}.start`,
+        message: message('breaksOverlap', { start: formatMinutes(start + previous.from), end: formatMinutes(start + previous.to) }),
+      });
+    }
+  });
+
+  // Контрольные точки и cutoff перевозчиков
+  const seenTimes = new Set();
+  toControlPointList(settings.controlPoints).forEach((cp, index) => {
+    const minutes = toMinutes(cp.time);
+    if (minutes === null) {
+      errors.push(timeFormatError(`controlPoints.${index}.time`, 'controlPointTime'));
+    } else if (duration !== null && (offsetOf(minutes) === 0 || offsetOf(minutes) > duration)) {
+      errors.push({ field: `controlPoints.${index}.time`, message: message('controlPointOutsideShift', shift) });
+    } else if (seenTimes.has(minutes)) {
+      errors.push({ field: `controlPoints.${index}.time`, message: message('controlPointDuplicate') });
+    }
+    if (minutes !== null) seenTimes.add(minutes);
+    checkNumber(errors, `controlPoints.${index}.orders`, cp.orders, 'orderQuota');
+    checkNumber(errors, `controlPoints.${index}.priority`, cp.priority, 'priority', { min: 1, integer: true });
+  });
+
+  // Этапы процесса: без скорости расчёт делит на ноль
+  const stages = Array.isArray(settings.stages) ? settings.stages : getStages(settings);
+  if (stages.length === 0) {
+    errors.push({ field: 'stages', message: message('noStages') });
+  }
+  stages.forEach((stage, index) => {
+    // Этап по умолчанию без названия выводится под переведённым названием
+    const name = String(stage.name || '');
+    if (name ? !name.trim() : !isDefaultStage(stage)) {
+      errors.push({ field: `stages.${index}.name`, message: message('required', { label: labelOf('stageName') }) });
+    }
+    checkNumber(errors, `stages.${index}.expectedOrders`, stage.expectedOrders, 'expectedOrders', { required: true });
+    checkNumber(errors, `stages.${index}.avgSpeed`, stage.avgSpeed, 'avgSpeed', { required: true, above: true });
+    checkNumber(errors, `stages.${index}.staffForLastPeriod`, stage.staffForLastPeriod, 'lastHourStaff');
+    checkNumber(errors, `stages.${index}.hourlyRate`, stage.hourlyRate, 'hourlyRate');
+  });
+
+  checkNumber(errors, 'overtimeMultiplier', settings.overtimeMultiplier, 'overtimeMultiplier', { min: 1 });
+
+  // Поступление заказов: строки без количества не учитываются
+  (Array.isArray(settings.arrivals) ? settings.arrivals : []).forEach((row, index) => {
+    const rowStart = toMinutes(row.start);
+    if (rowStart === null) {
+      errors.push(timeFormatError(`arrivals.${index}.start`, 'arrivalStart'));
+    }
+    if (!isEmpty(row.end)) {
+      const rowEnd = toMinutes(row.end);
+      if (rowEnd === null) {
+        errors.push(timeFormatError(`arrivals.${index}.end`, 'arrivalEnd'));
+      } else if (rowEnd === rowStart) {
+        errors.push({ field: `arrivals.${index}.end`, message: message('arrivalWaveEnd') });
+      }
+    }
+    checkNumber(errors, `arrivals.${index}.orders`, row.orders, 'arrivalOrders');
+  });
+
+  // Зоны и клиенты
+  (Array.isArray(settings.zones) ? settings.zones : []).forEach((zone, index) => {
+    if (!zone.name || !String(zone.name).trim()) {
+      errors.push({ field: `zones.${index}.name`, message: message('required', { label: labelOf('zoneName') }) });
+    }
+    Object.entries(zone.stages || {}).forEach(([stageId, values]) => {
+      checkNumber(errors, `zones.${index}.stages.${stageId}.expectedOrders`, (values || {}).expectedOrders, 'zonePlan');
+      checkNumber(errors, `zones.${index}.stages.${stageId}.staffForLastPeriod`, (values || {}).staffForLastPeriod, 'zoneLastHourStaff');
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Message ({ key, values }) of the first error for a field (see validateSettings), or null.
+ */
+export const getFieldError = (errors, field) => {
+  const error = errors.find(item => item.field === field);
+  return error ? error.message : null;
+};
+
+/**
+ * Throws a SettingsValidationError when the settings are not valid. Used by
+ * the calculation engine, so invalid settings never turn into Infinity or
+ * NaN on screen.
+ *
+ * @param {object} settings - Shift settings.
+ * @throws {SettingsValidationError} If validateSettings returns errors.
+ */
+export const assertValidSettings = (settings) => {
+  const errors = validateSettings(settings);
+  if (errors.length > 0) throw new SettingsValidationError(errors);
+};
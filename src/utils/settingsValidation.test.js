@@ -0,0 +1,62 @@
+import { calculateCompletionEta, calculateDeviations, calculateRecommendations } from './calculations';
+import { translateMessage } from './i18n';
+import { SettingsValidationError, getFieldError, validateSettings } from './settingsValidation';
+
+const settings = {
+  shiftStart: '22:00',
+  shiftEnd: '06:00',
+  breaks: [{ start: '23:30', end: '00:30' }],
+  controlPoints: [{ time: '02:00', name: 'DPD', orders: 300, priority: 1 }],
+  stages: [{ id: 'picking', name: 'Picking', expectedOrders: 700, avgSpeed: 100, staffForLastPeriod: 1 }],
+};
+
+// Текст ошибки поля по-английски (Intl ставит перед AM/PM неразрывный пробел)
+const fieldError = (errors, field) => translateMessage('en', getFieldError(errors, field)).replace(/\s/g, ' ');
+
+test('a valid overnight shift has no errors', () => {
+  expect(validateSettings(settings)).toEqual([]);
+});
+
+test('only the default stages may be left without a name', () => {
+  const stage = settings.stages[0];
+  expect(validateSettings({ ...settings, stages: [{ ...stage, name: '' }] })).toEqual([]);
+  const errors = validateSettings({ ...settings, stages: [{ ...stage, id: 'loading-k3f9', name: '' }, { ...stage, name: '  ' }] });
+  expect(fieldError(errors, 'stages.0.name')).toBe('Stage name is required.');
+  expect(fieldError(errors, 'stages.1.name')).toBe('Stage name is required.');
+});
+
+test('a shift longer than 16 hours is reported as a likely mix-up of start and end', () => {
+  // 22:00–21:00 — это 23 часа, скорее всего перепутаны начало и конец
+  const errors = validateSettings({ ...settings, shiftEnd: '21:00' });
+  expect(getFieldError(errors, 'shiftEnd')).toEqual({ key: 'validation.tooLong', values: { hours: 23 } });
+  expect(fieldError(errors, 'shiftEnd')).toMatch(/23 hours/);
+});
+
+test('errors name the field they belong to', () => {
+  const errors = validateSettings({
+    ...settings,
+    breaks: [
+      { start: '23:30', end: '00:30' },
+      { start: '00:00', end: '01:00' },
+      { start: '03:00', end: '02:00' },
+      { start: '07:00', end: '07:30' },
+    ],
+    controlPoints: [{ time: '02:00' }, { time: '02:00', priority: 0 }],
+    stages: [{ ...settings.stages[0], avgSpeed: 0 }],
+  });
+  expect(fieldError(errors, 'breaks.1.start')).toBe('Break overlaps the break 11:30 PM–12:30 AM.');
+  expect(fieldError(errors, 'breaks.2.end')).toBe('Break end must be after its start.');
+  expect(fieldError(errors, 'breaks.3.start')).toBe('Break must be within the shift (10:00 PM–6:00 AM).');
+  expect(fieldError(errors, 'controlPoints.1.time')).toBe('Another control point has the same time.');
+  expect(fieldError(errors, 'controlPoints.1.priority')).toBe('Priority must be at least 1.');
+  expect(fieldError(errors, 'stages.0.avgSpeed')).toBe('Average speed must be greater than 0.');
+  expect(translateMessage('ru', getFieldError(errors, 'breaks.3.start'))).toBe('Перерыв должен быть внутри смены (22:00–6:00).');
+});
+
+test('the engine rejects invalid settings', () => {
+  const invalid = { ...settings, stages: [{ ...settings.stages[0], avgSpeed: '' }] };
+  expect(() => calculateDeviations(invalid, { picking: 0 })).toThrow(SettingsValidationError);
+  expect(() => calculateRecommendations({ stages: {} }, invalid)).toThrow('Average speed is required.');
+  expect(() => calculateCompletionEta(invalid, { picking: 0 })).toThrow(SettingsValidationError);
+  expect(() => calculateCompletionEta({ ...settings, shiftEnd: '' }, { picking: 0 })).toThrow(SettingsValidationError);
+});
@@ -0,0 +1,119 @@
+// src/utils/shiftArchive.js
+import { getLatestShiftStart, getShiftBounds } from './calculations';
+import { validateSettings } from './settingsValidation';
+import { normalizeShiftData } from './stages';
+import { readStored, writeStored } from './storage';
+import { calculateSiteDeviations } from './zones';
+
+const ARCHIVE_KEY = 'shiftArchive';
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+// Дата смены в формате YYYY-MM-DD (по времени начала, ночная смена относится ко дню старта).
+const formatShiftDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Момент, на который считается закрытая смена: её конец, если её закрыли позже
+// (иначе getShiftBounds отнёс бы closedAt к следующей смене).
+const getEvaluationMoment = (settings, closedAt) => {
+  const { shiftEndDate } = getShiftBounds(settings, getLatestShiftStart(settings, closedAt));
+  return closedAt < shiftEndDate ? closedAt : shiftEndDate;
+};
+
+// Отклонения смены для записи архива. Настройки, сохранённые до проверки
+// (например, без средней скорости), не считаются: смена всё равно закрывается и загружается.
+const calculateRecordDeviations = (settings, actuals, zoneActuals, closedAt, staffingPlan = null) => (
+  validateSettings(settings).length === 0
+    ? calculateSiteDeviations(settings, actuals, zoneActuals, getEvaluationMoment(settings, closedAt), staffingPlan)
+    : { stages: {}, hoursPassed: 0, totalWorkTime: 0 }
+);
+
+// Записи, закрытые до настраиваемых этапов, переводятся в формат по этапам;
+// отклонения пересчитываются на момент закрытия.
+const normalizeRecord = (record) => {
+  if (record.actuals && record.deviations && record.deviations.stages) return record;
+  const data = normalizeShiftData(record);
+  return {
+    ...data,
+    deviations: calculateRecordDeviations(data.settings, data.actuals, data.zoneActuals, new Date(data.closedAt)),
+  };
+};
+
+/**
+ * Loads all archived shifts, newest first.
+ *
+ * @returns {Array} Archived shift records.
+ */
+export const loadArchive = () => {
+  const archive = readStored(ARCHIVE_KEY, []).map(normalizeRecord);
+  return [...archive].sort((a, b) => (b.closedAt || '').localeCompare(a.closedAt || ''));
+};
+
+const saveArchive = (archive) => {
+  writeStored(ARCHIVE_KEY, archive);
+};
+
+/**
+ * Builds an archive record from the current shift state. Deviations are
+ * computed at the moment of closing, or at the shift end if the shift is closed
+ * later (empty when the settings are not valid).
+ *
+ * @param {object} shift - { settings, actuals, cpData, progressLog, zoneActuals, staffingPlan, roster, alertLog },
+ *   keyed by stage id; staffingPlan, roster and alertLog (alerts fired during the shift) are optional.
+ * @param {Date} closedAt - Moment the shift is closed.
+ * @returns {object} Archive record.
+ */
+export const createShiftRecord = (
+  { settings, actuals, cpData, progressLog, zoneActuals, staffingPlan, roster, alertLog },
+  closedAt = new Date(),
+) => {
+  // Смена, закрытая после своего окончания, относится к последнему уже начавшемуся старту
+  const shiftDate = settings.shiftStart && settings.shiftEnd
+    ? formatShiftDate(getLatestShiftStart(settings, closedAt))
+    : formatShiftDate(closedAt);
+  return {
+    id: `${shiftDate}-${closedAt.getTime()}`,
+    shiftDate,
+    closedAt: closedAt.toISOString(),
+    settings,
+    actuals: actuals || {},
+    cpData: cpData || [],
+    progressLog: progressLog || [],
+    zoneActuals: zoneActuals || {},
+    staffingPlan: staffingPlan || null,
+    roster: roster || null,
+    alertLog: alertLog || [],
+    deviations: calculateRecordDeviations(settings, actuals || {}, zoneActuals, closedAt, staffingPlan),
+  };
+};
+
+/**
+ * Snapshot of the shift in progress in the same shape as an archive record,
+ * with closedAt = null. Used for reports and charts of the current shift.
+ */
+export const createCurrentShiftSnapshot = (shift, now = new Date()) => ({
+  ...createShiftRecord(shift, now),
+  closedAt: null,
+});
+
+/**
+ * Adds a closed shift to the archive.
+ *
+ * @param {object} record - Record created by createShiftRecord.
+ * @returns {object} The stored record.
+ */
+export const archiveShift = (record) => {
+  saveArchive([...loadArchive(), record]);
+  return record;
+};
+
+/**
+ * Returns one archived shift by id, or null if it does not exist.
+ */
+export const getArchivedShift = (id) => loadArchive().find(record => record.id === id) || null;
+
+/**
+ * Removes an archived shift.
+ */
+export const deleteArchivedShift = (id) => {
+  saveArchive(loadArchive().filter(record => record.id !== id));
+};
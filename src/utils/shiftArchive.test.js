@@ -0,0 +1,74 @@
+import {
+  loadArchive,
+  createShiftRecord,
+  archiveShift,
+  getArchivedShift,
+  deleteArchivedShift,
+} from './shiftArchive';
+
+const settings = {
+  shiftStart: '22:00',
+  shiftEnd: '06:00',
+  breaks: [],
+  expectedOrdersPicking: 800,
+  expectedOrdersPacking: 800,
+  avgSpeed: 100,
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('night shift closed after midnight is dated by its start', () => {
+  const record = createShiftRecord(
+    { settings, actuals: { picking: 790, packing: 780 }, cpData: [] },
+    new Date(2024, 0, 11, 6, 0),
+  );
+  expect(record.shiftDate).toBe('2024-01-10');
+  expect(record.deviations).toHaveProperty('stages.picking.deviation');
+});
+
+test('night shift closed after its end is evaluated at the shift end', () => {
+  [new Date(2024, 0, 11, 6, 30), new Date(2024, 0, 11, 18, 0)].forEach(closedAt => {
+    const record = createShiftRecord({ settings, actuals: { picking: 790, packing: 800 }, cpData: [] }, closedAt);
+    expect(record.shiftDate).toBe('2024-01-10');
+    expect(record.deviations.hoursPassed).toBe(8);
+    expect(record.deviations.stages.picking.expectedProcessed).toBe(800);
+    expect(record.deviations.stages.picking.deviation).toBe(-10);
+  });
+});
+
+test('archives, finds and deletes shifts', () => {
+  const first = archiveShift(createShiftRecord({ settings, actuals: { picking: 1, packing: 1 } }, new Date(2024, 0, 10, 23, 0)));
+  const second = archiveShift(createShiftRecord({ settings, actuals: { picking: 2, packing: 2 } }, new Date(2024, 0, 11, 23, 0)));
+
+  expect(loadArchive().map(record => record.id)).toEqual([second.id, first.id]);
+  expect(getArchivedShift(first.id).actuals.picking).toBe(1);
+
+  deleteArchivedShift(first.id);
+  expect(getArchivedShift(first.id)).toBeNull();
+  expect(loadArchive()).toHaveLength(1);
+});
+
+test('records saved before configurable stages are converted on load', () => {
+  localStorage.setItem('shiftArchive', JSON.stringify([{
+    id: 'old',
+    shiftDate: '2024-01-10',
+    closedAt: new Date(2024, 0, 11, 5, 0).toISOString(),
+    settings,
+    pickedActual: 790,
+    packedActual: 780,
+    cpData: [{ time: '02:00', plannedPicking: 400, plannedPacking: 400, actualPicked: 380, actualPacked: 360 }],
+    deviations: { pickingDeviation: -10, packingDeviation: -20 },
+  }]));
+  const [record] = loadArchive();
+  expect(record.actuals).toEqual({ picking: 790, packing: 780 });
+  expect(record.cpData[0].actual).toEqual({ picking: 380, packing: 360 });
+  expect(record.deviations.stages.packing.deviation).toBe(-20);
+});
+
+test('a shift with invalid settings is still archived, without deviations', () => {
+  const record = createShiftRecord({ settings: { ...settings, avgSpeed: 0 }, actuals: { picking: 1 } }, new Date(2024, 0, 10, 23, 0));
+  expect(record.actuals.picking).toBe(1);
+  expect(record.deviations.stages).toEqual({});
+});
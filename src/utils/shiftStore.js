@@ -0,0 +1,365 @@
+// src/utils/shiftStore.js
+// State of the current shift (settings and entered data) kept by WarehouseContext:
+// the storage schema, its migrations, and the reducer with its actions.
+import { normalizeBreaks, normalizeControlPoints } from './calculations';
+import { appendProgressEntry } from './progressLog';
+import { getStages, normalizeShiftData } from './stages';
+import { readStored, writeStored } from './storage';
+import { getZoneStage, getZones, sumZoneActuals } from './zones';
+
+const SETTINGS_KEY = 'settings';
+const UPDATE_DATA_KEY = 'updateData';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const FIELD_TIMES_KEY = 'fieldTimes';
+
+// Введённые данные смены, сохраняемые под "updateData"
+const SHIFT_DATA_FIELDS = ['actuals', 'cpData', 'progressLog', 'zoneActuals'];
+
+/**
+ * Version of the stored settings and updateData format. Data saved before
+ * versioning counts as version 0.
+ */
+export const SCHEMA_VERSION = 2;
+
+// Поля настроек и зон до появления настраиваемых этапов.
+const LEGACY_STAGE_FIELDS = ['expectedOrders', 'avgSpeed', 'staffForLastPeriod', 'hourlyRate']
+  .flatMap(field => [field, `${field}Picking`, `${field}Packing`]);
+
+const withoutLegacyFields = (object) => Object.fromEntries(
+  Object.entries(object).filter(([key]) => !LEGACY_STAGE_FIELDS.includes(key)),
+);
+
+// 0 -> 1: перерывы строкой "HH:MM-HH:MM, ..." и контрольные точки строками
+// становятся массивами объектов, поля Picking/Packing — списком этапов,
+// счётчики pickedActual/packedActual — картами по этапам.
+const migrateToVersion1 = ({ settings, updateData }) => {
+  let migratedSettings = settings;
+  if (settings) {
+    const stages = Array.isArray(settings.stages) && settings.stages.length > 0 ? settings.stages : getStages(settings);
+    const controlPoints = Array.isArray(settings.controlPoints) && settings.controlPoints.every(cp => cp && typeof cp === 'object')
+      ? settings.controlPoints
+      : normalizeControlPoints(settings.controlPoints);
+    migratedSettings = {
+      ...withoutLegacyFields(settings),
+      breaks: Array.isArray(settings.breaks) ? settings.breaks : normalizeBreaks(settings.breaks),
+      controlPoints,
+      stages,
+      zones: getZones(settings).map(zone => (zone.stages ? zone : {
+        id: zone.id,
+        name: zone.name,
+        stages: Object.fromEntries(stages.map(stage => [stage.id, getZoneStage(zone, stage.id)])),
+      })),
+    };
+  }
+  return { settings: migratedSettings, updateData: updateData && normalizeShiftData(updateData) };
+};
+
+// 1 -> 2: контрольные точки смены получают id вместо номера в списке.
+// Id выводятся из номера, чтобы вкладки, мигрирующие одновременно, получили одинаковые.
+const migrateToVersion2 = ({ settings, updateData }) => ({
+  settings,
+  updateData: updateData && {
+    ...updateData,
+    cpData: (updateData.cpData || []).map((cp, index) => (cp.id ? cp : { ...cp, id: `cp-${index}` })),
+  },
+});
+
+// MIGRATIONS[n] переводит данные версии n в версию n + 1.
+const MIGRATIONS = [migrateToVersion1, migrateToVersion2];
+
+/**
+ * Brings stored shift data to SCHEMA_VERSION by running the migrations
+ * after `version` in order.
+ *
+ * @param {object} stored - { version, settings, updateData } as read from storage.
+ * @returns {object} { version, settings, updateData } in the current format.
+ * @throws {Error} If the data was saved by a newer version of the app.
+ */
+export const migrateShiftData = ({ version = 0, settings = null, updateData = null }) => {
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Stored data has schema version ${version}, this app supports up to ${SCHEMA_VERSION}.`);
+  }
+  const migrated = MIGRATIONS.slice(version).reduce((data, migrate) => migrate(data), { settings, updateData });
+  return { version: SCHEMA_VERSION, ...migrated };
+};
+
+/**
+ * Empty entered data of a shift.
+ */
+export const createEmptyShiftData = (cpData = []) => ({
+  actuals: {},
+  cpData,
+  progressLog: [],
+  zoneActuals: {},
+});
+
+/**
+ * Control point entry of the shift data with a new id.
+ *
+ * @param {string} time - 'HH:MM'.
+ * @param {object} planned - Planned counts by stage at that time.
+ * @returns {object} { id, time, planned, actual }.
+ */
+export const createControlPointEntry = (time, planned) => ({
+  id: `cp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  time,
+  planned,
+  actual: {},
+});
+
+/**
+ * Loads the current shift from storage, migrating old formats (the migrated
+ * data is saved back). Data from a newer app version is left untouched and
+ * the shift starts empty.
+ *
+ * @returns {object} Store state: { settings, actuals, cpData, progressLog, zoneActuals, fieldTimes },
+ *   where fieldTimes records the last edit of each field (see syncedShiftReducer).
+ */
+export const loadShiftState = () => {
+  const stored = {
+    version: readStored(SCHEMA_VERSION_KEY, 0),
+    settings: readStored(SETTINGS_KEY),
+    updateData: readStored(UPDATE_DATA_KEY),
+  };
+  let migrated;
+  try {
+    migrated = migrateShiftData(stored);
+  } catch (error) {
+    console.error(error.message);
+    return { settings: null, ...createEmptyShiftData(), fieldTimes: {} };
+  }
+  if (stored.version !== SCHEMA_VERSION) {
+    if (migrated.settings) writeStored(SETTINGS_KEY, migrated.settings);
+    if (migrated.updateData) writeStored(UPDATE_DATA_KEY, migrated.updateData);
+    writeStored(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+  }
+  return {
+    settings: migrated.settings,
+    ...createEmptyShiftData(),
+    ...(migrated.updateData || {}),
+    fieldTimes: readStored(FIELD_TIMES_KEY, {}),
+  };
+};
+
+/**
+ * Entered data of the shift as saved under "updateData".
+ */
+export const getUpdateData = (state) => ({
+  actuals: state.actuals,
+  cpData: state.cpData,
+  progressLog: state.progressLog,
+  zoneActuals: state.zoneActuals,
+});
+
+/**
+ * Saves the parts of the store state that changed since `previous`.
+ */
+export const saveShiftState = (state, previous = null) => {
+  if (!previous || state.settings !== previous.settings) {
+    writeStored(SETTINGS_KEY, state.settings);
+  }
+  const dataChanged = !previous || SHIFT_DATA_FIELDS.some(key => state[key] !== previous[key]);
+  if (dataChanged) writeStored(UPDATE_DATA_KEY, getUpdateData(state));
+  if (!previous || state.fieldTimes !== previous.fieldTimes) writeStored(FIELD_TIMES_KEY, state.fieldTimes || {});
+  writeStored(SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+};
+
+// Типы действий хранилища
+export const SETTINGS_SAVED = 'SETTINGS_SAVED';
+export const ACTUAL_SET = 'ACTUAL_SET';
+export const ZONE_ACTUAL_SET = 'ZONE_ACTUAL_SET';
+export const CONTROL_POINTS_INITIALIZED = 'CONTROL_POINTS_INITIALIZED';
+export const CONTROL_POINT_TIME_SET = 'CONTROL_POINT_TIME_SET';
+export const CONTROL_POINT_ACTUAL_SET = 'CONTROL_POINT_ACTUAL_SET';
+export const CONTROL_POINT_DELETED = 'CONTROL_POINT_DELETED';
+export const SHIFT_DATA_IMPORTED = 'SHIFT_DATA_IMPORTED';
+export const SHIFT_RESET = 'SHIFT_RESET';
+
+/**
+ * Saves new shift settings.
+ */
+export const saveSettings = (settings) => ({ type: SETTINGS_SAVED, settings });
+
+/**
+ * Sets the actual count of a stage; the update is added to the progress log.
+ */
+export const setActual = (stageId, value, timestamp = new Date()) => ({
+  type: ACTUAL_SET, stageId, value, timestamp: timestamp.toISOString(),
+});
+
+/**
+ * Sets the actual count of a stage in a zone; site totals are the sums over
+ * all zones and are added to the progress log.
+ */
+export const setZoneActual = (zoneId, stageId, value, timestamp = new Date()) => ({
+  type: ZONE_ACTUAL_SET, zoneId, stageId, value, timestamp: timestamp.toISOString(),
+});
+
+/**
+ * Replaces the control point data, e.g. with the planned values for new settings.
+ */
+export const initControlPoints = (cpData) => ({ type: CONTROL_POINTS_INITIALIZED, cpData });
+
+/**
+ * Moves a control point to another time with its planned values for that time.
+ */
+export const setControlPointTime = (id, time, planned) => ({ type: CONTROL_POINT_TIME_SET, id, time, planned });
+
+/**
+ * Sets the actual count of a stage at a control point.
+ */
+export const setControlPointActual = (id, stageId, value) => ({ type: CONTROL_POINT_ACTUAL_SET, id, stageId, value });
+
+/**
+ * Removes a control point from the shift data.
+ */
+export const deleteControlPoint = (id) => ({ type: CONTROL_POINT_DELETED, id });
+
+/**
+ * Replaces actuals, control points and progress log with imported ones.
+ */
+export const importShiftData = ({ actuals, cpData, progressLog }) => ({ type: SHIFT_DATA_IMPORTED, actuals, cpData, progressLog });
+
+/**
+ * Starts a new shift with empty data (after the previous one is archived).
+ */
+export const resetShift = (cpData = []) => ({ type: SHIFT_RESET, cpData });
+
+// Контрольные точки меняются по id: номер в списке сдвигается после удаления
+const updateById = (list, id, change) => list.map(item => (item.id === id ? change(item) : item));
+
+/**
+ * Reducer of the shift store.
+ *
+ * @param {object} state - { settings, actuals, cpData, progressLog, zoneActuals }.
+ * @param {object} action - One of the actions above.
+ * @returns {object} New state.
+ */
+export const shiftReducer = (state, action) => {
+  switch (action.type) {
+    case SETTINGS_SAVED:
+      return { ...state, settings: action.settings };
+    case ACTUAL_SET: {
+      const actuals = { ...state.actuals, [action.stageId]: Number(action.value) };
+      return { ...state, actuals, progressLog: appendProgressEntry(state.progressLog, actuals, new Date(action.timestamp)) };
+    }
+    case ZONE_ACTUAL_SET: {
+      const zoneActuals = {
+        ...state.zoneActuals,
+        [action.zoneId]: { ...state.zoneActuals[action.zoneId], [action.stageId]: Number(action.value) },
+      };
+      const actuals = sumZoneActuals(zoneActuals, getZones(state.settings), getStages(state.settings));
+      return { ...state, zoneActuals, actuals, progressLog: appendProgressEntry(state.progressLog, actuals, new Date(action.timestamp)) };
+    }
+    case CONTROL_POINTS_INITIALIZED:
+      return { ...state, cpData: action.cpData };
+    case CONTROL_POINT_TIME_SET:
+      return {
+        ...state,
+        cpData: updateById(state.cpData, action.id, cp => ({ id: cp.id, time: action.time, planned: action.planned, actual: cp.actual || {} })),
+      };
+    case CONTROL_POINT_ACTUAL_SET:
+      return {
+        ...state,
+        cpData: updateById(state.cpData, action.id, cp => ({ ...cp, actual: { ...cp.actual, [action.stageId]: Number(action.value) } })),
+      };
+    case CONTROL_POINT_DELETED:
+      return { ...state, cpData: state.cpData.filter(cp => cp.id !== action.id) };
+    case SHIFT_DATA_IMPORTED:
+      return { ...state, actuals: action.actuals, cpData: action.cpData, progressLog: action.progressLog };
+    case SHIFT_RESET:
+      return { ...state, ...createEmptyShiftData(action.cpData) };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Fields an action changes, as paths like "actuals.picking" or
+ * "cpData.cp-1.actual.packing" (control points by id). A field also covers
+ * everything under it; actions with several fields change whole top-level
+ * parts of the state.
+ */
+export const getActionFields = (action) => {
+  switch (action.type) {
+    case SETTINGS_SAVED:
+      return ['settings'];
+    case ACTUAL_SET:
+      return [`actuals.${action.stageId}`];
+    case ZONE_ACTUAL_SET:
+      return [`zoneActuals.${action.zoneId}.${action.stageId}`];
+    case CONTROL_POINT_TIME_SET:
+      return [`cpData.${action.id}.time`];
+    case CONTROL_POINT_ACTUAL_SET:
+      return [`cpData.${action.id}.actual.${action.stageId}`];
+    case CONTROL_POINT_DELETED:
+      return [`cpData.${action.id}`];
+    case CONTROL_POINTS_INITIALIZED:
+      return ['cpData'];
+    case SHIFT_DATA_IMPORTED:
+      return ['actuals', 'cpData', 'progressLog'];
+    case SHIFT_RESET:
+      return SHIFT_DATA_FIELDS;
+    default:
+      return [];
+  }
+};
+
+// Порядок правок: сначала по времени, при равном времени — по id вкладки,
+// чтобы все вкладки выбрали одного победителя.
+const isNewer = (meta, previous) => !previous
+  || meta.at > previous.at
+  || (meta.at === previous.at && meta.tabId > previous.tabId);
+
+// Поле и все поля над ним: "cpData.cp-1.time" -> cpData, cpData.cp-1, cpData.cp-1.time
+const withParents = (field) => field.split('.').map((_, i, parts) => parts.slice(0, i + 1).join('.'));
+
+const isWithin = (path, field) => path.startsWith(`${field}.`);
+
+/**
+ * Reducer for edits from several tabs. Actions carry meta: { id, at, tabId }
+ * (see utils/tabSync); the last write of each field wins, so all tabs end up
+ * with the same values whatever order the edits arrive in:
+ * - a field is not changed if it or a field containing it has a newer edit;
+ * - edits of fields inside a changed field that are newer than the action
+ *   are applied again on top of it (an older reset does not wipe them).
+ * Actions without meta are always applied.
+ *
+ * @param {object} state - Store state with fieldTimes: { [field]: { at, tabId, action? } },
+ *   where action is kept for nested fields to be applied again.
+ * @param {object} action - Shift store action.
+ * @returns {object} New state.
+ */
+export const syncedShiftReducer = (state, action) => {
+  const fields = getActionFields(action);
+  if (!action.meta || fields.length === 0) return shiftReducer(state, action);
+  const fieldTimes = state.fieldTimes || {};
+  const isStale = (field) => withParents(field).some(path => !isNewer(action.meta, fieldTimes[path]));
+  const changed = fields.filter(field => !isStale(field));
+  if (changed.length === 0) return state;
+
+  let next = shiftReducer(state, action);
+  // Несколько полей бывают только у целых разделов (actuals, cpData, ...): устаревшие остаются прежними
+  fields.filter(isStale).forEach(field => {
+    next = { ...next, [field]: state[field] };
+  });
+  const times = Object.entries(fieldTimes);
+  const isInside = (path) => changed.some(field => isWithin(path, field));
+  const newerEdits = times
+    .filter(([path, time]) => isInside(path) && time.action && !isNewer(action.meta, time))
+    .map(([, time]) => time.action)
+    .filter((edit, index, edits) => edits.findIndex(other => other.meta.id === edit.meta.id) === index)
+    .sort((a, b) => (isNewer(a.meta, b.meta) ? 1 : -1));
+  next = newerEdits.reduce(shiftReducer, next);
+
+  // Более старые правки внутри изменённых полей больше не нужны: их закрывает это действие
+  const { at, tabId } = action.meta;
+  const kept = times.filter(([path, time]) => !isInside(path) || !isNewer(action.meta, time));
+  return {
+    ...next,
+    fieldTimes: {
+      ...Object.fromEntries(kept),
+      ...Object.fromEntries(changed.map(field => [field, field.includes('.') ? { at, tabId, action } : { at, tabId }])),
+    },
+  };
+};
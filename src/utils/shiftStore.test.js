@@ -0,0 +1,137 @@
+import {
+  SCHEMA_VERSION,
+  createEmptyShiftData,
+  deleteControlPoint,
+  getUpdateData,
+  initControlPoints,
+  loadShiftState,
+  migrateShiftData,
+  resetShift,
+  setActual,
+  setControlPointActual,
+  setZoneActual,
+  shiftReducer,
+  syncedShiftReducer,
+} from './shiftStore';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('unversioned settings and shift data are migrated to the current schema', () => {
+  const { version, settings, updateData } = migrateShiftData({
+    settings: {
+      shiftStart: '08:00',
+      shiftEnd: '16:00',
+      breaks: '12:00-12:30',
+      controlPoints: '10:00, 14:00',
+      expectedOrdersPicking: 800,
+      expectedOrdersPacking: 600,
+      avgSpeed: 50,
+      staffForLastPeriod: 2,
+      zones: [{ id: 'z1', name: 'North', expectedOrdersPicking: 300 }],
+    },
+    updateData: { pickedActual: 120, packedActual: 80, cpData: [{ time: '10:00', plannedPicking: 200, actualPicked: 150 }] },
+  });
+
+  expect(version).toBe(SCHEMA_VERSION);
+  expect(settings.breaks).toEqual([{ start: '12:00', end: '12:30' }]);
+  expect(settings.controlPoints.map(cp => cp.time)).toEqual(['10:00', '14:00']);
+  expect(settings.stages.map(stage => [stage.id, stage.expectedOrders, stage.avgSpeed])).toEqual([['picking', 800, 50], ['packing', 600, 50]]);
+  expect(settings).not.toHaveProperty('expectedOrdersPicking');
+  expect(settings).not.toHaveProperty('avgSpeed');
+  expect(settings.zones[0].stages.picking).toEqual({ expectedOrders: 300, staffForLastPeriod: 0 });
+  expect(updateData.actuals).toEqual({ picking: 120, packing: 80 });
+  expect(updateData).not.toHaveProperty('pickedActual');
+  expect(updateData.cpData[0]).toEqual({ id: 'cp-0', time: '10:00', planned: { picking: 200 }, actual: { picking: 150 } });
+
+  expect(() => migrateShiftData({ version: SCHEMA_VERSION + 1 })).toThrow('schema version');
+});
+
+test('loading saves the migrated data with the schema version', () => {
+  localStorage.setItem('settings', JSON.stringify({ shiftStart: '08:00', shiftEnd: '16:00', breaks: '' }));
+  localStorage.setItem('updateData', JSON.stringify({ pickedActual: 5 }));
+
+  const state = loadShiftState();
+  expect(state.settings.breaks).toEqual([]);
+  expect(state.actuals).toEqual({ picking: 5 });
+  expect(JSON.parse(localStorage.getItem('schemaVersion'))).toBe(SCHEMA_VERSION);
+  expect(JSON.parse(localStorage.getItem('updateData')).actuals).toEqual({ picking: 5 });
+});
+
+test('actions update counters, zones and control points', () => {
+  const settings = {
+    stages: [{ id: 'picking', name: 'Picking' }],
+    zones: [{ id: 'a', name: 'A', stages: {} }, { id: 'b', name: 'B', stages: {} }],
+  };
+  const at = new Date(2024, 0, 10, 9, 0);
+  let state = { settings, ...createEmptyShiftData() };
+
+  state = shiftReducer(state, setActual('picking', '40', at));
+  expect(state.actuals).toEqual({ picking: 40 });
+  expect(state.progressLog).toEqual([{ timestamp: at.toISOString(), actuals: { picking: 40 } }]);
+
+  state = shiftReducer(state, setZoneActual('a', 'picking', 30, at));
+  state = shiftReducer(state, setZoneActual('b', 'picking', 20, at));
+  expect(state.zoneActuals).toEqual({ a: { picking: 30 }, b: { picking: 20 } });
+  expect(state.actuals).toEqual({ picking: 50 });
+
+  state = shiftReducer(state, initControlPoints([
+    { id: 'cp-a', time: '10:00', planned: { picking: 100 }, actual: {} },
+    { id: 'cp-b', time: '12:00', planned: { picking: 200 }, actual: {} },
+  ]));
+  state = shiftReducer(state, deleteControlPoint('cp-a'));
+  state = shiftReducer(state, setControlPointActual('cp-b', 'picking', '180'));
+  expect(state.cpData).toEqual([{ id: 'cp-b', time: '12:00', planned: { picking: 200 }, actual: { picking: 180 } }]);
+});
+
+test('edits from two tabs converge whatever order they arrive in', () => {
+  const initial = { settings: { stages: [{ id: 'picking', name: 'Picking' }] }, ...createEmptyShiftData(), fieldTimes: {} };
+  const at = new Date(2024, 0, 10, 9, 0);
+  const first = { ...setActual('picking', 100, at), meta: { id: 'a-1', at: 1000, tabId: 'tab-a' } };
+  const second = { ...setActual('picking', 120, at), meta: { id: 'b-1', at: 2000, tabId: 'tab-b' } };
+
+  const inOrder = [first, second].reduce(syncedShiftReducer, initial);
+  const reversed = [second, first].reduce(syncedShiftReducer, initial);
+  expect(inOrder.actuals).toEqual({ picking: 120 });
+  expect(reversed.actuals).toEqual({ picking: 120 });
+  expect(reversed.progressLog).toEqual(inOrder.progressLog);
+
+  // Удаление контрольной точки позже правки отменяет более старую правку этой точки
+  const withCp = syncedShiftReducer(initial, { ...initControlPoints([{ id: 'cp-1', time: '10:00', planned: {}, actual: {} }]), meta: { id: 'a-2', at: 500, tabId: 'tab-a' } });
+  const deleted = syncedShiftReducer(withCp, { ...deleteControlPoint('cp-1'), meta: { id: 'b-2', at: 3000, tabId: 'tab-b' } });
+  const lateEdit = syncedShiftReducer(deleted, { ...setControlPointActual('cp-1', 'picking', 50), meta: { id: 'a-3', at: 2500, tabId: 'tab-a' } });
+  expect(lateEdit.cpData).toEqual([]);
+});
+
+// Все порядки, в которых действия могут прийти во вкладку
+const permutations = (list) => (list.length <= 1 ? [list] : list.flatMap((item, i) => (
+  permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest])
+)));
+
+test('an older reset or delete does not wipe newer edits, in any order', () => {
+  const cp = (id, time) => ({ id, time, planned: { picking: 100 }, actual: {} });
+  const initial = {
+    settings: { stages: [{ id: 'picking', name: 'Picking' }] },
+    ...createEmptyShiftData([cp('cp-1', '10:00'), cp('cp-2', '12:00'), cp('cp-3', '14:00')]),
+    fieldTimes: {},
+  };
+  const stamp = (action, id, at, tabId) => ({ ...action, meta: { id, at, tabId } });
+  const actions = [
+    stamp(resetShift([cp('cp-1', '10:00'), cp('cp-2', '12:00'), cp('cp-3', '14:00')]), 'b-0', 250, 'tab-b'),
+    stamp(initControlPoints([cp('cp-1', '10:00'), cp('cp-2', '12:00'), cp('cp-3', '14:00')]), 'a-1', 1000, 'tab-a'),
+    stamp(deleteControlPoint('cp-1'), 'a-2', 2000, 'tab-a'),
+    stamp(setControlPointActual('cp-2', 'picking', 90), 'b-1', 3000, 'tab-b'),
+    stamp(setControlPointActual('cp-1', 'picking', 40), 'b-2', 1500, 'tab-b'),
+    stamp(setActual('picking', 150, new Date(2024, 0, 10, 9, 0)), 'b-3', 4000, 'tab-b'),
+    stamp(setControlPointActual('cp-3', 'picking', 60), 'a-3', 500, 'tab-a'),
+  ];
+
+  const results = permutations(actions).map(order => getUpdateData(order.reduce(syncedShiftReducer, initial)));
+  expect(results[0].cpData).toEqual([
+    { ...cp('cp-2', '12:00'), actual: { picking: 90 } },
+    cp('cp-3', '14:00'),
+  ]);
+  expect(results[0].actuals).toEqual({ picking: 150 });
+  results.forEach(state => expect(state).toEqual(results[0]));
+});
@@ -0,0 +1,64 @@
+// src/utils/shiftTemplates.js
+import { readStored, writeStored } from './storage';
+
+const TEMPLATES_KEY = 'shiftTemplates';
+
+/**
+ * Loads all saved shift templates, sorted by name.
+ * Each template is { id, name, settings }.
+ *
+ * @returns {Array} Templates.
+ */
+export const loadTemplates = () => {
+  const templates = readStored(TEMPLATES_KEY, []);
+  return [...templates].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const saveTemplates = (templates) => {
+  writeStored(TEMPLATES_KEY, templates);
+};
+
+const createId = () => `tpl-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Saves the given settings as a new named template.
+ *
+ * @param {string} name - Template name, e.g. "Day", "Night".
+ * @param {object} settings - Settings object as stored by Settings.saveSettings.
+ * @returns {object} The new template.
+ */
+export const createTemplate = (name, settings) => {
+  const template = { id: createId(), name: name.trim(), settings };
+  saveTemplates([...loadTemplates(), template]);
+  return template;
+};
+
+/**
+ * Updates a template's name and/or settings.
+ *
+ * @param {string} id - Template id.
+ * @param {object} changes - { name?, settings? }.
+ */
+export const updateTemplate = (id, changes) => {
+  saveTemplates(loadTemplates().map(template => (
+    template.id === id ? { ...template, ...changes, id } : template
+  )));
+};
+
+/**
+ * Copies a template under the name "<name> (copy)".
+ *
+ * @returns {object|null} The copy, or null if the template does not exist.
+ */
+export const duplicateTemplate = (id) => {
+  const source = loadTemplates().find(template => template.id === id);
+  if (!source) return null;
+  return createTemplate(`${source.name} (copy)`, JSON.parse(JSON.stringify(source.settings)));
+};
+
+/**
+ * Removes a template.
+ */
+export const deleteTemplate = (id) => {
+  saveTemplates(loadTemplates().filter(template => template.id !== id));
+};
@@ -0,0 +1,32 @@
+import {
+  loadTemplates,
+  createTemplate,
+  updateTemplate,
+  duplicateTemplate,
+  deleteTemplate,
+} from './shiftTemplates';
+
+const night = {
+  shiftStart: '22:00',
+  shiftEnd: '06:00',
+  breaks: [{ start: '02:00', end: '02:30' }],
+  controlPoints: [{ time: '00:00' }],
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('creates, renames, duplicates and deletes templates', () => {
+  const template = createTemplate(' Night ', night);
+  expect(loadTemplates()).toEqual([{ id: template.id, name: 'Night', settings: night }]);
+
+  updateTemplate(template.id, { name: 'Night shift' });
+  const copy = duplicateTemplate(template.id);
+  expect(copy.name).toBe('Night shift (copy)');
+  expect(copy.settings).toEqual(night);
+  expect(copy.settings.breaks).not.toBe(night.breaks);
+
+  deleteTemplate(template.id);
+  expect(loadTemplates().map(t => t.name)).toEqual(['Night shift (copy)']);
+});
@@ -0,0 +1,186 @@
+// src/utils/staffingPlan.js
+import {
+  calculateArrivedOrders,
+  calculateExpectedAtTime,
+  calculatePlannedOutputAt,
+  formatTime,
+  getEffectiveHoursAt,
+  getHourSlots,
+  getShiftTimeline,
+  normalizeControlPoints,
+  toShiftDate,
+} from './calculations';
+import { getStageName, getStages } from './stages';
+import { readStored, writeStored } from './storage';
+
+const STAFFING_PLAN_KEY = 'staffingPlan';
+
+// Погрешность округления при подсчёте людей (2.0000001 человека — это 2).
+const EPSILON = 1e-6;
+
+/**
+ * Loads the hourly staffing plan:
+ *   { constraints: { totalStaff, stages: { [stageId]: { minStaff, maxStaff } } },
+ *     slots: { [slotKey]: { [stageId]: people } } },
+ * where slotKey is the "HH:MM" start of an hour slot (see getHourSlots).
+ * Empty constraint fields mean "no limit".
+ *
+ * @returns {object} Staffing plan (no slots when nothing is saved).
+ */
+export const loadStaffingPlan = () => {
+  const plan = readStored(STAFFING_PLAN_KEY, {});
+  const constraints = plan.constraints || {};
+  return {
+    constraints: { totalStaff: constraints.totalStaff ?? '', stages: constraints.stages || {} },
+    slots: plan.slots || {},
+  };
+};
+
+/**
+ * Saves the hourly staffing plan.
+ */
+export const saveStaffingPlan = (plan) => {
+  writeStored(STAFFING_PLAN_KEY, plan);
+};
+
+/**
+ * True if the plan has hourly headcounts, i.e. the live calculation measures against it.
+ */
+export const hasStaffingPlan = (plan) => Boolean(plan && Object.keys(plan.slots || {}).length > 0);
+
+// Ограничения этапа числами: пустой максимум — без ограничения.
+const getStageLimits = (constraints, stageId) => {
+  const limits = (constraints.stages || {})[stageId] || {};
+  const maxStaff = Number(limits.maxStaff);
+  return {
+    minStaff: Math.max(Number(limits.minStaff) || 0, 0),
+    maxStaff: limits.maxStaff !== '' && limits.maxStaff !== undefined && maxStaff >= 0 ? maxStaff : Infinity,
+  };
+};
+
+// Контрольные точки и конец смены по порядку, с планом каждого этапа к этому моменту.
+const getMilestones = (settings, timeline, now) => {
+  const controlPoints = normalizeControlPoints(settings.controlPoints)
+    .map(({ time }) => ({ time, date: toShiftDate(time, timeline.shiftStartDate) }))
+    .filter(cp => cp.date > timeline.shiftStartDate && cp.date < timeline.shiftEndDate)
+    .map(cp => ({ ...cp, targets: calculateExpectedAtTime(settings, cp.time, now) }));
+  const shiftEnd = {
+    time: formatTime(timeline.shiftEndDate),
+    date: timeline.shiftEndDate,
+    targets: Object.fromEntries(getStages(settings).map(stage => [stage.id, stage.expectedOrders])),
+    shiftEnd: true,
+  };
+  return [...controlPoints, shiftEnd].sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Builds an hour-by-hour staffing plan that meets every control point and
+ * the end-of-shift plan.
+ *
+ * One worker processes avgSpeed orders per work hour (breaks excluded).
+ * Hours are planned in order; for each hour and stage the headcount is the
+ * smallest whole number of people that, kept until a control point (or the
+ * shift end), reaches the planned value there:
+ *   people = ceil((target - planned so far) / (avgSpeed * work hours until the target)),
+ * taking the largest value over the remaining targets, then clamped to the
+ * stage's min/max headcount. When the hour needs more people than
+ * totalStaff, people are taken from the largest team first (never below its
+ * minimum); the shortfall moves to the following hours. With an order
+ * arrival profile no hour is planned to process more than has arrived.
+ *
+ * @param {object} settings - Shift settings (site-level, see getSiteSettings).
+ * @param {object} constraints - { totalStaff, stages: { [stageId]: { minStaff, maxStaff } } }.
+ * @param {Date} now - Moment used to pick the shift.
+ * @returns {object} { slots: { [slotKey]: { [stageId]: people } }, warnings: [{ key, values }] }
+ *   (warnings to translate with utils/i18n).
+ */
+export const generateStaffingPlan = (settings, constraints = {}, now = new Date()) => {
+  if (!settings || !settings.shiftStart || !settings.shiftEnd) {
+    return { slots: {}, warnings: [{ key: 'plan.warning.noShiftTimes', values: {} }] };
+  }
+  const stages = getStages(settings);
+  const timeline = getShiftTimeline(settings, now);
+  const workHoursBetween = (from, to) => getEffectiveHoursAt(timeline, to) - getEffectiveHoursAt(timeline, from);
+  const milestones = getMilestones(settings, timeline, now);
+  const limits = Object.fromEntries(stages.map(stage => [stage.id, getStageLimits(constraints, stage.id)]));
+  const totalStaff = Number(constraints.totalStaff) > 0 ? Number(constraints.totalStaff) : Infinity;
+
+  const warnings = [];
+  const minimumTotal = stages.reduce((sum, stage) => sum + limits[stage.id].minStaff, 0);
+  if (minimumTotal > totalStaff) {
+    warnings.push({ key: 'plan.warning.minimumsExceedStaff', values: { minimum: minimumTotal, total: totalStaff } });
+  }
+
+  const planned = Object.fromEntries(stages.map(stage => [stage.id, 0]));
+  const slots = {};
+  getHourSlots(settings, now).forEach(slot => {
+    const staff = Object.fromEntries(stages.map(stage => {
+      const { minStaff, maxStaff } = limits[stage.id];
+      let people = minStaff;
+      if (stage.avgSpeed > 0) {
+        milestones.filter(milestone => milestone.date > slot.start).forEach(milestone => {
+          const remaining = milestone.targets[stage.id] - planned[stage.id];
+          const hours = workHoursBetween(slot.start, milestone.date);
+          if (remaining > 0 && hours > 0) {
+            people = Math.max(people, Math.ceil(remaining / (stage.avgSpeed * hours) - EPSILON));
+          }
+        });
+      }
+      return [stage.id, Math.min(people, maxStaff)];
+    }));
+
+    // Людей не больше, чем есть на смене: снимаем с самой большой команды
+    let total = stages.reduce((sum, stage) => sum + staff[stage.id], 0);
+    while (total > totalStaff) {
+      const donor = stages
+        .filter(stage => staff[stage.id] > limits[stage.id].minStaff)
+        .reduce((largest, stage) => (!largest || staff[stage.id] >= staff[largest.id] ? stage : largest), null);
+      if (!donor) break;
+      staff[donor.id] -= 1;
+      total -= 1;
+    }
+
+    // Больше, чем поступило заказов, обработать нельзя
+    const hours = workHoursBetween(slot.start, slot.end);
+    const arrivals = calculateArrivedOrders(settings, slot.end, now);
+    const arrivedShare = arrivals ? arrivals.arrived / arrivals.total : 1;
+    stages.forEach(stage => {
+      planned[stage.id] = Math.min(
+        planned[stage.id] + staff[stage.id] * stage.avgSpeed * hours,
+        stage.expectedOrders * arrivedShare,
+      );
+    });
+    slots[slot.key] = staff;
+  });
+
+  warnings.push(...checkStaffingPlan(settings, { slots }, now));
+  return { slots, warnings };
+};
+
+/**
+ * Lists the control points and end-of-shift plans the staffing plan does
+ * not reach, e.g. "Picking: control point 12:00 needs 457 orders, the plan gives 400."
+ *
+ * @param {object} settings - Shift settings.
+ * @param {object} plan - Staffing plan.
+ * @param {Date} now - Moment used to pick the shift.
+ * @returns {Array} Warnings as { key, values } (empty when every target is met).
+ */
+export const checkStaffingPlan = (settings, plan, now = new Date()) => {
+  if (!hasStaffingPlan(plan) || !settings.shiftStart || !settings.shiftEnd) return [];
+  const stages = getStages(settings);
+  const timeline = getShiftTimeline(settings, now);
+  const warnings = [];
+  getMilestones(settings, timeline, now).forEach(milestone => {
+    const output = calculatePlannedOutputAt(settings, plan, milestone.date, now);
+    stages.forEach(stage => {
+      const target = milestone.targets[stage.id];
+      if (output[stage.id] + EPSILON >= target) return;
+      warnings.push({
+        key: milestone.shiftEnd ? 'plan.warning.shiftEndShort' : 'plan.warning.controlPointShort',
+        values: { stage: getStageName(stage), time: milestone.time, count: Math.round(target), output: Math.round(output[stage.id]) },
+      });
+    });
+  });
+  return warnings;
+};
@@ -0,0 +1,63 @@
+import { calculateDeviations, calculateExpectedAtTime, calculatePlannedOutputAt } from './calculations';
+import { generateStaffingPlan, checkStaffingPlan, loadStaffingPlan, saveStaffingPlan } from './staffingPlan';
+import { translateMessage } from './i18n';
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [{ start: '12:00', end: '12:30' }],
+  controlPoints: [{ time: '11:00' }],
+  stages: [
+    { id: 'picking', name: 'Picking', expectedOrders: 800, avgSpeed: 50, staffForLastPeriod: 0 },
+    { id: 'packing', name: 'Packing', expectedOrders: 600, avgSpeed: 50, staffForLastPeriod: 0 },
+  ],
+};
+
+const day = new Date(2024, 0, 10, 9, 0);
+
+test('generated plan meets every control point and the shift plan', () => {
+  const { slots, warnings } = generateStaffingPlan(settings, {}, day);
+  expect(warnings).toEqual([]);
+  expect(Object.keys(slots)).toHaveLength(8);
+  Object.values(slots).forEach(staff => {
+    expect(Number.isInteger(staff.picking)).toBe(true);
+    expect(Number.isInteger(staff.packing)).toBe(true);
+  });
+  const atControlPoint = calculatePlannedOutputAt(settings, { slots }, new Date(2024, 0, 10, 11, 0));
+  const expected = calculateExpectedAtTime(settings, '11:00', day);
+  expect(atControlPoint.picking).toBeGreaterThanOrEqual(expected.picking);
+  expect(atControlPoint.packing).toBeGreaterThanOrEqual(expected.packing);
+});
+
+test('headcount limits are respected and unreachable targets are reported', () => {
+  const constraints = { totalStaff: 3, stages: { picking: { minStaff: '', maxStaff: 2 }, packing: { minStaff: 1, maxStaff: '' } } };
+  const { slots, warnings } = generateStaffingPlan(settings, constraints, day);
+  Object.values(slots).forEach(staff => {
+    expect(staff.picking).toBeLessThanOrEqual(2);
+    expect(staff.packing).toBeGreaterThanOrEqual(1);
+    expect(staff.picking + staff.packing).toBeLessThanOrEqual(3);
+  });
+  // 2 человека по 50 заказов за 7.5 рабочих часа не соберут 800 заказов
+  const shiftEndWarning = warnings.find(warning => warning.key === 'plan.warning.shiftEndShort');
+  expect(shiftEndWarning.values).toMatchObject({ stage: { key: 'stages.picking' }, time: '16:00', count: 800 });
+  expect(translateMessage('ru', shiftEndWarning)).toMatch(/^Сборка: к концу смены в 16:00 нужно 800 заказов/);
+  expect(checkStaffingPlan(settings, { slots }, day)).toEqual(warnings);
+});
+
+test('live deviations are measured against the staffing plan', () => {
+  const slots = Object.fromEntries(['08:00', '09:00', '10:00'].map(key => [key, { picking: 2, packing: 1 }]));
+  const now = new Date(2024, 0, 10, 10, 30);
+  const deviations = calculateDeviations(settings, { picking: 200, packing: 125 }, now, { slots });
+  // 2 человека * 50 заказов/час * 2.5 часа = 250
+  expect(deviations.stages.picking.expectedProcessed).toBeCloseTo(250);
+  expect(deviations.stages.picking.deviation).toBeCloseTo(-50);
+  expect(deviations.stages.packing.deviation).toBeCloseTo(0);
+  expect(calculateExpectedAtTime(settings, '09:30', now, { slots }).packing).toBeCloseTo(75);
+});
+
+test('staffing plan is stored in localStorage', () => {
+  localStorage.clear();
+  expect(loadStaffingPlan()).toEqual({ constraints: { totalStaff: '', stages: {} }, slots: {} });
+  saveStaffingPlan({ constraints: { totalStaff: 10, stages: {} }, slots: { '08:00': { picking: 3 } } });
+  expect(loadStaffingPlan().slots['08:00'].picking).toBe(3);
+});
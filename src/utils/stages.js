@@ -0,0 +1,164 @@
+// src/utils/stages.js
+
+/**
+ * Process stages used when the settings do not define their own list.
+ * Their name stays empty until the user renames them, so the interface
+ * shows it in its own language (see getStageName).
+ */
+export const DEFAULT_STAGES = [
+  { id: 'picking', name: '' },
+  { id: 'packing', name: '' },
+];
+
+// Названия этапов по умолчанию, которые сохранялись до перевода интерфейса.
+const LEGACY_DEFAULT_NAMES = { picking: 'Picking', packing: 'Packing' };
+
+// Суффиксы полей настроек и данных до появления настраиваемых этапов.
+const LEGACY_SETTINGS_SUFFIX = { picking: 'Picking', packing: 'Packing' };
+const LEGACY_ACTUAL_FIELD = { picking: 'pickedActual', packing: 'packedActual' };
+const LEGACY_CP_PLANNED_FIELD = { picking: 'plannedPicking', packing: 'plannedPacking' };
+const LEGACY_CP_ACTUAL_FIELD = { picking: 'actualPicked', packing: 'actualPacked' };
+
+const toNumber = (value) => Number(value) || 0;
+
+// Значение процесса из старых настроек: поле с суффиксом, иначе общее поле.
+const readLegacySetting = (settings, stageId, field) => {
+  const value = settings[`${field}${LEGACY_SETTINGS_SUFFIX[stageId]}`];
+  if (value !== undefined && value !== null && value !== '') return toNumber(value);
+  return toNumber(settings[field]);
+};
+
+/**
+ * Returns the configured process stages in pipeline order, each as
+ * { id, name, expectedOrders, avgSpeed, staffForLastPeriod, hourlyRate } with numbers.
+ * hourlyRate is the labor cost of one worker per hour (0 when not set).
+ *
+ * Settings without a `stages` list (saved before stages were configurable)
+ * get Picking and Packing built from the per-process fields
+ * (expectedOrdersPicking, avgSpeedPacking, ...) or the shared
+ * expectedOrders, avgSpeed and staffForLastPeriod.
+ *
+ * @param {object} settings - Shift settings.
+ * @returns {Array} Stages.
+ */
+export const getStages = (settings) => {
+  if (settings && Array.isArray(settings.stages) && settings.stages.length > 0) {
+    return settings.stages.map(stage => ({
+      ...stage,
+      name: stage.name === LEGACY_DEFAULT_NAMES[stage.id] ? '' : stage.name,
+      expectedOrders: toNumber(stage.expectedOrders),
+      avgSpeed: toNumber(stage.avgSpeed),
+      staffForLastPeriod: toNumber(stage.staffForLastPeriod),
+      hourlyRate: toNumber(stage.hourlyRate),
+    }));
+  }
+  return DEFAULT_STAGES.map(stage => ({
+    ...stage,
+    expectedOrders: readLegacySetting(settings || {}, stage.id, 'expectedOrders'),
+    avgSpeed: readLegacySetting(settings || {}, stage.id, 'avgSpeed'),
+    staffForLastPeriod: readLegacySetting(settings || {}, stage.id, 'staffForLastPeriod'),
+    hourlyRate: readLegacySetting(settings || {}, stage.id, 'hourlyRate'),
+  }));
+};
+
+/**
+ * Whether the stage is one of the default stages (Picking, Packing).
+ */
+export const isDefaultStage = (stage) => DEFAULT_STAGES.some(item => item.id === stage.id);
+
+/**
+ * Name of a stage for messages: the name the user gave it or, for a default
+ * stage that was not renamed, the message { key } of its translated name.
+ *
+ * @param {object} stage - Stage of getStages.
+ * @returns {string|object} Name or { key }.
+ */
+export const getStageName = (stage) => {
+  if (stage.name) return stage.name;
+  return isDefaultStage(stage) ? { key: `stages.${stage.id}` } : stage.id;
+};
+
+/**
+ * Creates a new stage id from its name, e.g. "Loading" -> "loading-k3f9".
+ */
+export const createStageId = (name) => {
+  const slug = String(name || 'stage').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stage';
+  return `${slug}-${Math.random().toString(36).slice(2, 6)}`;
+};
+
+/**
+ * Actual processed orders per stage: { [stageId]: number }.
+ * Reads the `actuals` map, or the old pickedActual / packedActual fields.
+ *
+ * @param {object} data - updateData, an archive record, a log entry or a zone's actuals.
+ * @returns {object} Actuals by stage id.
+ */
+export const normalizeActuals = (data) => {
+  if (!data) return {};
+  const actuals = { ...(data.actuals || {}) };
+  Object.entries(LEGACY_ACTUAL_FIELD).forEach(([stageId, field]) => {
+    if (actuals[stageId] === undefined && data[field] !== undefined) {
+      actuals[stageId] = toNumber(data[field]);
+    }
+  });
+  return actuals;
+};
+
+/**
+ * Control point entry as { id, time, planned: { [stageId]: n }, actual: { [stageId]: n } }
+ * (entries saved before control points had ids have no id).
+ * Converts entries with plannedPicking / actualPicked ... fields.
+ */
+export const normalizeCpEntry = (cp) => {
+  const planned = { ...(cp.planned || {}) };
+  const actual = { ...(cp.actual || {}) };
+  Object.keys(LEGACY_SETTINGS_SUFFIX).forEach(stageId => {
+    if (planned[stageId] === undefined && cp[LEGACY_CP_PLANNED_FIELD[stageId]] !== undefined) {
+      planned[stageId] = toNumber(cp[LEGACY_CP_PLANNED_FIELD[stageId]]);
+    }
+    if (actual[stageId] === undefined && cp[LEGACY_CP_ACTUAL_FIELD[stageId]] !== undefined) {
+      actual[stageId] = toNumber(cp[LEGACY_CP_ACTUAL_FIELD[stageId]]);
+    }
+  });
+  return cp.id ? { id: cp.id, time: cp.time, planned, actual } : { time: cp.time, planned, actual };
+};
+
+/**
+ * Progress log entry as { timestamp, actuals }.
+ */
+export const normalizeLogEntry = (entry) => ({
+  timestamp: entry.timestamp,
+  actuals: normalizeActuals(entry),
+});
+
+/**
+ * Zone actuals as { [zoneId]: { [stageId]: number } }.
+ * Converts zones saved with pickedActual / packedActual.
+ */
+export const normalizeZoneActuals = (zoneActuals) => Object.fromEntries(
+  Object.entries(zoneActuals || {}).map(([zoneId, actuals]) => {
+    const raw = actuals || {};
+    const legacy = Object.values(LEGACY_ACTUAL_FIELD).some(field => raw[field] !== undefined);
+    return [zoneId, legacy ? normalizeActuals(raw) : raw];
+  }),
+);
+
+/**
+ * Converts saved shift data (updateData or an archive record) to the
+ * stage-based format: actuals, cpData, progressLog and zoneActuals keyed by
+ * stage id. Data already in this format is returned with the same values.
+ *
+ * @param {object} data - Saved shift data.
+ * @returns {object} Shift data without the pickedActual / packedActual fields.
+ */
+export const normalizeShiftData = (data) => {
+  const rest = { ...(data || {}) };
+  Object.values(LEGACY_ACTUAL_FIELD).forEach(field => delete rest[field]);
+  return {
+    ...rest,
+    actuals: normalizeActuals(data),
+    cpData: (rest.cpData || []).map(normalizeCpEntry),
+    progressLog: (rest.progressLog || []).map(normalizeLogEntry),
+    zoneActuals: normalizeZoneActuals(rest.zoneActuals),
+  };
+};
@@ -0,0 +1,216 @@
+// src/utils/storage.js
+
+const DB_NAME = 'warehouse-calculator';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+const CHANNEL_NAME = 'warehouse-calculator-storage';
+
+/**
+ * Keys of all data the app stores. Data saved under these keys in
+ * localStorage by earlier versions is moved to IndexedDB on start.
+ */
+export const STORAGE_KEYS = [
+  'settings',
+  'updateData',
+  'shiftArchive',
+  'shiftTemplates',
+  'roster',
+  'staffingPlan',
+  'alertRules',
+  'alertState',
+  'schemaVersion',
+  'fieldTimes',
+  'syncOutbox',
+  'syncCursor',
+  'language',
+];
+
+// Значения в IndexedDB хранятся строками JSON, как раньше в localStorage.
+// После initStorage чтение идёт из этой копии в памяти, запись — в неё и в IndexedDB.
+// Копии других вкладок обновляются через канал: иначе вкладка читала бы устаревший
+// архив или расписание и затирала бы чужие записи своей копией.
+let cache = null;
+let db = null;
+let channel = null;
+// Подписчики на изменения из других вкладок (см. watchStored)
+const watchers = new Set();
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab.'));
+});
+
+const putValue = (key, text) => {
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).put(text, key);
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const deleteValue = (key) => {
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).delete(key);
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Изменение в другой вкладке: text === null — значение удалено
+const openChangeChannel = () => {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  const changes = new BroadcastChannel(CHANNEL_NAME);
+  changes.onmessage = (event) => {
+    const { key, text } = event.data || {};
+    if (!cache || typeof key !== 'string') return;
+    if (text === null) cache.delete(key);
+    else cache.set(key, text);
+    watchers.forEach(watcher => watcher(key));
+  };
+  return changes;
+};
+
+const announceChange = (key, text) => {
+  if (channel) channel.postMessage({ key, text });
+};
+
+const readAll = async () => {
+  const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+  const [keys, values] = await Promise.all([
+    requestToPromise(store.getAllKeys()),
+    requestToPromise(store.getAll()),
+  ]);
+  return new Map(keys.map((key, index) => [key, values[index]]));
+};
+
+const parseJson = (key, text, fallback) => {
+  if (text === null || text === undefined) return fallback;
+  try {
+    const value = JSON.parse(text);
+    return value === null ? fallback : value;
+  } catch (error) {
+    console.warn(`Stored "${key}" is not valid JSON and was ignored.`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Opens the IndexedDB database and loads all stored data into memory, so
+ * readStored stays synchronous. Data still in localStorage (saved by earlier
+ * versions) is moved to IndexedDB once; entries that are not valid JSON are
+ * dropped. Without IndexedDB (old browsers, some private modes) data stays
+ * in localStorage.
+ *
+ * Writes made in other tabs reach this tab's copy over a BroadcastChannel,
+ * so every tab reads what the others saved, as with localStorage.
+ *
+ * Call once before the app renders.
+ *
+ * @returns {Promise<string>} 'indexeddb' or 'localstorage' - where data is kept.
+ */
+export const initStorage = async () => {
+  if (typeof indexedDB === 'undefined') return 'localstorage';
+  try {
+    db = await openDatabase();
+    const stored = await readAll();
+    const migrations = STORAGE_KEYS
+      .filter(key => !stored.has(key) && localStorage.getItem(key) !== null)
+      .map(async key => {
+        const text = localStorage.getItem(key);
+        if (parseJson(key, text, undefined) !== undefined) {
+          await putValue(key, text);
+          stored.set(key, text);
+        }
+        localStorage.removeItem(key);
+      });
+    await Promise.all(migrations);
+    cache = stored;
+    channel = openChangeChannel();
+    return 'indexeddb';
+  } catch (error) {
+    console.warn('IndexedDB is not available, data stays in localStorage.', error);
+    db = null;
+    cache = null;
+    return 'localstorage';
+  }
+};
+
+/**
+ * Reads a stored value. Missing or corrupted data returns `fallback`
+ * instead of throwing.
+ *
+ * @param {string} key - Storage key, e.g. 'settings'.
+ * @param {*} fallback - Value returned when nothing valid is stored.
+ * @returns {*} Stored value.
+ */
+export const readStored = (key, fallback = null) => {
+  const text = cache ? cache.get(key) : localStorage.getItem(key);
+  return parseJson(key, text, fallback);
+};
+
+/**
+ * Stores a value as JSON. With IndexedDB the write is asynchronous; the new
+ * value is readable immediately.
+ *
+ * @param {string} key - Storage key.
+ * @param {*} value - Value to store.
+ */
+export const writeStored = (key, value) => {
+  const text = JSON.stringify(value);
+  if (!cache) {
+    localStorage.setItem(key, text);
+    return;
+  }
+  cache.set(key, text);
+  announceChange(key, text);
+  putValue(key, text).catch(error => console.error(`Could not save "${key}".`, error));
+};
+
+/**
+ * Calls `onChange` when another tab saves or removes the value under `key`
+ * (changes made in this tab are not reported).
+ *
+ * @param {string} key - Storage key.
+ * @param {Function} onChange - Called without arguments; read the new value with readStored.
+ * @returns {Function} Stops watching.
+ */
+export const watchStored = (key, onChange) => {
+  const watcher = (changedKey) => {
+    if (changedKey === key) onChange();
+  };
+  // Без IndexedDB данные в localStorage, и о чужих записях сообщает событие storage
+  const onStorage = (event) => {
+    if (!cache && event.key === key) onChange();
+  };
+  watchers.add(watcher);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    watchers.delete(watcher);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+/**
+ * Removes a stored value.
+ */
+export const removeStored = (key) => {
+  if (!cache) {
+    localStorage.removeItem(key);
+    return;
+  }
+  cache.delete(key);
+  announceChange(key, null);
+  deleteValue(key).catch(error => console.error(`Could not remove "${key}".`, error));
+};
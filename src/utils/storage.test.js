@@ -0,0 +1,128 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { readStored, removeStored, writeStored } from './storage';
+
+// Каждая «вкладка» — отдельный экземпляр модуля со своей копией данных в памяти
+const openTab = async () => {
+  let tab;
+  jest.isolateModules(() => {
+    tab = require('./storage');
+  });
+  await tab.initStorage();
+  return tab;
+};
+
+// Канал между вкладками в памяти: сообщение получают все остальные экземпляры с тем же именем
+class MemoryChannel {
+  constructor(name) {
+    this.name = name;
+    MemoryChannel.open.push(this);
+  }
+
+  postMessage(data) {
+    MemoryChannel.open
+      .filter(other => other !== this && other.name === this.name && other.onmessage)
+      .forEach(other => other.onmessage({ data }));
+  }
+
+  close() {
+    MemoryChannel.open = MemoryChannel.open.filter(other => other !== this);
+  }
+}
+MemoryChannel.open = [];
+
+// Окружение тестов (jsdom) не даёт structuredClone, а в хранилище лежат только строки
+if (typeof structuredClone === 'undefined') {
+  window.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+// Записи в IndexedDB асинхронные: ждём, пока они завершатся
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+  delete window.indexedDB;
+  delete window.BroadcastChannel;
+  MemoryChannel.open = [];
+});
+
+test('stores values as JSON and falls back on missing or corrupted data', () => {
+  expect(readStored('roster', [])).toEqual([]);
+
+  writeStored('roster', [{ id: 'a', name: 'Anna' }]);
+  expect(readStored('roster', [])).toEqual([{ id: 'a', name: 'Anna' }]);
+
+  localStorage.setItem('roster', '{not json');
+  expect(readStored('roster', [])).toEqual([]);
+  expect(console.warn).toHaveBeenCalled();
+
+  removeStored('roster');
+  expect(readStored('roster')).toBeNull();
+});
+
+test('data saved in localStorage moves to IndexedDB once', async () => {
+  window.indexedDB = new IDBFactory();
+  localStorage.setItem('roster', JSON.stringify([{ id: 'a', name: 'Anna' }]));
+  localStorage.setItem('alertRules', '{not json');
+
+  const tab = await openTab();
+  expect(tab.readStored('roster', [])).toEqual([{ id: 'a', name: 'Anna' }]);
+  expect(tab.readStored('alertRules')).toBeNull();
+  expect(localStorage.getItem('roster')).toBeNull();
+  expect(localStorage.getItem('alertRules')).toBeNull();
+
+  // Новое значение в localStorage (например, от старой вкладки) не заменяет перенесённое
+  localStorage.setItem('roster', JSON.stringify([]));
+  const reloaded = await openTab();
+  expect(reloaded.readStored('roster', [])).toEqual([{ id: 'a', name: 'Anna' }]);
+});
+
+test('writes and removals reach IndexedDB', async () => {
+  window.indexedDB = new IDBFactory();
+  const tab = await openTab();
+  tab.writeStored('shiftArchive', [{ id: 'shift-1' }]);
+  tab.writeStored('roster', { employees: [] });
+  tab.removeStored('roster');
+  await settle();
+
+  const reloaded = await openTab();
+  expect(reloaded.readStored('shiftArchive', [])).toEqual([{ id: 'shift-1' }]);
+  expect(reloaded.readStored('roster')).toBeNull();
+});
+
+test('a tab reads what another tab saved instead of its own stale copy', async () => {
+  window.indexedDB = new IDBFactory();
+  window.BroadcastChannel = MemoryChannel;
+  const first = await openTab();
+  const second = await openTab();
+
+  first.writeStored('shiftArchive', [{ id: 'shift-1' }]);
+  // Архивирование — чтение и запись: вторая вкладка дописывает к архиву первой
+  second.writeStored('shiftArchive', [...second.readStored('shiftArchive', []), { id: 'shift-2' }]);
+  expect(first.readStored('shiftArchive', [])).toEqual([{ id: 'shift-1' }, { id: 'shift-2' }]);
+
+  second.removeStored('shiftArchive');
+  expect(first.readStored('shiftArchive')).toBeNull();
+});
+
+test('a tab is told about values another tab saved', async () => {
+  window.indexedDB = new IDBFactory();
+  window.BroadcastChannel = MemoryChannel;
+  const first = await openTab();
+  const second = await openTab();
+  const onChange = jest.fn();
+  const stop = first.watchStored('alertState', onChange);
+
+  second.writeStored('alertState', { active: {} });
+  second.writeStored('roster', []);
+  first.writeStored('alertState', { active: {} });
+  expect(onChange).toHaveBeenCalledTimes(1);
+
+  stop();
+  second.removeStored('alertState');
+  expect(onChange).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,46 @@
+// src/utils/tabSync.js
+// Shift store edits are broadcast to every open tab and window of the app.
+
+const CHANNEL_NAME = 'warehouse-calculator-shift';
+
+/**
+ * Id of this tab; orders edits made at the same millisecond in different tabs.
+ */
+export const TAB_ID = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let actionCount = 0;
+
+/**
+ * Marks an action with a unique id, the moment of the edit and the tab it
+ * was made in.
+ *
+ * @param {object} action - Shift store action.
+ * @param {number} at - Time of the edit in milliseconds.
+ * @returns {object} Action with meta: { id, at, tabId }.
+ */
+export const stampAction = (action, at = Date.now()) => {
+  actionCount += 1;
+  return { ...action, meta: { id: `${TAB_ID}-${actionCount}`, at, tabId: TAB_ID } };
+};
+
+/**
+ * Opens the channel between the tabs. `onAction` receives the actions
+ * posted by other tabs. Without BroadcastChannel (old browsers) nothing is
+ * sent or received and every tab works on its own.
+ *
+ * @param {Function} onAction - Called with every action from another tab.
+ * @returns {object} { post(action), close() }.
+ */
+export const openTabChannel = (onAction) => {
+  if (typeof BroadcastChannel === 'undefined') {
+    return { post: () => undefined, close: () => undefined };
+  }
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    if (event.data && event.data.meta && event.data.meta.tabId !== TAB_ID) onAction(event.data);
+  };
+  return {
+    post: (action) => channel.postMessage(action),
+    close: () => channel.close(),
+  };
+};
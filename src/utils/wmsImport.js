@@ -0,0 +1,294 @@
+// src/utils/wmsImport.js
+import { getShiftBounds, getLatestShiftStart, toShiftDate } from './calculations';
+import { translate } from './i18n';
+import { appendProgressEntry } from './progressLog';
+import { getStageName, getStages } from './stages';
+import { getZones } from './zones';
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Error thrown for a file that cannot be parsed at all. `key` and `values`
+ * describe it as a message to translate (see utils/i18n).
+ */
+export class ImportFileError extends Error {
+  constructor(key, values = {}) {
+    super(translate('en', key, values));
+    this.name = 'ImportFileError';
+    this.key = key;
+    this.values = values;
+  }
+}
+
+// Разделитель CSV — тот, которого больше всего в строке заголовков.
+const detectDelimiter = (headerLine) => DELIMITERS.reduce(
+  (best, delimiter) => (headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best),
+  DELIMITERS[0],
+);
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Supports quoted values, escaped quotes ("") and ",", ";" or tab delimiters.
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/)[0] || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses an uploaded WMS export (CSV with a header row, or JSON array of objects).
+ *
+ * @param {string} text - File contents.
+ * @param {string} fileName - File name, used to detect JSON.
+ * @returns {object} { columns, records } where records are objects keyed by column
+ *   and each has a 1-based `line` (data row number) for error messages.
+ * @throws {ImportFileError} If the file cannot be parsed at all.
+ */
+export const parseImportFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new ImportFileError('import.error.invalidJson', { details: e.message });
+    }
+    const items = Array.isArray(data) ? data : data.rows;
+    if (!Array.isArray(items)) {
+      throw new ImportFileError('import.error.jsonRows');
+    }
+    const columns = [...new Set(items.flatMap(item => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+    return {
+      columns,
+      records: items.map((item, index) => ({ ...(item && typeof item === 'object' ? item : {}), line: index + 1 })),
+    };
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    throw new ImportFileError('import.error.csvRows');
+  }
+  const columns = rows[0].map(header => header.trim());
+  const records = rows.slice(1).map((cells, index) => {
+    const record = { line: index + 1 };
+    columns.forEach((column, i) => {
+      record[column] = cells[i] !== undefined ? cells[i].trim() : '';
+    });
+    return record;
+  });
+  return { columns, records };
+};
+
+const TIMESTAMP_HINTS = ['timestamp', 'time', 'date', 'datetime', 'время', 'дата'];
+
+// Для стандартных этапов знаем типичные названия колонок WMS; остальные ищем по имени этапа.
+const STAGE_HINTS = {
+  picking: ['picked', 'picking', 'pick', 'собрано', 'сборка'],
+  packing: ['packed', 'packing', 'pack', 'упаковано', 'упаковка'],
+};
+
+/**
+ * Suggests which columns hold the timestamp and the count of each stage.
+ *
+ * @param {Array} columns - Column names.
+ * @param {Array} stages - Stages from getStages.
+ * @returns {object} { timestamp, stages: { [stageId]: column } } ('' if not found).
+ */
+export const guessColumnMapping = (columns, stages) => {
+  const find = (hints) => columns.find(column => hints.includes(column.trim().toLowerCase()))
+    || columns.find(column => hints.some(hint => column.toLowerCase().includes(hint)))
+    || '';
+  return {
+    timestamp: find(TIMESTAMP_HINTS),
+    stages: Object.fromEntries(stages.map(stage => [
+      stage.id,
+      find(STAGE_HINTS[stage.id] || [stage.name.trim().toLowerCase(), stage.id.toLowerCase()]),
+    ])),
+  };
+};
+
+/**
+ * Parses a WMS timestamp. Supports "YYYY-MM-DD HH:MM[:SS]", "DD.MM.YYYY HH:MM[:SS]",
+ * ISO strings with a time zone and plain "HH:MM" (placed inside the current shift).
+ *
+ * @returns {Date|null} The moment, or null if the value is not a timestamp.
+ */
+export const parseTimestamp = (value, settings, now = new Date()) => {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds || 0);
+  }
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [, day, month, year, hours, minutes, seconds] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds || 0);
+  }
+  if (/^\d{1,2}:\d{2}$/.test(text)) {
+    if (!settings || !settings.shiftStart || !settings.shiftEnd) return null;
+    return toShiftDate(text, getShiftBounds(settings, now).shiftStartDate);
+  }
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+};
+
+const parseCount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+};
+
+/**
+ * Validates the import records against the column mapping.
+ *
+ * Counts are cumulative by default; with countMode = 'incremental' each row
+ * holds the orders processed since the previous row and they are summed up.
+ * Rows with problems are not imported and are returned in `errors`.
+ *
+ * The export holds site totals only, so with zones configured nothing is
+ * imported: the site view is the sum of the zones and would ignore it.
+ *
+ * @param {Array} records - Records from parseImportFile.
+ * @param {object} mapping - { timestamp, stages: { [stageId]: column }, countMode }.
+ * @param {object} settings - Shift settings (needed for "HH:MM" timestamps and stage names).
+ * @returns {object} { rows, errors }: rows are { line, timestamp, actuals: { [stageId]: number } }
+ *   sorted by time; errors are { line, message }, message as { key, values } to translate.
+ */
+export const mapImportRows = (records, mapping, settings) => {
+  if (getZones(settings).length > 0) {
+    return { rows: [], errors: [{ line: null, message: { key: 'import.error.zones', values: {} } }] };
+  }
+  const errors = [];
+  if (!mapping.timestamp) {
+    return { rows: [], errors: [{ line: null, message: { key: 'import.error.noTimestampColumn', values: {} } }] };
+  }
+  const mapped = getStages(settings).filter(stage => (mapping.stages || {})[stage.id]);
+  if (mapped.length === 0) {
+    return { rows: [], errors: [{ line: null, message: { key: 'import.error.noStageColumns', values: {} } }] };
+  }
+
+  const valid = [];
+  records.forEach(record => {
+    const timestamp = parseTimestamp(record[mapping.timestamp], settings);
+    const counts = {};
+    const problems = [];
+    if (!timestamp) problems.push({ key: 'import.error.timestamp', values: { value: record[mapping.timestamp] ?? '' } });
+    mapped.forEach(stage => {
+      const column = mapping.stages[stage.id];
+      counts[stage.id] = parseCount(record[column]);
+      if (Number.isNaN(counts[stage.id])) {
+        problems.push({ key: 'import.error.count', values: { stage: getStageName(stage), value: record[column] } });
+      }
+    });
+    if (problems.length === 0 && Object.values(counts).every(count => count === null)) {
+      problems.push({ key: 'import.error.noCounts', values: {} });
+    }
+    if (problems.length > 0) {
+      errors.push({ line: record.line, message: { key: 'import.error.row', values: { problems } } });
+    } else {
+      valid.push({ line: record.line, timestamp, counts });
+    }
+  });
+
+  valid.sort((a, b) => a.timestamp - b.timestamp);
+
+  // Пустые значения наследуют предыдущее накопленное значение
+  const totals = Object.fromEntries(mapped.map(stage => [stage.id, 0]));
+  const rows = valid.map(row => {
+    mapped.forEach(stage => {
+      const count = row.counts[stage.id];
+      if (mapping.countMode === 'incremental') {
+        totals[stage.id] += count || 0;
+      } else if (count !== null) {
+        totals[stage.id] = count;
+      }
+    });
+    return { line: row.line, timestamp: row.timestamp, actuals: { ...totals } };
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Applies imported rows to the current shift data.
+ *
+ * The shift actuals take the latest row. Each control point gets the
+ * counters of the last row at or before its time; control points without such
+ * a row keep their actuals. Stages not in the import keep their values.
+ * Every row is also added to the progress log.
+ *
+ * @param {Array} rows - Rows from mapImportRows.
+ * @param {object} shiftData - { settings, actuals, cpData, progressLog }.
+ * @returns {object} Updated { actuals, cpData, progressLog, matchedControlPoints }.
+ */
+export const applyImportToShift = (rows, { settings, actuals = {}, cpData = [], progressLog = [] }) => {
+  if (rows.length === 0) {
+    return { actuals, cpData, progressLog, matchedControlPoints: 0 };
+  }
+  const latest = rows[rows.length - 1];
+  const shiftStartDate = getLatestShiftStart(settings, rows[0].timestamp);
+
+  let matchedControlPoints = 0;
+  const newCpData = cpData.map(cp => {
+    if (!cp.time) return cp;
+    const cpDate = toShiftDate(cp.time, shiftStartDate);
+    const before = rows.filter(row => row.timestamp <= cpDate);
+    if (before.length === 0) return cp;
+    matchedControlPoints += 1;
+    const match = before[before.length - 1];
+    return { ...cp, actual: { ...cp.actual, ...match.actuals } };
+  });
+
+  const merged = [
+    ...progressLog.map(entry => ({ actuals: entry.actuals, date: new Date(entry.timestamp) })),
+    ...rows.map(row => ({ actuals: row.actuals, date: row.timestamp })),
+  ].sort((a, b) => a.date - b.date);
+  const newProgressLog = merged.reduce((log, entry) => appendProgressEntry(log, entry.actuals, entry.date), []);
+
+  return {
+    actuals: { ...actuals, ...latest.actuals },
+    cpData: newCpData,
+    progressLog: newProgressLog,
+    matchedControlPoints,
+  };
+};
@@ -0,0 +1,65 @@
+import { translateMessage } from './i18n';
+import { getStages } from './stages';
+import { ImportFileError, parseCsv, parseImportFile, guessColumnMapping, mapImportRows, applyImportToShift } from './wmsImport';
+
+const settings = { shiftStart: '08:00', shiftEnd: '16:00', breaks: [] };
+
+test('parses quoted CSV values and semicolon delimiters', () => {
+  expect(parseCsv('a;b\n"x;1";"say ""hi"""\n')).toEqual([['a', 'b'], ['x;1', 'say "hi"']]);
+});
+
+test('guesses columns and reports bad rows with their line numbers', () => {
+  const { columns, records } = parseImportFile(
+    'Timestamp,Picked,Packed\n2024-01-10 10:00,200,150\nyesterday,210,160\n2024-01-10 11:00,-5,170\n2024-01-10 12:00,400,\n',
+    'wms.csv',
+  );
+  const mapping = guessColumnMapping(columns, getStages(settings));
+  expect(mapping).toEqual({ timestamp: 'Timestamp', stages: { picking: 'Picked', packing: 'Packed' } });
+
+  const { rows, errors } = mapImportRows(records, mapping, settings);
+  expect(errors.map(error => [error.line, translateMessage('en', error.message)])).toEqual([
+    [2, 'invalid timestamp "yesterday"'],
+    [3, 'invalid picking count "-5"'],
+  ]);
+  // Пустое значение packed наследует предыдущее
+  expect(rows.map(row => [row.actuals.picking, row.actuals.packing])).toEqual([[200, 150], [400, 150]]);
+
+  expect(() => parseImportFile('Timestamp,Picked\n', 'wms.csv')).toThrow(ImportFileError);
+});
+
+test('nothing is imported when the shift has zones', () => {
+  const { records } = parseImportFile('Timestamp,Picked\n2024-01-10 10:00,200\n', 'wms.csv');
+  const zoned = { ...settings, zones: [{ id: 'a', name: 'Client A', stages: {} }] };
+  const { rows, errors } = mapImportRows(records, { timestamp: 'Timestamp', stages: { picking: 'Picked' } }, zoned);
+  expect(rows).toEqual([]);
+  expect(errors.map(error => error.message.key)).toEqual(['import.error.zones']);
+});
+
+test('incremental counts are summed up', () => {
+  const { records } = parseImportFile(JSON.stringify([
+    { time: '2024-01-10T09:00', picked: 100, packed: 80 },
+    { time: '2024-01-10T10:00', picked: 120, packed: 90 },
+  ]), 'wms.json');
+  const { rows } = mapImportRows(records, { timestamp: 'time', stages: { picking: 'picked', packing: 'packed' }, countMode: 'incremental' }, settings);
+  expect(rows[1].actuals).toEqual({ picking: 220, packing: 170 });
+});
+
+test('control points take the last row at or before their time', () => {
+  const rows = [
+    { timestamp: new Date(2024, 0, 10, 9, 55), actuals: { picking: 190, packing: 150 } },
+    { timestamp: new Date(2024, 0, 10, 12, 30), actuals: { picking: 450, packing: 400 } },
+  ];
+  const empty = { picking: 0, packing: 0 };
+  const cpData = [
+    { time: '10:00', planned: empty, actual: empty },
+    { time: '14:00', planned: empty, actual: empty },
+    { time: '09:00', planned: empty, actual: { picking: 5, packing: 5 } },
+  ];
+  const result = applyImportToShift(rows, { settings, actuals: empty, cpData, progressLog: [] });
+  expect(result.actuals.picking).toBe(450);
+  expect(result.cpData[0].actual).toEqual({ picking: 190, packing: 150 });
+  expect(result.cpData[1].actual).toEqual({ picking: 450, packing: 400 });
+  expect(result.cpData[2].actual).toEqual({ picking: 5, packing: 5 });
+  expect(result.matchedControlPoints).toBe(2);
+  expect(result.progressLog).toHaveLength(2);
+});
@@ -0,0 +1,137 @@
+// src/utils/zones.js
+import { calculateDeviations, calculateRecommendations } from './calculations';
+import { getStages } from './stages';
+import { hasStaffingPlan } from './staffingPlan';
+
+// Поля этапа, которые у каждой зоны свои; скорости и время смены общие для площадки.
+export const ZONE_FIELDS = ['expectedOrders', 'staffForLastPeriod'];
+
+// Поля зон, сохранённых до настраиваемых этапов.
+const LEGACY_ZONE_SUFFIX = { picking: 'Picking', packing: 'Packing' };
+
+/**
+ * Returns the configured zones (or client accounts), or an empty array.
+ * Each zone is { id, name, stages: { [stageId]: { expectedOrders, staffForLastPeriod } } }.
+ */
+export const getZones = (settings) => (settings && Array.isArray(settings.zones) ? settings.zones : []);
+
+/**
+ * Plan and last-hour headcount of one stage in a zone, as numbers.
+ * Zones saved before stages were configurable keep them in
+ * expectedOrdersPicking, staffForLastPeriodPacking, ...
+ */
+export const getZoneStage = (zone, stageId) => {
+  const own = (zone.stages || {})[stageId];
+  return Object.fromEntries(ZONE_FIELDS.map(field => {
+    const value = own ? own[field] : zone[`${field}${LEGACY_ZONE_SUFFIX[stageId]}`];
+    return [field, Number(value) || 0];
+  }));
+};
+
+/**
+ * Settings of one zone: the shift settings with the zone's own plan and
+ * last-hour headcount for every stage.
+ */
+export const getZoneSettings = (settings, zone) => ({
+  ...settings,
+  stages: getStages(settings).map(stage => ({ ...stage, ...getZoneStage(zone, stage.id) })),
+});
+
+/**
+ * Site-level settings. With zones configured, the plan and last-hour
+ * headcount of every stage are the sums over all zones; without zones the
+ * settings are returned unchanged.
+ */
+export const getSiteSettings = (settings) => {
+  const zones = getZones(settings);
+  if (zones.length === 0) return settings;
+  return {
+    ...settings,
+    stages: getStages(settings).map(stage => {
+      const totals = { ...stage };
+      ZONE_FIELDS.forEach(field => {
+        totals[field] = zones.reduce((sum, zone) => sum + getZoneStage(zone, stage.id)[field], 0);
+      });
+      return totals;
+    }),
+  };
+};
+
+/**
+ * Sums the actuals of all zones.
+ *
+ * @param {object} zoneActuals - { [zoneId]: { [stageId]: number } }.
+ * @param {Array} zones - Configured zones.
+ * @param {Array} stages - Stages from getStages.
+ * @returns {object} Site actuals, { [stageId]: number }.
+ */
+export const sumZoneActuals = (zoneActuals, zones, stages) => Object.fromEntries(stages.map(stage => [
+  stage.id,
+  zones.reduce((sum, zone) => sum + (Number(((zoneActuals || {})[zone.id] || {})[stage.id]) || 0), 0),
+]));
+
+/**
+ * Calculates deviations and recommendations for each zone.
+ *
+ * @param {object} settings - Shift settings with zones.
+ * @param {object} zoneActuals - { [zoneId]: { [stageId]: number } }.
+ * @param {Date} now - Evaluation moment.
+ * @returns {Array} [{ zone, actuals, deviations, recommendations }].
+ */
+export const calculateZoneResults = (settings, zoneActuals, now = new Date()) => getZones(settings).map(zone => {
+  const zoneSettings = getZoneSettings(settings, zone);
+  const actuals = (zoneActuals && zoneActuals[zone.id]) || {};
+  const deviations = calculateDeviations(zoneSettings, actuals, now);
+  return {
+    zone,
+    actuals,
+    deviations,
+    recommendations: calculateRecommendations(deviations, zoneSettings),
+  };
+});
+
+/**
+ * Adds up the zone deviations into a site-level result with the same shape
+ * as calculateDeviations: orders, deviations and required speeds of every
+ * stage are summed, hoursPassed and totalWorkTime are shared by all zones.
+ *
+ * @param {Array} zoneResults - Result of calculateZoneResults.
+ * @returns {object} Site-level deviations.
+ */
+export const combineZoneDeviations = (zoneResults) => {
+  const shared = zoneResults.length > 0 ? zoneResults[0].deviations : { stages: {} };
+  const stages = Object.fromEntries(Object.keys(shared.stages).map(stageId => {
+    const sum = (key) => zoneResults.reduce((total, result) => total + (result.deviations.stages[stageId][key] || 0), 0);
+    return [stageId, {
+      actual: sum('actual'),
+      deviation: sum('deviation'),
+      expectedProcessed: sum('expectedProcessed'),
+      requiredSpeed: sum('requiredSpeed'),
+    }];
+  }));
+  return {
+    stages,
+    hoursPassed: shared.hoursPassed || 0,
+    totalWorkTime: shared.totalWorkTime || 0,
+  };
+};
+
+/**
+ * Site-level deviations: the sum over zones when zones are configured,
+ * otherwise calculateDeviations for the whole site. A staffing plan is made
+ * for the whole site, so with a plan the site totals are measured against it.
+ *
+ * @param {object} settings - Site-level settings (see getSiteSettings).
+ * @param {object} actuals - Site totals, { [stageId]: number }.
+ * @param {object} zoneActuals - { [zoneId]: { [stageId]: number } }.
+ * @param {Date} now - Evaluation moment.
+ * @param {object} staffingPlan - Optional hourly staffing plan.
+ * @returns {object} Deviations.
+ */
+export const calculateSiteDeviations = (settings, actuals, zoneActuals, now = new Date(), staffingPlan = null) => {
+  if (hasStaffingPlan(staffingPlan)) return calculateDeviations(settings, actuals, now, staffingPlan);
+  const zoneResults = calculateZoneResults(settings, zoneActuals, now);
+  return zoneResults.length > 0
+    ? combineZoneDeviations(zoneResults)
+    : calculateDeviations(settings, actuals, now);
+};
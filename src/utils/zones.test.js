@@ -0,0 +1,40 @@
+import { getSiteSettings, sumZoneActuals, calculateZoneResults, calculateSiteDeviations } from './zones';
+import { translateMessages } from './i18n';
+
+const settings = {
+  shiftStart: '08:00',
+  shiftEnd: '16:00',
+  breaks: [],
+  avgSpeedPicking: 50,
+  avgSpeedPacking: 50,
+  zones: [
+    { id: 'a', name: 'Client A', expectedOrdersPicking: 700, expectedOrdersPacking: 700, staffForLastPeriodPicking: 0, staffForLastPeriodPacking: 0 },
+    { id: 'b', name: 'Client B', expectedOrdersPicking: 350, expectedOrdersPacking: 350, staffForLastPeriodPicking: 0, staffForLastPeriodPacking: 0 },
+  ],
+};
+const zoneActuals = {
+  a: { picking: 250, packing: 300 },
+  b: { picking: 200, packing: 100 },
+};
+const noon = new Date(2024, 0, 10, 12, 0);
+
+test('site plan and actuals are the sums over zones', () => {
+  const site = getSiteSettings(settings);
+  expect(site.stages[0]).toMatchObject({ id: 'picking', expectedOrders: 1050, avgSpeed: 50 });
+  expect(site.stages[1].staffForLastPeriod).toBe(0);
+  expect(sumZoneActuals(zoneActuals, settings.zones, site.stages)).toEqual({ picking: 450, packing: 400 });
+});
+
+test('each zone gets its own deviations and the site adds them up', () => {
+  const [a, b] = calculateZoneResults(settings, zoneActuals, noon);
+  // 700 / 7 * 4 = 400 и 350 / 7 * 4 = 200
+  expect(a.deviations.stages.picking.deviation).toBe(-150);
+  expect(b.deviations.stages.picking.deviation).toBe(0);
+  // В зоне A упаковка обогнала сборку и простаивает: человека переводят на сборку
+  expect(translateMessages('en', a.recommendations.picking)).toBe('Picking is the bottleneck: move 1 person from packing to picking. To meet the picking plan, add 0.50 more employees.');
+
+  const site = calculateSiteDeviations(getSiteSettings(settings), { picking: 450, packing: 400 }, zoneActuals, noon);
+  expect(site.stages.picking.deviation).toBe(-150);
+  expect(site.stages.packing.deviation).toBe(-200);
+  expect(site.stages.picking.expectedProcessed).toBe(600);
+});